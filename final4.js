@@ -7,9 +7,27 @@ import path from "path";
 import express from "express";
 import twilio from "twilio";
 import { WebSocketServer } from "ws";
-import { SarvamAIClient } from "sarvamai";
 import mime from "mime-types";
-import { franc } from "franc";
+import { createConversationStore } from "./lib/conversation.js";
+import { createLanguageSession, createLanguageSessionRegistry } from "./lib/language.js";
+import { createSentenceSplitter } from "./lib/llm-stream.js";
+import { createLlmProvider, llmConfigFromEnv } from "./lib/llm.js";
+import { createSttSession } from "./lib/stt.js";
+import { createSarvamClient } from "./lib/sarvam.js";
+import { createTtsProvider, ttsConfigFromEnv } from "./lib/tts.js";
+import { decodeG711, g711Encoding } from "./lib/g711.js";
+import { createCallStore, createCallsRouter, createStageTimer } from "./lib/call-store.js";
+import { adminAuth } from "./lib/admin-auth.js";
+import { createCallRecorder, createRecordingsRouter, recordCalls } from "./lib/recorder.js";
+import { twilioWebhookAuth } from "./lib/twilio-auth.js";
+import { STREAM_TOKEN_PARAM, createStreamAuth } from "./lib/stream-auth.js";
+import { buildHandoffSummary, connectingText, createHandoffDesk, createHandoffRouter, describeTarget, detectHandoffIntent, dialTwiml, handoffConfigFromEnv, handoffInstruction, takeHandoffToken } from "./lib/handoff.js";
+import { createDefaultTools, runToolLoop } from "./lib/tools.js";
+import { createKnowledgeBase, sourcesForTurn } from "./lib/knowledge.js";
+import { createFlowRegistry, createFlowRunStore } from "./lib/flows.js";
+import { createSlotSession, deliverSlotRecord, slotsConfigFromEnv } from "./lib/slots.js";
+import { PROFILE_PARAM, createProfileStore, greetingFor, ourNumber, sentenceLimit, voiceFor } from "./lib/profiles.js";
+import { contactFromParams, contactPrompt, greetingText } from "./lib/campaign.js";
 
 let fetchFn = globalThis.fetch;
 if (!fetchFn) {
@@ -24,15 +42,12 @@ const STREAM_URL_OVERRIDE = process.env.STREAM_URL;
 const SARVAM_KEY = process.env.SARVAM_API_KEY;
 const TWILIO_SID = process.env.TWILIO_SID;
 const TWILIO_AUTH = process.env.TWILIO_AUTH;
-const DEEPSEEK_KEY = process.env.DEEPSEEK_API_KEY;
-const DEEPSEEK_MODEL = process.env.DEEPSEEK_CHAT_MODEL || "deepseek-chat";
+// LLM backend: LLM_PROVIDER / LLM_BASE_URL / LLM_MODEL / LLM_TEMPERATURE / LLM_MAX_TOKENS (see lib/llm.js)
+const llm = createLlmProvider(llmConfigFromEnv({ temperature: 0.25, maxTokens: 80 }));
 
 const SARVAM_STT_MODEL = process.env.SARVAM_STT_MODEL || "saarika:v2.5";
-const SARVAM_TTS_MODEL = process.env.SARVAM_TTS_MODEL || "bulbul:v2";
-const SARVAM_TTS_VOICE = process.env.SARVAM_TTS_VOICE || "anushka";
-
-// 🔒 Language lock strictness (0 = always update, 1 = moderate, 2 = strict)
-const LANG_LOCK_STRICTNESS = parseInt(process.env.LANG_LOCK_STRICTNESS || "1", 10);
+// stream LLM tokens and <Play> each sentence as soon as its MP3 is ready
+const LLM_STREAM = (process.env.LLM_STREAM || "true").toLowerCase() !== "false";
 
 if (!SARVAM_KEY) throw new Error("Missing SARVAM_API_KEY in .env");
 if (!TWILIO_SID || !TWILIO_AUTH) throw new Error("Missing Twilio creds in .env");
@@ -42,6 +57,82 @@ const PUBLIC_DIR = path.join(process.cwd(), "public");
 if (!fs.existsSync(PUBLIC_DIR)) fs.mkdirSync(PUBLIC_DIR, { recursive: true });
 
 const twilioClient = twilio(TWILIO_SID, TWILIO_AUTH);
+const conversations = createConversationStore(); // per-call history keyed by callSid
+// per-call language lock, kept by callSid: every <Play> reconnects the stream, and the lock has to span turns
+const langSessions = createLanguageSessionRegistry();
+const callStore = createCallStore(); // persisted transcripts (CALLS_DIR), served at GET /calls
+// warm transfer to a human (HANDOFF_NUMBER / HANDOFF_SIP / HANDOFF_QUEUE, see lib/handoff.js)
+const handoff = handoffConfigFromEnv();
+const handoffDesk = createHandoffDesk();
+// function calling (TOOLS=…, see lib/tools.js); replies use the one-shot path while tools are on
+const tools = createDefaultTools();
+if (tools.size) console.log("🔧 LLM tools:", tools.names().join(", "));
+// business knowledge base (KB_DIR, see lib/knowledge.js), searched per caller turn
+const kb = createKnowledgeBase();
+// per-line persona / languages / voices / greeting (PROFILES_FILE, see lib/profiles.js), chosen in /answer
+const profiles = createProfileStore();
+// scripted call flows (FLOWS_DIR, see lib/flows.js): profile.flow, else FLOW. Every <Play> here
+// reconnects the stream, so a call's run is kept by callSid (from /answer) rather than on the socket
+const flows = createFlowRegistry();
+const flowRuns = createFlowRunStore();
+// slot filling for profiles that declare "slots" (SLOTS_DIR / SLOTS_WEBHOOK_URL, see lib/slots.js), kept by
+// callSid like flow runs. The record goes out when the call is over: right away after a hangup or handoff we
+// did, else once Twilio reports the call finished (a caller hanging up during a <Play> never reaches a stream)
+const slotsConfig = slotsConfigFromEnv();
+const slotSessions = new Map(); // callSid -> { session, profileId }
+// campaign calls (twillo-call-test/campaign.js) put the contact in the answer URL query: name, lang, var_*.
+// Redirects back to /answer don't carry it, so it is kept by callSid from the first /answer
+const contacts = new Map(); // callSid -> { name, lang, vars }
+// RECORD_CALLS=true: one recording per call, carried across every turn's stream and written once the call is over
+const recorders = new Map(); // callSid -> createCallRecorder()
+// a contact's preferred language is where the call starts, if the line speaks it (the caller can still switch)
+function contactLang(contact, profile) {
+  const lang = contact?.lang;
+  return lang && (!profile.languages || profile.languages.includes(lang)) ? lang : null;
+}
+// Per-call state (history, flow run, slots, reply queue, recording) outlives each turn's stream and is dropped
+// only once the call is over: a stream stop we caused by hanging up / handing off, a stop with no redirect back
+// to /answer pending, Twilio's status callback (POST /call-status) or the sweep below asking Twilio about calls
+// still open.
+const CALL_OVER = new Set(["completed", "busy", "failed", "no-answer", "canceled"]);
+const openCalls = new Set(); // callSids answered and not yet finished
+const redirecting = new Set(); // callSids whose current TwiML ends in a redirect to /answer?redirect=1
+// meta is what callStore.endCall records: the stream that ended the call says why (hang-up, handoff)
+async function endCallIfOver(sid, over = false, meta = { reason: "caller-ended" }) {
+  if (!sid || !openCalls.has(sid)) return;
+  if (!over) {
+    const call = await twilioClient.calls(sid).fetch().catch((e) => (e?.status === 404 ? { status: "completed" } : null));
+    if (!call || !CALL_OVER.has(call.status)) return;
+  }
+  if (!openCalls.delete(sid)) return; // another check got there first
+  console.log("📴 Call over:", sid);
+  callStore.endCall(sid, meta);
+  redirecting.delete(sid);
+  conversations.clear(sid);
+  langSessions.clear(sid);
+  flowRuns.delete(sid);
+  contacts.delete(sid);
+  replyQueues.delete(sid);
+  recorders.get(sid)?.finalize();
+  recorders.delete(sid);
+  const entry = slotSessions.get(sid);
+  if (!entry) return;
+  slotSessions.delete(sid);
+  await deliverSlotRecord(entry.session.finish({ callSid: sid, profile: entry.profileId, server: "final4.js" }), slotsConfig);
+}
+setInterval(() => { for (const sid of openCalls) endCallIfOver(sid); }, 60 * 1000).unref();
+// TwiML that hands the call back to the stream: the stop it causes is not the end of the call
+async function updateAndRedirect(sid, twiml) {
+  redirecting.add(sid);
+  try {
+    await twilioClient.calls(sid).update({ twiml });
+  } catch (err) {
+    redirecting.delete(sid);
+    throw err;
+  }
+}
+// TTS backend: TTS_PROVIDER / TTS_MODEL / TTS_VOICE … (see lib/tts.js); streaming socket by default here
+const tts = createTtsProvider(ttsConfigFromEnv({ provider: "sarvam-stream", apiKey: SARVAM_KEY, pitch: 0.9 }));
 
 // ----------------- helpers -----------------
 function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
@@ -53,215 +144,85 @@ function buildStreamUrl() {
 function buildAnswerUrl() {
   return NGROK_URL.replace(/\/+$/, "") + "/answer";
 }
+function buildContinueUrl(callSid) {
+  return NGROK_URL.replace(/\/+$/, "") + "/continue?callSid=" + encodeURIComponent(callSid);
+}
 function makeSarvamClient() {
-  return new SarvamAIClient({ apiSubscriptionKey: SARVAM_KEY });
-}
-
-// --- audio decode helpers ---
-function mulawDecodeSample(muLawByte) {
-  const MULAW_MAX = 0x1FFF, MULAW_BIAS = 33;
-  muLawByte = ~muLawByte & 0xff;
-  const sign = (muLawByte & 0x80) ? -1 : 1;
-  const exponent = (muLawByte & 0x70) >> 4;
-  const mantissa = muLawByte & 0x0F;
-  let sample = ((mantissa << 3) + MULAW_BIAS) << (exponent + 2);
-  if (sample > MULAW_MAX) sample = MULAW_MAX;
-  return sign * sample;
-}
-function muLawToPCM16(muBuf) {
-  const out = new Int16Array(muBuf.length);
-  for (let i = 0; i < muBuf.length; i++) out[i] = mulawDecodeSample(muBuf[i]);
-  return out;
-}
-function upsample2xInt16(int16) {
-  const out = new Int16Array(int16.length * 2);
-  for (let i = 0; i < int16.length; i++) {
-    out[2 * i] = int16[i];
-    out[2 * i + 1] = int16[i];
-  }
-  return out;
-}
-
-// ---- Language detection (improved + lock) ----
-function normalizeLangCode(code) {
-  if (!code) return "unknown";
-  const lc = String(code).toLowerCase();
-  if (lc.startsWith("gu")) return "gu-IN";
-  if (lc.startsWith("hi")) return "hi-IN";
-  if (lc.startsWith("en")) return "en-IN";
-  if (lc.startsWith("bn")) return "bn-IN";
-  if (lc.startsWith("kn")) return "kn-IN";
-  if (lc.startsWith("ml")) return "ml-IN";
-  if (lc.startsWith("mr")) return "mr-IN";
-  if (lc.startsWith("or") || lc.startsWith("od")) return "od-IN";
-  if (lc.startsWith("pa")) return "pa-IN";
-  if (lc.startsWith("ta")) return "ta-IN";
-  if (lc.startsWith("te")) return "te-IN";
-  return code;
-}
-function detectLanguageLocal(text) {
-  if (!text || text.trim().length === 0) return "en-IN";
-  if (/[\u0A80-\u0AFF]/.test(text)) return "gu-IN";
-  if (/[\u0900-\u097F]/.test(text)) return "hi-IN";
-  if (text.trim().length < 6) return "en-IN";
-  const francLang = franc(text, { minLength: 3 });
-  if (francLang === "guj") return "gu-IN";
-  if (francLang === "hin") return "hi-IN";
-  if (francLang === "eng") return "en-IN";
-  if (francLang === "pan") return "pa-IN";
-  return "en-IN";
-}
-const romanGujaratiRe = /\b(kem|cho|maja|majama|tame|tamne|shu|su|mane|hu|maru|bhai|barabar|krupaya|dhanyavaad)\b/i;
-const romanHindiRe = /\b(aap|aapka|kaise|naam|namaste|shukriya|haan|nahi|kya|kyu|kyun|theek|thik|bahut|kripya|dhanyavad)\b/i;
-
-let lastConfirmedLang = "en-IN";
-
-function resolveFinalLang(sttLangCode, transcript) {
-  const scriptGu = /[\u0A80-\u0AFF]/.test(transcript);
-  const scriptHi = /[\u0900-\u097F]/.test(transcript);
-  let lang = normalizeLangCode(sttLangCode);
-
-  if (scriptGu) lang = "gu-IN";
-  if (scriptHi) lang = "hi-IN";
-  if (lang === "en-IN") {
-    if (romanGujaratiRe.test(transcript)) lang = "gu-IN";
-    if (romanHindiRe.test(transcript)) lang = "hi-IN";
-  }
-  if (!lang || lang === "unknown") lang = detectLanguageLocal(transcript);
-
-  // 🔒 Apply language lock strictness
-  if (LANG_LOCK_STRICTNESS === 0) {
-    lastConfirmedLang = lang;
-  } else if (LANG_LOCK_STRICTNESS === 1) {
-    lastConfirmedLang = lang;
-  } else if (LANG_LOCK_STRICTNESS >= 2) {
-    if (lang === normalizeLangCode(sttLangCode)) {
-      lastConfirmedLang = lang;
-    } // else stick with old
-  }
-  return lastConfirmedLang;
+  return createSarvamClient(SARVAM_KEY); // SARVAM_BASE_URL / SARVAM_WS_BASE_URL, see lib/sarvam.js
 }
 
-// --- DeepSeek + TTS ---
-// (keep your existing DeepSeek + TTS code unchanged, just ensure they use finalLang = resolveFinalLang)
-// ---- DeepSeek chat (short replies, same language) ----
-async function callDeepSeek(userText, langCode = "en-IN") {
-if (!DEEPSEEK_KEY) {
-return (langCode === "gu-IN") ? "માફ કરશો, ફરી કહેવું." : "Sorry, please say that again.";
-}
-const messages = [
-{ role: "system", content: `You are an AI phone assistant. The caller speaks in ${langCode}. Reply ONLY in ${langCode}. Keep it short (1 sentence, <20 words).` },
+// --- LLM + TTS ---
+// (language lock lives in lib/language.js; one session per call, see wss.on("connection"))
+// ---- LLM chat (short replies, same language) ----
+function buildChatMessages(userText, langCode, history = [], profile = profiles.get()) {
+const persona = profile.persona || "You are an AI phone assistant.";
+return [
+{ role: "system", content: `${persona} The caller speaks in ${langCode}. Reply ONLY in ${langCode}. Keep it short (${sentenceLimit(profile)}, <${20 * profile.maxSentences} words).` + (handoff.enabled ? " " + handoffInstruction() : "") },
+...history,
 { role: "user", content: userText }
 ];
-const res = await fetchFn("https://api.deepseek.com/v1/chat/completions", {
-method: "POST",
-headers: {
-"Authorization": `Bearer ${DEEPSEEK_KEY}`,
-"Content-Type": "application/json"
-},
-body: JSON.stringify({ model: DEEPSEEK_MODEL, messages, temperature: 0.25, max_tokens: 80 })
-});
-if (!res.ok) {
-const txt = await res.text().catch(() => "");
-console.warn("DeepSeek error:", res.status, txt);
-return (langCode === "gu-IN") ? "માફ કરશો, ફરી પૂછો." : "Sorry, please say that again.";
 }
-const json = await res.json().catch(() => ({}));
-const reply = json?.choices?.[0]?.message?.content || json?.choices?.[0]?.text || "";
-return (reply || "Sorry, please ask again.")
+function stripEmoji(text) {
+return text
 .replace(/[\p{Emoji_Presentation}\p{Extended_Pictographic}]/gu, "")
 .replace(/[\uD800-\uDFFF]/g, "");
 }
-
-// ---- TTS: generate MP3 and return public URL (robust) ----
-async function generateTTSFile(callSid, text, opts = {}) {
-// create client/socket per TTS request
-const client = new SarvamAIClient({ apiSubscriptionKey: SARVAM_KEY });
-// prefer env-provided model
-const socket = await client.textToSpeechStreaming.connect({ model: SARVAM_TTS_MODEL || "bulbul:v2" });
-await socket.waitForOpen();
-
-// configure connection (some SDK wrappers use configureConnection, some use configure)
-const cfg = {
-type: "config",
-data: {
-speaker: opts.speaker || SARVAM_TTS_VOICE || "anushka",
-target_language_code: opts.lang || "en-IN",
-pitch: opts.pitch ?? 0.9,
-pace: opts.pace ?? 1.0,
-min_buffer_size: opts.min_buffer_size ?? 10,
-max_chunk_length: opts.max_chunk_length ?? 250,
-output_audio_codec: opts.output_audio_codec || "mp3",
-output_audio_bitrate: opts.output_audio_bitrate || "128k"
-}
-};
+// opts.toolCtx: offer the registered tools (ctx handed to their handlers); opts.onTool(record) per invocation;
+// opts.profile: the call's assistant profile (persona, reply limits)
+async function callLLM(userText, langCode = "en-IN", history = [], opts = {}) {
+const profile = opts.profile || profiles.get();
+const messages = buildChatMessages(userText, langCode, history, profile);
+const maxTokens = profile.maxTokens ?? undefined;
+let reply = "";
 try {
-if (socket.configureConnection) socket.configureConnection(cfg);
-else if (socket.configure) await socket.configure(cfg.data);
+reply = opts.toolCtx && tools.size
+? (await runToolLoop(llm, { messages, registry: tools, ctx: opts.toolCtx, onInvocation: opts.onTool, maxTokens })).reply
+: await llm.chat({ messages, maxTokens });
 } catch (e) {
-// non-fatal
-console.warn("TTS configure warning:", e?.message || e);
+console.warn("LLM error:", e?.message || e);
+return (langCode === "gu-IN") ? "માફ કરશો, ફરી પૂછો." : "Sorry, please say that again.";
+}
+reply = stripEmoji(reply || "Sorry, please ask again.");
+return reply.length > profile.maxReplyChars ? reply.slice(0, profile.maxReplyChars) + "..." : reply;
+}
+
+// ---- LLM streaming: onSentence fires per completed sentence ----
+// throws before any sentence is emitted if the stream can't be opened (caller falls back)
+async function streamLLM(userText, langCode = "en-IN", history = [], onSentence = () => {}, profile = profiles.get()) {
+const messages = buildChatMessages(userText, langCode, history, profile);
+const splitter = createSentenceSplitter();
+const emit = (sentence) => {
+const clean = stripEmoji(sentence).trim();
+if (clean) onSentence(clean);
+};
+let reply = "";
+for await (const delta of llm.stream({ messages, maxTokens: profile.maxTokens ?? undefined })) {
+reply += delta;
+splitter.push(delta).forEach(emit);
+}
+splitter.flush().forEach(emit);
+return stripEmoji(reply).trim();
 }
 
+// ---- TTS: generate MP3 and return public URL (robust) ----
+// chunks are written as they arrive from the provider (TTS_PROVIDER, see lib/tts.js)
+async function generateTTSFile(callSid, text, opts = {}) {
 const fname = `tts_${callSid}_${Date.now()}.mp3`;
 const outPath = path.join(PUBLIC_DIR, fname);
 if (fs.existsSync(outPath)) fs.unlinkSync(outPath);
-const outStream = fs.createWriteStream(outPath, { flags: "a" });
+const outStream = fs.createWriteStream(outPath);
 
-return new Promise(async (resolve, reject) => {
-let gotAnyAudio = false;
-
-const onMessage = (msg) => {
+let bytes = 0;
 try {
-if (msg?.type === "audio" && msg?.data?.audio) {
-const buf = Buffer.from(msg.data.audio, "base64");
-gotAnyAudio = true;
-outStream.write(buf);
-}
-} catch (e) {
-console.warn("TTS chunk write error:", e);
-}
-};
-
-// attach listeners
-socket.on("message", onMessage);
-
-socket.on("error", (err) => {
-console.error("TTS socket error:", err);
-try { socket.removeListener?.("message", onMessage); } catch {}
-try { outStream.end(); } catch {}
-reject(err);
-});
-
-socket.on("close", async () => {
-try { socket.removeListener?.("message", onMessage); } catch {}
-try { outStream.end(); } catch {}
-await sleep(50); // ensure fs flushed
-const statOk = fs.existsSync(outPath) && fs.statSync(outPath).size > 0 && gotAnyAudio;
-if (!statOk) {
-reject(new Error("TTS file is empty (no audio chunks received)"));
-return;
+for await (const chunk of tts.stream(text, { lang: opts.lang || "en-IN", speaker: opts.speaker, format: "mp3" })) {
+outStream.write(chunk.audio);
+bytes += chunk.audio.length;
 }
-const publicUrl = `${NGROK_URL.replace(/\/+$/, "")}/tts/${encodeURIComponent(fname)}`;
-resolve(publicUrl);
-});
-
-// send text for conversion
-try {
-if (socket.convert) socket.convert(text);
-else if (socket.sendJson) socket.sendJson({ type: "convert", data: { text } });
-} catch (e) {
-console.warn("TTS convert call failed:", e);
+} finally {
+await new Promise((resolve) => outStream.end(resolve)); // ensure fs flushed
 }
-
-// try flush if available
-try { if (socket.flush) await socket.flush(); } catch (_) {}
-
-// fallback close after short grace period (allow streaming to finish)
-setTimeout(() => {
-try { if (socket?.close) socket.close(); } catch (e) { /* ignore */ }
-}, opts.closeAfterMs ?? 1800);
-});
+if (!bytes) throw new Error("TTS file is empty (no audio chunks received)");
+return `${NGROK_URL.replace(/\/+$/, "")}/tts/${encodeURIComponent(fname)}`;
 }
 
 // ---- verify URL is publicly reachable (HEAD + content-type) ----
@@ -288,9 +249,66 @@ await sleep(delayMs);
 return false;
 }
 
+// ---- per-call sentence queues, drained by /continue ----
+// callSid -> { items: [{ ready, url, settled }], next, done }
+const replyQueues = new Map();
+
+function startReplyQueue(callSid) {
+  const q = { items: [], next: 0, done: false };
+  replyQueues.set(callSid, q);
+  return q;
+}
+function enqueueReplyAudio(q, urlPromise) {
+  const item = { url: null, settled: false };
+  item.ready = urlPromise
+    .then((url) => { item.url = url; })
+    .catch((e) => console.warn("Queued TTS failed:", e?.message || e))
+    .finally(() => { item.settled = true; });
+  q.items.push(item);
+  return item;
+}
+
+// TwiML that plays whatever is ready next and comes back for more
+async function nextQueueTwiml(callSid, waitMs = 10000) {
+  const q = replyQueues.get(callSid);
+  const backToStream = `<Redirect method="POST">${buildAnswerUrl()}?redirect=1</Redirect>`;
+  if (!q) return `<Response>${backToStream}</Response>`;
+
+  const urls = [];
+  while (q.next < q.items.length) {
+    const item = q.items[q.next];
+    // block only for the first pending item; take any others that are already done
+    if (!item.settled) {
+      if (urls.length) break;
+      await Promise.race([item.ready, sleep(waitMs)]);
+      if (!item.settled) break;
+    }
+    q.next++;
+    if (item.url) urls.push(item.url);
+  }
+
+  const finished = q.done && q.next >= q.items.length;
+  if (finished) replyQueues.delete(callSid);
+  if (!urls.length && !finished) {
+    return `<Response><Pause length="1"/><Redirect method="POST">${buildContinueUrl(callSid)}</Redirect></Response>`;
+  }
+  const plays = urls.map((u) => `<Play>${u}</Play>`).join("");
+  const tail = finished ? backToStream : `<Redirect method="POST">${buildContinueUrl(callSid)}</Redirect>`;
+  return `<Response>${plays}${tail}</Response>`;
+}
+
 // ---------------- Express app ----------------
 const app = express();
 app.use(express.urlencoded({ extended: true }));
+// operator routes (/calls, /recordings, /handoffs/:sid): off unless ADMIN_TOKEN is set, then token-only
+const adminRoutes = adminAuth();
+app.use(createCallsRouter(callStore, { auth: adminRoutes }));
+app.use(createRecordingsRouter({ auth: adminRoutes })); // RECORD_CALLS=true stereo WAVs
+// X-Twilio-Signature check on webhooks (TWILIO_SIGNATURE_BYPASS=true for local dev)
+const twilioAuth = twilioWebhookAuth();
+// single-use token per <Stream>, checked on the start event before STT opens
+const streamAuth = createStreamAuth();
+app.use(createHandoffRouter(handoffDesk, { webhookAuth: twilioAuth, auth: adminRoutes, resumeUrl: `${buildAnswerUrl()}?redirect=1` }));
 
 // static files and set Content-Type via mime
 app.use(express.static(PUBLIC_DIR, {
@@ -350,17 +368,50 @@ res.status(500).send("Server error");
 });
 
 // /answer
-app.all("/answer", (req, res) => {
+app.all("/answer", twilioAuth, async (req, res) => {
   const streamUrl = buildStreamUrl();
-  console.log("TwiML /answer returning stream URL:", streamUrl);
+  const params = { ...req.query, ...(req.body || {}) };
+  // which business line was dialed (PROFILES_FILE); an explicit ?profile= wins
+  const profile = profiles.select({ to: ourNumber(params), id: params.profile });
+  console.log("TwiML /answer returning stream URL:", streamUrl, `(profile: ${profile.id})`);
 
   const twiml = new twilio.twiml.VoiceResponse();
   const start = twiml.start();
-  start.stream({ name: "media", url: streamUrl, track: "inbound_track" });
-
-  // Only say greeting if no ?redirect=1
-  if (!req.query.redirect) {
-    twiml.say("AI assistant connected.");
+  // recording needs the bot side too: both_tracks delivers <Play> audio as outbound frames
+  const stream = start.stream({ name: "media", url: streamUrl, track: recordCalls() ? "both_tracks" : "inbound_track" });
+  // every /answer (including ?redirect=1 after a <Play>) starts a new stream, so each gets a fresh token
+  stream.parameter({ name: STREAM_TOKEN_PARAM, value: streamAuth.issue(req.body?.CallSid || req.query.CallSid) });
+  stream.parameter({ name: PROFILE_PARAM, value: profile.id });
+
+  // Only greet if no ?redirect=1; the flow's opening prompt (else a campaign contact by name in their language,
+  // else the profile greeting) is spoken in the line's own voice
+  if (params.CallSid) openCalls.add(params.CallSid);
+  if (req.query.redirect) redirecting.delete(params.CallSid);
+  else {
+    const contact = contactFromParams(params);
+    if (contact && params.CallSid) contacts.set(params.CallSid, contact);
+    const startLang = contactLang(contact, profile) || profile.defaultLang;
+    const run = params.CallSid ? flows.start(profile.flow || flows.defaultId, { vars: { name: contact?.name, ...contact?.vars } }) : null;
+    flowRuns.set(params.CallSid, run);
+    const opening = run?.begin(startLang);
+    let greeting = opening
+      ? (opening.say ? { lang: opening.lang, text: opening.say } : null)
+      : contact ? greetingText(contact) : greetingFor(profile);
+    // slot filling (profiles without a flow) follows the greeting with its first question
+    if (!run && profile.slots && params.CallSid) {
+      const session = createSlotSession(profile.slots, { llm, config: slotsConfig });
+      slotSessions.set(params.CallSid, { session, profileId: profile.id });
+      const lang = greeting?.lang || startLang;
+      const question = session.begin(lang).say;
+      greeting = { lang, text: greeting ? `${greeting.text} ${question}` : question };
+    }
+    const greetingUrl = greeting && params.CallSid
+      ? await generateTTSFile(params.CallSid, greeting.text, { lang: greeting.lang, speaker: voiceFor(profile, greeting.lang) })
+        .then(async (url) => ((await verifyUrlIsAudio(url, 4, 300)) ? url : null))
+        .catch((e) => { console.warn("Greeting TTS failed:", e?.message || e); return null; })
+      : null;
+    if (greetingUrl) twiml.play(greetingUrl);
+    else twiml.say(greeting?.text || "AI assistant connected.");
   }
 
   // Keep call open
@@ -369,6 +420,24 @@ app.all("/answer", (req, res) => {
   res.type("text/xml").send(twiml.toString());
 });
 
+// /call-status — Twilio status callback (set it on the number / outbound calls): drops per-call state at once
+app.post("/call-status", twilioAuth, (req, res) => {
+  const { CallSid, CallStatus } = req.body || {};
+  if (CALL_OVER.has(CallStatus)) endCallIfOver(CallSid, true);
+  res.sendStatus(204);
+});
+
+// /continue — next sentence(s) of a streamed reply
+app.all("/continue", twilioAuth, async (req, res) => {
+  const callSid = req.query.callSid || req.body?.CallSid;
+  try {
+    res.type("text/xml").send(await nextQueueTwiml(callSid));
+  } catch (e) {
+    console.error("/continue error:", e);
+    res.type("text/xml").send(`<Response><Redirect method="POST">${buildAnswerUrl()}?redirect=1</Redirect></Response>`);
+  }
+});
+
 // Server & WS handling
 const server = app.listen(PORT, () => {
 console.log(`🚀 HTTP server listening on :${PORT}`);
@@ -392,81 +461,264 @@ console.log("🔌 Twilio media socket connected");
 const sarvam = makeSarvamClient();
 
 let callSid = null;
-let stt = null;
-let sttOpen = false;
+let encoding = "mulaw"; // G.711 variant, from the start event's mediaFormat
+let recorder = null; // the call's stereo recording when RECORD_CALLS=true, from recorders on start
 let replying = false;
+let handingOff = false; // set once the call is being transferred to a human
+let endMeta = null; // why this stream is ending the call (recorded by endCallIfOver)
+let profile = profiles.get(); // assistant profile, from the stream's "profile" parameter
+let contact = null; // campaign contact { name, lang, vars }, kept by callSid from the first /answer
+let langSession = createLanguageSession(); // the call's language lock (LANG_LOCK_STRICTNESS / LANG_SWITCH_TURNS), from langSessions on start
 
-// create STT socket using env-driven model
-try {
-stt = await sarvam.speechToTextStreaming.connect({
-model: SARVAM_STT_MODEL,
-"language-code": "unknown", // prefer auto-detect
-debug: false,
-});
-} catch (e) {
-console.error("❌ Failed to connect STT:", e);
-twilioWs.close();
-return;
-}
+// closes the socket unless a start event with a valid stream token arrives
+const gate = streamAuth.gate(twilioWs);
 
-stt.on("open", () => { console.log("✅ STT socket open"); sttOpen = true; });
-stt.on("close", () => { console.log("🔒 STT closed"); sttOpen = false; });
-stt.on("error", (e) => console.error("⚠ STT error:", e));
+// STT session using env-driven model (SDK → raw WS → REST fallback, see lib/stt.js),
+// opened only once the stream is authenticated
+let stt = null;
+function openStt() {
+// prefer auto-detect, unless the line only speaks one language
+const sttLang = profile.languages?.length === 1 ? profile.languages[0] : "unknown";
+stt = createSttSession({ client: sarvam, model: profile.sttModel || SARVAM_STT_MODEL, languageCode: sttLang });
+
+stt.on("open", ({ transport }) => console.log("✅ STT open via", transport));
+stt.on("close", () => console.log("🔒 STT closed"));
+stt.on("error", (e) => console.error("⚠ STT error:", e?.message || e));
 
-// STT message handler
-stt.on("message", async (msg) => {
+// STT final-transcript handler
+stt.on("final", async (evt) => {
 try {
-const transcript = (msg?.data?.transcript) || (msg?.transcript) || (msg?.text) || "";
-if (!transcript || !transcript.trim()) return;
-const clean = transcript.trim();
+const clean = evt.text;
 console.log("📝 Transcript:", clean);
 
 // Determine final language: use Sarvam's language_code then resolve with heuristics
-const sarvamLang = msg?.data?.language_code || "unknown";
-const finalLang = resolveFinalLang(sarvamLang, clean);
-console.log("🧭 Sarvam lang:", sarvamLang, "→ Final lang:", finalLang);
+const sarvamLang = evt.language || "unknown";
+const langDecision = langSession.resolve(sarvamLang, clean);
+const finalLang = langDecision.lang;
+console.log("🧭 Sarvam lang:", sarvamLang, "→ Final lang:", finalLang, `(${langDecision.reason})`);
 
+await respond(clean, finalLang, { user: clean, sttLang: sarvamLang, lang: finalLang, langReason: langDecision.reason });
+} catch (outerErr) {
+console.error("STT message handler error:", outerErr);
+}
+});
+}
+
+// one caller turn -> LLM reply -> TTS played on the call; `turn` is what gets stored
+async function respond(clean, finalLang, turn) {
 if (!callSid) {
 console.warn("No callSid yet; skipping reply");
 return;
 }
-if (replying) return;
+if (replying || handingOff) return;
 
 replying = true;
+const timer = createStageTimer();
+turn = { ...turn, reply: null };
 try {
-// 1) LLM reply in finalLang
-const dsReply = await callDeepSeek(clean, finalLang);
-console.log("🤖 DeepSeek:", dsReply);
+if (handoff.enabled && handoff.keywords && detectHandoffIntent(clean)) {
+turn.handoff = "keyword";
+await transferToAgent(finalLang, "keyword", clean);
+return;
+}
+// the call's flow (or slot filling) answers scripted steps itself; llm steps pass their instruction to the model
+let scripted = null;
+let stepInstruction = null;
+const flow = flowRuns.get(callSid);
+const slots = slotSessions.get(callSid)?.session;
+if (flow) {
+const step = flow.handle({ text: clean, lang: finalLang });
+turn.flow = { state: step.state, slots: step.slots, ...(step.transition ? { transition: step.transition } : {}) };
+if (step.transition) console.log("🧭 Flow:", step.transition, JSON.stringify(step.slots));
+if (step.action === "handoff") {
+turn.handoff = "flow";
+if (await transferToAgent(finalLang, "flow", clean)) return;
+console.warn("Flow handoff failed — continuing without the flow");
+flowRuns.delete(callSid);
+} else if (step.llm) {
+stepInstruction = step.llm.instruction;
+} else {
+scripted = step;
+}
+} else if (slots && !slots.done) {
+const step = await slots.handle({ text: clean, lang: finalLang });
+turn.slots = { updates: step.updates, values: step.slots };
+if (step.llm) stepInstruction = step.llm.instruction;
+else scripted = step;
+}
+// knowledge-base passages for this utterance ride along as a system message
+const history = conversations.messagesFor(callSid);
+if (contact) history.unshift({ role: "system", content: contactPrompt(contact) });
+if (stepInstruction) history.push({ role: "system", content: stepInstruction });
+if (kb.enabled && !scripted) {
+const passages = kb.search(clean);
+if (passages.length) {
+history.push({ role: "system", content: kb.prompt(passages) });
+turn.sources = sourcesForTurn(passages);
+console.log("📚 Knowledge:", turn.sources.map((p) => `${p.id} (${p.score})`).join(", "));
+}
+}
+if (!scripted && LLM_STREAM && !tools.size && await replyStreaming(clean, finalLang, timer, turn, history)) return;
+
+// 1) LLM reply in finalLang, or the flow's scripted line (end_call from a tool, or a flow end
+// state, turns the <Play> into play-then-hang-up)
+let hangup = null;
+let dsReply;
+if (scripted) {
+dsReply = scripted.say;
+if (scripted.action === "end") hangup = "flow";
+} else {
+const toolCtx = { callSid, lang: finalLang, contact, endCall: (reason) => { hangup = reason; } };
+const onTool = (record) => { (turn.tools ||= []).push(record); };
+const llmReply = takeHandoffToken(await callLLM(clean, finalLang, history, { toolCtx, onTool, profile }));
+timer.mark("llm");
+if (llmReply.requested) {
+turn.handoff = "llm";
+await transferToAgent(finalLang, "llm", clean);
+return;
+}
+dsReply = llmReply.text;
+console.log("🤖 LLM:", dsReply);
+}
+turn.reply = dsReply || null;
+if (!dsReply) {
+// a flow state with nothing to say: hang up if it ends the call, else keep listening
+if (hangup) {
+endMeta = { reason: "assistant-ended", detail: hangup };
+await twilioClient.calls(callSid).update({ twiml: "<Response><Hangup/></Response>" });
+}
+return;
+}
+await conversations.addTurn(callSid, clean, dsReply);
 
 // 2) TTS: use finalLang
-const ttsUrl = await generateTTSFile(callSid, dsReply, { lang: finalLang });
+const ttsUrl = await generateTTSFile(callSid, dsReply, { lang: finalLang, speaker: voiceFor(profile, finalLang) });
+timer.mark("ttsFirst");
 console.log("🔊 TTS ready:", ttsUrl);
 
-// 3) Verify audio HEAD (content-type + reachable)
+// 3) Verify audio HEAD (content-type + reachable), then play it
+if (hangup) {
+console.log("📴 Assistant ending the call:", hangup);
+endMeta = { reason: "assistant-ended", detail: hangup };
+}
+if (await playOnCall(ttsUrl, hangup ? "hangup" : "redirect")) {
+console.log("📤 Played TTS on call", `(⏱ first audio after ${timer.mark("firstAudio")} ms)`);
+}
+} catch (e) {
+console.error("Reply error:", e);
+turn.error = e?.message || String(e);
+} finally {
+replying = false;
+timer.mark("total");
+callStore.addTurn(callSid, { ...turn, latency: timer.toJSON() });
+}
+}
+
+// <Play> a TTS URL on the call, then either reconnect the stream (/answer?redirect=1) or hang up
+async function playOnCall(ttsUrl, then = "redirect") {
 const ok = await verifyUrlIsAudio(ttsUrl, 4, 300);
 if (!ok) {
 console.error("TTS URL not reachable or not audio. Aborting play:", ttsUrl);
-} else {
+return false;
+}
+const next = then === "hangup" ? "<Hangup/>" : `<Redirect method="POST">${buildAnswerUrl()}?redirect=1</Redirect>`;
 const playTwiml = `<Response>
   <Play>${ttsUrl}</Play>
-  <Redirect method="POST">${buildAnswerUrl()}?redirect=1</Redirect>
+  ${next}
 </Response>`;
 try {
-await twilioClient.calls(callSid).update({ twiml: playTwiml });
-console.log("📤 Played TTS on call");
+if (then === "hangup") await twilioClient.calls(callSid).update({ twiml: playTwiml });
+else await updateAndRedirect(callSid, playTwiml);
+return true;
 } catch (err) {
 console.error("Failed to redirect/play on Twilio call:", err?.message || err);
+return false;
 }
 }
-} catch (e) {
-console.error("Reply error:", e);
-} finally {
-replying = false;
+
+// hand the call to a human: <Play> a "connecting you" clip, then <Dial> with a whisper summary.
+// currentUtterance is the caller's request, not yet in the stored transcript
+async function transferToAgent(lang, reason, currentUtterance) {
+if (!handoff.enabled) { console.warn("Handoff requested but no HANDOFF_NUMBER / HANDOFF_SIP / HANDOFF_QUEUE is set"); return false; }
+if (!callSid || handingOff) return handingOff;
+handingOff = true;
+console.log("🤝 Handoff to", describeTarget(handoff), "for call:", callSid, `(${reason})`);
+const stored = await callStore.getTranscript(callSid).catch(() => null);
+const turns = [...(stored?.turns || []), ...(currentUtterance ? [{ user: currentUtterance }] : [])];
+const [summary, playUrl] = await Promise.all([
+buildHandoffSummary(turns, { llm, contact }),
+generateTTSFile(callSid, connectingText(lang), { lang, speaker: voiceFor(profile, lang) })
+.then(async (url) => ((await verifyUrlIsAudio(url, 4, 300)) ? url : null))
+.catch(() => null),
+]);
+handoffDesk.set(callSid, { summary, lang, reason, to: describeTarget(handoff), contact });
+endMeta = { reason: "handoff", handoff: { reason, to: describeTarget(handoff), summary } };
+replyQueues.delete(callSid); // whatever was still queued is replaced by the transfer
+try {
+await twilioClient.calls(callSid).update({ twiml: dialTwiml(handoff, { callSid, baseUrl: NGROK_URL, playUrl }) });
+console.log("📝 Handoff summary:", summary);
+return true;
+} catch (err) {
+console.error("Handoff failed:", err?.message || err);
+handingOff = false;
+endMeta = null;
+return false;
 }
-} catch (outerErr) {
-console.error("STT message handler error:", outerErr);
+}
+
+// Streamed reply: each sentence becomes its own MP3; the first one redirects the call
+// into /continue, which keeps playing queued sentences. Returns false if nothing was
+// spoken so the caller can use the one-shot path instead.
+async function replyStreaming(clean, finalLang, timer, turn, history) {
+const queue = startReplyQueue(callSid);
+let kicked = false;
+let handoffRequested = false;
+const onSentence = (raw) => {
+const { text: sentence, requested } = takeHandoffToken(raw);
+if (requested) handoffRequested = true;
+if (!sentence) return;
+console.log("🤖 LLM sentence:", sentence);
+timer.mark("llmFirstSentence");
+const item = enqueueReplyAudio(queue, (async () => {
+const url = await generateTTSFile(callSid, sentence, { lang: finalLang, speaker: voiceFor(profile, finalLang) });
+timer.mark("ttsFirst");
+return (await verifyUrlIsAudio(url, 4, 300)) ? url : null;
+})());
+if (kicked) return;
+kicked = true;
+item.ready.then(async () => {
+try {
+await updateAndRedirect(callSid, await nextQueueTwiml(callSid));
+console.log("📤 Playing streamed reply", `(⏱ first audio after ${timer.mark("firstAudio")} ms)`);
+} catch (err) {
+console.error("Failed to start streamed playback:", err?.message || err);
 }
 });
+};
+
+let dsReply = null;
+try {
+dsReply = await streamLLM(clean, finalLang, history, onSentence, profile);
+} catch (e) {
+console.warn("LLM streaming failed:", e?.message || e);
+}
+queue.done = true;
+if (handoffRequested) {
+turn.handoff = "llm";
+await transferToAgent(finalLang, "llm", clean);
+return true;
+}
+if (!queue.items.length) {
+replyQueues.delete(callSid);
+return false;
+}
+timer.mark("llm");
+turn.reply = dsReply;
+console.log("🤖 LLM (streamed):", dsReply);
+if (dsReply) await conversations.addTurn(callSid, clean, dsReply);
+await Promise.all(queue.items.map((it) => it.ready));
+return true;
+}
 
 // Twilio media websocket handler
 twilioWs.on("message", (raw) => {
@@ -474,47 +726,59 @@ let evt;
 try { evt = JSON.parse(raw.toString()); } catch { return; }
 
 if (evt.event === "start") {
+if (!gate.admit(evt.start)) return;
 callSid = evt.start?.callSid;
-console.log("RWS> start", callSid);
+encoding = g711Encoding(evt.start?.mediaFormat?.encoding);
+profile = profiles.get(evt.start?.customParameters?.[PROFILE_PARAM]);
+contact = contacts.get(callSid) || null;
+langSession = langSessions.get(callSid, { initialLang: contactLang(contact, profile), allowed: profile.languages, defaultLang: profile.defaultLang });
+console.log("RWS> start", callSid, encoding, "profile:", profile.id, contact ? `contact: ${contact.name || "?"} (${contact.lang || "no lang"})` : "");
+// every turn's stream starts here; the store keeps the first start record until the call is over
+callStore.startCall(callSid, { server: "final4.js", streamSid: evt.start?.streamSid, encoding, profile: profile.id, contact });
+if (recordCalls() && !recorder) {
+recorder = recorders.get(callSid);
+if (recorder) recorder.nextStream();
+else recorders.set(callSid, (recorder = createCallRecorder({ callSid })));
+}
+openStt();
 return;
 }
 
-if (evt.event === "media" && sttOpen) {
-// inbound only guard (track name may be inbound_track or inbound)
-const track = evt.media?.track;
-if (track && !track.toLowerCase().includes("inbound")) return;
+// nothing else is processed for an unauthenticated stream
+if (!gate.admitted) return;
 
-const mu = Buffer.from(evt.media?.payload || "", "base64");
-const pcm8 = muLawToPCM16(mu);
-const pcm16 = upsample2xInt16(pcm8);
-const audioBase64 = Buffer.from(pcm16.buffer).toString("base64");
-try {
-stt.transcribe({
-audio: audioBase64,
-sample_rate: 16000,
-input_audio_codec: "pcm_s16le"
-});
-} catch (e) {
-console.error("Error sending audio to STT:", e);
+if (evt.event === "media") {
+const g711 = Buffer.from(evt.media?.payload || "", "base64");
+const pcm = decodeG711(g711, encoding);
+const ts = Number(evt.media?.timestamp);
+// inbound only guard (track name may be inbound_track or inbound); outbound frames only feed the recording
+const track = evt.media?.track;
+if (track && !track.toLowerCase().includes("inbound")) {
+recorder?.bot(pcm, ts);
+return;
 }
+recorder?.caller(pcm, ts);
+stt.sendPcm16(pcm, 8000);
 return;
 }
 
 if (evt.event === "stop") {
 console.log("RWS> stop");
-try { stt.sendJson?.({ event: "end" }); } catch {}
-try { stt.close(); } catch {}
+// a stop on its way to a <Play> is just the next turn (/continue keeps draining its reply queue);
+// anything else means the call is over
+if (endMeta || !redirecting.has(callSid)) endCallIfOver(callSid, true, endMeta || undefined);
+stt?.close();
 try { twilioWs.close(); } catch {}
 }
 });
 
 twilioWs.on("close", () => {
 console.log("🔌 Twilio socket closed");
-try { stt.close(); } catch {}
+stt?.close();
 });
 
 twilioWs.on("error", (e) => {
 console.error("Twilio WS error:", e);
-try { stt.close(); } catch {}
+stt?.close();
 });
 });
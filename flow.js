@@ -4,11 +4,19 @@ import dotenv from "dotenv";
 import fs from "fs";
 import path from "path";
 import fetch from "node-fetch"; // v2
-import FormData from "form-data";
 import ffmpeg from "fluent-ffmpeg";
 import ffmpegPath from "ffmpeg-static";
-import { SarvamAIClient } from "sarvamai";
-import { franc } from "franc";
+import { createConversationStore } from "./lib/conversation.js";
+import { createLanguageSessionRegistry } from "./lib/language.js";
+import { createLlmProvider, llmConfigFromEnv } from "./lib/llm.js";
+import { sarvamRestTranscribe } from "./lib/stt.js";
+import { createSarvamClient } from "./lib/sarvam.js";
+import { createTtsProvider, ttsConfigFromEnv } from "./lib/tts.js";
+import { createCallStore, createCallsRouter, createStageTimer } from "./lib/call-store.js";
+import { adminAuth } from "./lib/admin-auth.js";
+import { twilioWebhookAuth } from "./lib/twilio-auth.js";
+import { createKnowledgeBase, sourcesForTurn } from "./lib/knowledge.js";
+import { createFlowRegistry, createFlowRunStore } from "./lib/flows.js";
 
 dotenv.config();
 ffmpeg.setFfmpegPath(ffmpegPath);
@@ -20,10 +28,26 @@ const NGROK_URL = (process.env.NGROK_URL || "").replace(/\/+$/, "");
 const audioDir = path.join(process.cwd(), "audio");
 if (!fs.existsSync(audioDir)) fs.mkdirSync(audioDir);
 
-// Sarvam client for TTS (we will use REST for STT to force translate=false)
-const sarvam = new SarvamAIClient({
-apiSubscriptionKey: process.env.SARVAM_API_KEY
-});
+// LLM backend (LLM_PROVIDER / LLM_BASE_URL / LLM_MODEL …, see lib/llm.js)
+const llm = createLlmProvider(llmConfigFromEnv({ temperature: 0.25, maxTokens: 60 }));
+
+// Sarvam client for TTS (STT goes through REST to force translate=false)
+// (SARVAM_BASE_URL / SARVAM_WS_BASE_URL move it off api.sarvam.ai, see lib/sarvam.js)
+const sarvam = createSarvamClient(process.env.SARVAM_API_KEY);
+// TTS backend: TTS_PROVIDER / TTS_MODEL / TTS_VOICE … (see lib/tts.js)
+const tts = createTtsProvider(ttsConfigFromEnv({ client: sarvam, sampleRate: 22050 }));
+
+// per-call conversation history (keyed by CallSid, falling back to the RecordingSid chain)
+const conversations = createConversationStore();
+// per-call language lock, same keying as conversations
+const langSessions = createLanguageSessionRegistry();
+// persisted transcripts (CALLS_DIR), served at GET /calls
+const callStore = createCallStore();
+// business knowledge base (KB_DIR, see lib/knowledge.js), searched per caller turn
+const kb = createKnowledgeBase();
+// scripted call flow (FLOWS_DIR + FLOW, see lib/flows.js); each /recording webhook continues the call's run
+const flows = createFlowRegistry();
+const flowRuns = createFlowRunStore();
 
 // small helpers
 function log(...args) { console.log(...args); }
@@ -81,96 +105,13 @@ resolve(outPath);
 });
 }
 
-// --- Helpers for language normalization/override ---
-
-function normalizeLangCode(code) {
-if (!code) return "unknown";
-const lc = String(code).toLowerCase();
-if (lc.startsWith("gu")) return "gu-IN";
-if (lc.startsWith("hi")) return "hi-IN";
-if (lc.startsWith("en")) return "en-IN";
-if (lc.startsWith("bn")) return "bn-IN";
-if (lc.startsWith("kn")) return "kn-IN";
-if (lc.startsWith("ml")) return "ml-IN";
-if (lc.startsWith("mr")) return "mr-IN";
-if (lc.startsWith("od")) return "od-IN";
-if (lc.startsWith("pa")) return "pa-IN";
-if (lc.startsWith("ta")) return "ta-IN";
-if (lc.startsWith("te")) return "te-IN";
-return code;
-}
-
-function detectLanguageLocal(text) {
-if (!text || text.trim().length === 0) return "en-IN";
-if (/[\u0A80-\u0AFF]/.test(text)) return "gu-IN"; // Gujarati script
-if (/[\u0900-\u097F]/.test(text)) return "hi-IN"; // Devanagari (Hindi)
-if (text.trim().length < 6) return "en-IN";
-
-const francLang = franc(text, { minLength: 3 });
-if (francLang === "guj") return "gu-IN";
-if (francLang === "hin") return "hi-IN";
-if (francLang === "eng") return "en-IN";
-return "en-IN";
-}
-
-// Romanized cues (if STT outputs Latin letters but user spoke Indic)
-const romanGujaratiRe = /\b(kem|cho|maja|majama|tame|tamne|shu|su|mane|hu|maru|bhai|barabar|krupaya|dhanyavaad)\b/i;
-const romanHindiRe = /\b(aap|aapka|kaise|naam|namaste|shukriya|haan|nahi|kya|kyu|kyun|theek|thik|bahut|kripya|dhanyavad)\b/i;
-
-function resolveFinalLang(sttLangCode, transcript) {
-const scriptGu = /[\u0A80-\u0AFF]/.test(transcript);
-const scriptHi = /[\u0900-\u097F]/.test(transcript);
-
-if (scriptGu) return "gu-IN";
-if (scriptHi) return "hi-IN";
-
-let lang = normalizeLangCode(sttLangCode);
-
-// If STT says English but romanized cues suggest otherwise, override
-if (lang === "en-IN") {
-if (romanGujaratiRe.test(transcript)) return "gu-IN";
-if (romanHindiRe.test(transcript)) return "hi-IN";
-}
-
-// If unknown, fall back to local detector
-if (!lang || lang === "unknown") {
-lang = detectLanguageLocal(transcript);
-}
-
-return lang || "en-IN";
-}
-
-// --- Sarvam STT via REST (forces translate=false) ---
+// --- Sarvam STT via REST (forces translate=false), shared adapter in lib/stt.js ---
 async function sarvamSTT(filePath) {
 try {
-const url = "https://api.sarvam.ai/speech-to-text";
 const model = process.env.SARVAM_STT_MODEL || "saarika:v2.5";
-
-const fd = new FormData();
-fd.append("file", fs.createReadStream(filePath));
-fd.append("model", model);
-fd.append("language_code", "unknown"); // let Sarvam auto-detect input language
-fd.append("translate", "false"); // hard-stop any translation to English
-
-const headers = fd.getHeaders();
-headers["api-subscription-key"] = process.env.SARVAM_API_KEY;
-
 log("Calling Sarvam STT with model:", model);
-const res = await fetch(url, { method: "POST", headers, body: fd });
-const json = await res.json().catch(() => null);
-
-if (!res.ok) {
-console.error("Sarvam STT error:", res.status, json);
-throw new Error("Sarvam STT error");
-}
-
-const transcript =
-json?.transcript ||
-json?.text ||
-(Array.isArray(json?.results) && json.results[0]?.alternatives?.[0]?.transcript) ||
-"";
-
-const langCode = normalizeLangCode(json?.language_code || "unknown");
+// let Sarvam auto-detect input language
+const { transcript, langCode } = await sarvamRestTranscribe({ filePath, model, languageCode: "unknown" });
 
 if (!transcript) throw new Error("Sarvam STT returned no transcript");
 
@@ -179,17 +120,13 @@ log("Sarvam detected language code:", langCode);
 
 return { transcript, langCode };
 } catch (err) {
-console.error("Sarvam STT error:", err?.message || err);
+console.error("Sarvam STT error:", err?.message || err, err?.body || "");
 return { transcript: "", langCode: "unknown" };
 }
 }
 
-// --- DeepSeek chat (short replies, same language) ---
-async function callDeepSeek(userText, langCode) {
-const key = process.env.DEEPSEEK_API_KEY;
-if (!key) throw new Error("DEEPSEEK_API_KEY missing in .env");
-const model = process.env.DEEPSEEK_CHAT_MODEL || "deepseek-chat";
-
+// --- LLM chat (short replies, same language) ---
+async function callLLM(userText, langCode, history = []) {
 const messages = [
 {
 role: "system",
@@ -198,20 +135,12 @@ The user speaks in ${langCode}.
 Always reply ONLY in ${langCode}.
 Keep it short: 1 sentence only, max 20 words.`
 },
+...history,
 { role: "user", content: userText }
 ];
 
-const res = await fetch("https://api.deepseek.com/v1/chat/completions", {
-method: "POST",
-headers: { "Authorization": `Bearer ${key}`, "Content-Type": "application/json" },
-body: JSON.stringify({ model, messages, temperature: 0.25, max_tokens: 60 })
-});
-
-const json = await res.json().catch(() => null);
-if (!res.ok) throw new Error("DeepSeek API error");
-
-let reply = json?.choices?.[0]?.message?.content || "";
-if (!reply) throw new Error("DeepSeek returned no text");
+let reply = await llm.chat({ messages });
+if (!reply) throw new Error(`LLM (${llm.name}) returned no text`);
 
 // Remove emojis and surrogate symbols
 reply = reply.replace(/[\p{Emoji_Presentation}\p{Extended_Pictographic}]/gu, "");
@@ -220,58 +149,78 @@ reply = reply.replace(/([!?.,])\1+/g, "$1");
 
 if (reply.length > 200) reply = reply.slice(0, 200) + "...";
 
-log("DeepSeek reply:", reply);
+log("LLM reply:", reply);
 return reply.trim();
 }
 
-// --- Sarvam TTS ---
-async function sarvamTTSAndSave(text, outFilePath, langCode = "en-IN") {
-const response = await sarvam.textToSpeech.convert({
-text,
-target_language_code: langCode,
-speaker: process.env.SARVAM_TTS_VOICE || "anushka",
-pitch: 0,
-pace: 1,
-loudness: 1,
-speech_sample_rate: 22050,
-enable_preprocessing: true,
-model: "bulbul:v2"
-});
-
-const base64Audio = Array.isArray(response.audios) && response.audios[0];
-if (!base64Audio) throw new Error("No audio returned from Sarvam TTS");
+// --- TTS -> MP3 for <Play> ---
+async function ttsAndSave(text, outFilePath, langCode = "en-IN") {
+const clip = await tts.synthesize(text, { lang: langCode, format: "mp3" });
+fs.writeFileSync(outFilePath, clip.audio);
 
-const audioBuffer = Buffer.from(base64Audio, "base64");
-fs.writeFileSync(outFilePath, audioBuffer);
-
-log(`Saved TTS audio (${langCode}):`, outFilePath);
+log(`Saved TTS audio (${langCode}, ${tts.name}):`, outFilePath);
 return outFilePath;
 }
 
-// --- TwiML record tag ---
+// --- TwiML ---
+// flow prompts and LLM replies go into <Say> as text: "&", "<" etc. would break the document
+function xmlEscape(s) {
+return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
 function recordTagXml() {
 return `<Record action="${NGROK_URL}/recording" method="POST" maxLength="20" timeout="6" playBeep="true" finishOnKey="*" trim="trim-silence" />`;
 }
 
 // --- Twilio endpoints ---
 app.use(express.urlencoded({ extended: false }));
-
-app.get("/answer", (req, res) => {
+// operator routes (/calls, /recordings, /handoffs/:sid): off unless ADMIN_TOKEN is set, then token-only
+const adminRoutes = adminAuth();
+app.use(createCallsRouter(callStore, { auth: adminRoutes }));
+// X-Twilio-Signature check: /recording downloads whatever RecordingUrl it is given
+const twilioAuth = twilioWebhookAuth();
+
+app.get("/answer", twilioAuth, async (req, res) => {
+const callSid = req.query.CallSid;
+const run = callSid ? flows.start(flows.defaultId) : null;
+flowRuns.set(callSid, run);
+const opening = run?.begin();
+let intro = "<Say>AI assistant connected. You can speak after the beep. Press star to end.</Say>";
+if (opening?.say) {
+// the flow's opening prompt, in the same voice as the replies
+const outPath = path.join(audioDir, `flow_${callSid}.mp3`);
+try {
+await ttsAndSave(opening.say, outPath, opening.lang);
+intro = `<Play>${NGROK_URL}/audio/${path.basename(outPath)}</Play>`;
+} catch (e) {
+log("Opening TTS failed, fallback to <Say>:", e?.message || e);
+intro = `<Say>${xmlEscape(opening.say)}</Say>`;
+}
+callStore.startCall(callSid, { server: "flow.js" });
+callStore.addTurn(callSid, { user: null, lang: opening.lang, reply: opening.say, greeting: true, flow: { state: opening.state } });
+}
 const twiml = `
 <Response>
-<Say>AI assistant connected. You can speak after the beep. Press star to end.</Say>
+${intro}
 ${recordTagXml()}
 </Response>`;
 res.type("text/xml").send(twiml);
 });
 
-app.post("/recording", async (req, res) => {
+app.post("/recording", twilioAuth, async (req, res) => {
 try {
 const recordingUrl = req.body.RecordingUrl;
 const recordingSid = req.body.RecordingSid || ("RE" + Date.now());
 const digits = (req.body.Digits || "").trim();
+const convKey = req.body.CallSid || recordingSid;
+const timer = createStageTimer();
+callStore.startCall(convKey, { server: "flow.js" });
 
 if (digits === "*") {
+conversations.clear(convKey);
+langSessions.clear(convKey);
+flowRuns.delete(convKey);
+callStore.endCall(convKey, { reason: "caller-ended" });
 res.type("text/xml").send(`<Response><Say>Okay, ending the call. Goodbye.</Say><Hangup/></Response>`);
 return;
 }
@@ -281,9 +230,11 @@ if (!recordingUrl) throw new Error("No RecordingUrl in webhook");
 const rawPath = await downloadRecording(recordingUrl, audioDir, recordingSid);
 const convertedPath = path.join(audioDir, `${recordingSid}_16k.wav`);
 await convertTo16kMono(rawPath, convertedPath);
+timer.mark("download");
 
 // 2) STT (no translation) + robust language resolve
 const { transcript, langCode: sttLang } = await sarvamSTT(convertedPath);
+timer.mark("stt");
 
 if (!transcript || transcript.trim().length === 0) {
   console.log("⚠ No speech detected");
@@ -295,39 +246,86 @@ if (!transcript || transcript.trim().length === 0) {
   res.type("text/xml").send(twiml);
   return;
 }
-const langCode = resolveFinalLang(sttLang, transcript);
-log("Final chosen language code:", langCode);
-
-// 3) DeepSeek reply
+const langDecision = langSessions.get(convKey).resolve(sttLang, transcript);
+const langCode = langDecision.lang;
+log("Final chosen language code:", langCode, `(${langDecision.reason})`);
+
+// 3) the call's flow: scripted states answer themselves, llm states pass their instruction to the model
+let step = null;
+const run = flowRuns.get(convKey);
+if (run) {
+step = run.handle({ text: transcript, lang: langCode });
+if (step.transition) log("🧭 Flow:", step.transition, JSON.stringify(step.slots));
+if (step.action === "handoff") {
+warn("Flow asked for a handoff, which flow.js does not support — continuing without the flow");
+flowRuns.delete(convKey);
+}
+}
+const scripted = step && !step.llm && step.action !== "handoff" ? step : null;
+const ending = scripted?.action === "end";
+if (ending) flowRuns.delete(convKey);
+
+// 4) LLM reply, grounded in the knowledge-base passages for this utterance
+const history = conversations.messagesFor(convKey);
+if (step?.llm) history.push({ role: "system", content: step.llm.instruction });
+const passages = kb.enabled && !scripted ? kb.search(transcript) : [];
+if (passages.length) {
+history.push({ role: "system", content: kb.prompt(passages) });
+log("📚 Knowledge:", passages.map((p) => p.id).join(", "));
+}
 let aiReply;
+if (scripted) {
+aiReply = scripted.say;
+if (aiReply) await conversations.addTurn(convKey, transcript, aiReply);
+} else {
 try {
-aiReply = await callDeepSeek(transcript, langCode);
+aiReply = await callLLM(transcript, langCode, history);
+await conversations.addTurn(convKey, transcript, aiReply);
 } catch {
 aiReply = (langCode === "gu-IN") ? "માફ કરશો, કૃપા કરીને ફરી પૂછો." :
 (langCode === "hi-IN") ? "माफ करें, कृपया फिर पूछें।" :
 "Sorry, please ask again.";
 }
+}
+timer.mark("llm");
 
-// 4) TTS
-const outTtsPath = path.join(audioDir, `tts_${recordingSid}.wav`);
+// 5) TTS
+const outTtsPath = path.join(audioDir, `tts_${recordingSid}.mp3`);
 let ttsWorked = false;
+if (aiReply) {
 try {
-await sarvamTTSAndSave(aiReply, outTtsPath, langCode);
+await ttsAndSave(aiReply, outTtsPath, langCode);
 ttsWorked = true;
-} catch {
-log("TTS failed, fallback to <Say>");
+} catch (e) {
+log("TTS failed, fallback to <Say>:", e?.message || e);
+}
 }
+timer.mark("tts");
+timer.mark("total");
+callStore.addTurn(convKey, {
+user: transcript,
+sttLang,
+lang: langCode,
+langReason: langDecision.reason,
+reply: aiReply || null,
+flow: step ? { state: step.state, slots: step.slots, ...(step.transition ? { transition: step.transition } : {}) } : undefined,
+sources: passages.length ? sourcesForTurn(passages) : undefined,
+recordingSid,
+spokenWith: ttsWorked ? "play" : "say",
+latency: timer.toJSON()
+});
 
-// 5) Build TwiML
+// 6) Build TwiML: play the reply, then record again (or hang up when the flow ended the call)
 const playUrl = `${NGROK_URL}/audio/${path.basename(outTtsPath)}`;
-const twiml = ttsWorked ? `
+const spoken = ttsWorked ? `<Play>${playUrl}</Play>` : aiReply ? `<Say>${xmlEscape(aiReply)}</Say>` : "";
+if (ending) callStore.endCall(convKey, { reason: "assistant-ended", detail: "flow" });
+const twiml = ending ? `
 <Response>
-<Play>${playUrl}</Play>
-<Pause length="1"/>
-${recordTagXml()}
+${spoken}
+<Hangup/>
 </Response>` : `
 <Response>
-<Say>${aiReply}</Say>
+${spoken}
 <Pause length="1"/>
 ${recordTagXml()}
 </Response>`;
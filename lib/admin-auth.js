@@ -0,0 +1,52 @@
+// lib/admin-auth.js
+// Access control for the operator routes (/calls, /recordings, /handoffs/:sid) that share the public
+// ngrok host with Twilio's webhooks. They hold caller transcripts, audio and PII, so they stay switched
+// off until ADMIN_TOKEN is set, and then every request must carry it:
+//   Authorization: Bearer <ADMIN_TOKEN>      or      basic auth with ADMIN_TOKEN as the password
+//
+//   const auth = adminAuth();                  // one per server, handed to each router factory
+//   app.use(createCallsRouter(callStore, { auth }));
+//   if (auth.enabled) router.get("/calls", auth, …);
+import crypto from "crypto";
+
+function warn(...args) { console.warn(new Date().toISOString(), ...args); }
+
+function safeEqual(a, b) {
+  const ab = Buffer.from(a || "");
+  const bb = Buffer.from(b || "");
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+// the token a request presents, from a Bearer or Basic Authorization header
+export function presentedToken(header = "") {
+  const [scheme, value = ""] = String(header).trim().split(/\s+/, 2);
+  if (/^bearer$/i.test(scheme)) return value;
+  if (/^basic$/i.test(scheme)) {
+    const decoded = Buffer.from(value, "base64").toString("utf8");
+    return decoded.slice(decoded.indexOf(":") + 1);
+  }
+  return "";
+}
+
+// Authorization header value for scripts calling these routes (twillo-call-test/simulate.js)
+export function adminAuthHeader(token = process.env.ADMIN_TOKEN) {
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// middleware; .enabled is false (routes not mounted) while ADMIN_TOKEN is unset
+export function adminAuth(opts = {}) {
+  const token = opts.token ?? process.env.ADMIN_TOKEN ?? "";
+
+  function check(req, res, next) {
+    if (token && safeEqual(presentedToken(req.get("Authorization")), token)) return next();
+    warn(`🚫 Rejected ${req.method} ${req.originalUrl} from ${req.ip}: missing or wrong admin token`);
+    res.set("WWW-Authenticate", 'Basic realm="admin"').status(401).type("text/plain").send("Unauthorized");
+  }
+  check.enabled = !!token;
+  return check;
+}
+
+// log once per route family that it is off, so a 404 on /calls is not a mystery
+export function reportDisabled(what) {
+  warn(`🔒 ${what} disabled — set ADMIN_TOKEN to enable (requests then need "Authorization: Bearer <token>")`);
+}
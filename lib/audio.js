@@ -0,0 +1,67 @@
+// lib/audio.js
+// Small PCM16 helpers shared by the servers and the STT/TTS adapters (resampling lives in resample.js, G.711 in g711.js).
+
+// ---------- make WAV header (PCM16LE) ----------
+export function makeWavBuffer(pcm16Buffer, sampleRate = 8000, numChannels = 1) {
+  const byteRate = sampleRate * numChannels * 2;
+  const blockAlign = numChannels * 2;
+  const dataSize = pcm16Buffer.length;
+  const buffer = Buffer.alloc(44 + dataSize);
+  let offset = 0;
+  buffer.write("RIFF", offset); offset += 4;
+  buffer.writeUInt32LE(36 + dataSize, offset); offset += 4;
+  buffer.write("WAVE", offset); offset += 4;
+  buffer.write("fmt ", offset); offset += 4;
+  buffer.writeUInt32LE(16, offset); offset += 4;
+  buffer.writeUInt16LE(1, offset); offset += 2;
+  buffer.writeUInt16LE(numChannels, offset); offset += 2;
+  buffer.writeUInt32LE(sampleRate, offset); offset += 4;
+  buffer.writeUInt32LE(byteRate, offset); offset += 4;
+  buffer.writeUInt16LE(blockAlign, offset); offset += 2;
+  buffer.writeUInt16LE(16, offset); offset += 2;
+  buffer.write("data", offset); offset += 4;
+  buffer.writeUInt32LE(dataSize, offset); offset += 4;
+  pcm16Buffer.copy(buffer, 44);
+  return buffer;
+}
+
+// ---------- parse WAV (PCM16LE) -> { sampleRate, channels, pcm16 } ----------
+export function parseWavPcm16(wavBuf, defaultRate = 16000) {
+  // Quick WAV parse: channels at 22, sample rate at 24 (little-endian)
+  let sampleRate = defaultRate;
+  let channels = 1;
+  try {
+    channels = wavBuf.readUInt16LE(22) || 1;
+    sampleRate = wavBuf.readUInt32LE(24);
+  } catch (e) { sampleRate = defaultRate; }
+
+  // PCM data usually starts at byte 44; but some WAVs have extra chunks -> find "data" chunk
+  let dataOffset = 44;
+  let dataEnd = wavBuf.length;
+  try {
+    let i = 12;
+    while (i + 8 < wavBuf.length) {
+      const chunkId = wavBuf.toString("ascii", i, i + 4);
+      const chunkSize = wavBuf.readUInt32LE(i + 4);
+      if (chunkId === "data") {
+        dataOffset = i + 8;
+        dataEnd = Math.min(wavBuf.length, dataOffset + chunkSize);
+        break;
+      }
+      i += 8 + chunkSize + (chunkSize & 1);
+    }
+  } catch (e) { dataOffset = 44; }
+  return { sampleRate, channels, pcm16: wavBuf.slice(dataOffset, dataEnd) };
+}
+
+export function isWav(buf) {
+  return !!buf && buf.length >= 12 && buf.toString("ascii", 0, 4) === "RIFF" && buf.toString("ascii", 8, 12) === "WAVE";
+}
+
+// Int16Array view over a PCM16LE Buffer (copies when the pool offset is odd)
+export function int16View(pcm16leBuffer) {
+  const n = Math.floor(pcm16leBuffer.length / 2);
+  if (pcm16leBuffer.byteOffset % 2 === 0) return new Int16Array(pcm16leBuffer.buffer, pcm16leBuffer.byteOffset, n);
+  return new Int16Array(Uint8Array.prototype.slice.call(pcm16leBuffer, 0, n * 2).buffer);
+}
+
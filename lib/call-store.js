@@ -0,0 +1,165 @@
+// lib/call-store.js
+// Per-call transcript store: one JSONL file per callSid under CALLS_DIR (default ./calls).
+// Lines are { type: "start" | "turn" | "end", at, … }; a turn carries the caller text, STT and
+// final language, the bot reply and per-stage latency. Writes are appended in order per call
+// and never throw into the call path — a full disk costs the transcript, not the call.
+//
+//   const calls = createCallStore();
+//   calls.startCall(callSid, { server: "r.js" });
+//   calls.addTurn(callSid, { user, sttLang, lang, reply, latency: timer.toJSON() });
+//   app.use(createCallsRouter(calls, { auth }));   // GET /calls, GET /calls/:sid/transcript (ADMIN_TOKEN, lib/admin-auth.js)
+import fs from "fs";
+import path from "path";
+import express from "express";
+import { adminAuth, reportDisabled } from "./admin-auth.js";
+
+const SID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+function warn(...args) { console.warn(new Date().toISOString(), ...args); }
+
+// ms since the timer started, recorded per named stage (llm, tts, firstAudio, total …)
+export function createStageTimer(startedAt = Date.now()) {
+  const stages = {};
+  return {
+    startedAt,
+    mark(stage, at = Date.now()) {
+      if (stages[stage] === undefined) stages[stage] = at - startedAt;
+      return stages[stage];
+    },
+    toJSON() { return { ...stages }; },
+  };
+}
+
+export function createCallStore(opts = {}) {
+  const dir = opts.dir || process.env.CALLS_DIR || path.join(process.cwd(), "calls");
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const writes = new Map(); // callSid -> tail of its append chain
+  const turnCounts = new Map();
+
+  function fileFor(callSid) {
+    return SID_RE.test(callSid || "") ? path.join(dir, `${callSid}.jsonl`) : null;
+  }
+
+  function append(callSid, record) {
+    const file = fileFor(callSid);
+    if (!file) return Promise.resolve();
+    const line = JSON.stringify({ at: new Date().toISOString(), ...record }) + "\n";
+    const next = (writes.get(callSid) || Promise.resolve())
+      .then(() => fs.promises.appendFile(file, line))
+      .catch((e) => warn("Call store write failed:", callSid, e?.message || e));
+    writes.set(callSid, next);
+    next.then(() => { if (writes.get(callSid) === next) writes.delete(callSid); });
+    return next;
+  }
+
+  function startCall(callSid, meta = {}) {
+    if (turnCounts.has(callSid)) return Promise.resolve();
+    turnCounts.set(callSid, 0);
+    return append(callSid, { type: "start", callSid, ...meta });
+  }
+
+  function addTurn(callSid, turn = {}) {
+    if (!turnCounts.has(callSid)) startCall(callSid);
+    const index = turnCounts.get(callSid);
+    turnCounts.set(callSid, index + 1);
+    return append(callSid, { type: "turn", index, ...turn });
+  }
+
+  function endCall(callSid, meta = {}) {
+    if (!turnCounts.has(callSid)) return Promise.resolve();
+    turnCounts.delete(callSid);
+    return append(callSid, { type: "end", ...meta });
+  }
+
+  async function readRecords(file) {
+    const raw = await fs.promises.readFile(file, "utf8");
+    const out = [];
+    for (const line of raw.split("\n")) {
+      if (!line.trim()) continue;
+      try { out.push(JSON.parse(line)); } catch { /* torn last line while writing */ }
+    }
+    return out;
+  }
+
+  function summarize(callSid, records) {
+    const start = records.find((r) => r.type === "start");
+    const end = [...records].reverse().find((r) => r.type === "end");
+    const turns = records.filter((r) => r.type === "turn");
+    return {
+      callSid,
+      startedAt: start?.at || records[0]?.at || null,
+      endedAt: end?.at || null,
+      lastActivityAt: records[records.length - 1]?.at || null,
+      turns: turns.length,
+      server: start?.server || null,
+    };
+  }
+
+  // newest first
+  async function listCalls({ limit = 50 } = {}) {
+    await Promise.all(writes.values()); // include appends still in flight
+    let names = [];
+    try { names = (await fs.promises.readdir(dir)).filter((n) => n.endsWith(".jsonl")); } catch { return []; }
+    const withTimes = await Promise.all(names.map(async (n) => {
+      const stat = await fs.promises.stat(path.join(dir, n)).catch(() => null);
+      return { name: n, mtime: stat?.mtimeMs || 0 };
+    }));
+    withTimes.sort((a, b) => b.mtime - a.mtime);
+    const picked = withTimes.slice(0, limit);
+    return Promise.all(picked.map(async ({ name }) => {
+      const callSid = name.slice(0, -".jsonl".length);
+      return summarize(callSid, await readRecords(path.join(dir, name)).catch(() => []));
+    }));
+  }
+
+  async function getTranscript(callSid) {
+    const file = fileFor(callSid);
+    if (!file || !fs.existsSync(file)) return null;
+    await writes.get(callSid); // include appends still in flight
+    const records = await readRecords(file);
+    const { type: _type, at: _at, callSid: _sid, ...meta } = records.find((r) => r.type === "start") || {};
+    const endRecord = [...records].reverse().find((r) => r.type === "end");
+    const { type: _endType, at: _endAt, ...end } = endRecord || {};
+    return {
+      ...summarize(callSid, records),
+      meta,
+      end: endRecord ? end : null, // { reason, handoff? … }
+      turns: records.filter((r) => r.type === "turn").map(({ type: _t, ...turn }) => turn),
+    };
+  }
+
+  return { dir, startCall, addTurn, endCall, listCalls, getTranscript };
+}
+
+// GET /calls?limit=N and GET /calls/:sid/transcript — caller transcripts, so only with ADMIN_TOKEN set and presented
+export function createCallsRouter(store, { auth = adminAuth() } = {}) {
+  const router = express.Router();
+  if (!auth.enabled) {
+    reportDisabled("GET /calls");
+    return router;
+  }
+
+  router.get("/calls", auth, async (req, res) => {
+    try {
+      const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 50));
+      res.json({ calls: await store.listCalls({ limit }) });
+    } catch (e) {
+      console.error("GET /calls failed:", e?.message || e);
+      res.status(500).json({ error: "Failed to list calls" });
+    }
+  });
+
+  router.get("/calls/:sid/transcript", auth, async (req, res) => {
+    try {
+      if (!SID_RE.test(req.params.sid)) return res.status(400).json({ error: "Invalid call sid" });
+      const transcript = await store.getTranscript(req.params.sid);
+      if (!transcript) return res.status(404).json({ error: "Call not found" });
+      res.json(transcript);
+    } catch (e) {
+      console.error("GET /calls/:sid/transcript failed:", e?.message || e);
+      res.status(500).json({ error: "Failed to read transcript" });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,188 @@
+// lib/campaign.js
+// Outbound campaign helpers shared by the dialer (twillo-call-test/campaign.js) and the
+// media-stream servers (r.js, final4.js, server.js): CSV contacts, calling-hours window, retry backoff, and the contact
+// context that rides along with each call (answer URL query -> <Stream> <Parameter>s ->
+// start.customParameters).
+//
+//   const contacts = contactsFromCsv(fs.readFileSync("contacts.csv", "utf8"));
+//   const url = `${NGROK_URL}/answer?` + new URLSearchParams(contactParams(contacts[0]));
+//   // server side, on the stream's start event:
+//   const contact = contactFromParams(start.customParameters);   // { name, lang, vars } | null
+//   greetingText(contact)                                         // "Hello Asha, …" in contact.lang
+import { normalizeLangCode } from "./language.js";
+
+const VAR_PREFIX = "var_";
+const NUMBER_COLUMNS = ["number", "phone", "phone_number", "mobile", "to"];
+const NAME_COLUMNS = ["name", "contact_name", "full_name"];
+const LANG_COLUMNS = ["language", "lang", "preferred_language", "language_code"];
+
+// spelled-out names people put in spreadsheets; codes go through normalizeLangCode
+const LANGUAGE_NAMES = {
+  english: "en-IN", hindi: "hi-IN", gujarati: "gu-IN", bengali: "bn-IN", bangla: "bn-IN",
+  kannada: "kn-IN", malayalam: "ml-IN", marathi: "mr-IN", odia: "od-IN", oriya: "od-IN",
+  punjabi: "pa-IN", tamil: "ta-IN", telugu: "te-IN",
+};
+
+// ---- CSV ----
+// RFC 4180-ish: quoted fields, doubled quotes, CRLF; returns rows of strings
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+export function normalizeContactLang(value) {
+  const v = String(value || "").trim();
+  if (!v) return null;
+  return LANGUAGE_NAMES[v.toLowerCase()] || normalizeLangCode(v);
+}
+
+// E.164-ish: keep digits and a leading +; bare 10-digit numbers are taken as Indian mobiles
+export function normalizeNumber(value, defaultCountryCode = "+91") {
+  const raw = String(value || "").trim();
+  const digits = raw.replace(/\D/g, "");
+  if (!digits) return null;
+  if (raw.startsWith("+")) return "+" + digits;
+  if (digits.startsWith("00")) return "+" + digits.slice(2);
+  if (digits.length === 10) return defaultCountryCode + digits;
+  if (digits.length === 11 && digits.startsWith("0")) return defaultCountryCode + digits.slice(1);
+  return "+" + digits;
+}
+
+// header row + data rows -> { contacts: [{ row, number, name, lang, vars }], skipped }; rows without a number
+// are reported in `skipped` rather than thrown so one bad line doesn't stop a campaign
+export function contactsFromCsv(text, opts = {}) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return { contacts: [], skipped: [] };
+  const keys = header.map((h) => h.trim().toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, ""));
+  const pick = (names) => keys.findIndex((k) => names.includes(k));
+  const numberIdx = pick(NUMBER_COLUMNS);
+  const nameIdx = pick(NAME_COLUMNS);
+  const langIdx = pick(LANG_COLUMNS);
+  if (numberIdx < 0) throw new Error(`CSV needs a phone number column (one of: ${NUMBER_COLUMNS.join(", ")})`);
+
+  const contacts = [];
+  const skipped = [];
+  rows.forEach((cells, i) => {
+    const line = i + 2; // 1-based, after the header
+    const number = normalizeNumber(cells[numberIdx], opts.defaultCountryCode);
+    if (!number) { skipped.push({ row: line, reason: "missing number" }); return; }
+    const vars = {};
+    keys.forEach((k, j) => {
+      if (!k || j === numberIdx || j === nameIdx || j === langIdx) return;
+      const v = (cells[j] || "").trim();
+      if (v) vars[k] = v;
+    });
+    contacts.push({
+      row: line,
+      number,
+      name: nameIdx >= 0 ? (cells[nameIdx] || "").trim() || null : null,
+      lang: langIdx >= 0 ? normalizeContactLang(cells[langIdx]) : null,
+      vars,
+    });
+  });
+  return { contacts, skipped };
+}
+
+// ---- contact context carried into the call ----
+// flat string map for the answer URL query / <Parameter> tags
+export function contactParams(contact) {
+  const out = {};
+  if (contact?.name) out.name = contact.name;
+  if (contact?.lang) out.lang = contact.lang;
+  for (const [k, v] of Object.entries(contact?.vars || {})) out[VAR_PREFIX + k] = String(v);
+  return out;
+}
+
+// inverse of contactParams; accepts req.query or start.customParameters. null when nothing was passed
+export function contactFromParams(params = {}) {
+  const name = String(params.name || "").trim() || null;
+  const lang = normalizeContactLang(params.lang);
+  const vars = {};
+  for (const [k, v] of Object.entries(params)) {
+    if (k.startsWith(VAR_PREFIX) && k.length > VAR_PREFIX.length) vars[k.slice(VAR_PREFIX.length)] = String(v);
+  }
+  if (!name && !lang && !Object.keys(vars).length) return null;
+  return { name, lang, vars };
+}
+
+const GREETINGS = {
+  "en-IN": (name) => `Hello${name ? " " + name : ""}, this is the AI assistant calling. How can I help you today?`,
+  "hi-IN": (name) => `नमस्ते${name ? " " + name + " जी" : ""}, मैं AI सहायक बोल रहा हूँ। आज मैं आपकी क्या मदद कर सकता हूँ?`,
+  "gu-IN": (name) => `નમસ્તે${name ? " " + name : ""}, હું AI સહાયક બોલું છું. આજે હું તમારી શું મદદ કરી શકું?`,
+};
+
+// opening line for an outbound call; languages without a template get the English one
+export function greetingText(contact) {
+  const lang = contact?.lang && GREETINGS[contact.lang] ? contact.lang : "en-IN";
+  return { lang, text: GREETINGS[lang](contact?.name) };
+}
+
+// system prompt addendum so the LLM knows who it called and why
+export function contactPrompt(contact) {
+  if (!contact) return "";
+  const lines = ["This is an outbound call."];
+  if (contact.name) lines.push(`You are speaking with ${contact.name}.`);
+  if (contact.lang) lines.push(`Their preferred language is ${contact.lang}.`);
+  const vars = Object.entries(contact.vars || {});
+  if (vars.length) lines.push("Campaign details: " + vars.map(([k, v]) => `${k}=${v}`).join("; ") + ".");
+  return lines.join(" ");
+}
+
+// ---- scheduling ----
+// "09:00-20:00" -> { start, end } in minutes after midnight; end may be < start (overnight window)
+export function parseCallingHours(spec) {
+  const m = /^\s*(\d{1,2}):?(\d{2})?\s*-\s*(\d{1,2}):?(\d{2})?\s*$/.exec(String(spec || ""));
+  if (!m) throw new Error(`Invalid calling hours "${spec}" (expected HH:MM-HH:MM)`);
+  const start = Number(m[1]) * 60 + Number(m[2] || 0);
+  const end = Number(m[3]) * 60 + Number(m[4] || 0);
+  if (start > 24 * 60 || end > 24 * 60) throw new Error(`Invalid calling hours "${spec}"`);
+  return { start, end };
+}
+
+function minutesInZone(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-GB", { timeZone, hour: "2-digit", minute: "2-digit", second: "2-digit", hourCycle: "h23" })
+    .formatToParts(date);
+  const get = (t) => Number(parts.find((p) => p.type === t)?.value || 0);
+  return get("hour") * 60 + get("minute") + get("second") / 60;
+}
+
+// 0 when `date` is inside the window, otherwise ms until it next opens
+export function msUntilCallingHours(window, timeZone, date = new Date()) {
+  const now = minutesInZone(date, timeZone);
+  const { start, end } = window;
+  const inside = start <= end ? now >= start && now < end : now >= start || now < end;
+  if (inside) return 0;
+  const wait = (start - now + 24 * 60) % (24 * 60);
+  return Math.ceil(wait * 60 * 1000);
+}
+
+// attempt 1 failed -> base, then base*2, base*4 … capped at maxMs
+export function retryDelayMs(attempt, baseMs, maxMs = 6 * 60 * 60 * 1000) {
+  return Math.min(maxMs, baseMs * 2 ** Math.max(0, attempt - 1));
+}
@@ -0,0 +1,102 @@
+// lib/conversation.js
+// Per-call conversation memory for the LLM: keeps the last few turns verbatim,
+// folds older turns into a running summary, and forgets idle calls.
+
+const SUMMARY_MAX_CHARS = 600;
+
+// read when a store is created: servers load .env after their imports have been evaluated
+export function historyConfigFromEnv(env = process.env) {
+  return {
+    maxTurns: parseInt(env.HISTORY_MAX_TURNS || "6", 10),
+    maxTokens: parseInt(env.HISTORY_MAX_TOKENS || "600", 10),
+    idleMinutes: parseFloat(env.HISTORY_IDLE_MINUTES || "30"),
+  };
+}
+
+// rough token estimate: Indic scripts tokenize denser than English, so stay conservative
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / 3);
+}
+
+// default summarizer: no network, just keeps the gist of the most recent dropped turns
+export function summarizeLocally(prevSummary, droppedTurns) {
+  const lines = droppedTurns.map((t) => `Caller: ${t.user} | Assistant: ${t.assistant}`);
+  let summary = [prevSummary, ...lines].filter(Boolean).join("\n");
+  if (summary.length > SUMMARY_MAX_CHARS) summary = "…" + summary.slice(-SUMMARY_MAX_CHARS);
+  return summary;
+}
+
+export function createConversationStore(opts = {}) {
+  const env = historyConfigFromEnv();
+  const maxTurns = opts.maxTurns ?? env.maxTurns;
+  const maxTokens = opts.maxTokens ?? env.maxTokens;
+  const idleMs = (opts.idleMinutes ?? env.idleMinutes) * 60 * 1000;
+  const summarize = opts.summarize || summarizeLocally;
+  const calls = new Map(); // key -> { turns, summary, touchedAt }
+
+  function entry(key) {
+    let e = calls.get(key);
+    if (!e) {
+      e = { turns: [], summary: "", touchedAt: Date.now() };
+      calls.set(key, e);
+    }
+    return e;
+  }
+
+  function turnsTokens(turns) {
+    return turns.reduce((n, t) => n + estimateTokens(t.user) + estimateTokens(t.assistant), 0);
+  }
+
+  // chat messages to place between the system prompt and the new user message
+  function messagesFor(key) {
+    if (!key || !calls.has(key)) return [];
+    const e = calls.get(key);
+    e.touchedAt = Date.now();
+    const out = [];
+    if (e.summary) {
+      out.push({ role: "system", content: `Summary of the earlier part of this call:\n${e.summary}` });
+    }
+    for (const t of e.turns) {
+      out.push({ role: "user", content: t.user });
+      out.push({ role: "assistant", content: t.assistant });
+    }
+    return out;
+  }
+
+  async function addTurn(key, userText, assistantText) {
+    if (!key || !userText || !assistantText) return;
+    const e = entry(key);
+    e.touchedAt = Date.now();
+    e.turns.push({ user: userText, assistant: assistantText });
+
+    // keep the newest turn verbatim; fold the oldest ones into the summary
+    const dropped = [];
+    while (e.turns.length > 1 && (e.turns.length > maxTurns || turnsTokens(e.turns) > maxTokens)) {
+      dropped.push(e.turns.shift());
+    }
+    if (dropped.length) {
+      try {
+        e.summary = await summarize(e.summary, dropped);
+      } catch (err) {
+        console.warn("Conversation summarize failed, using local summary:", err?.message || err);
+        e.summary = summarizeLocally(e.summary, dropped);
+      }
+    }
+  }
+
+  function clear(key) {
+    if (key) calls.delete(key);
+  }
+
+  // evict calls that never sent a stop/hangup (e.g. webhook-only flows)
+  const sweeper = setInterval(() => {
+    const cutoff = Date.now() - idleMs;
+    for (const [key, e] of calls) {
+      if (e.touchedAt < cutoff) calls.delete(key);
+    }
+  }, 60 * 1000);
+  sweeper.unref?.();
+
+  return { messagesFor, addTurn, clear, has: (key) => calls.has(key), size: () => calls.size };
+}
@@ -0,0 +1,101 @@
+// lib/dtmf.js
+// Keypad handling for media-stream calls. Twilio sends { event: "dtmf", dtmf: { digit } } on
+// bidirectional <Connect><Stream>s only, so this is r.js's: final4.js and server.js fork the audio
+// with <Start><Stream>, which never carries keypad events. Each key either maps to an action
+// (DTMF_KEYMAP) or, for digits, is collected into a sequence (order number, PIN …) that ends on
+// DTMF_TERMINATOR or after DTMF_DIGIT_TIMEOUT_MS without a key.
+//
+//   const keypad = createDtmfHandler();
+//   keypad.on("action", ({ action, key, digits }) => …);   // "hangup" | "repeat" | "digits" | any custom action
+//   keypad.push(evt.dtmf.digit);
+//   keypad.close();                                         // on stop: drops a half-typed sequence
+//   goodbyeText(lang)                                       // what to say before hanging up
+//
+// DTMF_KEYMAP="*=hangup,#=repeat" (default; JSON {"*":"hangup"} also works), DTMF_TERMINATOR="#",
+// DTMF_DIGIT_TIMEOUT_MS=3000, DTMF_MAX_DIGITS=16
+import { EventEmitter } from "events";
+
+const DEFAULT_KEYMAP = { "*": "hangup", "#": "repeat" };
+const KEY_RE = /^[0-9*#A-D]$/;
+
+// "*=hangup,#=repeat" / "*:hangup" / JSON -> { "*": "hangup", "#": "repeat" }
+export function parseKeymap(spec) {
+  if (!spec) return { ...DEFAULT_KEYMAP };
+  const text = String(spec).trim();
+  if (text.startsWith("{")) {
+    try { return JSON.parse(text); } catch { throw new Error("DTMF_KEYMAP is not valid JSON"); }
+  }
+  const map = {};
+  for (const pair of text.split(",")) {
+    const m = /^\s*([0-9*#A-D])\s*[=:]\s*([\w-]+)\s*$/i.exec(pair);
+    if (!m) throw new Error(`Invalid DTMF_KEYMAP entry "${pair}" (expected key=action)`);
+    map[m[1].toUpperCase()] = m[2].toLowerCase();
+  }
+  return map;
+}
+
+export function dtmfConfigFromEnv(defaults = {}) {
+  return {
+    keymap: process.env.DTMF_KEYMAP ? parseKeymap(process.env.DTMF_KEYMAP) : (defaults.keymap || parseKeymap()),
+    terminator: process.env.DTMF_TERMINATOR ?? defaults.terminator ?? "#",
+    digitTimeoutMs: parseInt(process.env.DTMF_DIGIT_TIMEOUT_MS || String(defaults.digitTimeoutMs ?? 3000), 10),
+    maxDigits: parseInt(process.env.DTMF_MAX_DIGITS || String(defaults.maxDigits ?? 16), 10),
+  };
+}
+
+// user message for the LLM when the caller typed a sequence instead of speaking
+export function dtmfPrompt(digits) {
+  return `[Keypad input] The caller typed the digits ${digits} on their phone keypad (not spoken). Treat them as exact, e.g. an order or account number.`;
+}
+
+// spoken before hanging up on "*"
+export function goodbyeText(langCode) {
+  return (langCode === "gu-IN") ? "ઠીક છે, કૉલ સમાપ્ત કરી રહ્યા છીએ. આવજો." :
+    (langCode === "hi-IN") ? "ठीक है, कॉल समाप्त कर रहे हैं। धन्यवाद, नमस्ते।" :
+    "Okay, ending the call. Goodbye.";
+}
+
+export function createDtmfHandler(opts = {}) {
+  const cfg = { ...dtmfConfigFromEnv(), ...opts };
+  const emitter = new EventEmitter();
+  let digits = "";
+  let timer = null;
+
+  function submit() {
+    clearTimeout(timer);
+    timer = null;
+    if (!digits) return;
+    const collected = digits;
+    digits = "";
+    emitter.emit("action", { action: "digits", key: null, digits: collected });
+  }
+
+  function push(key) {
+    const k = String(key || "").toUpperCase();
+    if (!KEY_RE.test(k)) return;
+    // the terminator only ends a sequence; pressed on its own it falls through to its mapped action
+    if (digits && k === cfg.terminator) { submit(); return; }
+    const action = cfg.keymap[k];
+    if (action) {
+      if (digits) submit(); // an action key also closes a sequence in progress
+      emitter.emit("action", { action, key: k, digits: null });
+      return;
+    }
+    if (!/^[0-9]$/.test(k)) return;
+    digits += k;
+    clearTimeout(timer);
+    if (digits.length >= cfg.maxDigits) { submit(); return; }
+    timer = setTimeout(submit, cfg.digitTimeoutMs);
+    timer.unref?.();
+  }
+
+  function close() {
+    clearTimeout(timer);
+    timer = null;
+    digits = "";
+  }
+
+  emitter.push = push;
+  emitter.close = close;
+  return emitter;
+}
@@ -0,0 +1,379 @@
+// lib/flows.js
+// Declarative call flows: a small state machine for scripted calls (verify identity → collect the
+// reason → answer or hand off) that sits between the STT handler and TTS. Each state speaks a prompt
+// in the caller's language, waits for speech / keypad input, fills a slot and follows the first
+// matching transition; "llm" states hand the turn to the model until one of their transitions fires.
+// Flows live in FLOWS_DIR (*.json, or *.yaml / *.yml when the `yaml` package is installed), are
+// validated on load and swapped in when the file changes; calls already running keep their version.
+//
+//   const flows = createFlowRegistry();                     // FLOWS_DIR (default ./flows), FLOW = default flow id
+//   const run = flows.start(profile.flow || flows.defaultId, { lang, vars: { name } });   // null if no such flow
+//   let step = run.begin(lang);                              // opening prompt
+//   step = run.handle({ text, dtmf, lang });
+//   const runs = createFlowRunStore(); runs.set(callSid, run); runs.get(callSid);   // per call, across webhooks
+//   // step: { say, lang, llm: { instruction } | null, action: "handoff" | "end" | null, state, slots, transition }
+//
+// {
+//   "id": "orders", "start": "ask_order", "defaultLang": "en-IN",
+//   "intents": { "status": ["where is", "status", "कहाँ", "ક્યાં"] },
+//   "states": {
+//     "ask_order": {
+//       "prompt": { "en-IN": "Please say or type your order number.", "hi-IN": "…", "gu-IN": "…" },
+//       "input": { "type": "any", "slot": "order_id", "kind": "digits", "pattern": "^\\d{4,10}$" },
+//       "transitions": [{ "when": { "filled": true }, "to": "help" }, { "when": { "dtmf": "0" }, "to": "agent" }],
+//       "maxRetries": 2, "onMaxRetries": "agent"
+//     },
+//     "help": { "type": "llm", "instruction": "The caller's order is {order_id}. Answer questions about it.",
+//               "transitions": [{ "when": { "intent": "goodbye" }, "to": "bye" }] },
+//     "agent": { "type": "handoff" },
+//     "bye": { "type": "end", "prompt": { "en-IN": "Thank you for calling. Goodbye." } }
+//   }
+// }
+// State types: ask (default) | say (speak, then go to "next") | llm | handoff | end.
+// `when` (all listed must hold): intent, dtmf, match (regex on the words), filled (this state's slot), slot (any slot name).
+// Keypad input (dtmf inputs and conditions) reaches a flow on r.js only; final4.js's <Start> streams carry no keypad events.
+// FLOWS_WATCH=true
+import fs from "fs";
+import path from "path";
+import { detectHandoffIntent } from "./handoff.js";
+
+let parseYaml = null;
+try {
+  parseYaml = (await import("yaml")).parse;
+} catch { /* YAML flows need `npm i yaml`; JSON always works */ }
+
+const STATE_TYPES = new Set(["ask", "say", "llm", "handoff", "end"]);
+const INPUT_TYPES = new Set(["speech", "dtmf", "any"]);
+const MAX_HOPS = 10; // say → say → … chains on one turn
+const RELOAD_DEBOUNCE_MS = 300;
+
+function log(...args) { console.log(new Date().toISOString(), ...args); }
+function warn(...args) { console.warn(new Date().toISOString(), ...args); }
+
+export function flowsConfigFromEnv(defaults = {}) {
+  const env = process.env;
+  return {
+    dir: env.FLOWS_DIR || defaults.dir || path.join(process.cwd(), "flows"),
+    explicit: !!(env.FLOWS_DIR || defaults.dir),
+    defaultId: env.FLOW || defaults.defaultId || null,
+    watch: (env.FLOWS_WATCH || String(defaults.watch ?? true)).toLowerCase() !== "false",
+  };
+}
+
+// ---- intents ----
+// \b only knows ASCII word characters; Devanagari / Gujarati words are bounded by non-letters instead
+export const BUILTIN_INTENTS = {
+  yes: [/\b(yes|yeah|yep|yup|correct|right|sure|okay|ok|haan|han|ji|sahi|barabar)\b/i, /(?<![\p{L}\p{M}])(हाँ|हां|जी|सही|ठीक है|હા|હાં|જી|બરાબર|સાચું)(?![\p{L}\p{M}])/u],
+  no: [/\b(no|nope|nah|nahi|nahin|na)\b/i, /(?<![\p{L}\p{M}])(नहीं|ना|નહીં|ના|નથી)(?![\p{L}\p{M}])/u],
+  goodbye: [/\b(bye|goodbye|that'?s all|nothing else|no more questions)\b/i, /(?<![\p{L}\p{M}])(बाय|अलविदा|बस इतना|और कुछ नहीं|આવજો|બસ એટલું|બીજું કંઈ નહીં)(?![\p{L}\p{M}])/u],
+  repeat: [/\b(repeat|again|say that again|what did you say)\b/i, /(?<![\p{L}\p{M}])(फिर से|दोबारा|ફરીથી|ફરી થી)(?![\p{L}\p{M}])/u],
+  handoff: [{ test: (t) => detectHandoffIntent(t) }],
+};
+
+function compileIntents(custom = {}, problems) {
+  const intents = { ...BUILTIN_INTENTS };
+  for (const [name, phrases] of Object.entries(custom)) {
+    const list = Array.isArray(phrases) ? phrases : Object.values(phrases).flat(); // [..] or { "hi-IN": [..] }
+    intents[name] = [];
+    for (const phrase of list) {
+      try { intents[name].push(new RegExp(phrase, "iu")); } catch (e) { problems.push(`intent "${name}": bad pattern ${JSON.stringify(phrase)} (${e.message})`); }
+    }
+  }
+  return intents;
+}
+
+// ---- validation ----
+function flowError(source, problems) {
+  const err = new Error(`Invalid flow ${source}:\n  - ${problems.join("\n  - ")}`);
+  err.problems = problems;
+  return err;
+}
+
+// definition -> normalized flow; throws (err.problems lists every problem found)
+export function validateFlow(def, source = def?.id || "flow") {
+  const problems = [];
+  if (!def || typeof def !== "object") throw flowError(source, ["not an object"]);
+  if (!def.id || !/^[\w-]+$/.test(def.id)) problems.push(`"id" must be letters, digits, _ or -`);
+  const states = def.states && typeof def.states === "object" ? def.states : {};
+  if (!Object.keys(states).length) problems.push(`"states" is empty`);
+  if (!states[def.start]) problems.push(`start state "${def.start}" is not defined`);
+  const intents = compileIntents(def.intents, problems);
+  const defaultLang = def.defaultLang || "en-IN";
+
+  const out = {};
+  for (const [name, raw] of Object.entries(states)) {
+    const at = `state "${name}"`;
+    const type = raw.type || "ask";
+    if (!STATE_TYPES.has(type)) { problems.push(`${at}: unknown type "${type}"`); continue; }
+    const prompt = typeof raw.prompt === "string" ? { [defaultLang]: raw.prompt } : raw.prompt || null;
+    if ((type === "ask" || type === "say") && !prompt) problems.push(`${at}: needs a prompt`);
+
+    let input = null;
+    if (type === "ask" || type === "llm") {
+      input = { type: "any", kind: "text", ...(raw.input || {}) };
+      if (!INPUT_TYPES.has(input.type)) problems.push(`${at}: input.type must be speech, dtmf or any`);
+      if (input.pattern) {
+        try { input.pattern = new RegExp(input.pattern, "iu"); } catch (e) { problems.push(`${at}: bad input.pattern (${e.message})`); }
+      }
+    }
+
+    const transitions = (raw.transitions || []).map((t, i) => {
+      const when = t.when || {};
+      if (!t.to) problems.push(`${at}: transition ${i + 1} has no "to"`);
+      else if (!states[t.to]) problems.push(`${at}: transition ${i + 1} goes to unknown state "${t.to}"`);
+      if (when.intent && !intents[when.intent]) problems.push(`${at}: transition ${i + 1} uses unknown intent "${when.intent}"`);
+      if (when.filled && !input?.slot) problems.push(`${at}: transition ${i + 1} checks "filled" but the state has no input.slot`);
+      let match = null;
+      if (when.match) {
+        try { match = new RegExp(when.match, "iu"); } catch (e) { problems.push(`${at}: transition ${i + 1} bad match (${e.message})`); }
+      }
+      return { to: t.to, when: { ...when, match }, say: t.say || null };
+    });
+    if (type === "ask" && !transitions.length) problems.push(`${at}: an ask state needs transitions`);
+    if (type === "say" && (!raw.next || !states[raw.next])) problems.push(`${at}: say state needs a "next" state that exists`);
+    if (raw.onMaxRetries && !states[raw.onMaxRetries]) problems.push(`${at}: onMaxRetries goes to unknown state "${raw.onMaxRetries}"`);
+
+    out[name] = {
+      name,
+      type,
+      prompt,
+      retryPrompt: typeof raw.retryPrompt === "string" ? { [defaultLang]: raw.retryPrompt } : raw.retryPrompt || null,
+      instruction: raw.instruction || null,
+      input,
+      transitions,
+      next: raw.next || null,
+      maxRetries: raw.maxRetries ?? 2,
+      onMaxRetries: raw.onMaxRetries || null,
+    };
+  }
+  if (problems.length) throw flowError(source, problems);
+  return { id: def.id, start: def.start, defaultLang, states: out, intents, source };
+}
+
+// ---- one call's run through a flow ----
+function pickLang(texts, lang, fallback) {
+  if (!texts) return null;
+  return texts[lang] ?? texts[fallback] ?? Object.values(texts)[0] ?? null;
+}
+
+function fill(template, values) {
+  return String(template).replace(/\{(\w+)\}/g, (m, key) => (values[key] !== undefined && values[key] !== null ? String(values[key]) : m));
+}
+
+// slot value from this turn's input, or null
+function extractSlot(input, { text, dtmf }) {
+  if (!input?.slot) return null;
+  let value = null;
+  if (dtmf && input.type !== "speech") value = dtmf;
+  else if (text && input.type !== "dtmf") {
+    value = input.kind === "digits" ? text.replace(/\D/g, "") : text.trim();
+  }
+  if (!value) return null;
+  if (input.pattern) {
+    const m = input.pattern.exec(value);
+    if (!m) return null;
+    value = m[1] ?? m[0];
+  }
+  return value;
+}
+
+export function createFlowRun(flow, opts = {}) {
+  const slots = {};
+  const vars = { ...(opts.vars || {}) };
+  let current = flow.states[flow.start];
+  let retries = 0;
+  let done = false;
+
+  const values = () => ({ ...vars, ...slots });
+  const say = (texts, lang) => {
+    const t = pickLang(texts, lang, flow.defaultLang);
+    return t ? fill(t, values()) : null;
+  };
+
+  // enter `name` (following say-chains); collects what to speak and any action
+  function enter(name, lang, spoken = []) {
+    for (let hops = 0; hops < MAX_HOPS; hops++) {
+      current = flow.states[name];
+      retries = 0;
+      const text = say(current.prompt, lang);
+      if (text) spoken.push(text);
+      if (current.type !== "say") break;
+      name = current.next;
+    }
+    const action = current.type === "handoff" ? "handoff" : current.type === "end" ? "end" : null;
+    if (action) done = true;
+    return result(spoken, lang, { action });
+  }
+
+  function result(spoken, lang, extra = {}) {
+    return {
+      say: spoken.length ? spoken.join(" ") : null,
+      lang,
+      llm: null,
+      action: null,
+      transition: null,
+      ...extra,
+      state: current.name,
+      slots: { ...slots },
+    };
+  }
+
+  function matches(when, turn, filled) {
+    if (when.intent && !(turn.text && flow.intents[when.intent].some((re) => re.test(turn.text)))) return false;
+    if (when.dtmf !== undefined && String(when.dtmf) !== String(turn.dtmf ?? "")) return false;
+    if (when.match && !(turn.text && when.match.test(turn.text))) return false;
+    if (when.filled && !filled) return false;
+    if (when.slot && (slots[when.slot] === undefined || slots[when.slot] === null)) return false;
+    return true;
+  }
+
+  // turn: { text, dtmf, lang }; text is what the caller said (null for keypad input)
+  function handle(turn) {
+    const lang = turn.lang || flow.defaultLang;
+    if (done) return result([], lang, { action: current.type === "handoff" ? "handoff" : "end" });
+
+    const value = extractSlot(current.input, turn);
+    if (value !== null) slots[current.input.slot] = value;
+
+    const hit = current.transitions.find((t) => matches(t.when, turn, value !== null));
+    if (hit) {
+      const from = current.name;
+      const spoken = [];
+      if (hit.say) spoken.push(say(typeof hit.say === "string" ? { [flow.defaultLang]: hit.say } : hit.say, lang));
+      const step = enter(hit.to, lang, spoken);
+      step.transition = `${from}->${hit.to}`;
+      if (current.type === "llm" && !step.say && turn.text) step.llm = llmStep(); // entered an llm state with a question in hand
+      return step;
+    }
+
+    // nothing matched: the model answers in llm states, ask states re-prompt
+    if (current.type === "llm") return result([], lang, { llm: llmStep() });
+    retries++;
+    if (retries > current.maxRetries && current.onMaxRetries) {
+      const from = current.name;
+      const step = enter(current.onMaxRetries, lang);
+      step.transition = `${from}->${current.name} (max retries)`;
+      return step;
+    }
+    return result([say(current.retryPrompt || current.prompt, lang)].filter(Boolean), lang);
+  }
+
+  function llmStep() {
+    const known = Object.entries(slots).map(([k, v]) => `${k}=${v}`).join("; ");
+    const instruction = [current.instruction ? fill(current.instruction, values()) : null, known ? `Details collected so far: ${known}.` : null]
+      .filter(Boolean).join(" ");
+    return { instruction: instruction || null };
+  }
+
+  return {
+    flowId: flow.id,
+    begin: (lang) => enter(flow.start, lang || flow.defaultLang),
+    handle,
+    get state() { return current.name; },
+    get done() { return done; },
+    slots: () => ({ ...slots }),
+  };
+}
+
+// ---- registry: FLOWS_DIR, validated, hot-swapped ----
+function readFlowFile(file) {
+  const text = fs.readFileSync(file, "utf8").replace(/^\uFEFF/, "");
+  if (/\.ya?ml$/i.test(file)) {
+    if (!parseYaml) throw new Error("YAML flows need the `yaml` package (npm i yaml)");
+    return parseYaml(text);
+  }
+  return JSON.parse(text);
+}
+
+export function createFlowRegistry(config = flowsConfigFromEnv()) {
+  const flows = new Map(); // id -> flow
+  const files = new Map(); // file -> id, so a deleted or renamed file drops its flow
+  let watcher = null;
+  const timers = new Map();
+  const enabled = fs.existsSync(config.dir) && fs.statSync(config.dir).isDirectory();
+
+  // a broken edit keeps the last good version of that flow running
+  function loadFile(file) {
+    const full = path.join(config.dir, file);
+    if (!fs.existsSync(full)) {
+      const id = files.get(file);
+      if (id) { flows.delete(id); files.delete(file); log(`🧭 Flow ${id} removed (${file})`); }
+      return;
+    }
+    try {
+      const flow = validateFlow(readFlowFile(full), file);
+      const owner = [...files].find(([f, id]) => id === flow.id && f !== file);
+      if (owner) throw new Error(`flow id "${flow.id}" is already defined in ${owner[0]}`);
+      const replaced = flows.has(flow.id);
+      flows.set(flow.id, flow);
+      files.set(file, flow.id);
+      log(`🧭 Flow ${flow.id} ${replaced ? "reloaded" : "loaded"} (${Object.keys(flow.states).length} states, ${file})`);
+    } catch (e) {
+      warn(`⚠ Flow ${file} not loaded${files.has(file) ? " — keeping the previous version" : ""}:`, e?.message || e);
+    }
+  }
+
+  function reload() {
+    for (const file of fs.readdirSync(config.dir).filter((f) => /\.(json|ya?ml)$/i.test(f)).sort()) loadFile(file);
+  }
+
+  if (!enabled) {
+    if (config.explicit) warn(`⚠ FLOWS_DIR ${config.dir} does not exist — calls run without a flow`);
+  } else {
+    reload();
+    if (config.defaultId && !flows.has(config.defaultId)) warn(`⚠ FLOW=${config.defaultId} is not defined in ${config.dir}`);
+    if (config.watch) {
+      watcher = fs.watch(config.dir, (event, file) => {
+        if (!file || !/\.(json|ya?ml)$/i.test(file)) return;
+        clearTimeout(timers.get(file));
+        const t = setTimeout(() => { timers.delete(file); loadFile(file); }, RELOAD_DEBOUNCE_MS);
+        t.unref?.();
+        timers.set(file, t);
+      });
+      watcher.unref?.();
+      watcher.on("error", (e) => warn("Flow watcher error:", e?.message || e));
+    }
+  }
+
+  return {
+    enabled,
+    defaultId: config.defaultId,
+    get: (id) => flows.get(id) || null,
+    ids: () => [...flows.keys()],
+    // new run on the current version of the flow, or null (unknown id / no flows)
+    start(id, opts = {}) {
+      const flow = id ? flows.get(id) : null;
+      if (id && !flow) warn(`⚠ Flow "${id}" is not loaded — running without a flow`);
+      return flow ? createFlowRun(flow, opts) : null;
+    },
+    reload,
+    close() {
+      for (const t of timers.values()) clearTimeout(t);
+      watcher?.close();
+      watcher = null;
+    },
+  };
+}
+
+// runs kept by call, for servers whose per-turn state doesn't live on one socket (final4.js
+// reconnects the stream after every <Play>, flow.js is one webhook per turn)
+export function createFlowRunStore({ ttlMinutes = 120 } = {}) {
+  const runs = new Map(); // callSid -> { run, touchedAt }
+  function sweep() {
+    const cutoff = Date.now() - ttlMinutes * 60 * 1000;
+    for (const [sid, e] of runs) if (e.touchedAt < cutoff) runs.delete(sid);
+  }
+  return {
+    set(callSid, run) {
+      sweep();
+      if (callSid && run) runs.set(callSid, { run, touchedAt: Date.now() });
+    },
+    get(callSid) {
+      const e = callSid ? runs.get(callSid) : null;
+      if (!e) return null;
+      e.touchedAt = Date.now();
+      return e.run;
+    },
+    delete: (callSid) => runs.delete(callSid),
+  };
+}
@@ -0,0 +1,112 @@
+// lib/g711.js
+// ITU-T G.711 µ-law / A-law codec, table driven (the G.191 / Sun reference algorithms
+// fill the tables once at load). Twilio media streams carry µ-law ("audio/x-mulaw");
+// A-law ("audio/x-alaw", PCMA) is what most carriers and SIP trunks outside North America send.
+//
+//   const pcm16 = decodeG711(payload, "alaw");   // Buffer of bytes -> PCM16LE Buffer
+//   const bytes = encodeG711(pcm16, "mulaw");    // PCM16LE Buffer -> Buffer of bytes
+//   g711Encoding(start.mediaFormat?.encoding)    // "audio/x-alaw" / "PCMA" … -> "alaw"
+import { int16View } from "./audio.js";
+
+export const G711_SAMPLE_RATE = 8000;
+
+const SEG_UEND = [0x3f, 0x7f, 0xff, 0x1ff, 0x3ff, 0x7ff, 0xfff, 0x1fff];
+const SEG_AEND = [0x1f, 0x3f, 0x7f, 0xff, 0x1ff, 0x3ff, 0x7ff, 0xfff];
+const ULAW_BIAS = 0x84 >> 2; // 33, on the 14-bit magnitude
+const ULAW_CLIP = 8159;
+
+function segment(val, ends) {
+  for (let i = 0; i < ends.length; i++) if (val <= ends[i]) return i;
+  return ends.length;
+}
+
+// ---- reference conversions (used to build the tables) ----
+function linearToUlawRef(pcm) {
+  // one's complement for negatives, as in G.191 ulaw_compress (-1 -> 0x7f, negative zero)
+  let mag = (pcm < 0 ? ~pcm : pcm) >> 2; // 14-bit
+  const mask = pcm < 0 ? 0x7f : 0xff;
+  mag += ULAW_BIAS;
+  if (mag > ULAW_CLIP + ULAW_BIAS) mag = ULAW_CLIP + ULAW_BIAS;
+  const seg = segment(mag, SEG_UEND);
+  if (seg >= 8) return 0x7f ^ mask;
+  return (((seg << 4) | ((mag >> (seg + 1)) & 0x0f)) ^ mask) & 0xff;
+}
+
+function ulawToLinearRef(u) {
+  u = ~u & 0xff;
+  let t = ((u & 0x0f) << 3) + 0x84;
+  t <<= (u & 0x70) >> 4;
+  return (u & 0x80) ? 0x84 - t : t - 0x84;
+}
+
+function linearToAlawRef(pcm) {
+  pcm >>= 3; // 13-bit
+  let mask = 0xd5;
+  if (pcm < 0) { mask = 0x55; pcm = -pcm - 1; }
+  const seg = segment(pcm, SEG_AEND);
+  if (seg >= 8) return 0x7f ^ mask;
+  const aval = (seg << 4) | ((seg < 2 ? pcm >> 1 : pcm >> seg) & 0x0f);
+  return (aval ^ mask) & 0xff;
+}
+
+function alawToLinearRef(a) {
+  a ^= 0x55;
+  let t = (a & 0x0f) << 4;
+  const seg = (a & 0x70) >> 4;
+  if (seg === 0) t += 8;
+  else if (seg === 1) t += 0x108;
+  else t = (t + 0x108) << (seg - 1);
+  return (a & 0x80) ? t : -t;
+}
+
+// ---- tables: 256 entries to decode, 65536 (indexed by the 16-bit sample) to encode ----
+const ULAW_TO_LINEAR = new Int16Array(256);
+const ALAW_TO_LINEAR = new Int16Array(256);
+const LINEAR_TO_ULAW = new Uint8Array(65536);
+const LINEAR_TO_ALAW = new Uint8Array(65536);
+for (let i = 0; i < 256; i++) {
+  ULAW_TO_LINEAR[i] = ulawToLinearRef(i);
+  ALAW_TO_LINEAR[i] = alawToLinearRef(i);
+}
+for (let s = -32768; s <= 32767; s++) {
+  LINEAR_TO_ULAW[s & 0xffff] = linearToUlawRef(s);
+  LINEAR_TO_ALAW[s & 0xffff] = linearToAlawRef(s);
+}
+
+export function ulawToLinear(byte) { return ULAW_TO_LINEAR[byte & 0xff]; }
+export function linearToUlaw(sample) { return LINEAR_TO_ULAW[sample & 0xffff]; }
+export function alawToLinear(byte) { return ALAW_TO_LINEAR[byte & 0xff]; }
+export function linearToAlaw(sample) { return LINEAR_TO_ALAW[sample & 0xffff]; }
+
+// "audio/x-mulaw", "PCMU", "ulaw", "mulaw" -> "mulaw"; "audio/x-alaw", "PCMA", "alaw" -> "alaw"
+export function g711Encoding(name, fallback = "mulaw") {
+  const n = String(name || "").toLowerCase();
+  if (/alaw|pcma|g711a/.test(n)) return "alaw";
+  if (/ulaw|mulaw|pcmu|g711u/.test(n)) return "mulaw";
+  return fallback;
+}
+
+function decodeTable(encoding) {
+  return g711Encoding(encoding) === "alaw" ? ALAW_TO_LINEAR : ULAW_TO_LINEAR;
+}
+
+function encodeTable(encoding) {
+  return g711Encoding(encoding) === "alaw" ? LINEAR_TO_ALAW : LINEAR_TO_ULAW;
+}
+
+// G.711 bytes -> PCM16LE Buffer
+export function decodeG711(bytes, encoding = "mulaw") {
+  const table = decodeTable(encoding);
+  const out = new Int16Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) out[i] = table[bytes[i]];
+  return Buffer.from(out.buffer);
+}
+
+// PCM16LE Buffer -> G.711 bytes
+export function encodeG711(pcm16leBuffer, encoding = "mulaw") {
+  const table = encodeTable(encoding);
+  const view = int16View(pcm16leBuffer);
+  const out = Buffer.alloc(view.length);
+  for (let i = 0; i < view.length; i++) out[i] = table[view[i] & 0xffff];
+  return out;
+}
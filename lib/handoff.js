@@ -0,0 +1,193 @@
+// lib/handoff.js
+// Warm transfer to a human agent. A handoff is triggered by keywords ("talk to a person",
+// "इंसान से बात", "માણસ સાથે વાત" …) or by the LLM answering with HANDOFF_TOKEN; the server then
+// says a localized "connecting you" line and updates the call with <Dial> to the agent. When the
+// agent picks up, Twilio fetches /handoff/whisper and reads them a summary of the call so far
+// before bridging; the same summary is served at GET /handoffs/:sid for agent desks.
+//
+//   const handoff = handoffConfigFromEnv();             // HANDOFF_NUMBER | HANDOFF_SIP | HANDOFF_QUEUE
+//   if (handoff.enabled && detectHandoffIntent(text)) …
+//   const { text, requested } = takeHandoffToken(llmReply);
+//   const summary = await buildHandoffSummary(turns, { llm });
+//   desk.set(callSid, { summary, … });
+//   twiml = dialTwiml(handoff, { callSid, baseUrl, playUrl });
+//   app.use(createHandoffRouter(desk, { webhookAuth: twilioAuth, auth: adminRoutes, resumeUrl }));
+//
+// HANDOFF_CALLER_ID (defaults to the caller's number), HANDOFF_RING_SECONDS=30, HANDOFF_KEYWORDS=true
+import express from "express";
+import { adminAuth, reportDisabled } from "./admin-auth.js";
+import { twilioWebhookAuth } from "./twilio-auth.js";
+
+export const HANDOFF_TOKEN = "[HANDOFF]";
+
+const SUMMARY_TIMEOUT_MS = 4000;
+
+function warn(...args) { console.warn(new Date().toISOString(), ...args); }
+
+export function handoffConfigFromEnv(defaults = {}) {
+  const env = process.env;
+  const number = env.HANDOFF_NUMBER || defaults.number || "";
+  const sip = env.HANDOFF_SIP || defaults.sip || "";
+  const queue = env.HANDOFF_QUEUE || defaults.queue || "";
+  return {
+    number,
+    sip,
+    queue,
+    callerId: env.HANDOFF_CALLER_ID || defaults.callerId || "",
+    ringSeconds: parseInt(env.HANDOFF_RING_SECONDS || String(defaults.ringSeconds ?? 30), 10),
+    keywords: (env.HANDOFF_KEYWORDS || String(defaults.keywords ?? true)).toLowerCase() !== "false",
+    enabled: !!(number || sip || queue),
+  };
+}
+
+export function describeTarget(config) {
+  if (config.number) return `number ${config.number}`;
+  if (config.sip) return `sip ${config.sip}`;
+  if (config.queue) return `queue ${config.queue}`;
+  return "nowhere";
+}
+
+// appended to the LLM system prompt when a handoff target is configured
+export function handoffInstruction() {
+  return `If the caller asks to speak with a human, a person, an agent or customer care, reply with exactly ${HANDOFF_TOKEN} and nothing else.`;
+}
+
+// ---- intent ----
+const HANDOFF_PATTERNS = [
+  // English: a request verb near a person word, or the fixed phrases ("are you human?" must not match)
+  /\b(talk|speak|connect|transfer|put)\b.{0,30}\b(human|person|agent|representative|operator|someone|somebody|customer care)\b/i,
+  /\b(real person|live (person|agent)|human agent|customer care)\b/i,
+  // Hindi (Devanagari + romanized)
+  /(इंसान से|आदमी से|व्यक्ति से|एजेंट से|प्रतिनिधि से|कस्टमर केयर|ग्राहक सेवा)/,
+  /\b(insaan se|insan se|kisi (aadmi|vyakti|insaan) se|agent se|customer care se)\b/i,
+  // Gujarati (script + romanized)
+  /(માણસ સાથે|વ્યક્તિ સાથે|એજન્ટ સાથે|પ્રતિનિધિ સાથે|કસ્ટમર કેર)/,
+  /\b(manas sathe|koi vyakti sathe|agent sathe)\b/i,
+];
+
+export function detectHandoffIntent(text) {
+  const t = String(text || "");
+  return HANDOFF_PATTERNS.some((re) => re.test(t));
+}
+
+// strips the token from an LLM reply; whatever else it said can still be spoken
+export function takeHandoffToken(reply) {
+  const text = String(reply || "");
+  if (!text.includes(HANDOFF_TOKEN)) return { text, requested: false };
+  return { text: text.split(HANDOFF_TOKEN).join("").trim(), requested: true };
+}
+
+export function connectingText(langCode) {
+  return (langCode === "gu-IN") ? "એક મિનિટ, હું તમને અમારા પ્રતિનિધિ સાથે જોડું છું." :
+    (langCode === "hi-IN") ? "एक पल रुकिए, मैं आपको हमारे प्रतिनिधि से जोड़ रहा हूँ।" :
+    "One moment, I'm connecting you to a member of our team.";
+}
+
+// ---- summary for the agent ----
+// turns: call-store transcript turns ({ user, reply, dtmf … }); always English for the agent
+export function summarizeLocally(turns = [], contact = null) {
+  const said = turns.filter((t) => t.user || t.dtmf).slice(-4)
+    .map((t) => (t.dtmf ? `typed ${t.dtmf}` : `"${t.user}"`));
+  const who = contact?.name ? `${contact.name}` : "The caller";
+  if (!said.length) return `${who} asked for a person before saying anything else.`;
+  return `${who} asked for a person. Recently said: ${said.join("; ")}.`;
+}
+
+export async function buildHandoffSummary(turns = [], opts = {}) {
+  const fallback = summarizeLocally(turns, opts.contact);
+  if (!opts.llm || !turns.length) return fallback;
+  const lines = turns.map((t) => [
+    t.user ? `Caller: ${t.user}` : t.dtmf ? `Caller (keypad): ${t.dtmf}` : null,
+    t.reply ? `Assistant: ${t.reply}` : null,
+  ].filter(Boolean).join("\n")).join("\n");
+  const messages = [
+    { role: "system", content: "Summarize this phone call for the human agent who is taking it over. English, at most 2 short sentences: who the caller is, what they want, and any numbers or names they gave. No preamble." },
+    { role: "user", content: (opts.contact?.name ? `Caller name: ${opts.contact.name}\n` : "") + lines },
+  ];
+  let timer = null;
+  try {
+    const summary = await Promise.race([
+      opts.llm.chat({ messages, maxTokens: 120 }),
+      new Promise((_, reject) => { timer = setTimeout(() => reject(new Error("summary timed out")), opts.timeoutMs ?? SUMMARY_TIMEOUT_MS); }),
+    ]);
+    return String(summary || "").trim() || fallback;
+  } catch (e) {
+    warn("Handoff summary via LLM failed, using local summary:", e?.message || e);
+    return fallback;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// ---- TwiML ----
+function xmlEscape(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// playUrl: optional "connecting you" clip to play first (servers that can't speak it over the stream)
+export function dialTwiml(config, { callSid, baseUrl, playUrl } = {}) {
+  const base = String(baseUrl || "").replace(/\/+$/, "");
+  const q = `callSid=${encodeURIComponent(callSid || "")}`;
+  const play = playUrl ? `<Play>${xmlEscape(playUrl)}</Play>` : "";
+  if (!config.number && !config.sip && config.queue) {
+    // callers wait in the queue; agents dequeue them and read the summary from GET /handoffs/:sid
+    return `<Response>${play}<Enqueue>${xmlEscape(config.queue)}</Enqueue></Response>`;
+  }
+  const whisper = xmlEscape(`${base}/handoff/whisper?${q}`);
+  const noun = config.number
+    ? `<Number url="${whisper}">${xmlEscape(config.number)}</Number>`
+    : `<Sip url="${whisper}">${xmlEscape(config.sip)}</Sip>`;
+  const callerId = config.callerId ? ` callerId="${xmlEscape(config.callerId)}"` : "";
+  const action = xmlEscape(`${base}/handoff/after?${q}`);
+  return `<Response>${play}<Dial timeout="${config.ringSeconds}"${callerId} action="${action}" method="POST">${noun}</Dial></Response>`;
+}
+
+// ---- summaries for agents ----
+export function createHandoffDesk({ ttlMinutes = 120 } = {}) {
+  const entries = new Map(); // callSid -> { callSid, at, summary, … }
+  function sweep() {
+    const cutoff = Date.now() - ttlMinutes * 60 * 1000;
+    for (const [sid, e] of entries) if (Date.parse(e.at) < cutoff) entries.delete(sid);
+  }
+  return {
+    set(callSid, info) {
+      sweep();
+      entries.set(callSid, { callSid, at: new Date().toISOString(), ...info });
+    },
+    get(callSid) { return entries.get(callSid) || null; },
+  };
+}
+
+// /handoff/whisper (read to the agent before bridging), /handoff/after (<Dial> action), both
+// behind the X-Twilio-Signature check (webhookAuth), and GET /handoffs/:sid (summary JSON), an
+// operator route mounted only when ADMIN_TOKEN is set (auth, lib/admin-auth.js). resumeUrl is
+// where the caller goes back to the bot when nobody answers.
+export function createHandoffRouter(desk, { webhookAuth = twilioWebhookAuth(), auth = adminAuth(), resumeUrl } = {}) {
+  const router = express.Router();
+
+  router.all("/handoff/whisper", webhookAuth, (req, res) => {
+    const entry = desk.get(req.query.callSid);
+    const summary = entry?.summary || "No summary is available for this call.";
+    res.type("text/xml").send(`<Response><Say>Transfer from the AI assistant. ${xmlEscape(summary)}</Say></Response>`);
+  });
+
+  router.all("/handoff/after", webhookAuth, (req, res) => {
+    const status = req.body?.DialCallStatus || req.query.DialCallStatus;
+    if (status === "completed" || !resumeUrl) return res.type("text/xml").send("<Response><Hangup/></Response>");
+    // busy / no-answer / failed: back to the assistant
+    warn("Handoff not answered:", status, "call:", req.query.callSid);
+    res.type("text/xml").send(`<Response><Redirect method="POST">${xmlEscape(resumeUrl)}</Redirect></Response>`);
+  });
+
+  if (!auth.enabled) {
+    if (handoffConfigFromEnv().enabled) reportDisabled("GET /handoffs/:sid");
+    return router;
+  }
+  router.get("/handoffs/:sid", auth, (req, res) => {
+    const entry = desk.get(req.params.sid);
+    if (!entry) return res.status(404).json({ error: "No handoff for this call" });
+    res.json(entry);
+  });
+
+  return router;
+}
@@ -0,0 +1,249 @@
+// lib/knowledge.js
+// Local knowledge base for grounding replies. Every Markdown / text / FAQ-JSON file under KB_DIR
+// is split into passages (by heading, paragraph and Q/A pair) and indexed with BM25; each caller
+// utterance retrieves the best passages, which go into the prompt as a system message. Tokens are
+// Unicode letters + combining marks, so Gujarati and Hindi text index as well as English.
+// The folder is watched and reindexed on change.
+//
+//   const kb = createKnowledgeBase();                  // KB_DIR (default ./knowledge, off if missing)
+//   const passages = kb.search(transcript);            // [{ source, heading, text, score }]
+//   if (passages.length) history.push({ role: "system", content: kb.prompt(passages) });
+//   turn.sources = sourcesForTurn(passages);
+//   kb.close();                                        // stop watching
+//
+// KB_TOP_K=3, KB_MIN_SCORE=1 (BM25 score below which a passage is ignored), KB_CHUNK_CHARS=600,
+// KB_PROMPT_CHARS=1500 (budget for passages in the prompt), KB_WATCH=true
+import fs from "fs";
+import path from "path";
+
+const EXTENSIONS = new Set([".md", ".markdown", ".txt", ".json"]);
+const REINDEX_DEBOUNCE_MS = 500;
+const K1 = 1.2;
+const B = 0.75;
+
+function log(...args) { console.log(new Date().toISOString(), ...args); }
+function warn(...args) { console.warn(new Date().toISOString(), ...args); }
+
+export function knowledgeConfigFromEnv(defaults = {}) {
+  const env = process.env;
+  const num = (v, d) => (v === undefined || v === "" ? d : Number(v));
+  return {
+    dir: env.KB_DIR || defaults.dir || path.join(process.cwd(), "knowledge"),
+    explicit: !!(env.KB_DIR || defaults.dir), // a missing default folder is not worth a warning
+    topK: num(env.KB_TOP_K, defaults.topK ?? 3),
+    minScore: num(env.KB_MIN_SCORE, defaults.minScore ?? 1),
+    chunkChars: num(env.KB_CHUNK_CHARS, defaults.chunkChars ?? 600),
+    promptChars: num(env.KB_PROMPT_CHARS, defaults.promptChars ?? 1500),
+    watch: (env.KB_WATCH || String(defaults.watch ?? true)).toLowerCase() !== "false",
+  };
+}
+
+// ---- tokenizing ----
+const STOPWORDS = new Set([
+  // English
+  "a", "an", "the", "is", "are", "was", "were", "be", "to", "of", "in", "on", "at", "for", "and", "or",
+  "it", "this", "that", "i", "you", "we", "my", "your", "me", "do", "does", "can", "what", "how", "please",
+  "with", "from", "by", "as", "so", "if", "there", "any", "have", "has", "will", "would", "about",
+  // Hindi
+  "है", "हैं", "था", "थे", "का", "की", "के", "में", "से", "को", "और", "पर", "यह", "वह", "क्या", "कि",
+  "भी", "तो", "हो", "ही", "मैं", "मुझे", "आप", "हम", "एक", "कैसे", "कृपया", "नहीं",
+  // Gujarati
+  "છે", "હતું", "હતા", "નો", "ની", "નું", "ના", "માં", "થી", "ને", "અને", "પર", "આ", "તે", "શું", "કે",
+  "પણ", "તો", "જ", "હું", "મને", "તમે", "અમે", "એક", "કેવી", "કૃપા", "નથી",
+]);
+
+// letters with their combining marks (matras, virama, anusvara) stay one token
+export function tokenize(text) {
+  const out = [];
+  for (const m of String(text || "").toLowerCase().normalize("NFC").matchAll(/[\p{L}\p{N}][\p{L}\p{M}\p{N}]*/gu)) {
+    let t = m[0];
+    if (STOPWORDS.has(t)) continue;
+    // plain English plural / possessive so "orders" finds "order"
+    if (/^[a-z]{4,}s$/.test(t) && !t.endsWith("ss")) t = t.slice(0, -1);
+    out.push(t);
+  }
+  return out;
+}
+
+// ---- passages ----
+const QUESTION_LINE = /^\s*(q|question|प्रश्न|सवाल|પ્રશ્ન|સવાલ)\s*[:.)]/i;
+
+// Markdown / text -> [{ heading, text }]: paragraphs under the nearest heading, merged up to maxChars
+export function chunkText(text, maxChars = 600) {
+  const chunks = [];
+  let heading = "";
+  let paragraphs = [];
+  let current = [];
+
+  const endParagraph = () => {
+    const p = current.join("\n").trim();
+    if (p) paragraphs.push(p);
+    current = [];
+  };
+  const flush = () => {
+    endParagraph();
+    let buf = "";
+    for (const p of paragraphs) {
+      if (buf && buf.length + p.length + 2 > maxChars) {
+        chunks.push({ heading, text: buf });
+        buf = "";
+      }
+      buf = buf ? `${buf}\n\n${p}` : p;
+    }
+    if (buf) chunks.push({ heading, text: buf });
+    paragraphs = [];
+  };
+
+  for (const line of String(text || "").replace(/\r\n?/g, "\n").split("\n")) {
+    const h = /^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/.exec(line);
+    if (h) { flush(); heading = h[1]; continue; }
+    if (!line.trim()) { endParagraph(); continue; }
+    if (QUESTION_LINE.test(line)) endParagraph(); // FAQ text: a question never joins the answer above it
+    current.push(line);
+  }
+  flush();
+  return chunks;
+}
+
+// FAQ JSON: [{ "q": "…", "a": "…" }] (question/answer also accepted) or { "faqs": [...] }
+function chunkFaqJson(raw) {
+  const data = JSON.parse(raw);
+  const items = Array.isArray(data) ? data : data.faqs || data.faq || [];
+  return items
+    .map((it) => ({ q: it.q ?? it.question, a: it.a ?? it.answer }))
+    .filter((it) => it.q && it.a)
+    .map((it) => ({ heading: String(it.q), text: `Q: ${it.q}\nA: ${it.a}` }));
+}
+
+function listFiles(dir) {
+  const out = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith(".")) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) out.push(...listFiles(full));
+    else if (EXTENSIONS.has(path.extname(entry.name).toLowerCase())) out.push(full);
+  }
+  return out;
+}
+
+export function loadPassages(dir, chunkChars = 600) {
+  const passages = [];
+  for (const file of listFiles(dir).sort()) {
+    const source = path.relative(dir, file).split(path.sep).join("/");
+    try {
+      const raw = fs.readFileSync(file, "utf8").replace(/^\uFEFF/, "");
+      const chunks = file.toLowerCase().endsWith(".json") ? chunkFaqJson(raw) : chunkText(raw, chunkChars);
+      chunks.forEach((c, i) => passages.push({ id: `${source}#${i}`, source, ...c }));
+    } catch (e) {
+      warn("Knowledge base: skipping", source, "-", e?.message || e);
+    }
+  }
+  return passages;
+}
+
+// ---- BM25 ----
+export function createBm25Index(passages) {
+  const docs = passages.map((p) => {
+    const tokens = tokenize(`${p.heading || ""}\n${p.text}`);
+    const tf = new Map();
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    return { passage: p, tf, length: tokens.length };
+  });
+  const df = new Map();
+  for (const d of docs) for (const t of d.tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+  const idf = (t) => {
+    const n = df.get(t) || 0;
+    return Math.log(1 + (docs.length - n + 0.5) / (n + 0.5));
+  };
+
+  function search(query, { topK = 3, minScore = 0 } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (!terms.length) return [];
+    const scored = [];
+    for (const d of docs) {
+      let score = 0;
+      for (const t of terms) {
+        const f = d.tf.get(t);
+        if (!f) continue;
+        score += idf(t) * (f * (K1 + 1)) / (f + K1 * (1 - B + B * (d.length / (avgLength || 1))));
+      }
+      if (score > 0 && score >= minScore) scored.push({ ...d.passage, score });
+    }
+    return scored.sort((a, b) => b.score - a.score).slice(0, topK);
+  }
+
+  return { search, size: docs.length };
+}
+
+// ---- knowledge base (index + folder watch) ----
+export function createKnowledgeBase(config = knowledgeConfigFromEnv()) {
+  let index = createBm25Index([]);
+  let watcher = null;
+  let timer = null;
+  const enabled = fs.existsSync(config.dir) && fs.statSync(config.dir).isDirectory();
+
+  function reindex() {
+    try {
+      const passages = loadPassages(config.dir, config.chunkChars);
+      index = createBm25Index(passages);
+      log(`📚 Knowledge base: ${index.size} passages from ${new Set(passages.map((p) => p.source)).size} files in ${config.dir}`);
+    } catch (e) {
+      warn("Knowledge base reindex failed (keeping the previous index):", e?.message || e);
+    }
+  }
+
+  if (!enabled) {
+    if (config.explicit) warn(`⚠ KB_DIR ${config.dir} does not exist — answering without a knowledge base`);
+  } else {
+    reindex();
+    if (config.watch) {
+      const onChange = () => {
+        clearTimeout(timer);
+        timer = setTimeout(reindex, REINDEX_DEBOUNCE_MS);
+        timer.unref?.();
+      };
+      try {
+        watcher = fs.watch(config.dir, { recursive: true }, onChange);
+      } catch {
+        watcher = fs.watch(config.dir, onChange); // platforms without recursive watch: top level only
+      }
+      watcher.unref?.();
+      watcher.on("error", (e) => warn("Knowledge base watcher error:", e?.message || e));
+    }
+  }
+
+  return {
+    enabled,
+    search: (query, opts = {}) => index.search(query, { topK: config.topK, minScore: config.minScore, ...opts }),
+    prompt: (passages) => knowledgePrompt(passages, config.promptChars),
+    reindex,
+    get size() { return index.size; },
+    close() {
+      clearTimeout(timer);
+      watcher?.close();
+      watcher = null;
+    },
+    config,
+  };
+}
+
+// system message carrying the retrieved passages, trimmed to the prompt budget
+export function knowledgePrompt(passages, maxChars = 1500) {
+  let budget = maxChars;
+  const blocks = [];
+  for (const p of passages) {
+    if (budget <= 0) break;
+    const label = p.heading ? `${p.source} › ${p.heading}` : p.source;
+    const text = p.text.length > budget ? p.text.slice(0, budget) + "…" : p.text;
+    budget -= text.length;
+    blocks.push(`[${blocks.length + 1}] (${label})\n${text}`);
+  }
+  return "Notes from our business knowledge base. Use them to answer if they are relevant, translated into the caller's language; "
+    + "do not invent business details that are not in them.\n\n" + blocks.join("\n\n");
+}
+
+// what gets stored with the turn
+export function sourcesForTurn(passages) {
+  return passages.map((p) => ({ id: p.id, source: p.source, heading: p.heading || null, score: Math.round(p.score * 100) / 100 }));
+}
@@ -0,0 +1,148 @@
+// lib/language.js
+// Shared language heuristics + per-call language lock with hysteresis.
+import { franc } from "franc";
+
+export function normalizeLangCode(code) {
+  if (!code) return "unknown";
+  const lc = String(code).toLowerCase();
+  if (lc.startsWith("gu")) return "gu-IN";
+  if (lc.startsWith("hi")) return "hi-IN";
+  if (lc.startsWith("en")) return "en-IN";
+  if (lc.startsWith("bn")) return "bn-IN";
+  if (lc.startsWith("kn")) return "kn-IN";
+  if (lc.startsWith("ml")) return "ml-IN";
+  if (lc.startsWith("mr")) return "mr-IN";
+  if (lc.startsWith("or") || lc.startsWith("od")) return "od-IN";
+  if (lc.startsWith("pa")) return "pa-IN";
+  if (lc.startsWith("ta")) return "ta-IN";
+  if (lc.startsWith("te")) return "te-IN";
+  return code;
+}
+
+export function detectLanguageLocal(text) {
+  if (!text || text.trim().length === 0) return "en-IN";
+  if (/[\u0A80-\u0AFF]/.test(text)) return "gu-IN"; // Gujarati script
+  if (/[\u0900-\u097F]/.test(text)) return "hi-IN"; // Devanagari (Hindi)
+  if (text.trim().length < 6) return "en-IN";
+  const francLang = franc(text, { minLength: 3 });
+  if (francLang === "guj") return "gu-IN";
+  if (francLang === "hin") return "hi-IN";
+  if (francLang === "eng") return "en-IN";
+  if (francLang === "pan") return "pa-IN";
+  return "en-IN";
+}
+
+// Romanized cues (if STT outputs Latin letters but user spoke Indic)
+export const romanGujaratiRe = /\b(kem|cho|maja|majama|tame|tamne|shu|su|mane|hu|maru|bhai|barabar|krupaya|dhanyavaad)\b/i;
+export const romanHindiRe = /\b(aap|aapka|kaise|naam|namaste|shukriya|haan|nahi|kya|kyu|kyun|theek|thik|bahut|kripya|dhanyavad)\b/i;
+
+// Single-turn detection: { lang, confidence: "high"|"medium"|"low", reason }
+export function detectTurnLanguage(sttLangCode, transcript = "") {
+  if (/[\u0A80-\u0AFF]/.test(transcript)) return { lang: "gu-IN", confidence: "high", reason: "gujarati-script" };
+  if (/[\u0900-\u097F]/.test(transcript)) return { lang: "hi-IN", confidence: "high", reason: "devanagari-script" };
+
+  const lang = normalizeLangCode(sttLangCode);
+  if (lang === "en-IN") {
+    if (romanGujaratiRe.test(transcript)) return { lang: "gu-IN", confidence: "medium", reason: "roman-gujarati-cue" };
+    if (romanHindiRe.test(transcript)) return { lang: "hi-IN", confidence: "medium", reason: "roman-hindi-cue" };
+  }
+  if (lang && lang !== "unknown") return { lang, confidence: "medium", reason: "stt" };
+  return { lang: detectLanguageLocal(transcript), confidence: "low", reason: "local-detector" };
+}
+
+// Stateless resolve (kept for callers that have no session)
+export function resolveFinalLang(sttLangCode, transcript) {
+  return detectTurnLanguage(sttLangCode, transcript).lang || "en-IN";
+}
+
+// ---- per-call language session ----
+// read when a session is created: servers load .env after their imports have been evaluated
+export function languageLockConfigFromEnv(env = process.env) {
+  return {
+    // 🔒 Language lock strictness (0 = always follow detection, 1 = hysteresis, 2 = strict/STT must agree)
+    strictness: parseInt(env.LANG_LOCK_STRICTNESS || "1", 10),
+    // consecutive turns in a new language needed before switching (strictness >= 1)
+    switchAfter: parseInt(env.LANG_SWITCH_TURNS || "2", 10),
+    defaultLang: env.LANG_DEFAULT || "en-IN",
+  };
+}
+
+// opts.allowed: languages this line offers (others are never switched to); opts.defaultLang before the first turn
+export function createLanguageSession(opts = {}) {
+  const env = languageLockConfigFromEnv();
+  const strictness = opts.strictness ?? env.strictness;
+  const switchAfter = Math.max(1, opts.switchAfter ?? env.switchAfter);
+  const allowed = opts.allowed?.length ? opts.allowed.map(normalizeLangCode) : null;
+  const defaultLang = opts.defaultLang || env.defaultLang;
+  let current = opts.initialLang || null; // null until the first turn is heard
+  let pending = null; // { lang, count }
+  const history = [];
+
+  // returns { lang, detected, confidence, reason, switched }
+  function resolve(sttLangCode, transcript) {
+    const det = detectTurnLanguage(sttLangCode, transcript);
+    const sttAgrees = normalizeLangCode(sttLangCode) === det.lang;
+    history.push({ at: Date.now(), stt: sttLangCode, detected: det.lang, confidence: det.confidence });
+    if (history.length > 50) history.shift();
+
+    const decide = (lang, reason) => {
+      const switched = lang !== current;
+      current = lang;
+      if (lang === det.lang) pending = null;
+      return { lang, detected: det.lang, confidence: det.confidence, reason, switched };
+    };
+
+    if (allowed && !allowed.includes(det.lang)) {
+      const lang = current || (allowed.includes(defaultLang) ? defaultLang : allowed[0]);
+      const switched = lang !== current;
+      current = lang;
+      pending = null;
+      return { lang, detected: det.lang, confidence: det.confidence, reason: `${det.lang} not offered, staying in ${lang} (${det.reason})`, switched };
+    }
+    if (!current) return decide(det.lang, `initial (${det.reason})`);
+    if (det.lang === current) return decide(current, `same (${det.reason})`);
+    if (strictness <= 0) return decide(det.lang, `strictness-0 follow (${det.reason})`);
+
+    const highConfidence = det.confidence === "high" && (strictness === 1 || sttAgrees);
+    if (highConfidence) return decide(det.lang, `${det.reason} match`);
+
+    pending = (pending && pending.lang === det.lang) ? { lang: det.lang, count: pending.count + 1 } : { lang: det.lang, count: 1 };
+    if (pending.count >= switchAfter && (strictness === 1 || sttAgrees)) {
+      return decide(det.lang, `${pending.count} consistent turns (${det.reason})`);
+    }
+    return decide(current, `hold: ${det.lang} seen ${pending.count}/${switchAfter} (${det.reason}${sttAgrees ? "" : ", stt disagrees"})`);
+  }
+
+  return {
+    resolve,
+    get lang() { return current || defaultLang; },
+    history: () => history.slice(),
+  };
+}
+
+// keyed sessions for servers where a call outlives its socket (flow.js webhooks, final4.js's per-turn streams)
+export function createLanguageSessionRegistry(opts = {}) {
+  const idleMs = (opts.idleMinutes ?? 30) * 60 * 1000;
+  const sessions = new Map(); // key -> { session, touchedAt }
+
+  // sessionOpts (e.g. a profile's allowed / defaultLang) only apply when the key's session is created
+  function get(key, sessionOpts = {}) {
+    let e = sessions.get(key);
+    if (!e) {
+      e = { session: createLanguageSession({ ...opts, ...sessionOpts }), touchedAt: Date.now() };
+      sessions.set(key, e);
+    }
+    e.touchedAt = Date.now();
+    return e.session;
+  }
+
+  const sweeper = setInterval(() => {
+    const cutoff = Date.now() - idleMs;
+    for (const [key, e] of sessions) {
+      if (e.touchedAt < cutoff) sessions.delete(key);
+    }
+  }, 60 * 1000);
+  sweeper.unref?.();
+
+  return { get, clear: (key) => sessions.delete(key) };
+}
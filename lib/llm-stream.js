@@ -0,0 +1,95 @@
+// lib/llm-stream.js
+// Helpers for streamed chat completions: SSE parsing (OpenAI/DeepSeek wire format)
+// and a sentence splitter that understands Devanagari/Gujarati punctuation.
+
+// yields each `data:` payload of an SSE response body (node-fetch stream or web ReadableStream)
+export async function* readSseData(body) {
+  const decoder = new TextDecoder();
+  let buf = "";
+  for await (const chunk of body) {
+    buf += typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+    let nl;
+    while ((nl = buf.indexOf("\n")) >= 0) {
+      const line = buf.slice(0, nl).replace(/\r$/, "");
+      buf = buf.slice(nl + 1);
+      const data = sseData(line);
+      if (data === "[DONE]") return;
+      if (data) yield data;
+    }
+  }
+  // a body that ends without a trailing newline still carries its last line
+  const data = sseData((buf + decoder.decode()).replace(/\r$/, ""));
+  if (data && data !== "[DONE]") yield data;
+}
+
+function sseData(line) {
+  return line.startsWith("data:") ? line.slice(5).trim() : null;
+}
+
+// yields content deltas from a `stream: true` chat completion response
+export async function* readChatDeltas(body) {
+  for await (const data of readSseData(body)) {
+    let json;
+    try { json = JSON.parse(data); } catch { continue; }
+    const delta = json?.choices?.[0]?.delta?.content ?? json?.choices?.[0]?.text ?? "";
+    if (delta) yield delta;
+  }
+}
+
+// sentence ends: . ! ? plus danda/double danda (Hindi + Gujarati replies use them too), newline
+const TERMINATORS = /[.!?।॥\n]/;
+const DANDA = /[।॥\n]/;
+const ABBREVIATIONS = /\b(rs|dr|mr|mrs|ms|st|vs|etc|approx)\.$/i;
+const NUMBER_ABBREVIATION = /\bno\.$/i; // "No. 5" is a number; "I said no. Call later." ends a sentence
+const CLOSERS = /["'”’)\]]/;
+
+// push() tokens in, get completed sentences out; flush() returns the tail.
+// Latin terminators only count once followed by whitespace (so "3.5" stays whole), closing quotes and
+// brackets in between allowed ('."', '?)'), and not after "Rs."-style abbreviations.
+export function createSentenceSplitter(opts = {}) {
+  const minChars = opts.minChars ?? 12; // merge very short fragments ("Hi.") into the next sentence
+  let buf = "";
+
+  function push(token) {
+    buf += token;
+    const out = [];
+    let start = 0;
+    for (let i = 0; i < buf.length; i++) {
+      const ch = buf[i];
+      if (!TERMINATORS.test(ch)) continue;
+      // trailing quotes/brackets belong to the sentence they close
+      let end = i + 1;
+      while (end < buf.length && CLOSERS.test(buf[end])) end++;
+      if (!DANDA.test(ch)) {
+        const next = buf[end];
+        if (next === undefined) break; // wait to see what follows
+        if (!/\s/.test(next)) continue;
+        if (ch === ".") {
+          const before = buf.slice(Math.max(0, i - 8), i + 1);
+          if (ABBREVIATIONS.test(before)) continue;
+          if (NUMBER_ABBREVIATION.test(before)) {
+            const following = buf.slice(end).trimStart();
+            if (!following) break; // wait for the next word
+            if (/^\d/.test(following)) continue;
+          }
+        }
+      }
+      const sentence = buf.slice(start, end).trim();
+      if (sentence.length >= minChars) {
+        out.push(sentence);
+        start = end;
+      }
+      i = end - 1;
+    }
+    buf = buf.slice(start);
+    return out;
+  }
+
+  function flush() {
+    const rest = buf.trim();
+    buf = "";
+    return rest ? [rest] : [];
+  }
+
+  return { push, flush };
+}
@@ -0,0 +1,175 @@
+// lib/llm.js
+// LLM provider abstraction. Every server talks to the model through
+// `provider.chat()` / `provider.stream()` (and `provider.complete()` when tools are offered,
+// see lib/tools.js); which backend answers is deployment config:
+//   LLM_PROVIDER=deepseek (default) | openai (any OpenAI-compatible base URL: Ollama, llama.cpp, vLLM…) | scripted
+//   LLM_BASE_URL, LLM_API_KEY, LLM_MODEL, LLM_TEMPERATURE, LLM_MAX_TOKENS, LLM_SCRIPT_FILE
+// Every call takes an optional opts.signal (AbortSignal) to cancel it, e.g. on barge-in.
+import fs from "fs";
+import { readChatDeltas } from "./llm-stream.js";
+
+let fetchFn = globalThis.fetch;
+if (!fetchFn) {
+  const mod = await import("node-fetch");
+  fetchFn = mod.default;
+}
+
+const PRESETS = {
+  deepseek: {
+    baseUrl: "https://api.deepseek.com/v1",
+    apiKey: () => process.env.DEEPSEEK_API_KEY,
+    model: () => process.env.DEEPSEEK_CHAT_MODEL || "deepseek-chat",
+  },
+  openai: {
+    baseUrl: "http://localhost:11434/v1", // Ollama's OpenAI-compatible endpoint
+    apiKey: () => process.env.OPENAI_API_KEY,
+    model: () => "llama3.1",
+  },
+  scripted: {
+    baseUrl: "",
+    apiKey: () => undefined,
+    model: () => "scripted",
+  },
+};
+
+// server defaults (e.g. { maxTokens: 80 }) < env
+export function llmConfigFromEnv(defaults = {}) {
+  const env = process.env;
+  const provider = (env.LLM_PROVIDER || defaults.provider || "deepseek").toLowerCase();
+  const preset = PRESETS[provider];
+  if (!preset) throw new Error(`Unknown LLM_PROVIDER "${provider}" (expected one of: ${Object.keys(PRESETS).join(", ")})`);
+  const num = (v, d) => (v === undefined || v === "" ? d : Number(v));
+  return {
+    provider,
+    baseUrl: (env.LLM_BASE_URL || defaults.baseUrl || preset.baseUrl).replace(/\/+$/, ""),
+    apiKey: env.LLM_API_KEY || defaults.apiKey || preset.apiKey(),
+    model: env.LLM_MODEL || defaults.model || preset.model(),
+    temperature: num(env.LLM_TEMPERATURE, defaults.temperature ?? 0.25),
+    maxTokens: num(env.LLM_MAX_TOKENS, defaults.maxTokens ?? 60),
+    timeoutMs: num(env.LLM_TIMEOUT_MS, defaults.timeoutMs ?? 15000),
+    scriptFile: env.LLM_SCRIPT_FILE || defaults.scriptFile,
+  };
+}
+
+export function createLlmProvider(config = llmConfigFromEnv()) {
+  if (config.provider === "scripted") return createScriptedProvider(config);
+  return createOpenAiCompatibleProvider(config);
+}
+
+// the caller's signal (if any) combined with the request timeout
+function withTimeout(signal, ms) {
+  const timeout = AbortSignal.timeout?.(ms);
+  if (!signal) return timeout;
+  return timeout && AbortSignal.any ? AbortSignal.any([signal, timeout]) : signal;
+}
+
+// ---- OpenAI-compatible /chat/completions (DeepSeek, OpenAI, Ollama, llama.cpp server) ----
+function createOpenAiCompatibleProvider(config) {
+  const url = `${config.baseUrl}/chat/completions`;
+
+  async function post(body, signal) {
+    if (config.provider === "deepseek" && !config.apiKey) throw new Error("DEEPSEEK_API_KEY missing");
+    const headers = { "Content-Type": "application/json" };
+    if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+    const res = await fetchFn(url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+      signal: withTimeout(signal, config.timeoutMs),
+    });
+    if (!res.ok) {
+      const txt = await res.text().catch(() => "");
+      const err = new Error(`${config.provider} error ${res.status}: ${txt.slice(0, 300)}`);
+      err.status = res.status;
+      throw err;
+    }
+    return res;
+  }
+
+  function requestBody(opts, extra = {}) {
+    return {
+      model: opts.model || config.model,
+      messages: opts.messages,
+      temperature: opts.temperature ?? config.temperature,
+      max_tokens: opts.maxTokens ?? config.maxTokens,
+      ...extra,
+    };
+  }
+
+  async function chat(opts) {
+    const res = await post(requestBody(opts), opts.signal);
+    const json = await res.json().catch(() => null);
+    return json?.choices?.[0]?.message?.content || json?.choices?.[0]?.text || "";
+  }
+
+  async function* stream(opts) {
+    const res = await post(requestBody(opts, { stream: true }), opts.signal);
+    yield* readChatDeltas(res.body);
+  }
+
+  // opts.tools: OpenAI `tools` definitions; resolves with { content, toolCalls: [{ id, name, arguments }] }
+  async function complete(opts) {
+    const extra = opts.tools?.length ? { tools: opts.tools, tool_choice: "auto" } : {};
+    const res = await post(requestBody(opts, extra), opts.signal);
+    const json = await res.json().catch(() => null);
+    const message = json?.choices?.[0]?.message || {};
+    return {
+      content: message.content || json?.choices?.[0]?.text || "",
+      toolCalls: (message.tool_calls || []).map((c) => ({
+        id: c.id,
+        name: c.function?.name,
+        arguments: c.function?.arguments || "{}",
+      })),
+    };
+  }
+
+  return { name: config.provider, model: config.model, config, chat, stream, complete };
+}
+
+// ---- deterministic scripted provider (tests / offline demos) ----
+// LLM_SCRIPT_FILE is JSON: either ["reply 1", "reply 2", …] (served in order, cycling)
+// or { "rules": [{ "match": "regex", "reply": "…" }], "default": "…" } matched against the last user message.
+// A rule with "tool": { "name": "…", "arguments": {…} } calls that tool first when tools are offered;
+// its reply is then spoken with "{result}" replaced by the tool's JSON result.
+// config.script takes the same shape in memory (the mock APIs in lib/mock-apis.js use it).
+export function createScriptedProvider(config) {
+  let script = { replies: ["Okay."] };
+  const raw = config.script || (config.scriptFile ? JSON.parse(fs.readFileSync(config.scriptFile, "utf8")) : null);
+  if (raw) script = Array.isArray(raw) ? { replies: raw } : raw;
+  const rules = (script.rules || []).map((r) => ({ re: new RegExp(r.match, "i"), reply: r.reply, tool: r.tool }));
+  let turn = 0;
+  let callSeq = 0;
+
+  function matchRule(messages = []) {
+    const lastUser = [...messages].reverse().find((m) => m.role === "user")?.content || "";
+    return rules.find((r) => r.re.test(lastUser));
+  }
+
+  async function chat(opts) {
+    const rule = matchRule(opts.messages);
+    if (rule) return rule.reply;
+    if (script.replies?.length) return script.replies[turn++ % script.replies.length];
+    return script.default || "Okay.";
+  }
+
+  async function* stream(opts) {
+    const reply = await chat(opts);
+    for (const piece of reply.match(/\S+\s*/g) || []) yield piece;
+  }
+
+  async function complete(opts) {
+    const messages = opts.messages || [];
+    const last = messages[messages.length - 1];
+    const rule = matchRule(messages);
+    if (rule?.tool && last?.role === "tool") {
+      return { content: String(rule.reply || "").split("{result}").join(last.content), toolCalls: [] };
+    }
+    if (rule?.tool && opts.tools?.some((t) => t.function?.name === rule.tool.name)) {
+      const call = { id: `call_${++callSeq}`, name: rule.tool.name, arguments: JSON.stringify(rule.tool.arguments || {}) };
+      return { content: "", toolCalls: [call] };
+    }
+    return { content: await chat(opts), toolCalls: [] };
+  }
+
+  return { name: "scripted", model: "scripted", config, chat, stream, complete };
+}
@@ -0,0 +1,418 @@
+// lib/mock-apis.js
+// Local stand-ins for the Sarvam and DeepSeek APIs, so the servers run end to end without keys or
+// network: scripted transcripts and replies, tone audio, injectable latency and failures.
+//
+//   const mock = createMockApis(mockApisConfigFromEnv());
+//   const port = await mock.listen();        // then run a server with
+//   //   SARVAM_BASE_URL=http://localhost:4010  LLM_BASE_URL=http://localhost:4010/v1  DEEPSEEK_API_KEY=mock
+//   mock.configure({ errors: "llm:500*1" });  // same as POST /__mock
+//   await mock.close();
+//
+// Endpoints, with the name MOCK_LATENCY_MS / MOCK_ERRORS use for them:
+//   stt     POST /speech-to-text                              Sarvam REST STT (multipart)
+//   stt-ws  WS   /speech-to-text/ws, /speech_to_text_streaming VAD over the incoming audio (lib/vad.js):
+//                START_SPEECH / END_SPEECH events, then a "data" message with the next transcript
+//   tts     POST /text-to-speech                              { audios: [WAV base64] }
+//   tts-ws  WS   /text-to-speech/ws                           config / text / flush -> audio chunks, "final" event
+//   llm     POST /v1/chat/completions, /chat/completions      OpenAI wire format, `stream: true` as SSE, tool calls
+//           GET  /__mock counters and settings; POST /__mock { latencyMs, errors, script, reset } changes them
+// Speech is lib/tts.js's tone synthesizer (one beep per word). Replies come from the scripted provider
+// in lib/llm.js, so the "llm" part of MOCK_SCRIPT_FILE has the LLM_SCRIPT_FILE shape:
+//   { "stt": ["namaste", { "text": "mera order kab aayega", "lang": "hi-IN" }],
+//     "llm": { "rules": [{ "match": "order", "reply": "Aapka order kal pahunchega." }], "default": "Ji." } }
+// Transcripts are served in order (cycling), one per utterance; silent audio gets an empty one.
+//
+// MOCK_PORT (4010), MOCK_SCRIPT_FILE, MOCK_CHUNK_MS (gap between streamed chunks, default 20)
+// MOCK_LATENCY_MS  "300" for every endpoint, or per endpoint: "200,llm:900,stt-ws:150"
+// MOCK_ERRORS      "llm:500*2,tts-ws:drop,stt:timeout@0.3" — endpoint:mode, *N only for the next N requests,
+//                  @p with probability p. Modes: an HTTP status (sockets: upgrade refused), timeout (never
+//                  answers), drop (connection cut mid-response; sockets close on their first message)
+import http from "http";
+import fs from "fs";
+import crypto from "crypto";
+import express from "express";
+import { WebSocketServer } from "ws";
+import { createScriptedProvider } from "./llm.js";
+import { createTtsProvider } from "./tts.js";
+import { createVad } from "./vad.js";
+import { isWav, parseWavPcm16 } from "./audio.js";
+import { normalizeLangCode } from "./language.js";
+
+const ENDPOINTS = ["stt", "stt-ws", "tts", "tts-ws", "llm"];
+const STT_WS_PATHS = new Set(["/speech-to-text/ws", "/speech_to_text_streaming"]);
+const TTS_WS_PATHS = new Set(["/text-to-speech/ws"]);
+const DEFAULT_TRANSCRIPTS = ["Hello."];
+const TTS_CHUNK_MS = 200; // audio per streamed chunk
+// Sarvam streaming codec names -> lib/tts.js formats
+const TTS_CODECS = { linear16: "pcm16", wav: "wav", mulaw: "mulaw", alaw: "alaw", mp3: "mp3" };
+const CONTENT_TYPES = { pcm16: "audio/pcm", wav: "audio/wav", mulaw: "audio/mulaw", alaw: "audio/alaw", mp3: "audio/mpeg" };
+const ERROR_RULE = /^([\w-]+):(\d{3}|timeout|drop)(?:\*(\d+))?(?:@([\d.]+))?$/;
+
+function log(...args) { console.log(new Date().toISOString(), ...args); }
+
+const sleep = (ms) => (ms > 0 ? new Promise((resolve) => setTimeout(resolve, ms)) : Promise.resolve());
+const requestId = () => crypto.randomUUID();
+const errorBody = (message, code = "mock_error") => ({ error: { message, code } });
+
+// "300" | "200,llm:900" -> { default: 200, llm: 900 }
+export function parseLatency(spec) {
+  const out = { default: 0 };
+  for (const part of String(spec ?? "").split(",").map((p) => p.trim()).filter(Boolean)) {
+    const [name, value] = part.includes(":") ? part.split(":") : ["default", part];
+    const ms = Number(value);
+    if (name !== "default" && !ENDPOINTS.includes(name)) throw new Error(`MOCK_LATENCY_MS: unknown endpoint "${name}"`);
+    if (!Number.isFinite(ms) || ms < 0) throw new Error(`MOCK_LATENCY_MS: bad delay "${part}"`);
+    out[name] = ms;
+  }
+  return out;
+}
+
+// "llm:500*2,stt:timeout@0.3" -> [{ endpoint, mode, remaining, probability }]
+export function parseErrors(spec) {
+  return String(spec ?? "").split(",").map((p) => p.trim()).filter(Boolean).map((part) => {
+    const m = ERROR_RULE.exec(part);
+    if (!m || !ENDPOINTS.includes(m[1])) throw new Error(`MOCK_ERRORS: bad rule "${part}" (endpoint:status|timeout|drop[*N][@p])`);
+    return {
+      endpoint: m[1],
+      mode: m[2],
+      remaining: m[3] === undefined ? null : parseInt(m[3], 10), // null: every request
+      probability: m[4] === undefined ? null : Number(m[4]),
+    };
+  });
+}
+
+// server defaults (e.g. { port: 0, script: {…} }) < env
+export function mockApisConfigFromEnv(defaults = {}) {
+  const env = process.env;
+  const num = (v, d) => (v === undefined || v === "" ? d : Number(v));
+  return {
+    port: num(env.MOCK_PORT, defaults.port ?? 4010),
+    scriptFile: env.MOCK_SCRIPT_FILE || defaults.scriptFile,
+    script: defaults.script, // in-memory script, wins over the file
+    latency: parseLatency(env.MOCK_LATENCY_MS ?? defaults.latencyMs ?? 0),
+    errors: parseErrors(env.MOCK_ERRORS ?? defaults.errors ?? ""),
+    chunkMs: num(env.MOCK_CHUNK_MS, defaults.chunkMs ?? 20),
+  };
+}
+
+// multipart/form-data body -> Map(field name -> Buffer); enough for what lib/stt.js sends
+function parseMultipart(body, contentType = "") {
+  const fields = new Map();
+  const m = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  if (!m || !Buffer.isBuffer(body)) return fields;
+  const delimiter = Buffer.from(`--${m[1] || m[2]}`);
+  let start = body.indexOf(delimiter);
+  while (start >= 0) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (next < 0) break;
+    const part = body.subarray(start + delimiter.length + 2, next - 2); // CRLF after the delimiter / before the next
+    const headerEnd = part.indexOf("\r\n\r\n");
+    const name = headerEnd >= 0 && /name="([^"]*)"/i.exec(part.subarray(0, headerEnd).toString("utf8"))?.[1];
+    if (name) fields.set(name, part.subarray(headerEnd + 4));
+    start = next;
+  }
+  return fields;
+}
+
+function hasSpeech(pcm16, sampleRate) {
+  const vad = createVad();
+  return [...vad.push(pcm16, sampleRate), ...vad.flush()].some((e) => e.type === "speech_start");
+}
+
+// tone audio in a lib/tts.js format at the requested rate (G.711 is always 8 kHz)
+function speak(text, format, sampleRate) {
+  return createTtsProvider({ provider: "tone", sampleRate }).synthesize(text, { format, sampleRate });
+}
+
+export function createMockApis(config = mockApisConfigFromEnv()) {
+  let latency = config.latency || parseLatency(0);
+  let errors = config.errors || [];
+  let script = {};
+  let transcripts = [];
+  let sttTurn = 0;
+  let llm = null;
+  const counts = Object.fromEntries(ENDPOINTS.map((e) => [e, 0]));
+
+  function loadScript(raw) {
+    script = raw || {};
+    transcripts = (script.stt?.length ? script.stt : DEFAULT_TRANSCRIPTS).map((t) => (typeof t === "string" ? { text: t } : t));
+    sttTurn = 0;
+    llm = createScriptedProvider({ script: script.llm || ["Okay."] });
+  }
+  loadScript(config.script || (config.scriptFile ? JSON.parse(fs.readFileSync(config.scriptFile, "utf8")) : null));
+  if (config.scriptFile && !config.script) log(`🧪 Mock script from ${config.scriptFile}`);
+
+  const delayFor = (endpoint) => latency[endpoint] ?? latency.default ?? 0;
+
+  // the failure to inject into this request, if any; a *N rule is used up as it fires
+  function failureFor(endpoint) {
+    for (const rule of errors) {
+      if (rule.endpoint !== endpoint || rule.remaining === 0) continue;
+      if (rule.probability !== null && Math.random() >= rule.probability) continue;
+      if (rule.remaining !== null) rule.remaining--;
+      log(`🧪 Injecting ${rule.mode} into ${endpoint}`);
+      return rule.mode;
+    }
+    return null;
+  }
+
+  // requested language wins over "unknown"; the script entry wins over both
+  function nextTranscript(lang) {
+    const t = transcripts[sttTurn++ % transcripts.length];
+    const requested = lang && lang !== "unknown" ? lang : null;
+    return { text: String(t.text || ""), lang: normalizeLangCode(t.lang || requested || "en-IN") };
+  }
+
+  function status() {
+    return { counts, sttTurn, latency, errors };
+  }
+
+  // same fields as POST /__mock; throws on a bad spec and leaves the old settings in place
+  function configure(changes = {}) {
+    const next = {
+      latency: changes.latencyMs === undefined ? latency : parseLatency(changes.latencyMs),
+      errors: changes.errors === undefined ? errors : parseErrors(changes.errors),
+    };
+    latency = next.latency;
+    errors = next.errors;
+    if (changes.script !== undefined) loadScript(changes.script);
+    if (changes.reset) {
+      loadScript(script);
+      for (const e of ENDPOINTS) counts[e] = 0;
+    }
+    return status();
+  }
+
+  // counts the request, applies an injected status / timeout and waits the latency.
+  // Resolves null when the request is already settled, else { drop } for streaming handlers.
+  async function admit(endpoint, req, res, { streaming = false } = {}) {
+    counts[endpoint]++;
+    const failure = failureFor(endpoint);
+    if (failure === "timeout") return null; // left open: the caller's own timeout has to fire
+    await sleep(delayFor(endpoint));
+    if (failure === "drop" && !streaming) {
+      req.socket.destroy();
+      return null;
+    }
+    if (failure && failure !== "drop") {
+      res.status(Number(failure)).json(errorBody(`mock ${endpoint} failure`, `http_${failure}`));
+      return null;
+    }
+    return { drop: failure === "drop" };
+  }
+
+  const app = express();
+
+  app.post("/speech-to-text", express.raw({ type: "multipart/form-data", limit: "50mb" }), async (req, res) => {
+    if (!(await admit("stt", req, res))) return;
+    const fields = parseMultipart(req.body, req.headers["content-type"]);
+    const file = fields.get("file");
+    if (!file?.length) return res.status(400).json(errorBody("file is required", "invalid_request_error"));
+    const lang = fields.get("language_code")?.toString("utf8");
+    let speech = true;
+    if (isWav(file)) {
+      const { sampleRate, pcm16 } = parseWavPcm16(file);
+      speech = hasSpeech(pcm16, sampleRate);
+    }
+    const t = speech ? nextTranscript(lang) : { text: "", lang: normalizeLangCode(lang && lang !== "unknown" ? lang : "en-IN") };
+    log(`🧪 stt: "${t.text}" (${t.lang})`);
+    res.json({ request_id: requestId(), transcript: t.text, language_code: t.lang, language_probability: 0.99 });
+  });
+
+  app.post("/text-to-speech", express.json({ limit: "1mb" }), async (req, res) => {
+    if (!(await admit("tts", req, res))) return;
+    const body = req.body || {};
+    const texts = Array.isArray(body.inputs) ? body.inputs : body.text ? [body.text] : [];
+    if (!texts.length || texts.some((t) => !String(t).trim())) return res.status(400).json(errorBody("text is required", "invalid_request_error"));
+    const sampleRate = Number(body.speech_sample_rate) || 22050;
+    const audios = [];
+    for (const text of texts) audios.push((await speak(String(text), "wav", sampleRate)).audio.toString("base64"));
+    log(`🧪 tts: ${texts.join(" | ").slice(0, 80)}`);
+    res.json({ request_id: requestId(), audios });
+  });
+
+  app.post(["/v1/chat/completions", "/chat/completions"], express.json({ limit: "5mb" }), async (req, res) => {
+    const body = req.body || {};
+    if (!Array.isArray(body.messages) || !body.messages.length) return res.status(400).json(errorBody("messages is required", "invalid_request_error"));
+    const gate = await admit("llm", req, res, { streaming: !!body.stream });
+    if (!gate) return;
+    const id = `chatcmpl-${requestId()}`;
+    const created = Math.floor(Date.now() / 1000);
+    const model = body.model || "mock-chat";
+
+    if (!body.stream) {
+      const { content, toolCalls } = await llm.complete({ messages: body.messages, tools: body.tools });
+      const message = { role: "assistant", content: toolCalls.length ? null : content };
+      if (toolCalls.length) {
+        message.tool_calls = toolCalls.map((c) => ({ id: c.id, type: "function", function: { name: c.name, arguments: c.arguments } }));
+      }
+      log(`🧪 llm: ${toolCalls.length ? `tool ${toolCalls.map((c) => c.name).join(", ")}` : content}`);
+      return res.json({ id, object: "chat.completion", created, model, choices: [{ index: 0, message, finish_reason: toolCalls.length ? "tool_calls" : "stop" }] });
+    }
+
+    res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+    const chunk = (delta, finishReason = null) =>
+      res.write(`data: ${JSON.stringify({ id, object: "chat.completion.chunk", created, model, choices: [{ index: 0, delta, finish_reason: finishReason }] })}\n\n`);
+    chunk({ role: "assistant", content: "" });
+    let reply = "";
+    for await (const piece of llm.stream({ messages: body.messages })) {
+      if (res.destroyed) return; // the caller gave up (barge-in, timeout)
+      chunk({ content: piece });
+      reply += piece;
+      await sleep(config.chunkMs);
+      if (gate.drop) return req.socket.destroy(); // after the first delta has gone out
+    }
+    chunk({}, "stop");
+    res.end("data: [DONE]\n\n");
+    log(`🧪 llm (stream): ${reply}`);
+  });
+
+  app.get("/__mock", (req, res) => res.json(status()));
+  app.post("/__mock", express.json(), (req, res) => {
+    try {
+      res.json(configure(req.body || {}));
+    } catch (e) {
+      res.status(400).json(errorBody(e.message, "invalid_request_error"));
+    }
+  });
+
+  // ---- sockets ----
+  const server = http.createServer(app);
+  const wss = new WebSocketServer({ noServer: true });
+
+  function refuse(socket, statusCode) {
+    socket.write(`HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode] || "Error"}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+    socket.destroy();
+  }
+
+  server.on("upgrade", (req, socket, head) => {
+    const url = new URL(req.url, "http://mock");
+    const endpoint = STT_WS_PATHS.has(url.pathname) ? "stt-ws" : TTS_WS_PATHS.has(url.pathname) ? "tts-ws" : null;
+    if (!endpoint) return refuse(socket, 404);
+    counts[endpoint]++;
+    const failure = failureFor(endpoint);
+    if (/^\d+$/.test(failure || "")) return refuse(socket, Number(failure));
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const handler = endpoint === "stt-ws" ? sttSocket : ttsSocket;
+      handler(ws, url.searchParams, failure);
+    });
+  });
+
+  function jsonSender(ws) {
+    return (msg) => { if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(msg)); };
+  }
+
+  // "drop" closes on the first message, "timeout" swallows everything; returns the parsed message or null
+  function receive(ws, raw, failure, send) {
+    if (failure === "drop") {
+      ws.close(1011, "mock drop");
+      return null;
+    }
+    if (failure === "timeout") return null;
+    try {
+      return JSON.parse(raw.toString());
+    } catch {
+      send({ type: "error", data: { message: "Invalid JSON message" } });
+      return null;
+    }
+  }
+
+  function sttSocket(ws, query, failure) {
+    const lang = query.get("language-code") || query.get("language_code") || "unknown";
+    const signals = query.get("vad_signals") === "true";
+    const send = jsonSender(ws);
+    const vad = createVad();
+    let queue = Promise.resolve(); // transcripts leave in utterance order whatever the latency
+
+    function onVadEvents(events) {
+      for (const evt of events) {
+        const at = Date.now() / 1000;
+        if (evt.type === "speech_start") {
+          if (signals) send({ type: "events", data: { signal_type: "START_SPEECH", occured_at: at } });
+          continue;
+        }
+        if (signals) send({ type: "events", data: { signal_type: "END_SPEECH", occured_at: at } });
+        const t = nextTranscript(lang);
+        queue = queue.then(async () => {
+          await sleep(delayFor("stt-ws"));
+          log(`🧪 stt-ws: "${t.text}" (${t.lang}, ${evt.durationMs} ms)`);
+          send({ type: "data", data: { request_id: requestId(), transcript: t.text, language_code: t.lang, metrics: { audio_duration: evt.durationMs / 1000 } } });
+        });
+      }
+    }
+
+    ws.on("message", (raw) => {
+      const msg = receive(ws, raw, failure, send);
+      if (!msg) return;
+      if (msg.audio?.data) {
+        // the SDK labels raw PCM as audio/wav, so look at the bytes rather than the encoding
+        const buf = Buffer.from(msg.audio.data, "base64");
+        const { sampleRate, pcm16 } = isWav(buf) ? parseWavPcm16(buf) : { sampleRate: Number(msg.audio.sample_rate) || 16000, pcm16: buf };
+        onVadEvents(vad.push(pcm16, sampleRate));
+      } else if (msg.type === "flush" || msg.event === "end") {
+        onVadEvents(vad.flush());
+      }
+    });
+  }
+
+  function ttsSocket(ws, query, failure) {
+    const completionEvent = query.get("send_completion_event") === "true";
+    const send = jsonSender(ws);
+    let settings = {};
+    let text = "";
+    let queue = Promise.resolve();
+
+    async function synthesize(pending) {
+      const format = TTS_CODECS[settings.output_audio_codec] || "mp3";
+      const sampleRate = Number(settings.speech_sample_rate) || 22050;
+      await sleep(delayFor("tts-ws"));
+      try {
+        const clip = await speak(pending, format, sampleRate);
+        // raw audio goes out in TTS_CHUNK_MS pieces; containers (mp3, wav) in one piece
+        const bytesPerSample = format === "pcm16" ? 2 : 1;
+        const step = format === "mp3" || format === "wav" ? clip.audio.length : Math.round((clip.sampleRate * bytesPerSample * TTS_CHUNK_MS) / 1000);
+        for (let off = 0; off < clip.audio.length && ws.readyState === ws.OPEN; off += step) {
+          send({ type: "audio", data: { content_type: CONTENT_TYPES[format], audio: clip.audio.subarray(off, off + step).toString("base64") } });
+          await sleep(config.chunkMs);
+        }
+        log(`🧪 tts-ws: ${pending.slice(0, 80)} (${format})`);
+        if (completionEvent) send({ type: "event", data: { event_type: "final" } });
+      } catch (e) {
+        send({ type: "error", data: { message: e?.message || String(e) } });
+      }
+    }
+
+    ws.on("message", (raw) => {
+      const msg = receive(ws, raw, failure, send);
+      if (!msg) return;
+      if (msg.type === "config") {
+        settings = { ...settings, ...(msg.data || {}) };
+      } else if (msg.type === "text") {
+        text += (text ? " " : "") + String(msg.data?.text || "").trim();
+      } else if (msg.type === "flush") {
+        const pending = text;
+        text = "";
+        if (pending.trim()) queue = queue.then(() => synthesize(pending));
+      }
+      // "ping" needs no answer
+    });
+  }
+
+  function listen(port = config.port) {
+    return new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, () => {
+        server.off("error", reject);
+        resolve(server.address().port);
+      });
+    });
+  }
+
+  async function close() {
+    for (const ws of wss.clients) ws.terminate();
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  return { app, server, listen, close, configure, status };
+}
@@ -0,0 +1,159 @@
+// lib/profiles.js
+// Assistant profiles, so one server process can answer several business lines. PROFILES_FILE
+// (JSON) gives each profile its persona prompt, languages, voices, greeting and reply limits;
+// /answer picks one by the dialed number (Twilio's `To`) or an explicit ?profile=, and hands its
+// id to the media stream as <Parameter name="profile">. Without the file every call gets the
+// "default" profile, which keeps the server's own prompt and the TTS_* / SARVAM_* env settings.
+//
+//   const profiles = createProfileStore();                            // PROFILES_FILE, default ./profiles.json
+//   const profile = profiles.select({ to: ourNumber(req.body), id: req.query.profile });   // /answer
+//   stream.parameter({ name: PROFILE_PARAM, value: profile.id });
+//   const profile = profiles.get(start.customParameters[PROFILE_PARAM]);            // stream start
+//   voiceFor(profile, lang), greetingFor(profile, lang), sentenceLimit(profile)
+//
+// {
+//   "default": "store",
+//   "profiles": [{
+//     "id": "store", "name": "Shah Electronics", "numbers": ["+917900000001"],
+//     "persona": "You are Riya, the phone assistant of Shah Electronics in Ahmedabad.",
+//     "languages": ["gu-IN", "hi-IN", "en-IN"], "defaultLang": "gu-IN",
+//     "voices": { "gu-IN": "anushka", "hi-IN": "manisha", "default": "vidya" },
+//     "sttModel": "saarika:v2.5",
+//     "greeting": { "gu-IN": "નમસ્તે, શાહ ઇલેક્ટ્રોનિક્સમાં આપનું સ્વાગત છે.", "en-IN": "Welcome to Shah Electronics." },
+//     "maxSentences": 2, "maxReplyChars": 240, "maxTokens": 90, "flow": "orders",
+//     "slots": { "fields": [{ "name": "name", "type": "name" }, { "name": "pincode", "type": "pincode" }] }
+//   }]
+// }
+import fs from "fs";
+import path from "path";
+import { normalizeLangCode } from "./language.js";
+import { normalizeNumber } from "./campaign.js";
+import { normalizeSlotSchema } from "./slots.js";
+
+export const PROFILE_PARAM = "profile";
+const DEFAULT_ID = "default";
+
+function log(...args) { console.log(new Date().toISOString(), ...args); }
+
+export function profilesConfigFromEnv(defaults = {}) {
+  const file = process.env.PROFILES_FILE || defaults.file || path.join(process.cwd(), "profiles.json");
+  return { file, explicit: !!(process.env.PROFILES_FILE || defaults.file) };
+}
+
+function langList(value, where) {
+  if (value === undefined || value === null) return null;
+  if (!Array.isArray(value) || !value.length) throw new Error(`${where}: "languages" must be a non-empty array`);
+  return value.map(normalizeLangCode);
+}
+
+// file entry -> the shape servers read; throws on anything a call would trip over later
+export function normalizeProfile(raw, id = raw?.id) {
+  const where = `profile "${id}"`;
+  if (!id || !/^[\w-]+$/.test(id)) throw new Error(`Profile id "${id}" must be letters, digits, _ or -`);
+  const languages = langList(raw.languages, where);
+  const defaultLang = normalizeLangCode(raw.defaultLang || languages?.[0] || process.env.LANG_DEFAULT || "en-IN");
+  if (languages && !languages.includes(defaultLang)) throw new Error(`${where}: defaultLang ${defaultLang} is not in languages`);
+  // { "gu": …, "default": … } -> { "gu-IN": …, "default": … }
+  const byLang = (obj) => Object.fromEntries(Object.entries(obj).map(([lang, v]) => [lang === "default" ? lang : normalizeLangCode(lang), v]));
+  const voices = byLang(raw.voices || {});
+  const greeting = typeof raw.greeting === "string" ? { [defaultLang]: raw.greeting } : raw.greeting ? byLang(raw.greeting) : null;
+  const int = (v, d) => (v === undefined || v === null ? d : parseInt(v, 10));
+  return {
+    id,
+    name: raw.name || id,
+    numbers: (raw.numbers || []).map((n) => normalizeNumber(n)).filter(Boolean),
+    persona: raw.persona || null, // null: the server's own "You are an AI assistant …"
+    languages, // null: any language the STT hears
+    defaultLang,
+    voices,
+    sttModel: raw.sttModel || null,
+    greeting,
+    maxSentences: Math.max(1, int(raw.maxSentences, 1)),
+    maxReplyChars: Math.max(20, int(raw.maxReplyChars, 200)),
+    maxTokens: int(raw.maxTokens, null), // null: the server's LLM_MAX_TOKENS default
+    flow: raw.flow || null, // call flow id (FLOWS_DIR, see lib/flows.js); null: the FLOW default
+    slots: normalizeSlotSchema(raw.slots, where), // fields to collect (see lib/slots.js); null: no slot filling
+  };
+}
+
+// PROFILES_FILE text -> { profiles: Map(id -> profile), defaultId }
+export function parseProfiles(text) {
+  const data = JSON.parse(text);
+  const entries = Array.isArray(data.profiles)
+    ? data.profiles.map((p) => [p.id, p])
+    : Object.entries(data.profiles || {});
+  const profiles = new Map();
+  const owners = new Map(); // number -> profile id
+  for (const [id, raw] of entries) {
+    if (profiles.has(id)) throw new Error(`Duplicate profile id "${id}"`);
+    const profile = normalizeProfile(raw, id);
+    for (const n of profile.numbers) {
+      if (owners.has(n)) throw new Error(`Number ${n} is listed in both "${owners.get(n)}" and "${id}"`);
+      owners.set(n, id);
+    }
+    profiles.set(id, profile);
+  }
+  const defaultId = data.default || (profiles.has(DEFAULT_ID) ? DEFAULT_ID : entries[0]?.[0]);
+  if (defaultId && !profiles.has(defaultId)) throw new Error(`Default profile "${defaultId}" is not defined`);
+  return { profiles, defaultId };
+}
+
+export function createProfileStore(config = profilesConfigFromEnv()) {
+  let profiles = new Map();
+  let byNumber = new Map();
+  let defaultId = DEFAULT_ID;
+  const fallback = normalizeProfile({}, DEFAULT_ID);
+
+  function load() {
+    if (!fs.existsSync(config.file)) {
+      if (config.explicit) throw new Error(`PROFILES_FILE ${config.file} does not exist`);
+      return;
+    }
+    const parsed = parseProfiles(fs.readFileSync(config.file, "utf8"));
+    profiles = parsed.profiles;
+    defaultId = parsed.defaultId || DEFAULT_ID;
+    byNumber = new Map();
+    for (const p of profiles.values()) for (const n of p.numbers) byNumber.set(n, p.id);
+    log(`🎭 Profiles: ${[...profiles.keys()].join(", ")} (default ${defaultId}) from ${config.file}`);
+  }
+  load();
+
+  // unknown / missing id -> the default profile, so a stale parameter never breaks a call
+  function get(id) {
+    return profiles.get(id) || profiles.get(defaultId) || fallback;
+  }
+
+  // /answer: an explicit id (query or stream parameter) wins over the dialed number
+  function select({ to, id } = {}) {
+    if (id && profiles.has(id)) return profiles.get(id);
+    const owner = to ? byNumber.get(normalizeNumber(to)) : null;
+    return get(owner);
+  }
+
+  return { get, select, reload: load, list: () => [...profiles.values()] };
+}
+
+// our Twilio number in webhook params: `To` on inbound calls, `From` on ones we placed (campaigns)
+export function ourNumber(params = {}) {
+  return String(params.Direction || "").startsWith("outbound") ? params.From : params.To;
+}
+
+// TTS speaker for a language; undefined leaves the provider's TTS_VOICE default
+export function voiceFor(profile, lang) {
+  return profile?.voices?.[lang] || profile?.voices?.default || undefined;
+}
+
+// { lang, text } for the opening line, or null when the profile has none
+export function greetingFor(profile, lang) {
+  const g = profile?.greeting;
+  if (!g) return null;
+  const pick = [lang, profile.defaultLang, "default"].find((l) => l && g[l]);
+  if (!pick) return null;
+  return { lang: pick === "default" ? profile.defaultLang : pick, text: g[pick] };
+}
+
+// reply-length clause for the system prompt
+export function sentenceLimit(profile) {
+  const n = profile?.maxSentences || 1;
+  return n === 1 ? "1 sentence only" : `at most ${n} sentences`;
+}
@@ -0,0 +1,143 @@
+// lib/recorder.js
+// Optional two-channel call recording for the media-stream servers (RECORD_CALLS=true).
+// Caller audio goes left, bot audio right, both placed on the stream's own clock:
+// inbound frames carry Twilio's media.timestamp (ms since stream start); bot audio is either
+// given a timestamp (outbound track of a both_tracks stream) or placed at "now" on that clock.
+// The stereo WAV is written to RECORDINGS_DIR/<callSid>.wav when the call stops.
+// RECORD_MAX_MINUTES (default 60) caps its length.
+//
+//   if (recordCalls()) rec = createCallRecorder({ callSid });
+//   rec.caller(pcm16, Number(media.timestamp));
+//   rec.bot(pcm16);                 // as frames are sent into the call
+//   rec.nextStream();               // a later stream of the same call (final4.js opens one per turn)
+//   await rec.finalize();           // on "stop"
+//   app.use(createRecordingsRouter({ auth }));   // GET /recordings/:sid(.wav), ADMIN_TOKEN (lib/admin-auth.js)
+import fs from "fs";
+import path from "path";
+import express from "express";
+import { adminAuth, reportDisabled } from "./admin-auth.js";
+import { int16View, makeWavBuffer } from "./audio.js";
+
+const SID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+function log(...args) { console.log(new Date().toISOString(), ...args); }
+function warn(...args) { console.warn(new Date().toISOString(), ...args); }
+
+// read on every call: servers load .env after their imports have been evaluated
+export function recordCalls() {
+  return (process.env.RECORD_CALLS || "false").toLowerCase() === "true";
+}
+
+function recordingsDir() {
+  return process.env.RECORDINGS_DIR || path.join(process.cwd(), "recordings");
+}
+
+export function recordingPath(callSid, dir = recordingsDir()) {
+  return SID_RE.test(callSid || "") ? path.join(dir, `${callSid}.wav`) : null;
+}
+
+export function createCallRecorder({ callSid, dir = recordingsDir(), sampleRate = 8000, maxMinutes } = {}) {
+  const minutes = maxMinutes ?? parseFloat(process.env.RECORD_MAX_MINUTES || "60");
+  const maxSamples = Math.round(minutes * 60 * sampleRate);
+  const tracks = { caller: [], bot: [] }; // [{ start (sample index), samples: Int16Array }]
+  let botEnd = 0; // sample index where the last bot audio ended
+  let clock = null; // { ts, wall }: last inbound timestamp (on the recording's clock) and when it arrived
+  let offsetMs = 0; // where the current stream's timestamps start on the recording's clock
+  let endMs = 0; // where the latest audio on either channel ends
+  let finalized = null;
+
+  function streamTimeMs() {
+    if (!clock) return 0;
+    return clock.ts + (Date.now() - clock.wall);
+  }
+
+  function place(track, pcm16leBuffer, startSample) {
+    if (finalized || !pcm16leBuffer?.length || startSample >= maxSamples) return;
+    tracks[track].push({ start: Math.max(0, startSample), samples: Int16Array.from(int16View(pcm16leBuffer)) });
+  }
+
+  function toSample(ms) { return Math.round((ms * sampleRate) / 1000); }
+  function toMs(pcm16leBuffer) { return (Math.floor(pcm16leBuffer.length / 2) * 1000) / sampleRate; }
+
+  // inbound frame; timestampMs = Twilio media.timestamp
+  function caller(pcm16leBuffer, timestampMs) {
+    const ts = Number.isFinite(timestampMs) ? offsetMs + timestampMs : streamTimeMs();
+    clock = { ts, wall: Date.now() };
+    place("caller", pcm16leBuffer, toSample(ts));
+    endMs = Math.max(endMs, ts + toMs(pcm16leBuffer));
+  }
+
+  // outbound audio; without a timestamp it continues the previous bot audio or starts "now", whichever is later
+  function bot(pcm16leBuffer, timestampMs) {
+    const start = Number.isFinite(timestampMs) ? toSample(offsetMs + timestampMs) : Math.max(botEnd, toSample(streamTimeMs()));
+    place("bot", pcm16leBuffer, start);
+    botEnd = start + Math.floor(pcm16leBuffer.length / 2);
+    endMs = Math.max(endMs, (botEnd * 1000) / sampleRate);
+  }
+
+  // a new stream restarts Twilio's timestamps at 0: carry on from "now" on the recording's clock (never
+  // before audio already placed), so the time between streams (e.g. a <Play> no stream heard) stays silence
+  function nextStream() {
+    if (!clock) return;
+    offsetMs = Math.max(streamTimeMs(), endMs);
+    clock = { ts: offsetMs, wall: Date.now() };
+  }
+
+  function render() {
+    let length = 0;
+    for (const segs of Object.values(tracks)) {
+      for (const s of segs) length = Math.max(length, s.start + s.samples.length);
+    }
+    length = Math.min(length, maxSamples);
+    const stereo = new Int16Array(length * 2);
+    [tracks.caller, tracks.bot].forEach((segs, channel) => {
+      for (const { start, samples } of segs) {
+        for (let i = 0; i < samples.length && start + i < length; i++) {
+          const idx = (start + i) * 2 + channel;
+          const v = stereo[idx] + samples[i]; // overlapping segments mix
+          stereo[idx] = v > 32767 ? 32767 : v < -32768 ? -32768 : v;
+        }
+      }
+    });
+    return { length, stereo };
+  }
+
+  // writes the WAV once; later calls return the same promise
+  function finalize() {
+    if (finalized) return finalized;
+    finalized = (async () => {
+      const file = recordingPath(callSid, dir);
+      if (!file) { warn("Recording skipped: no usable callSid"); return null; }
+      const { length, stereo } = render();
+      tracks.caller = [];
+      tracks.bot = [];
+      if (!length) return null;
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(file, makeWavBuffer(Buffer.from(stereo.buffer), sampleRate, 2));
+      log(`🎙 Call recording saved (${(length / sampleRate).toFixed(1)}s):`, file);
+      return file;
+    })().catch((e) => {
+      warn("Recording write failed:", e?.message || e);
+      return null;
+    });
+    return finalized;
+  }
+
+  return { callSid, caller, bot, nextStream, finalize, streamTimeMs };
+}
+
+// GET /recordings/:sid  (also accepts /recordings/:sid.wav) — raw call audio, so only with ADMIN_TOKEN set and presented
+export function createRecordingsRouter({ dir = recordingsDir(), auth = adminAuth() } = {}) {
+  const router = express.Router();
+  if (!auth.enabled) {
+    if (recordCalls()) reportDisabled("GET /recordings");
+    return router;
+  }
+  router.get("/recordings/:sid", auth, (req, res) => {
+    const file = recordingPath(req.params.sid.replace(/\.wav$/i, ""), dir);
+    if (!file) return res.status(400).json({ error: "Invalid call sid" });
+    if (!fs.existsSync(file)) return res.status(404).json({ error: "Recording not found" });
+    res.type("audio/wav").sendFile(file);
+  });
+  return router;
+}
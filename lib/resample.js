@@ -0,0 +1,159 @@
+// lib/resample.js
+// Band-limited PCM16 resampling (polyphase windowed-sinc FIR) for telephony rates:
+// 8000 <-> 16000, 22050 -> 8000, 24000 -> 8000, or any other integer rate pair.
+//
+//   const rs = createResampler(22050, 8000);
+//   const out = rs.push(chunk);   // call per chunk; filter state carries across chunks (no clicks)
+//   const tail = rs.flush();      // end of stream: drain the last few samples
+//
+//   resample(buf, 16000, 8000)    // one-shot convenience
+//
+// The cutoff sits just below the lower Nyquist, so downsampling is anti-aliased and
+// upsampling doesn't image. A streaming resampler lags by ZERO_CROSSINGS input samples / cutoff.
+import { int16View } from "./audio.js";
+
+const ZERO_CROSSINGS = 8; // sinc lobes each side; 8 is plenty for 8-bit µ-law telephony
+const ROLLOFF = 0.92; // passband edge as a fraction of the lower Nyquist
+
+function gcd(a, b) { return b ? gcd(b, a % b) : a; }
+
+function sinc(x) {
+  if (x === 0) return 1;
+  const px = Math.PI * x;
+  return Math.sin(px) / px;
+}
+
+// Blackman window over [-1, 1]
+function blackman(x) {
+  if (Math.abs(x) >= 1) return 0;
+  return 0.42 + 0.5 * Math.cos(Math.PI * x) + 0.08 * Math.cos(2 * Math.PI * x);
+}
+
+// coefficient tables are shared by every resampler with the same ratio
+const tableCache = new Map();
+
+// up = L, down = M (reduced): output n sits at input position n*M/L, i.e. phase (n*M % L) / L
+function filterTable(up, down) {
+  const key = `${up}/${down}`;
+  if (tableCache.has(key)) return tableCache.get(key);
+  const cutoff = Math.min(1, up / down) * ROLLOFF; // relative to the input Nyquist
+  const half = Math.ceil(ZERO_CROSSINGS / cutoff); // taps each side, in input samples
+  const phases = [];
+  for (let p = 0; p < up; p++) {
+    const frac = p / up;
+    const taps = new Float64Array(2 * half);
+    let sum = 0;
+    // tap j multiplies x[base - half + 1 + j]
+    for (let j = 0; j < 2 * half; j++) {
+      const d = frac - (j - half + 1);
+      const h = cutoff * sinc(cutoff * d) * blackman(d / half);
+      taps[j] = h;
+      sum += h;
+    }
+    for (let j = 0; j < taps.length; j++) taps[j] /= sum; // unity DC gain per phase
+    phases.push(taps);
+  }
+  const table = { half, phases };
+  tableCache.set(key, table);
+  return table;
+}
+
+export function createResampler(fromRate, toRate) {
+  fromRate = Math.round(fromRate);
+  toRate = Math.round(toRate);
+  if (!(fromRate > 0 && toRate > 0)) throw new Error(`Invalid resample rates ${fromRate} -> ${toRate}`);
+  if (fromRate === toRate) {
+    return { fromRate, toRate, push: (buf) => buf, flush: () => Buffer.alloc(0) };
+  }
+
+  const g = gcd(fromRate, toRate);
+  const up = toRate / g;
+  const down = fromRate / g;
+  const { half, phases } = filterTable(up, down);
+
+  // history holds input samples [histStart, histStart + hist.length); starts with `half` zeros of pre-roll
+  let hist = new Float64Array(half);
+  let histStart = -half;
+  let n = 0; // next output sample index
+
+  function append(samples) {
+    const merged = new Float64Array(hist.length + samples.length);
+    merged.set(hist, 0);
+    merged.set(samples, hist.length);
+    hist = merged;
+  }
+
+  function drain(available) {
+    const out = [];
+    while (true) {
+      const pos = n * down;
+      const base = Math.floor(pos / up);
+      if (base + half >= available) break; // need x[base + half] before this output is final
+      const taps = phases[pos % up];
+      let acc = 0;
+      let k = base - half + 1 - histStart;
+      for (let j = 0; j < taps.length; j++, k++) {
+        if (k >= 0) acc += hist[k] * taps[j];
+      }
+      out.push(acc);
+      n++;
+    }
+    // drop history the next output can no longer reach
+    const keepFrom = Math.floor((n * down) / up) - half + 1;
+    if (keepFrom > histStart) {
+      hist = hist.slice(keepFrom - histStart);
+      histStart = keepFrom;
+    }
+    return toPcm16(out);
+  }
+
+  function push(pcm16leBuffer) {
+    if (!pcm16leBuffer?.length) return Buffer.alloc(0);
+    const view = int16View(pcm16leBuffer);
+    append(Float64Array.from(view));
+    return drain(histStart + hist.length);
+  }
+
+  // pad with silence so the last real samples make it through the filter
+  function flush() {
+    const endIn = histStart + hist.length;
+    const wanted = Math.ceil((endIn * up) / down); // total outputs covering the input
+    append(new Float64Array(half + 1));
+    const out = drain(histStart + hist.length);
+    const extra = Math.max(0, n - wanted);
+    n = wanted;
+    return extra ? out.subarray(0, out.length - extra * 2) : out;
+  }
+
+  return { fromRate, toRate, push, flush };
+}
+
+function toPcm16(samples) {
+  const out = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    const v = Math.round(samples[i]);
+    out.writeInt16LE(v > 32767 ? 32767 : v < -32768 ? -32768 : v, i * 2);
+  }
+  return out;
+}
+
+// one-shot: whole buffer in, whole buffer out
+export function resample(pcm16leBuffer, fromRate, toRate) {
+  if (fromRate === toRate) return pcm16leBuffer;
+  const rs = createResampler(fromRate, toRate);
+  const head = rs.push(pcm16leBuffer);
+  return Buffer.concat([head, rs.flush()]);
+}
+
+// per-stream converter to a fixed output rate; swaps its resampler if the input rate changes.
+// convert.flush() drains the current resampler at end of stream.
+export function createRateConverter(toRate) {
+  let rs = null;
+  function convert(pcm16leBuffer, fromRate) {
+    if (fromRate === toRate) return pcm16leBuffer;
+    if (!rs || rs.fromRate !== Math.round(fromRate)) rs = createResampler(fromRate, toRate);
+    return rs.push(pcm16leBuffer);
+  }
+  convert.flush = () => (rs ? rs.flush() : Buffer.alloc(0));
+  return convert;
+}
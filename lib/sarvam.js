@@ -0,0 +1,34 @@
+// lib/sarvam.js
+// Where the Sarvam APIs live, so every server (and the SDK sockets) can be pointed somewhere
+// other than api.sarvam.ai — typically the local stand-in from twillo-call-test/mock-apis.js.
+//
+//   const sarvam = createSarvamClient(process.env.SARVAM_API_KEY);   // SDK client on the configured hosts
+//   fetch(sarvamUrl("/speech-to-text"), …)                           // REST
+//   new WebSocket(sarvamUrl("/speech_to_text_streaming", { ws: true }))
+//
+// SARVAM_BASE_URL (default https://api.sarvam.ai) moves the REST endpoints; SARVAM_WS_BASE_URL
+// (default: SARVAM_BASE_URL with http -> ws) moves the streaming sockets.
+import { SarvamAIClient } from "sarvamai";
+
+const DEFAULT_BASE_URL = "https://api.sarvam.ai";
+
+// read on every call: servers load .env after their imports have been evaluated
+export function sarvamUrlsFromEnv(env = process.env) {
+  const base = (env.SARVAM_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, "");
+  const ws = (env.SARVAM_WS_BASE_URL || base.replace(/^http/i, "ws")).replace(/\/+$/, "");
+  return { base, ws };
+}
+
+export function sarvamUrl(pathname, { ws = false } = {}) {
+  const urls = sarvamUrlsFromEnv();
+  return (ws ? urls.ws : urls.base) + pathname;
+}
+
+// the SDK takes an environment of { base (REST), production (sockets), creative (dubbing) }
+export function createSarvamClient(apiKey = process.env.SARVAM_API_KEY) {
+  const { base, ws } = sarvamUrlsFromEnv();
+  return new SarvamAIClient({
+    apiSubscriptionKey: apiKey,
+    environment: { base, production: ws, creative: `${base}/dubbing` },
+  });
+}
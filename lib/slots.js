@@ -0,0 +1,423 @@
+// lib/slots.js
+// Slot filling: a profile declares the fields a call has to collect (name, callback number,
+// pincode, appointment date …). Each caller turn goes to the LLM for extraction as JSON; values
+// are normalized by type (lib/spoken.js handles Indian spoken numbers and dates), low-confidence
+// or confirm-worthy values are read back for a yes / no, and missing ones are asked for in the
+// caller's language. When the call ends the record is written to SLOTS_DIR/<callSid>.json and
+// POSTed to the profile's webhook (or SLOTS_WEBHOOK_URL).
+//
+//   const session = createSlotSession(profile.slots, { llm });
+//   session.begin(lang)                                   // { say } — first question
+//   const step = await session.handle({ text, lang });   // { say } or { llm: { instruction } }, plus done, slots
+//   await deliverSlotRecord(session.finish({ callSid, profile: profile.id }));   // once, at call end
+//
+// "slots": { "fields": [
+//   { "name": "name", "type": "name" },
+//   { "name": "callback", "type": "phone", "label": { "en-IN": "callback number", "hi-IN": "कॉलबैक नंबर" } },
+//   { "name": "pincode", "type": "pincode" },
+//   { "name": "visit", "type": "date", "label": "appointment date", "required": false }
+// ], "webhook": "https://crm.example.com/leads" }
+// Types: text | name | phone | pincode | date | number | digits (optional "pattern"). phone, pincode,
+// date and digits values are always confirmed back; others only below SLOTS_MIN_CONFIDENCE.
+//
+// SLOTS_DIR=./slots, SLOTS_WEBHOOK_URL, SLOTS_WEBHOOK_TIMEOUT_MS=5000, SLOTS_MIN_CONFIDENCE=0.7,
+// SLOTS_MAX_ASKS=3 (per field, then it is left empty), SLOTS_EXTRACT_TIMEOUT_MS=4000
+import fs from "fs";
+import path from "path";
+import { BUILTIN_INTENTS } from "./flows.js";
+import { normalizeLangCode } from "./language.js";
+import { parseSpokenDate, parseSpokenDigits, parseSpokenNumber } from "./spoken.js";
+
+const SID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+function log(...args) { console.log(new Date().toISOString(), ...args); }
+function warn(...args) { console.warn(new Date().toISOString(), ...args); }
+
+export function slotsConfigFromEnv(defaults = {}) {
+  const env = process.env;
+  const num = (v, d) => (v === undefined || v === "" ? d : Number(v));
+  return {
+    dir: env.SLOTS_DIR || defaults.dir || path.join(process.cwd(), "slots"),
+    webhookUrl: env.SLOTS_WEBHOOK_URL || defaults.webhookUrl || "",
+    webhookTimeoutMs: num(env.SLOTS_WEBHOOK_TIMEOUT_MS, defaults.webhookTimeoutMs ?? 5000),
+    minConfidence: num(env.SLOTS_MIN_CONFIDENCE, defaults.minConfidence ?? 0.7),
+    maxAsks: num(env.SLOTS_MAX_ASKS, defaults.maxAsks ?? 3),
+    extractTimeoutMs: num(env.SLOTS_EXTRACT_TIMEOUT_MS, defaults.extractTimeoutMs ?? 4000),
+  };
+}
+
+// ---- field types: parse(raw) -> value | null, speak(value, lang) -> what the confirmation reads out ----
+const spaced = (digits) => String(digits).split("").join(" ");
+
+export const SLOT_TYPES = {
+  text: {
+    parse: (raw) => String(raw ?? "").trim() || null,
+    speak: (v) => v,
+  },
+  name: {
+    parse: (raw) => {
+      const name = String(raw ?? "").replace(/[^\p{L}\p{M}\s.'-]/gu, " ").replace(/\s+/g, " ").trim();
+      return name && name.length <= 60 ? name : null;
+    },
+    speak: (v) => v,
+  },
+  // Indian numbers: 10 digits after dropping +91 / 0; stored as +91XXXXXXXXXX
+  phone: {
+    parse: (raw) => {
+      let d = parseSpokenDigits(raw);
+      if (d.length === 12 && d.startsWith("91")) d = d.slice(2);
+      if (d.length === 11 && d.startsWith("0")) d = d.slice(1);
+      return /^[1-9]\d{9}$/.test(d) ? `+91${d}` : null;
+    },
+    speak: (v) => `${spaced(v.slice(3, 8))}, ${spaced(v.slice(8))}`,
+    confirm: true,
+  },
+  pincode: {
+    parse: (raw) => {
+      const d = parseSpokenDigits(raw);
+      return /^[1-9]\d{5}$/.test(d) ? d : null;
+    },
+    speak: (v) => `${spaced(v.slice(0, 3))}, ${spaced(v.slice(3))}`,
+    confirm: true,
+  },
+  date: {
+    parse: (raw, ctx) => parseSpokenDate(raw, { now: ctx.now?.() }),
+    speak: (v, lang) => new Intl.DateTimeFormat(lang, { weekday: "long", day: "numeric", month: "long", timeZone: "UTC" })
+      .format(new Date(`${v}T00:00:00Z`)),
+    confirm: true,
+  },
+  number: {
+    parse: (raw) => (typeof raw === "number" ? raw : parseSpokenNumber(raw)),
+    speak: (v) => v.toLocaleString("en-IN"),
+  },
+  digits: {
+    parse: (raw) => parseSpokenDigits(raw) || null,
+    speak: spaced,
+    confirm: true,
+  },
+};
+
+// ---- prompts ----
+const LABELS = {
+  name: { "en-IN": "name", "hi-IN": "नाम", "gu-IN": "નામ" },
+  phone: { "en-IN": "phone number", "hi-IN": "फ़ोन नंबर", "gu-IN": "ફોન નંબર" },
+  pincode: { "en-IN": "pincode", "hi-IN": "पिनकोड", "gu-IN": "પિનકોડ" },
+  date: { "en-IN": "date", "hi-IN": "तारीख", "gu-IN": "તારીખ" },
+};
+
+const TEXTS = {
+  ask: {
+    "en-IN": "Could you tell me your {label}?",
+    "hi-IN": "कृपया {label} बताइए।",
+    "gu-IN": "કૃપા કરીને {label} જણાવશો?",
+  },
+  retry: {
+    "en-IN": "Sorry, I didn't catch the {label}. Could you say it again?",
+    "hi-IN": "माफ़ कीजिए, {label} समझ नहीं आया। कृपया फिर से बताइए।",
+    "gu-IN": "માફ કરશો, {label} સમજાયું નહીં. કૃપા કરીને ફરી કહો.",
+  },
+  confirm: {
+    "en-IN": "I have your {label} as {value}. Is that right?",
+    "hi-IN": "{label}: {value}। क्या यह सही है?",
+    "gu-IN": "{label}: {value}. શું આ બરાબર છે?",
+  },
+  done: {
+    "en-IN": "Thank you, I have noted all your details.",
+    "hi-IN": "धन्यवाद, मैंने आपकी सारी जानकारी नोट कर ली है।",
+    "gu-IN": "આભાર, મેં તમારી બધી વિગતો નોંધી લીધી છે.",
+  },
+};
+
+// string or { lang: text, default: text } -> text for lang
+function pick(value, lang) {
+  if (!value || typeof value === "string") return value || null;
+  return value[lang] || value.default || value["en-IN"] || Object.values(value)[0] || null;
+}
+
+function fill(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (m, k) => (vars[k] ?? m));
+}
+
+// ---- schema ----
+function slotSchemaError(where, problems) {
+  const err = new Error(`Invalid slots in ${where}:\n  - ${problems.join("\n  - ")}`);
+  err.problems = problems;
+  return err;
+}
+
+// profile "slots" -> { fields: [...], webhook }; throws with every problem listed
+export function normalizeSlotSchema(raw, where = "profile") {
+  if (!raw) return null;
+  const list = Array.isArray(raw) ? raw : raw.fields;
+  const problems = [];
+  if (!Array.isArray(list) || !list.length) throw slotSchemaError(where, ['"fields" must be a non-empty array']);
+  const seen = new Set();
+  const fields = list.map((f, i) => {
+    const at = `field ${f?.name || i + 1}`;
+    if (!f?.name || !/^\w+$/.test(f.name)) problems.push(`${at}: "name" must be letters, digits or _`);
+    else if (seen.has(f.name)) problems.push(`${at}: duplicate name`);
+    seen.add(f?.name);
+    const type = f?.type || "text";
+    if (!SLOT_TYPES[type]) problems.push(`${at}: unknown type "${type}" (${Object.keys(SLOT_TYPES).join(", ")})`);
+    let pattern = null;
+    if (f?.pattern) {
+      try { pattern = new RegExp(f.pattern, "u"); } catch (e) { problems.push(`${at}: bad pattern (${e.message})`); }
+    }
+    const byLang = (v) => (v && typeof v === "object" ? Object.fromEntries(Object.entries(v).map(([l, t]) => [l === "default" ? l : normalizeLangCode(l), t])) : v || null);
+    return {
+      name: f?.name,
+      type,
+      label: byLang(f?.label) || LABELS[type] || LABELS[f?.name] || String(f?.name || "").replace(/_/g, " "),
+      prompt: byLang(f?.prompt),
+      description: f?.description || null,
+      required: f?.required !== false,
+      confirm: f?.confirm ?? SLOT_TYPES[type]?.confirm ?? false,
+      pattern,
+    };
+  });
+  if (problems.length) throw slotSchemaError(where, problems);
+  return { fields, webhook: raw.webhook || null };
+}
+
+// ---- extraction ----
+function isoToday(now) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone: "Asia/Kolkata" }).format(now);
+}
+
+function extractionMessages(schema, { text, asking, now }) {
+  const fields = schema.fields.map((f) => `- ${f.name} (${f.type})${f.description ? `: ${f.description}` : ""}`).join("\n");
+  return [
+    {
+      role: "system",
+      content: "You extract form fields from one caller utterance on an Indian phone call (English, Hindi or Gujarati, any script).\n"
+        + `Fields:\n${fields}\n`
+        + (asking ? `The assistant has just asked for: ${asking}.\n` : "")
+        + `Today is ${isoToday(now)} (India). Give numbers as digits and dates as YYYY-MM-DD when you are sure; otherwise copy the caller's words.\n`
+        + 'Reply with JSON only, e.g. {"pincode": {"value": "380015", "confidence": 0.9}}, listing only fields the caller gave in this utterance; {} if none.',
+    },
+    { role: "user", content: String(text) },
+  ];
+}
+
+// model reply -> { field: { value, confidence } }; tolerant of code fences and bare values
+export function parseExtraction(reply) {
+  const text = String(reply || "");
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start < 0 || end <= start) return {};
+  let data;
+  try { data = JSON.parse(text.slice(start, end + 1)); } catch { return {}; }
+  const out = {};
+  for (const [name, v] of Object.entries(data || {})) {
+    if (v === null || v === undefined || v === "") continue;
+    if (typeof v === "object" && !Array.isArray(v)) {
+      if (v.value === null || v.value === undefined || v.value === "") continue;
+      out[name] = { value: v.value, confidence: Number.isFinite(Number(v.confidence)) ? Number(v.confidence) : 0.8 };
+    } else {
+      out[name] = { value: v, confidence: 0.8 };
+    }
+  }
+  return out;
+}
+
+async function extractWithLlm(llm, schema, turn, timeoutMs) {
+  let timer = null;
+  try {
+    const reply = await Promise.race([
+      llm.chat({ messages: extractionMessages(schema, turn), maxTokens: 150 }),
+      new Promise((_, reject) => { timer = setTimeout(() => reject(new Error("extraction timed out")), timeoutMs); }),
+    ]);
+    return parseExtraction(reply);
+  } catch (e) {
+    warn("Slot extraction via LLM failed:", e?.message || e);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+const saysYes = (t) => BUILTIN_INTENTS.yes.some((re) => re.test(t));
+const saysNo = (t) => BUILTIN_INTENTS.no.some((re) => re.test(t));
+
+// ---- per-call session ----
+// opts: { llm, config, now } — without an llm only the field being asked for is parsed, locally
+export function createSlotSession(schema, opts = {}) {
+  const config = opts.config || slotsConfigFromEnv();
+  const now = opts.now || (() => new Date());
+  const startedAt = new Date().toISOString();
+  const values = {}; // name -> { value, raw, confidence, confirmed }
+  const asks = {}; // name -> times asked
+  let asking = null; // field last asked for
+  let confirming = null; // field read back, waiting for yes / no
+  let done = false;
+  let finished = false;
+
+  const field = (name) => schema.fields.find((f) => f.name === name);
+  const label = (f, lang) => pick(f.label, lang) || f.name;
+  const text = (key, lang, vars = {}) => fill(TEXTS[key][lang] || TEXTS[key]["en-IN"], vars);
+
+  function normalize(f, raw) {
+    const value = SLOT_TYPES[f.type].parse(raw, { now });
+    if (value === null || value === undefined) return null;
+    if (f.pattern && !f.pattern.test(String(value))) return null;
+    return value;
+  }
+
+  function snapshot() {
+    return Object.fromEntries(schema.fields.map((f) => [f.name, values[f.name]?.value ?? null]));
+  }
+
+  // what to say next: a pending read-back, the next missing field, or the closing line
+  function nextStep(lang, retry = null) {
+    const unconfirmed = schema.fields.find((f) => values[f.name] && !values[f.name].confirmed);
+    if (unconfirmed) {
+      confirming = unconfirmed.name;
+      const value = SLOT_TYPES[unconfirmed.type].speak(values[unconfirmed.name].value, lang);
+      return { say: text("confirm", lang, { label: label(unconfirmed, lang), value }) };
+    }
+    confirming = null;
+    const missing = schema.fields.find((f) => !values[f.name] && (asks[f.name] || 0) < (f.required ? config.maxAsks : 1));
+    if (missing) {
+      asks[missing.name] = (asks[missing.name] || 0) + 1;
+      asking = missing.name;
+      const say = retry === missing.name
+        ? text("retry", lang, { label: label(missing, lang) })
+        : pick(missing.prompt, lang) || text("ask", lang, { label: label(missing, lang) });
+      return { say };
+    }
+    asking = null;
+    done = true;
+    log("🧾 Slots complete:", JSON.stringify(snapshot()));
+    return { say: text("done", lang) };
+  }
+
+  function result(step, updates) {
+    return { ...step, done, asking, confirming, updates, slots: snapshot() };
+  }
+
+  return {
+    get done() { return done; },
+    // opening question, to follow the greeting
+    begin(lang) {
+      return result(nextStep(normalizeLangCode(lang || "en-IN")), []);
+    },
+    // text: the caller's utterance (or typed digits); never throws
+    async handle({ text: utterance, lang }) {
+      lang = normalizeLangCode(lang || "en-IN");
+      if (done) return result({ say: null }, []);
+      const updates = [];
+      const t = String(utterance || "");
+
+      // a read-back: "yes" keeps it, "no" drops it (the same turn may already carry the correction)
+      const checking = confirming;
+      if (checking) {
+        if (saysYes(t) && !saysNo(t)) {
+          values[checking].confirmed = true;
+          updates.push({ slot: checking, status: "confirmed" });
+        } else if (saysNo(t)) {
+          delete values[checking];
+          asks[checking] = 0;
+          updates.push({ slot: checking, status: "rejected" });
+        }
+      }
+
+      const extracted = (opts.llm ? await extractWithLlm(opts.llm, schema, { text: t, asking: asking && label(field(asking), "en-IN"), now: now() }, config.extractTimeoutMs) : null)
+        // no model (or it failed): try the whole utterance as the field being asked for
+        ?? (asking && !confirming ? { [asking]: { value: t, confidence: field(asking).type === "text" || field(asking).type === "name" ? 0.5 : 0.9 } } : {});
+
+      for (const [name, { value: raw, confidence }] of Object.entries(extracted)) {
+        const f = field(name);
+        if (!f) continue;
+        const value = normalize(f, raw);
+        if (value === null) {
+          updates.push({ slot: name, status: "invalid", raw });
+          continue;
+        }
+        // the confirmed value being said again is not a change
+        if (values[name]?.confirmed && values[name].value === value) continue;
+        const confirmed = !f.confirm && confidence >= config.minConfidence;
+        values[name] = { value, raw, confidence, confirmed };
+        updates.push({ slot: name, status: confirmed ? "filled" : "unconfirmed", value, confidence });
+      }
+      for (const u of updates) log("🧾 Slot", u.slot, u.status, u.value !== undefined ? JSON.stringify(u.value) : "");
+
+      // nothing usable for the question on the table: a side question goes to the model, which re-asks
+      const answered = updates.some((u) => u.status !== "invalid");
+      const invalid = updates.find((u) => u.status === "invalid" && u.slot === asking);
+      if (!answered && !invalid && asking && !checking) {
+        const f = field(asking);
+        return result({
+          llm: { instruction: `You are collecting the caller's details. Answer what they said in one short sentence, then ask again for their ${label(f, "en-IN")}.` },
+        }, updates);
+      }
+      if (checking && !answered) return result(nextStep(lang), updates); // unclear yes / no: read it back again
+      return result(nextStep(lang, invalid ? asking : null), updates);
+    },
+    // the record for the end of the call, once (null afterwards)
+    finish(meta = {}) {
+      if (finished) return null;
+      finished = true;
+      const slots = {};
+      const details = {};
+      for (const f of schema.fields) {
+        const v = values[f.name];
+        slots[f.name] = v?.confirmed ? v.value : null;
+        details[f.name] = v ? { value: v.value, raw: v.raw, confidence: v.confidence, confirmed: v.confirmed } : null;
+      }
+      const missing = schema.fields.filter((f) => f.required && slots[f.name] === null).map((f) => f.name);
+      return {
+        ...meta,
+        webhook: schema.webhook,
+        startedAt,
+        endedAt: new Date().toISOString(),
+        complete: !missing.length,
+        missing,
+        slots,
+        details,
+      };
+    },
+    snapshot,
+  };
+}
+
+// ---- delivery ----
+// writes SLOTS_DIR/<callSid>.json, then POSTs the record (without `webhook`) to record.webhook or
+// SLOTS_WEBHOOK_URL, retrying once; the outcome is written back as `delivery`. Never throws.
+export async function deliverSlotRecord(record, config = slotsConfigFromEnv()) {
+  if (!record) return null;
+  const { webhook, ...body } = record;
+  const url = webhook || config.webhookUrl;
+  const file = SID_RE.test(record.callSid || "") ? path.join(config.dir, `${record.callSid}.json`) : null;
+  const save = async (data) => {
+    if (!file) return;
+    try {
+      await fs.promises.mkdir(config.dir, { recursive: true });
+      await fs.promises.writeFile(file, JSON.stringify(data, null, 2));
+    } catch (e) {
+      warn("Slot record write failed:", record.callSid, e?.message || e);
+    }
+  };
+  await save(body);
+  log(`🧾 Slot record for ${record.callSid}: ${record.complete ? "complete" : `missing ${record.missing.join(", ")}`}`);
+  if (!url) return { ...body, delivery: null };
+
+  let delivery = null;
+  for (let attempt = 1; attempt <= 2 && !delivery?.ok; attempt++) {
+    try {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(config.webhookTimeoutMs),
+      });
+      delivery = { ok: res.ok, status: res.status, at: new Date().toISOString(), attempts: attempt };
+    } catch (e) {
+      delivery = { ok: false, error: e?.message || String(e), at: new Date().toISOString(), attempts: attempt };
+    }
+  }
+  if (delivery.ok) log("🧾 Slot record POSTed to", url);
+  else warn("Slot record POST failed:", url, delivery.status || delivery.error);
+  const delivered = { ...body, delivery };
+  await save(delivered);
+  return delivered;
+}
@@ -0,0 +1,365 @@
+// lib/spoken.js
+// Numbers and dates the way Indian callers say them, for turning transcripts into slot values.
+// Digits may come in Latin, Devanagari or Gujarati script; number words in English, Hindi or
+// Gujarati (script or romanized); phone numbers as digit runs with "double" / "triple"; amounts
+// with hundred / thousand / lakh / crore and the fractional prefixes (saadhe, dedh, dhai, sava,
+// paune). Dates are day-first: "15 August", "पंद्रह अगस्त", "15/8", weekdays, aaj / kal / parso.
+//
+//   parseSpokenDigits("nau aath double seven ६ ५")      // "987765"
+//   parseSpokenNumber("डेढ़ लाख")                        // 150000
+//   parseSpokenDate("next friday", { now })             // "2026-10-23" (IST calendar)
+//
+// "kal" is read as tomorrow: slots ask for appointment and callback dates, not past ones.
+// Romanized number words ("do", "saath", "nau" …) and "o" / "oh" count only next to another number
+// ("nau aath do" -> "982"), since most of them are also ordinary words; in mostly-English text "do" and
+// "saath" are never numbers ("do you need my pincode, it is 380015" -> "380015").
+
+// ---- text normalization ----
+// NFC, Devanagari / Gujarati digits -> ASCII, nukta dropped and chandrabindu folded into anusvara,
+// so "हज़ार" = "हजार" and "पाँच" = "पांच"
+export function normalizeSpoken(text) {
+  return String(text ?? "")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[०-९]/g, (d) => String(d.charCodeAt(0) - 0x0966))
+    .replace(/[૦-૯]/g, (d) => String(d.charCodeAt(0) - 0x0AE6))
+    .normalize("NFD")
+    .replace(/[़઼]/g, "")
+    .replace(/ँ/g, "ं")
+    .replace(/ઁ/g, "ં")
+    .normalize("NFC");
+}
+
+function tokens(text) {
+  return normalizeSpoken(text).match(/\d+|[\p{L}\p{M}]+/gu) || [];
+}
+
+// ---- word tables ----
+const HINDI_0_99 = "शून्य एक दो तीन चार पांच छह सात आठ नौ दस ग्यारह बारह तेरह चौदह पंद्रह सोलह सत्रह अठारह उन्नीस "
+  + "बीस इक्कीस बाईस तेईस चौबीस पच्चीस छब्बीस सत्ताईस अट्ठाईस उनतीस तीस इकतीस बत्तीस तैंतीस चौंतीस पैंतीस छत्तीस सैंतीस अड़तीस उनतालीस "
+  + "चालीस इकतालीस बयालीस तैंतालीस चवालीस पैंतालीस छियालीस सैंतालीस अड़तालीस उनचास पचास इक्यावन बावन तिरेपन चौवन पचपन छप्पन सत्तावन अट्ठावन उनसठ "
+  + "साठ इकसठ बासठ तिरेसठ चौंसठ पैंसठ छियासठ सड़सठ अड़सठ उनहत्तर सत्तर इकहत्तर बहत्तर तिहत्तर चौहत्तर पचहत्तर छिहत्तर सतहत्तर अठहत्तर उन्यासी "
+  + "अस्सी इक्यासी बयासी तिरासी चौरासी पचासी छियासी सत्तासी अट्ठासी नवासी नब्बे इक्यानबे बानबे तिरानबे चौरानबे पचानबे छियानबे सत्तानबे अट्ठानबे निन्यानबे";
+
+const GUJARATI_0_99 = "શૂન્ય એક બે ત્રણ ચાર પાંચ છ સાત આઠ નવ દસ અગિયાર બાર તેર ચૌદ પંદર સોળ સત્તર અઢાર ઓગણીસ "
+  + "વીસ એકવીસ બાવીસ તેવીસ ચોવીસ પચ્ચીસ છવ્વીસ સત્તાવીસ અઠ્ઠાવીસ ઓગણત્રીસ ત્રીસ એકત્રીસ બત્રીસ તેત્રીસ ચોત્રીસ પાંત્રીસ છત્રીસ સાડત્રીસ આડત્રીસ ઓગણચાલીસ "
+  + "ચાલીસ એકતાલીસ બેતાલીસ તેતાલીસ ચુંમાલીસ પિસ્તાલીસ છેતાલીસ સુડતાલીસ અડતાલીસ ઓગણપચાસ પચાસ એકાવન બાવન ત્રેપન ચોપન પંચાવન છપ્પન સત્તાવન અઠ્ઠાવન ઓગણસાઠ "
+  + "સાઠ એકસઠ બાસઠ ત્રેસઠ ચોસઠ પાંસઠ છાસઠ સડસઠ અડસઠ અગણોસિત્તેર સિત્તેર એકોતેર બોતેર તોતેર ચુમોતેર પંચોતેર છોતેર સિત્યોતેર ઇઠ્યોતેર ઓગણાએંસી "
+  + "એંસી એક્યાસી બ્યાસી ત્યાસી ચોર્યાસી પંચાસી છ્યાસી સિત્યાસી ઈઠ્યાસી નેવ્યાસી નેવું એકાણું બાણું ત્રાણું ચોરાણું પંચાણું છન્નું સત્તાણું અઠ્ઠાણું નવ્વાણું";
+
+// word -> value; later entries never override earlier ones, so shared spellings keep their first meaning
+const WORDS = new Map();
+function addWords(value, ...words) {
+  for (const w of words) {
+    const key = normalizeSpoken(w);
+    if (!WORDS.has(key)) WORDS.set(key, value);
+  }
+}
+HINDI_0_99.split(" ").forEach((w, i) => addWords(i, w));
+GUJARATI_0_99.split(" ").forEach((w, i) => addWords(i, w));
+const ENGLISH_0_19 = "zero one two three four five six seven eight nine ten eleven twelve thirteen fourteen fifteen sixteen seventeen eighteen nineteen".split(" ");
+const ENGLISH_TENS_WORDS = "twenty thirty forty fifty sixty seventy eighty ninety".split(" ");
+ENGLISH_0_19.forEach((w, i) => addWords(i, w));
+ENGLISH_TENS_WORDS.forEach((w, i) => addWords((i + 2) * 10, w));
+// spelling variants and romanized Hindi / Gujarati
+addWords(0, "शुन्य", "जीरो", "ઝીરો", "shunya", "shoonya", "sunya");
+addWords(5, "पाच", "પાચ");
+addWords(6, "छः", "छे", "छै", "છે", "chhe", "chhah", "chah", "chha");
+addWords(15, "पन्द्रह");
+addWords(17, "સતર");
+addWords(69, "ઓગણસિત્તેર");
+addWords(79, "ઓગણએંસી");
+addWords(98, "અઠ્ઠાણુ");
+addWords(1, "ek", "ik");
+addWords(2, "do");
+addWords(3, "teen", "tran", "tron");
+addWords(4, "char", "chaar");
+addWords(5, "paanch", "panch", "paach");
+addWords(7, "saat");
+addWords(8, "aath", "aat", "ath");
+addWords(9, "nau", "nav", "nao");
+addWords(10, "das", "dus");
+addWords(20, "bees", "vees");
+addWords(30, "tees", "trees");
+addWords(40, "chalis", "chaalis");
+addWords(50, "pachas", "pachaas");
+addWords(60, "saath");
+addWords(70, "sattar", "sitter");
+addWords(80, "assi", "ensi");
+addWords(90, "nabbe", "nevu");
+// Latin-script number words that aren't English ones: "do", "saath", "nau" … (see acceptedWords)
+const ROMANIZED = new Set([...WORDS.keys()].filter((w) => /^[a-z]+$/.test(w) && !ENGLISH_0_19.includes(w) && !ENGLISH_TENS_WORDS.includes(w)));
+// romanized numbers that are everyday English words ("do you…", "saath" is also Hindi "with")
+const ENGLISH_CLASHES = new Set(["do", "saath"]);
+
+// English ordinals, for dates ("twenty fifth december"); kept out of digit strings
+const ORDINAL_WORDS = new Map();
+"first second third fourth fifth sixth seventh eighth ninth tenth eleventh twelfth thirteenth fourteenth fifteenth sixteenth seventeenth eighteenth nineteenth"
+  .split(" ").forEach((w, i) => ORDINAL_WORDS.set(w, i + 1));
+ORDINAL_WORDS.set("twentieth", 20);
+ORDINAL_WORDS.set("thirtieth", 30);
+
+const ENGLISH_TENS = new Set([20, 30, 40, 50, 60, 70, 80, 90].map(String));
+const SCALES = new Map();
+for (const [value, words] of [
+  [100, ["hundred", "सौ", "સો", "sau", "sou"]],
+  [1000, ["thousand", "हजार", "હજાર", "hazar", "hazaar", "hajar", "hajaar"]],
+  [100000, ["lakh", "lakhs", "lac", "lacs", "लाख", "લાખ"]],
+  [10000000, ["crore", "crores", "करोड", "કરોડ", "karod", "karor"]],
+]) for (const w of words) SCALES.set(normalizeSpoken(w), value);
+
+// fractional prefixes: "saadhe teen" = 3.5, "sava lakh" = 125000, "paune do sau" = 175
+const PREFIXES = new Map();
+for (const [fn, words] of [
+  [(n) => n + 0.5, ["साढ़े", "સાડા", "sadhe", "saadhe", "sade", "saade"]],
+  [(n) => n + 0.25, ["सवा", "સવા", "sava", "savaa", "sawa"]],
+  [(n) => n - 0.25, ["पौने", "પોણા", "paune", "pone", "pona"]],
+]) for (const w of words) PREFIXES.set(normalizeSpoken(w), fn);
+const FRACTIONS = new Map();
+for (const [value, words] of [
+  [1.5, ["डेढ़", "દોઢ", "dedh", "derh"]],
+  [2.5, ["ढाई", "અઢી", "dhai", "dhaai", "adhi", "adhai"]],
+]) for (const w of words) FRACTIONS.set(normalizeSpoken(w), value);
+
+const REPEATS = new Map();
+for (const [times, words] of [
+  [2, ["double", "डबल", "ડબલ", "dabal"]],
+  [3, ["triple", "ट्रिपल", "ટ્રિપલ", "tripal"]],
+]) for (const w of words) REPEATS.set(normalizeSpoken(w), times);
+
+const ORDINAL_SUFFIXES = new Set(["st", "nd", "rd", "th"]);
+const FILLERS = new Set(["and", "aur", "और", "અને", "ane"]);
+
+// ---- romanized words: number or not ----
+// function words that tell English from romanized Hindi / Gujarati ("me", "to", "is" are both)
+const ENGLISH_HINTS = new Set("the a an my your you it its this that what which need want have has had please can could will would should for of with from at am are was were be been yes no".split(" "));
+const INDIC_HINTS = new Set("hai hain mera meri mere mujhe aap aapka apna ka ki ke ko se nahi nahin haan kya ye yeh woh tha thi bhai ji maro mari maru mane tamaro tame nu ne".split(" "));
+
+function isNumberToken(t) {
+  return t !== undefined && (/^\d+$/.test(t) || WORDS.has(t) || SCALES.has(t) || REPEATS.has(t) || PREFIXES.has(t) || FRACTIONS.has(t));
+}
+
+// English when its function words outnumber Hindi / Gujarati ones (words in Indic script count as those)
+function mostlyEnglish(toks) {
+  let english = 0;
+  let indic = 0;
+  for (const t of toks) {
+    if (isNumberToken(t)) continue;
+    if (!/^[a-z]+$/.test(t)) indic++;
+    else if (ENGLISH_HINTS.has(t)) english++;
+    else if (INDIC_HINTS.has(t)) indic++;
+  }
+  return english > indic;
+}
+
+// per token: false for a romanized number word (or "o" / "oh") that is more likely an ordinary word
+function acceptedWords(toks) {
+  const english = mostlyEnglish(toks);
+  return toks.map((t, i) => {
+    if (t === "o" || t === "oh") return isNumberToken(toks[i - 1]) && isNumberToken(toks[i + 1]); // "nine oh two"
+    if (!ROMANIZED.has(t)) return true;
+    if (english && ENGLISH_CLASHES.has(t)) return false;
+    return toks.length === 1 || isNumberToken(toks[i - 1]) || isNumberToken(toks[i + 1]);
+  });
+}
+
+// ---- digit strings (phone numbers, pincodes, order numbers) ----
+// every number in the text, in order, as digits: "nine eight double seven" -> "9877", "ninety eight" -> "98".
+// Words that aren't numbers are skipped, so "my pincode is ३८० ०१५" -> "380015".
+export function parseSpokenDigits(text) {
+  const toks = tokens(text);
+  const accepted = acceptedWords(toks);
+  let out = "";
+  let repeat = 1;
+  for (let i = 0; i < toks.length; i++) {
+    const t = toks[i];
+    if (!accepted[i]) continue;
+    if (REPEATS.has(t)) { repeat = REPEATS.get(t); continue; }
+    let digits = null;
+    if (/^\d+$/.test(t)) digits = t;
+    else if (WORDS.has(t)) {
+      let v = WORDS.get(t);
+      // English "ninety eight" is one two-digit group
+      if (ENGLISH_TENS.has(String(v)) && /^[a-z]+$/.test(t) && accepted[i + 1] && WORDS.get(toks[i + 1]) > 0 && WORDS.get(toks[i + 1]) < 10) v += WORDS.get(toks[++i]);
+      digits = String(v);
+    } else if (t === "oh" || t === "o") digits = "0";
+    else if (SCALES.has(t) && out && SCALES.get(t) <= 1000) { out += String(SCALES.get(t)).slice(1); continue; } // "nine hundred"
+    if (digits === null) continue;
+    out += digits.length === 1 ? digits.repeat(repeat) : digits;
+    repeat = 1;
+  }
+  return out;
+}
+
+// ---- amounts ----
+// the first number in the text: "two lakh fifty thousand" -> 250000, "साढ़े तीन सौ" -> 350, "1,50,000" -> 150000.
+// null when there is none.
+export function parseSpokenNumber(text) {
+  const toks = tokens(String(text ?? "").replace(/(\d),(?=\d)/g, "$1"));
+  const accepted = acceptedWords(toks);
+  let total = 0;
+  let current = 0;
+  let prefix = null;
+  let started = false;
+  let lastWasDigits = false;
+  for (const [i, t] of toks.entries()) {
+    if (/^\d+$/.test(t)) {
+      if (lastWasDigits) break; // "380015 98765" — two numbers, keep the first
+      current += Number(prefix ? prefix(Number(t)) : Number(t));
+      prefix = null;
+      started = true;
+      lastWasDigits = true;
+      continue;
+    }
+    lastWasDigits = false;
+    if (!accepted[i]) {
+      if (started) break;
+    } else if (WORDS.has(t) || ORDINAL_WORDS.has(t)) {
+      const v = WORDS.get(t) ?? ORDINAL_WORDS.get(t);
+      current += prefix ? prefix(v) : v;
+      prefix = null;
+      started = true;
+    } else if (FRACTIONS.has(t)) {
+      current += FRACTIONS.get(t);
+      started = true;
+    } else if (PREFIXES.has(t)) {
+      prefix = PREFIXES.get(t);
+    } else if (SCALES.has(t)) {
+      const scale = SCALES.get(t);
+      const base = current || (prefix ? prefix(1) : 1);
+      prefix = null;
+      started = true;
+      if (scale === 100) current = base * 100;
+      else { total += base * scale; current = 0; }
+    } else if (started && (ORDINAL_SUFFIXES.has(t) || FILLERS.has(t))) {
+      continue;
+    } else if (started) {
+      break;
+    }
+  }
+  if (!started) return null;
+  return Math.round((total + current) * 100) / 100;
+}
+
+// ---- dates ----
+const MONTHS = new Map();
+[
+  ["january", "jan", "जनवरी", "જાન્યુઆરી"],
+  ["february", "feb", "फरवरी", "ફેબ્રુઆરી"],
+  ["march", "mar", "मार्च", "માર્ચ"],
+  ["april", "apr", "अप्रैल", "એપ્રિલ"],
+  ["may", "मई", "મે"],
+  ["june", "jun", "जून", "જૂન", "જુન"],
+  ["july", "jul", "जुलाई", "જુલાઈ", "જુલાઇ"],
+  ["august", "aug", "अगस्त", "ઓગસ્ટ", "ઑગસ્ટ"],
+  ["september", "sep", "sept", "सितंबर", "सितम्बर", "સપ્ટેમ્બર"],
+  ["october", "oct", "अक्टूबर", "અક્ટોબર", "ઓક્ટોબર", "ઑક્ટોબર"],
+  ["november", "nov", "नवंबर", "नवम्बर", "નવેમ્બર"],
+  ["december", "dec", "दिसंबर", "दिसम्बर", "ડિસેમ્બર"],
+].forEach((words, i) => words.forEach((w) => MONTHS.set(normalizeSpoken(w), i + 1)));
+
+const WEEKDAYS = new Map(); // 0 = Sunday
+[
+  ["sunday", "रविवार", "इतवार", "રવિવાર", "ravivar", "raviwar", "itvar"],
+  ["monday", "सोमवार", "સોમવાર", "somvar", "somwar"],
+  ["tuesday", "मंगलवार", "મંગળવાર", "mangalvar", "mangalwar", "mangalvaar"],
+  ["wednesday", "बुधवार", "બુધવાર", "budhvar", "budhwar"],
+  ["thursday", "गुरुवार", "बृहस्पतिवार", "ગુરુવાર", "guruvar", "guruwar"],
+  ["friday", "शुक्रवार", "શુક્રવાર", "shukravar", "shukrawar"],
+  ["saturday", "शनिवार", "શનિવાર", "shanivar", "shaniwar"],
+].forEach((words, i) => words.forEach((w) => WEEKDAYS.set(normalizeSpoken(w), i)));
+
+const RELATIVE_DAYS = new Map();
+for (const [offset, words] of [
+  [0, ["today", "आज", "આજે", "આજ", "aaj", "aaje"]],
+  [1, ["tomorrow", "कल", "કાલે", "આવતીકાલે", "kal", "kaal", "kale", "kaale", "aavtikale"]],
+  [2, ["परसों", "પરમદિવસે", "parso", "parson", "parmdivase"]],
+]) for (const w of words) RELATIVE_DAYS.set(normalizeSpoken(w), offset);
+
+const DAY_WORDS = new Set(["day", "days", "दिन", "દિવસ", "din", "divas"].map(normalizeSpoken));
+const AFTER_WORDS = new Set(["after", "later", "बाद", "પછી", "baad", "pachhi", "pachi"].map(normalizeSpoken));
+
+// calendar date in India for `now`, as UTC-midnight Date so day arithmetic ignores time zones
+function istToday(now) {
+  const [y, m, d] = new Intl.DateTimeFormat("en-CA", { timeZone: "Asia/Kolkata", year: "numeric", month: "2-digit", day: "2-digit" })
+    .format(now).split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, n) {
+  return new Date(date.getTime() + n * 86400000);
+}
+
+// y/m/d -> Date, or null for impossible dates (31 June)
+function makeDate(y, m, d) {
+  const date = new Date(Date.UTC(y, m - 1, d));
+  return date.getUTCMonth() === m - 1 && date.getUTCDate() === d ? date : null;
+}
+
+// day + month without a year: the next time it comes round (today counts)
+function upcoming(today, m, d, y) {
+  if (y) return makeDate(y < 100 ? 2000 + y : y, m, d);
+  const thisYear = makeDate(today.getUTCFullYear(), m, d);
+  if (thisYear && thisYear >= today) return thisYear;
+  return makeDate(today.getUTCFullYear() + 1, m, d);
+}
+
+// -> "YYYY-MM-DD" (India's calendar) or null
+export function parseSpokenDate(text, { now = new Date() } = {}) {
+  const today = istToday(now);
+  const norm = normalizeSpoken(text);
+  let m;
+  if ((m = /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/.exec(norm))) {
+    const date = makeDate(Number(m[1]), Number(m[2]), Number(m[3]));
+    return date ? isoDate(date) : null;
+  }
+  // day first, as written in India: 15/8, 15-08-2026, 15.8.26
+  if ((m = /\b(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2}|\d{4}))?\b/.exec(norm))) {
+    const date = upcoming(today, Number(m[2]), Number(m[1]), m[3] ? Number(m[3]) : null);
+    return date ? isoDate(date) : null;
+  }
+
+  const toks = tokens(norm);
+  if (/day after tomorrow/.test(norm)) return isoDate(addDays(today, 2));
+
+  // "15 August", "पंद्रह अगस्त 2026", "August 15th"
+  const mi = toks.findIndex((t) => MONTHS.has(t));
+  if (mi >= 0) {
+    const month = MONTHS.get(toks[mi]);
+    let start = mi;
+    while (start > 0 && mi - start < 3 && (WORDS.has(toks[start - 1]) || ORDINAL_WORDS.has(toks[start - 1]) || /^\d{1,2}$/.test(toks[start - 1]) || ORDINAL_SUFFIXES.has(toks[start - 1]))) start--;
+    let day = start < mi ? parseSpokenNumber(toks.slice(start, mi).join(" ")) : null;
+    let rest = toks.slice(mi + 1);
+    if (!day && rest.length) {
+      day = parseSpokenNumber(rest[0]);
+      rest = rest.slice(ORDINAL_SUFFIXES.has(rest[1]) ? 2 : 1);
+    }
+    const year = rest.find((t) => /^\d{4}$/.test(t));
+    if (day && Number.isInteger(day) && day >= 1 && day <= 31) {
+      const date = upcoming(today, month, day, year ? Number(year) : null);
+      return date ? isoDate(date) : null;
+    }
+  }
+
+  // "in 3 days", "तीन दिन बाद", "ત્રણ દિવસ પછી"
+  const di = toks.findIndex((t) => DAY_WORDS.has(t));
+  if (di > 0 && (toks.some((t) => AFTER_WORDS.has(t)) || toks.includes("in"))) {
+    const n = parseSpokenNumber(toks.slice(Math.max(0, di - 2), di).join(" "));
+    if (n && Number.isInteger(n) && n < 366) return isoDate(addDays(today, n));
+  }
+
+  const rel = toks.find((t) => RELATIVE_DAYS.has(t));
+  if (rel !== undefined) return isoDate(addDays(today, RELATIVE_DAYS.get(rel)));
+
+  // weekday: the next one after today ("next Friday" and "Friday" alike)
+  const wd = toks.find((t) => WEEKDAYS.has(t));
+  if (wd !== undefined) {
+    const ahead = (WEEKDAYS.get(wd) - today.getUTCDay() + 7) % 7 || 7;
+    return isoDate(addDays(today, ahead));
+  }
+  return null;
+}
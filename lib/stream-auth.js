@@ -0,0 +1,95 @@
+// lib/stream-auth.js
+// Short-lived, single-use tokens for Twilio media-stream WebSockets. /answer mints one per
+// TwiML response and sends it as a <Stream> <Parameter name="token">; Twilio hands it back in
+// the "start" event's customParameters, and the socket is closed before any STT session is
+// opened unless it verifies. Tokens are HMAC-SHA256 signed, bound to the CallSid when /answer
+// knew it, expire after STREAM_TOKEN_TTL_SECONDS and are remembered until then so a replay fails.
+//
+//   const streamAuth = createStreamAuth();
+//   stream.parameter({ name: STREAM_TOKEN_PARAM, value: streamAuth.issue(req.body.CallSid) });   // /answer
+//   const gate = streamAuth.gate(ws);              // on connection: closes the socket if no valid start arrives
+//   if (!gate.admit(evt.start)) return;            // on "start", before opening STT
+//
+// STREAM_TOKEN_SECRET (falls back to TWILIO_AUTH, else a random per-process key — fine for one instance),
+// STREAM_TOKEN_TTL_SECONDS (default 120), STREAM_START_TIMEOUT_MS (default 10000); all read by createStreamAuth()
+import crypto from "crypto";
+
+export const STREAM_TOKEN_PARAM = "token";
+
+function warn(...args) { console.warn(new Date().toISOString(), ...args); }
+
+function b64url(buf) {
+  return Buffer.from(buf).toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+export function createStreamAuth(opts = {}) {
+  const secret = opts.secret || process.env.STREAM_TOKEN_SECRET || process.env.TWILIO_AUTH || crypto.randomBytes(32).toString("hex");
+  const ttlMs = (opts.ttlSeconds ?? parseInt(process.env.STREAM_TOKEN_TTL_SECONDS || "120", 10)) * 1000;
+  const startTimeoutMs = opts.startTimeoutMs ?? parseInt(process.env.STREAM_START_TIMEOUT_MS || "10000", 10);
+  const used = new Map(); // nonce -> expiresAt, kept until the token would have expired anyway
+
+  function sign(payload) {
+    return b64url(crypto.createHmac("sha256", secret).update(payload).digest());
+  }
+
+  function sweep(now) {
+    for (const [nonce, exp] of used) if (exp <= now) used.delete(nonce);
+  }
+
+  // callSid may be empty (e.g. /answer opened in a browser); the token is then not bound to a call
+  function issue(callSid = "") {
+    const payload = b64url(JSON.stringify({ n: b64url(crypto.randomBytes(12)), e: Date.now() + ttlMs, c: callSid || "" }));
+    return `${payload}.${sign(payload)}`;
+  }
+
+  // { ok: true } or { ok: false, reason }
+  function verify(token, callSid) {
+    const [payload, sig, extra] = String(token || "").split(".");
+    if (!payload || !sig || extra !== undefined) return { ok: false, reason: token ? "malformed token" : "missing token" };
+    const expected = sign(payload);
+    if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) {
+      return { ok: false, reason: "bad signature" };
+    }
+    let claims;
+    try { claims = JSON.parse(Buffer.from(payload, "base64").toString("utf8")); } catch { return { ok: false, reason: "malformed token" }; }
+    const now = Date.now();
+    sweep(now);
+    if (!(claims.e > now)) return { ok: false, reason: "expired token" };
+    if (claims.c && claims.c !== callSid) return { ok: false, reason: `token issued for ${claims.c}, stream is ${callSid || "unknown"}` };
+    if (used.has(claims.n)) return { ok: false, reason: "replayed token" };
+    used.set(claims.n, claims.e);
+    return { ok: true };
+  }
+
+  // per-socket guard: nothing is admitted until a start event with a valid token arrives
+  function gate(ws) {
+    let admitted = false;
+    let closed = false;
+    const reject = (reason) => {
+      if (closed) return;
+      closed = true;
+      clearTimeout(timer);
+      warn("🚫 Rejected media stream:", reason);
+      try { ws.close(1008, "unauthorized"); } catch {}
+    };
+    const timer = setTimeout(() => reject(`no authenticated start within ${startTimeoutMs} ms`), startTimeoutMs);
+    timer.unref?.();
+    ws.once?.("close", () => { closed = true; clearTimeout(timer); });
+
+    return {
+      admit(start = {}) {
+        if (admitted) return true;
+        if (closed) return false;
+        const callSid = start.callSid || start.call_sid || "";
+        const result = verify(start.customParameters?.[STREAM_TOKEN_PARAM], callSid);
+        if (!result.ok) { reject(`${result.reason} (call ${callSid || "unknown"})`); return false; }
+        admitted = true;
+        clearTimeout(timer);
+        return true;
+      },
+      get admitted() { return admitted; },
+    };
+  }
+
+  return { issue, verify, gate };
+}
@@ -0,0 +1,330 @@
+// lib/stt.js
+// One speech-to-text interface for every server.
+//
+//   const stt = createSttSession({ languageCode: "unknown" });
+//   stt.on("final", ({ text, language, confidence, transport }) => …);
+//   stt.sendPcm16(pcm16leBuffer, 8000);
+//   await stt.close();
+//
+// Events: open, partial, final, speech_start, speech_end, error, close.
+// Transports are tried in order (STT_TRANSPORTS, default "sdk,ws,rest"):
+//   sdk  — sarvamai speechToTextStreaming socket
+//   ws   — raw WebSocket to the Sarvam streaming endpoint
+//   rest — whole utterances (local VAD, lib/vad.js) sent to the Sarvam REST endpoint
+// Endpoints follow SARVAM_BASE_URL / SARVAM_WS_BASE_URL (lib/sarvam.js).
+// If a streaming transport drops mid-call the session falls back to rest.
+import { EventEmitter } from "events";
+import fs from "fs";
+import fetch from "node-fetch";
+import FormData from "form-data";
+import { WebSocket } from "ws";
+import { normalizeLangCode } from "./language.js";
+import { makeWavBuffer } from "./audio.js";
+import { createRateConverter } from "./resample.js";
+import { createVad } from "./vad.js";
+import { createSarvamClient, sarvamUrl } from "./sarvam.js";
+
+const SARVAM_STT_PATH = "/speech-to-text";
+const SARVAM_STT_WS_PATH = "/speech_to_text_streaming";
+const STREAM_SAMPLE_RATE = 16000; // what the streaming endpoint expects
+const OPEN_TIMEOUT_MS = 5000;
+const MAX_PENDING_FRAMES = 500; // ~10s of 20ms frames buffered while connecting
+
+function log(...args) { console.log(new Date().toISOString(), ...args); }
+function warn(...args) { console.warn(new Date().toISOString(), ...args); }
+
+// ---- message normalization ----
+// Maps every Sarvam shape we have seen into [{ type, text, language, confidence }]:
+//   SDK  "transcript" event  { text, is_final, language_code }
+//   SDK  "message" event     { type: "data", data: { transcript, language_code } }
+//                            { type: "events", data: { signal_type: "START_SPEECH" | "END_SPEECH" } }
+//   raw  WS                  { event: "speech_start" | "speech_end" | "transcript", data: { text | transcript, is_final } }
+export function normalizeSttMessage(msg) {
+  if (!msg || typeof msg !== "object") return [];
+  const data = msg.data || {};
+  const kind = msg.event || msg.type;
+  const language = normalizeLangCode(msg.language_code || data.language_code || data.language);
+  const confidence = data.confidence ?? data.language_probability ?? msg.confidence ?? null;
+
+  if (kind === "speech_start" || (kind === "events" && data.signal_type === "START_SPEECH")) {
+    return [{ type: "speech_start" }];
+  }
+  if (kind === "speech_end" || (kind === "events" && data.signal_type === "END_SPEECH")) {
+    const text = String(data.text || msg.text || "").trim();
+    const end = { type: "speech_end", text, language, confidence };
+    return text ? [end, { type: "final", text, language, confidence }] : [end];
+  }
+  const text = String(data.transcript || data.text || msg.transcript || msg.text || "").trim();
+  if (!text) return [];
+  // the SDK's "data" messages are per-utterance finals
+  const isFinal = kind === "data" || !!(msg.is_final || data.is_final || data.final);
+  return [{ type: isFinal ? "final" : "partial", text, language, confidence }];
+}
+
+// ---- Sarvam REST STT (file or in-memory WAV) ----
+export async function sarvamRestTranscribe({ wav, filePath, languageCode = "unknown", model, apiKey } = {}) {
+  const fd = new FormData();
+  if (wav) fd.append("file", wav, { filename: "chunk.wav", contentType: "audio/wav" });
+  else fd.append("file", fs.createReadStream(filePath));
+  fd.append("model", model || process.env.SARVAM_STT_MODEL || "saarika:v2.5");
+  fd.append("language_code", languageCode);
+  fd.append("translate", "false"); // hard-stop any translation to English
+
+  const headers = fd.getHeaders();
+  headers["api-subscription-key"] = apiKey || process.env.SARVAM_API_KEY;
+
+  const res = await fetch(sarvamUrl(SARVAM_STT_PATH), { method: "POST", headers, body: fd });
+  const json = await res.json().catch(() => null);
+  if (!res.ok) {
+    const err = new Error(`Sarvam REST STT error ${res.status}`);
+    err.body = json;
+    throw err;
+  }
+  const transcript = json?.transcript || json?.text || (Array.isArray(json?.results) && json.results[0]?.alternatives?.[0]?.transcript) || "";
+  const langCode = normalizeLangCode(json?.language_code || json?.language || "unknown");
+  return { transcript, langCode, confidence: json?.language_probability ?? null };
+}
+
+// ---- transports ----
+function waitForSocketOpen(socket) {
+  if (typeof socket.waitForOpen === "function") return socket.waitForOpen();
+  if (socket.readyState === 1) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const t = setTimeout(() => reject(new Error("STT socket open timeout")), OPEN_TIMEOUT_MS);
+    socket.on("open", () => { clearTimeout(t); resolve(); });
+    socket.on("error", (e) => { clearTimeout(t); reject(e); });
+  });
+}
+
+function sdkTransport(ctx) {
+  let socket = null;
+  const toStreamRate = createRateConverter(STREAM_SAMPLE_RATE);
+  return {
+    name: "sdk",
+    async open() {
+      const client = ctx.opts.client || createSarvamClient(ctx.apiKey);
+      socket = await client.speechToTextStreaming.connect({
+        model: ctx.model,
+        "language-code": ctx.languageCode,
+        high_vad_sensitivity: true,
+        vad_signals: true,
+        debug: false,
+      });
+      socket.on("message", (m) => ctx.dispatch(m, "sdk"));
+      socket.on("transcript", (e) => ctx.dispatch({ ...e, type: "transcript" }, "sdk"));
+      socket.on("speech_start", (e) => ctx.dispatch({ event: "speech_start", data: e || {} }, "sdk"));
+      socket.on("speech_end", (e) => ctx.dispatch({ event: "speech_end", data: e || {} }, "sdk"));
+      socket.on("error", (e) => ctx.error(e, "sdk"));
+      socket.on("close", () => ctx.dropped("sdk"));
+      await waitForSocketOpen(socket);
+    },
+    send(pcm16, sampleRate) {
+      const audio = toStreamRate(pcm16, sampleRate).toString("base64");
+      if (typeof socket.transcribe === "function") {
+        socket.transcribe({ audio, sample_rate: STREAM_SAMPLE_RATE, input_audio_codec: "pcm_s16le" });
+      } else {
+        socket.sendAudio(audio, STREAM_SAMPLE_RATE);
+      }
+    },
+    async close() {
+      try { socket?.sendJson?.({ event: "end" }); } catch {}
+      try { socket?.close(); } catch {}
+    },
+  };
+}
+
+function wsTransport(ctx) {
+  let socket = null;
+  const toStreamRate = createRateConverter(STREAM_SAMPLE_RATE);
+  return {
+    name: "ws",
+    async open() {
+      const url = `${sarvamUrl(SARVAM_STT_WS_PATH, { ws: true })}?model=${encodeURIComponent(ctx.model)}&language_code=${encodeURIComponent(ctx.languageCode)}&high_vad_sensitivity=true&vad_signals=true`;
+      log("Connecting raw WebSocket to Sarvam streaming URL:", url);
+      socket = new WebSocket(url, { headers: { "api-subscription-key": ctx.apiKey, "Authorization": `Bearer ${ctx.apiKey}` } });
+      socket.on("message", (raw) => {
+        try { ctx.dispatch(JSON.parse(raw.toString()), "ws"); }
+        catch (e) { warn("Bad STT message (raw ws):", e?.message || e); }
+      });
+      socket.on("error", (e) => ctx.error(e, "ws"));
+      socket.on("close", () => ctx.dropped("ws"));
+      await waitForSocketOpen(socket);
+    },
+    send(pcm16, sampleRate) {
+      const data = toStreamRate(pcm16, sampleRate).toString("base64");
+      socket.send(JSON.stringify({ audio: { data, sample_rate: STREAM_SAMPLE_RATE, encoding: "pcm_s16le" } }));
+    },
+    async close() {
+      try { socket?.close(); } catch {}
+    },
+  };
+}
+
+// REST: a local VAD buffers each utterance and sends it at end-of-speech (STT_REST_ENDPOINTING=vad, default),
+// emitting speech_start/speech_end like Sarvam's VAD signals; "fixed" keeps the old CHUNK_SECONDS blocks.
+function restTransport(ctx) {
+  const vad = ctx.restEndpointing === "vad" ? createVad(ctx.opts.vad) : null;
+  let parts = [];
+  let bytes = 0;
+  let rate = 8000;
+  let queue = Promise.resolve();
+
+  function transcribe(pcm, sampleRate) {
+    queue = queue.then(async () => {
+      try {
+        const { transcript, langCode, confidence } = await sarvamRestTranscribe({
+          wav: makeWavBuffer(pcm, sampleRate),
+          languageCode: ctx.restLanguageCode,
+          model: ctx.model,
+          apiKey: ctx.apiKey,
+        });
+        log("Sarvam REST STT transcript:", transcript, "lang:", langCode);
+        if (transcript) ctx.dispatch({ type: "transcript", is_final: true, text: transcript, language_code: langCode, confidence }, "rest");
+      } catch (e) {
+        ctx.error(e, "rest");
+      }
+    });
+    return queue;
+  }
+
+  function takeBuffered() {
+    const combined = Buffer.concat(parts, bytes);
+    parts = [];
+    bytes = 0;
+    return combined;
+  }
+
+  function onVadEvents(events) {
+    for (const evt of events) {
+      if (evt.type === "speech_start") {
+        ctx.dispatch({ event: "speech_start", data: {} }, "rest");
+      } else if (evt.type === "speech_end") {
+        ctx.dispatch({ event: "speech_end", data: {} }, "rest");
+        log(`VAD utterance ${evt.durationMs} ms -> REST STT`);
+        transcribe(evt.audio, evt.sampleRate);
+      }
+    }
+  }
+
+  return {
+    name: "rest",
+    async open() {},
+    send(pcm16, sampleRate) {
+      if (vad) return onVadEvents(vad.push(pcm16, sampleRate));
+      rate = sampleRate;
+      parts.push(pcm16);
+      bytes += pcm16.length;
+      if (bytes >= Math.ceil(ctx.chunkSeconds * rate * 2)) transcribe(takeBuffered(), rate);
+    },
+    async close() {
+      if (vad) onVadEvents(vad.flush());
+      else if (bytes > 0) transcribe(takeBuffered(), rate);
+      await queue;
+    },
+  };
+}
+
+const TRANSPORTS = { sdk: sdkTransport, ws: wsTransport, rest: restTransport };
+
+function transportsFromEnv() {
+  return (process.env.STT_TRANSPORTS || "sdk,ws,rest").split(",").map((t) => t.trim()).filter(Boolean);
+}
+
+// ---- session ----
+export function createSttSession(opts = {}) {
+  const emitter = new EventEmitter();
+  const ctx = {
+    opts,
+    apiKey: opts.apiKey || process.env.SARVAM_API_KEY,
+    model: opts.model || process.env.SARVAM_STT_MODEL || "saarika:v2.5",
+    languageCode: opts.languageCode || "unknown",
+    // the REST path historically pinned en-IN in r.js; callers can still ask for auto-detect
+    restLanguageCode: opts.restLanguageCode || opts.languageCode || "unknown",
+    // env read per session: servers load .env after their imports have been evaluated
+    chunkSeconds: opts.chunkSeconds ?? parseFloat(process.env.CHUNK_SECONDS || "0.9"), // fixed endpointing only
+    restEndpointing: (opts.restEndpointing || process.env.STT_REST_ENDPOINTING || "vad").toLowerCase(),
+    dispatch,
+    error: (e, transport) => {
+      warn(`⚠ STT error (${transport}):`, e?.message || e);
+      if (emitter.listenerCount("error")) emitter.emit("error", e);
+    },
+    dropped,
+  };
+  const chain = (opts.transports || transportsFromEnv()).filter((t) => TRANSPORTS[t]);
+  let transport = null;
+  let closing = false;
+  let pending = [];
+  let lastFinal = { text: "", at: 0 };
+
+  function dispatch(msg, transportName) {
+    for (const evt of normalizeSttMessage(msg)) {
+      evt.transport = transportName;
+      if (evt.type === "final") {
+        // speech_end and transcript(final) often carry the same utterance
+        if (evt.text === lastFinal.text && Date.now() - lastFinal.at < 3000) continue;
+        lastFinal = { text: evt.text, at: Date.now() };
+      }
+      emitter.emit(evt.type, evt);
+    }
+  }
+
+  async function connect(names) {
+    for (const name of names) {
+      if (closing) return;
+      const t = TRANSPORTS[name](ctx);
+      try {
+        await t.open();
+        transport = t;
+        log(`✅ STT open via ${name}`);
+        emitter.emit("open", { transport: name });
+        const copy = pending;
+        pending = [];
+        for (const [pcm, rate] of copy) send(pcm, rate);
+        return;
+      } catch (e) {
+        warn(`STT transport ${name} failed:`, e?.message || e);
+        try { await t.close(); } catch {}
+      }
+    }
+    ctx.error(new Error("No STT transport could be opened"), "session");
+  }
+
+  // a streaming socket closed on its own: continue on REST if it is in the chain
+  function dropped(name) {
+    if (closing || !transport || transport.name !== name) return;
+    log(`ℹ️ STT ${name} transport closed`);
+    transport = null;
+    if (name !== "rest" && chain.includes("rest")) connect(["rest"]);
+    else emitter.emit("close");
+  }
+
+  function send(pcm16, sampleRate = 8000) {
+    if (!transport) {
+      pending.push([pcm16, sampleRate]);
+      if (pending.length > MAX_PENDING_FRAMES) pending.shift();
+      return;
+    }
+    try {
+      transport.send(pcm16, sampleRate);
+    } catch (e) {
+      warn(`STT send failed (${transport.name}):`, e?.message || e);
+    }
+  }
+
+  async function close() {
+    if (closing) return;
+    closing = true;
+    const t = transport;
+    transport = null;
+    try { await t?.close(); } catch {}
+    emitter.emit("close");
+  }
+
+  connect(chain);
+
+  return Object.assign(emitter, {
+    sendPcm16: send,
+    close,
+    get transport() { return transport?.name || null; },
+  });
+}
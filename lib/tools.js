@@ -0,0 +1,258 @@
+// lib/tools.js
+// Function calling for the phone assistant. Tools are registered once with an OpenAI-style
+// JSON-schema for their arguments; runToolLoop() offers them to the model via provider.complete(),
+// runs the local handlers it asks for (each under its own timeout), feeds the results back as
+// "tool" messages and returns the text to speak plus a record of every invocation for the turn.
+//
+//   const tools = createDefaultTools();                  // TOOLS=all | order_status,current_time_ist,…
+//   tools.register({ name, description, parameters, timeoutMs, handler: async (args, ctx) => … });
+//   const { reply, invocations } = await runToolLoop(llm, { messages, registry: tools, ctx: { callSid, lang, endCall } });
+//   callStore.addTurn(callSid, { …turn, tools: invocations });
+//
+// Built-ins: order_status (ORDERS_FILE, default orders.json), current_time_ist, end_call (ctx.endCall),
+// schedule_callback (appends to CALLBACKS_FILE, default callbacks.jsonl).
+// TOOL_TIMEOUT_MS=3000 per invocation, TOOL_MAX_ROUNDS=3 model round-trips before a plain answer is forced.
+import fs from "fs";
+import path from "path";
+
+function log(...args) { console.log(new Date().toISOString(), ...args); }
+function warn(...args) { console.warn(new Date().toISOString(), ...args); }
+
+export function toolsConfigFromEnv(defaults = {}) {
+  const env = process.env;
+  const spec = (env.TOOLS ?? defaults.tools ?? "off").trim().toLowerCase();
+  const enabled = ["", "off", "false", "none"].includes(spec) ? [] : spec.split(",").map((s) => s.trim()).filter(Boolean);
+  return {
+    enabled, // ["all"] or tool names
+    ordersFile: env.ORDERS_FILE || defaults.ordersFile || path.join(process.cwd(), "orders.json"),
+    callbacksFile: env.CALLBACKS_FILE || defaults.callbacksFile || path.join(process.cwd(), "callbacks.jsonl"),
+    timeoutMs: parseInt(env.TOOL_TIMEOUT_MS || String(defaults.timeoutMs ?? 3000), 10),
+    maxRounds: parseInt(env.TOOL_MAX_ROUNDS || String(defaults.maxRounds ?? 3), 10),
+  };
+}
+
+// ---- argument validation (the subset of JSON schema tool definitions use) ----
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+}
+
+function matchesType(value, type) {
+  const t = typeOf(value);
+  return t === type || (type === "number" && t === "integer");
+}
+
+// returns a list of problems ([] = valid)
+export function validateArgs(schema = {}, value, at = "arguments") {
+  const errors = [];
+  const types = schema.type ? [].concat(schema.type) : null;
+  if (types && !types.some((t) => matchesType(value, t))) return [`${at} must be ${types.join(" or ")}`];
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at} must be one of ${schema.enum.join(", ")}`);
+  if (typeOf(value) === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at} is too short`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at} is too long`);
+  }
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key} is required`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateArgs(sub, value[key], `${at}.${key}`));
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) if (!schema.properties?.[key]) errors.push(`${at}.${key} is not allowed`);
+    }
+  }
+  if (typeOf(value) === "array" && schema.items) {
+    value.forEach((item, i) => errors.push(...validateArgs(schema.items, item, `${at}[${i}]`)));
+  }
+  return errors;
+}
+
+// ---- registry ----
+export function createToolRegistry(opts = {}) {
+  const defaultTimeoutMs = opts.timeoutMs ?? 3000;
+  const tools = new Map();
+
+  function register(tool) {
+    if (!tool?.name || !/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name)) throw new Error(`Invalid tool name "${tool?.name}"`);
+    if (typeof tool.handler !== "function") throw new Error(`Tool ${tool.name} has no handler`);
+    if (tools.has(tool.name)) throw new Error(`Tool ${tool.name} is already registered`);
+    tools.set(tool.name, {
+      description: "",
+      parameters: { type: "object", properties: {} },
+      timeoutMs: defaultTimeoutMs,
+      ...tool,
+    });
+    return registry;
+  }
+
+  // OpenAI `tools` request field
+  function definitions() {
+    return [...tools.values()].map((t) => ({
+      type: "function",
+      function: { name: t.name, description: t.description, parameters: t.parameters },
+    }));
+  }
+
+  // call: { id, name, arguments } (arguments as the model sent them: a JSON string)
+  // resolves with { id, name, args, ok, result | error, ms } — never throws, the model gets told what went wrong
+  async function invoke(call, ctx = {}) {
+    const started = Date.now();
+    const record = { id: call.id || null, name: call.name, args: null, ok: false };
+    const done = (fields) => ({ ...record, ...fields, ms: Date.now() - started });
+    const tool = tools.get(call.name);
+    if (!tool) return done({ error: `unknown tool ${call.name}` });
+
+    let args = call.arguments ?? {};
+    if (typeof args === "string") {
+      try { args = args.trim() ? JSON.parse(args) : {}; } catch { return done({ error: "arguments are not valid JSON" }); }
+    }
+    record.args = args;
+    const problems = validateArgs(tool.parameters, args);
+    if (problems.length) return done({ error: `invalid arguments: ${problems.join("; ")}` });
+
+    let timer = null;
+    try {
+      const result = await Promise.race([
+        Promise.resolve().then(() => tool.handler(args, ctx)),
+        new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(`timed out after ${tool.timeoutMs} ms`)), tool.timeoutMs); }),
+      ]);
+      return done({ ok: true, result: result ?? null });
+    } catch (e) {
+      return done({ error: e?.message || String(e) });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  const registry = {
+    register,
+    definitions,
+    invoke,
+    maxRounds: opts.maxRounds ?? 3,
+    has: (name) => tools.has(name),
+    names: () => [...tools.keys()],
+    get size() { return tools.size; },
+  };
+  return registry;
+}
+
+// ---- model <-> tools loop ----
+// messages: the usual chat messages; the registry's tools are offered for up to maxRounds
+// (TOOL_MAX_ROUNDS) round-trips, after which the model has to answer in text. onInvocation(record) fires per call.
+export async function runToolLoop(llm, { messages, registry, ctx = {}, maxRounds = registry?.maxRounds ?? 3, maxTokens, onInvocation, signal } = {}) {
+  const convo = [...messages];
+  const invocations = [];
+  for (let round = 0; ; round++) {
+    const offer = registry?.size && round < maxRounds ? registry.definitions() : undefined;
+    const msg = await llm.complete({ messages: convo, tools: offer, maxTokens, signal });
+    if (!msg.toolCalls?.length || !offer) return { reply: msg.content || "", invocations };
+
+    convo.push({
+      role: "assistant",
+      content: msg.content || null,
+      tool_calls: msg.toolCalls.map((c) => ({ id: c.id, type: "function", function: { name: c.name, arguments: c.arguments } })),
+    });
+    for (const call of msg.toolCalls) {
+      const record = await registry.invoke(call, ctx);
+      invocations.push(record);
+      if (record.ok) log(`🔧 Tool ${record.name}(${JSON.stringify(record.args)}) ->`, JSON.stringify(record.result), `(${record.ms} ms)`);
+      else warn(`🔧 Tool ${record.name} failed:`, record.error, `(${record.ms} ms)`);
+      onInvocation?.(record);
+      convo.push({
+        role: "tool",
+        tool_call_id: call.id,
+        content: JSON.stringify(record.ok ? record.result : { error: record.error }),
+      });
+    }
+  }
+}
+
+// ---- built-in tools ----
+function normalizeOrderId(id) {
+  return String(id || "").replace(/[^0-9a-z]/gi, "").toUpperCase();
+}
+
+// ORDERS_FILE: [{ "id": "A123", "status": "shipped", … }] or { "A123": { "status": "shipped", … } }
+function findOrder(file, orderId) {
+  if (!fs.existsSync(file)) throw new Error("order lookup is not available");
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  const wanted = normalizeOrderId(orderId);
+  const entries = Array.isArray(data)
+    ? data.map((o) => [o.id ?? o.order_id ?? o.orderId, o])
+    : Object.entries(data);
+  const hit = entries.find(([id]) => normalizeOrderId(id) === wanted);
+  return hit ? { found: true, order_id: String(hit[0]), ...hit[1] } : { found: false, order_id: orderId };
+}
+
+function istNow(date = new Date()) {
+  const fmt = (o) => new Intl.DateTimeFormat("en-IN", { timeZone: "Asia/Kolkata", ...o }).format(date);
+  return {
+    timezone: "Asia/Kolkata",
+    date: fmt({ weekday: "long", day: "numeric", month: "long", year: "numeric" }),
+    time: fmt({ hour: "numeric", minute: "2-digit", hour12: true }),
+    iso: new Date(date.getTime() + 330 * 60 * 1000).toISOString().replace("Z", "+05:30"),
+  };
+}
+
+export const BUILTIN_TOOLS = {
+  order_status: (cfg) => ({
+    name: "order_status",
+    description: "Look up the status of a customer's order by its order number.",
+    parameters: {
+      type: "object",
+      properties: { order_id: { type: "string", minLength: 1, description: "Order number as the caller said or typed it" } },
+      required: ["order_id"],
+    },
+    handler: ({ order_id }) => findOrder(cfg.ordersFile, order_id),
+  }),
+  current_time_ist: () => ({
+    name: "current_time_ist",
+    description: "Get the current date and time in India (IST).",
+    parameters: { type: "object", properties: {} },
+    handler: () => istNow(),
+  }),
+  end_call: () => ({
+    name: "end_call",
+    description: "Hang up after your reply, once the caller says goodbye or has nothing else to ask.",
+    parameters: { type: "object", properties: { reason: { type: "string" } } },
+    handler: ({ reason }, ctx) => {
+      if (typeof ctx.endCall !== "function") throw new Error("ending the call is not supported here");
+      ctx.endCall(reason || "assistant");
+      return { ending: true };
+    },
+  }),
+  schedule_callback: (cfg) => ({
+    name: "schedule_callback",
+    description: "Schedule a call back to the caller at the time they ask for.",
+    parameters: {
+      type: "object",
+      properties: {
+        when: { type: "string", minLength: 1, description: "Requested time in the caller's words, e.g. 'tomorrow 5 pm'" },
+        reason: { type: "string", description: "What the callback is about" },
+      },
+      required: ["when"],
+    },
+    handler: ({ when, reason }, ctx) => {
+      const entry = { at: new Date().toISOString(), callSid: ctx.callSid || null, contact: ctx.contact || null, when, reason: reason || null, lang: ctx.lang || null };
+      fs.appendFileSync(cfg.callbacksFile, JSON.stringify(entry) + "\n");
+      return { scheduled: true, when };
+    },
+  }),
+};
+
+// registry with the built-ins TOOLS enables; servers can register more on it
+export function createDefaultTools(config = toolsConfigFromEnv()) {
+  const registry = createToolRegistry({ timeoutMs: config.timeoutMs, maxRounds: config.maxRounds });
+  const all = config.enabled.includes("all");
+  for (const [name, make] of Object.entries(BUILTIN_TOOLS)) {
+    if (all || config.enabled.includes(name)) registry.register(make(config));
+  }
+  for (const name of config.enabled) {
+    if (name !== "all" && !BUILTIN_TOOLS[name]) warn(`⚠ TOOLS lists unknown tool "${name}" — ignored`);
+  }
+  return registry;
+}
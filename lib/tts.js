@@ -0,0 +1,327 @@
+// lib/tts.js
+// One text-to-speech interface for every server.
+//
+//   const tts = createTtsProvider(ttsConfigFromEnv({ client: sarvam }));
+//   const clip = await tts.synthesize("Namaste", { lang: "hi-IN", format: "mulaw" });
+//   for await (const chunk of tts.stream(text, { lang, format: "mp3" })) …
+//
+// Clips are { format, sampleRate, audio: Buffer } where format is one of
+//   pcm16 (raw PCM16LE), wav, mulaw / alaw (raw 8k G.711, what media streams carry), mp3 (for <Play>).
+// Callers ask for the format they need; conversion happens here (MP3 in/out goes through ffmpeg).
+// opts.signal (AbortSignal) cancels a Sarvam request mid-flight, e.g. when the caller barges in.
+//
+// Providers (TTS_PROVIDER):
+//   sarvam        — Sarvam REST / SDK textToSpeech.convert, one clip per request (default)
+//   sarvam-stream — Sarvam textToSpeechStreaming socket, chunks as they are generated
+//   tone          — offline stand-in: one beep per word, deterministic (tests / demos without a key)
+// Sarvam endpoints follow SARVAM_BASE_URL / SARVAM_WS_BASE_URL (lib/sarvam.js).
+// TTS_MODEL / SARVAM_TTS_MODEL, TTS_VOICE / SARVAM_TTS_VOICE, TTS_SAMPLE_RATE, TTS_PITCH, TTS_PACE
+import { Readable, PassThrough } from "stream";
+import fetch from "node-fetch";
+import ffmpeg from "fluent-ffmpeg";
+import ffmpegPath from "ffmpeg-static";
+import { makeWavBuffer, parseWavPcm16, isWav } from "./audio.js";
+import { decodeG711, encodeG711, G711_SAMPLE_RATE } from "./g711.js";
+import { resample, createRateConverter } from "./resample.js";
+import { createSarvamClient, sarvamUrl } from "./sarvam.js";
+
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+const SARVAM_TTS_PATH = "/text-to-speech";
+const FORMATS = new Set(["pcm16", "wav", "mulaw", "alaw", "mp3"]);
+const RAW_FORMATS = new Set(["pcm16", "mulaw", "alaw"]);
+const G711 = new Set(["mulaw", "alaw"]);
+const FIRST_CHUNK_TIMEOUT_MS = 8000;
+
+function warn(...args) { console.warn(new Date().toISOString(), ...args); }
+
+// server defaults (e.g. { provider: "sarvam-stream", sampleRate: 22050 }) < env
+export function ttsConfigFromEnv(defaults = {}) {
+  const env = process.env;
+  const num = (v, d) => (v === undefined || v === "" ? d : Number(v));
+  return {
+    provider: (env.TTS_PROVIDER || defaults.provider || "sarvam").toLowerCase(),
+    client: defaults.client, // optional shared SarvamAIClient
+    apiKey: env.SARVAM_API_KEY || defaults.apiKey,
+    model: env.TTS_MODEL || env.SARVAM_TTS_MODEL || defaults.model || "bulbul:v2",
+    speaker: env.TTS_VOICE || env.SARVAM_TTS_VOICE || defaults.speaker || "anushka",
+    sampleRate: num(env.TTS_SAMPLE_RATE, defaults.sampleRate ?? 16000),
+    pitch: num(env.TTS_PITCH, defaults.pitch ?? 0),
+    pace: num(env.TTS_PACE, defaults.pace ?? 1),
+    closeAfterMs: num(env.TTS_STREAM_IDLE_MS, defaults.closeAfterMs ?? 1800),
+  };
+}
+
+export function createTtsProvider(config = ttsConfigFromEnv()) {
+  const adapters = { sarvam: sarvamRestAdapter, "sarvam-stream": sarvamStreamAdapter, tone: toneAdapter };
+  const makeAdapter = adapters[config.provider];
+  if (!makeAdapter) throw new Error(`Unknown TTS_PROVIDER "${config.provider}"`);
+  const adapter = makeAdapter(config);
+
+  // chunks in the requested format; raw PCM/µ-law converts chunk by chunk, while anything
+  // involving a container (wav, mp3) on either side is collected and converted once
+  async function* stream(text, opts = {}) {
+    const format = opts.format || adapter.formatFor(opts.format);
+    if (!FORMATS.has(format)) throw new Error(`Unsupported TTS format "${format}"`);
+    const native = adapter.formatFor(format);
+    if (native === format || (RAW_FORMATS.has(native) && RAW_FORMATS.has(format))) {
+      // one streaming resampler for the whole utterance so chunk edges stay click-free
+      let resampler = null;
+      let last = null;
+      for await (const chunk of adapter.stream(text, { ...opts, format: native })) {
+        if (!chunk.audio.length) continue;
+        resampler = resampler || createRateConverter(G711.has(format) ? G711_SAMPLE_RATE : opts.sampleRate || chunk.sampleRate);
+        last = await convertAudio(chunk, format, { ...opts, resampler });
+        yield last;
+      }
+      const tail = resampler ? resampler.flush() : null;
+      if (tail?.length) yield convertAudio({ format: "pcm16", sampleRate: last.sampleRate, audio: tail }, format);
+      return;
+    }
+    const parts = [];
+    let first = null;
+    for await (const chunk of adapter.stream(text, { ...opts, format: native })) {
+      first = first || chunk;
+      parts.push(chunk.audio);
+    }
+    if (first) yield await convertAudio({ ...first, audio: Buffer.concat(parts) }, format, opts);
+  }
+
+  // whole clip in the requested format
+  async function synthesize(text, opts = {}) {
+    const format = opts.format || "wav";
+    const native = adapter.formatFor(format);
+    const parts = [];
+    let first = null;
+    for await (const chunk of adapter.stream(text, { ...opts, format: native })) {
+      first = first || chunk;
+      parts.push(chunk.audio);
+    }
+    const audio = Buffer.concat(parts);
+    if (!first || !audio.length) throw new Error(`TTS (${adapter.name}) returned no audio`);
+    return convertAudio({ ...first, audio }, format, opts);
+  }
+
+  return { name: adapter.name, config, synthesize, stream };
+}
+
+// ---- format conversion ----
+// opts.sampleRate picks the output rate for pcm16/wav/mp3 (mulaw/alaw are always 8k);
+// opts.resampler (createRateConverter) keeps filter state across the chunks of one stream
+export async function convertAudio(clip, format, opts = {}) {
+  if (clip.format === format && (format === "mp3" || !opts.sampleRate || opts.sampleRate === clip.sampleRate)) return clip;
+  const rate = G711.has(format) ? G711_SAMPLE_RATE : opts.sampleRate || clip.sampleRate;
+  const rs = opts.resampler || ((buf, from) => resample(buf, from, rate));
+  const pcm = await toPcm16(clip, rate, rs);
+  switch (format) {
+    case "pcm16": return { format, sampleRate: rate, audio: pcm };
+    case "wav": return { format, sampleRate: rate, audio: makeWavBuffer(pcm, rate) };
+    case "mulaw":
+    case "alaw": return { format, sampleRate: rate, audio: encodeG711(pcm, format) };
+    case "mp3": return { format, sampleRate: rate, audio: await ffmpegTranscode(makeWavBuffer(pcm, rate), { inputFormat: "wav", format: "mp3", options: ["-ac 1", "-b:a 64k"] }) };
+    default: throw new Error(`Unsupported TTS format "${format}"`);
+  }
+}
+
+async function toPcm16(clip, rate, rs) {
+  switch (clip.format) {
+    case "pcm16": return rs(clip.audio, clip.sampleRate);
+    case "wav": {
+      const { sampleRate, pcm16 } = parseWavPcm16(clip.audio, clip.sampleRate);
+      return rs(pcm16, sampleRate);
+    }
+    case "mulaw":
+    case "alaw": return rs(decodeG711(clip.audio, clip.format), G711_SAMPLE_RATE);
+    case "mp3": return ffmpegTranscode(clip.audio, { inputFormat: "mp3", format: "s16le", options: ["-ac 1", `-ar ${rate}`] });
+    default: throw new Error(`Unsupported TTS format "${clip.format}"`);
+  }
+}
+
+function ffmpegTranscode(input, { inputFormat, format, options = [] }) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const out = new PassThrough();
+    out.on("data", (c) => chunks.push(c));
+    out.on("end", () => resolve(Buffer.concat(chunks)));
+    ffmpeg(Readable.from([input]))
+      .inputFormat(inputFormat)
+      .outputOptions(options)
+      .format(format)
+      .on("error", reject)
+      .pipe(out, { end: true });
+  });
+}
+
+// ---- Sarvam REST (SDK convert preferred, plain REST fallback) ----
+// returns WAV at config.sampleRate; yields it as pcm16 so multi-clip responses concatenate cleanly
+function sarvamRestAdapter(config) {
+  const client = config.client || (config.apiKey ? createSarvamClient(config.apiKey) : null);
+
+  function requestBody(text, opts) {
+    return {
+      text,
+      target_language_code: opts.lang || "en-IN",
+      speaker: opts.speaker || config.speaker,
+      pitch: config.pitch,
+      pace: config.pace,
+      loudness: 1,
+      speech_sample_rate: config.sampleRate,
+      enable_preprocessing: true,
+      model: config.model
+    };
+  }
+
+  async function fetchAudios(text, opts) {
+    if (client) {
+      try {
+        const resp = await client.textToSpeech.convert(requestBody(text, opts), { abortSignal: opts.signal });
+        if (Array.isArray(resp?.audios) && resp.audios.length) return resp.audios;
+        throw new Error("No audio from Sarvam TTS (SDK)");
+      } catch (sdkErr) {
+        if (opts.signal?.aborted) throw sdkErr;
+        warn("Sarvam TTS SDK failed, trying REST fallback:", sdkErr?.message || sdkErr);
+      }
+    }
+    const res = await fetch(sarvamUrl(SARVAM_TTS_PATH), {
+      method: "POST",
+      headers: { "api-subscription-key": config.apiKey, "Content-Type": "application/json" },
+      body: JSON.stringify(requestBody(text, opts)),
+      signal: opts.signal
+    });
+    const json = await res.json().catch(() => null);
+    if (!res.ok || !Array.isArray(json?.audios) || !json.audios.length) {
+      const err = new Error(`Sarvam TTS REST error ${res.status}`);
+      err.body = json;
+      throw err;
+    }
+    return json.audios;
+  }
+
+  async function* stream(text, opts = {}) {
+    for (const b64 of await fetchAudios(text, opts)) {
+      const buf = Buffer.from(b64, "base64");
+      if (!isWav(buf)) { yield { format: "pcm16", sampleRate: config.sampleRate, audio: buf }; continue; }
+      const { sampleRate, pcm16 } = parseWavPcm16(buf, config.sampleRate);
+      yield { format: "pcm16", sampleRate, audio: pcm16 };
+    }
+  }
+
+  return { name: "sarvam", formatFor: () => "pcm16", stream };
+}
+
+// ---- Sarvam streaming socket ----
+// the socket can emit mulaw / alaw / linear16 / mp3 directly; anything else is requested as linear16 and converted
+function sarvamStreamAdapter(config) {
+  const client = config.client || createSarvamClient(config.apiKey);
+  const CODECS = { mulaw: "mulaw", alaw: "alaw", pcm16: "linear16", mp3: "mp3" };
+
+  function formatFor(format) {
+    return CODECS[format] ? format : "pcm16";
+  }
+
+  async function* stream(text, opts = {}) {
+    const format = formatFor(opts.format);
+    const sampleRate = G711.has(format) ? G711_SAMPLE_RATE : config.sampleRate;
+    if (opts.signal?.aborted) throw new Error("Sarvam TTS stream aborted");
+    const socket = await client.textToSpeechStreaming.connect({ model: config.model, send_completion_event: "true" });
+    await socket.waitForOpen();
+
+    const queue = [];
+    let done = false;
+    let failure = null;
+    let wake = null;
+    let idleTimer = null;
+    const notify = () => { if (wake) { wake(); wake = null; } };
+    const finish = (err) => {
+      if (done) return;
+      done = true;
+      failure = err || null;
+      clearTimeout(idleTimer);
+      try { socket.close(); } catch {}
+      notify();
+    };
+    // not every deployment sends the completion event: close once audio has gone quiet
+    const armIdle = (ms = config.closeAfterMs) => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => finish(), ms);
+    };
+
+    socket.on("message", (msg) => {
+      if (msg?.type === "audio" && msg?.data?.audio) {
+        queue.push(Buffer.from(msg.data.audio, "base64"));
+        armIdle();
+        notify();
+      } else if (msg?.type === "event" && msg?.data?.event_type === "final") {
+        finish();
+      } else if (msg?.type === "error") {
+        finish(new Error(`Sarvam TTS stream error: ${msg?.data?.message || JSON.stringify(msg.data || {})}`));
+      }
+    });
+    socket.on("error", (err) => finish(err));
+    socket.on("close", () => finish());
+    const onAbort = () => finish(new Error("Sarvam TTS stream aborted"));
+    opts.signal?.addEventListener("abort", onAbort, { once: true });
+
+    socket.configureConnection({
+      type: "config",
+      data: {
+        speaker: opts.speaker || config.speaker,
+        target_language_code: opts.lang || "en-IN",
+        pitch: config.pitch,
+        pace: config.pace,
+        speech_sample_rate: sampleRate,
+        min_buffer_size: 10,
+        max_chunk_length: 250,
+        output_audio_codec: CODECS[format],
+        output_audio_bitrate: "128k"
+      }
+    });
+    socket.convert(text);
+    socket.flush();
+    armIdle(Math.max(config.closeAfterMs, FIRST_CHUNK_TIMEOUT_MS));
+
+    try {
+      while (true) {
+        if (queue.length) { yield { format, sampleRate, audio: queue.shift() }; continue; }
+        if (done) break;
+        await new Promise((resolve) => { wake = resolve; });
+      }
+      if (failure) throw failure;
+    } finally {
+      opts.signal?.removeEventListener("abort", onAbort);
+      finish();
+    }
+  }
+
+  return { name: "sarvam-stream", formatFor, stream };
+}
+
+// ---- offline tone synthesizer ----
+// one short beep per word, pitch derived from the word, so the same text always sounds the same
+function toneAdapter(config) {
+  const sampleRate = config.sampleRate || 16000;
+  const TONE_MS = 120;
+  const GAP_MS = 40;
+
+  function wordFreq(word) {
+    let h = 0;
+    for (const ch of word) h = (h * 31 + ch.codePointAt(0)) >>> 0;
+    return 300 + (h % 500);
+  }
+
+  async function* stream(text) {
+    for (const word of String(text).split(/\s+/).filter(Boolean)) {
+      const toneSamples = Math.round((sampleRate * TONE_MS) / 1000);
+      const gapSamples = Math.round((sampleRate * GAP_MS) / 1000);
+      const pcm = Buffer.alloc((toneSamples + gapSamples) * 2);
+      const freq = wordFreq(word);
+      for (let i = 0; i < toneSamples; i++) {
+        const env = Math.min(1, i / 80, (toneSamples - i) / 80); // short fade to avoid clicks
+        pcm.writeInt16LE(Math.round(Math.sin((2 * Math.PI * freq * i) / sampleRate) * 8000 * env), i * 2);
+      }
+      yield { format: "pcm16", sampleRate, audio: pcm };
+    }
+  }
+
+  return { name: "tone", formatFor: () => "pcm16", stream };
+}
@@ -0,0 +1,79 @@
+// lib/twilio-auth.js
+// X-Twilio-Signature validation for webhook routes (/answer, /recording, /continue …).
+// Twilio signs the full public URL it requested plus, for POSTs, every form param sorted by
+// name (name + value appended to the URL), HMAC-SHA1 with the account auth token, base64.
+// Behind ngrok or a proxy req.protocol/host are the local ones, so the public URL is rebuilt
+// from TWILIO_WEBHOOK_BASE_URL (or NGROK_URL), else from X-Forwarded-Proto/Host.
+//
+//   app.use(express.urlencoded({ extended: false }));   // must run first: POST params are signed
+//   const twilioAuth = twilioWebhookAuth();
+//   app.all("/answer", twilioAuth, (req, res) => …);
+//
+// TWILIO_SIGNATURE_BYPASS=true skips the check (local curl / dev); a warning is logged at startup.
+import crypto from "crypto";
+
+function warn(...args) { console.warn(new Date().toISOString(), ...args); }
+
+export function twilioSignature(authToken, url, params = {}) {
+  const data = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => {
+      const v = params[key];
+      // repeated params arrive as arrays; Twilio signs each value in order
+      return acc + (Array.isArray(v) ? v.map((x) => key + x).join("") : key + (v ?? ""));
+    }, url);
+  return crypto.createHmac("sha1", authToken).update(Buffer.from(data, "utf8")).digest("base64");
+}
+
+function safeEqual(a, b) {
+  const ab = Buffer.from(a || "");
+  const bb = Buffer.from(b || "");
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+// public URL Twilio used for this request
+export function webhookUrl(req, baseUrl) {
+  if (baseUrl) return baseUrl.replace(/\/+$/, "") + req.originalUrl;
+  const proto = String(req.headers["x-forwarded-proto"] || req.protocol || "https").split(",")[0].trim();
+  const host = String(req.headers["x-forwarded-host"] || req.headers.host || "").split(",")[0].trim();
+  return `${proto}://${host}${req.originalUrl}`;
+}
+
+// Twilio may or may not have included the default port when it signed
+function urlVariants(url) {
+  const out = [url];
+  try {
+    const u = new URL(url);
+    const defaultPort = u.protocol === "https:" ? "443" : "80";
+    // URL drops a default port (u.port is ""), so look for it in the string itself
+    const authority = /^[a-z]+:\/\/[^/?#]*/i.exec(url)[0];
+    if (authority.endsWith(`:${defaultPort}`)) out.push(authority.slice(0, -defaultPort.length - 1) + url.slice(authority.length));
+    else if (!u.port) out.push(authority + `:${defaultPort}` + url.slice(authority.length));
+  } catch { /* unparseable: just the one candidate */ }
+  return out;
+}
+
+export function validateTwilioRequest(authToken, signature, url, params = {}) {
+  if (!authToken || !signature) return false;
+  return urlVariants(url).some((candidate) => safeEqual(signature, twilioSignature(authToken, candidate, params)));
+}
+
+export function twilioWebhookAuth(opts = {}) {
+  const authToken = opts.authToken ?? process.env.TWILIO_AUTH;
+  const baseUrl = opts.baseUrl ?? (process.env.TWILIO_WEBHOOK_BASE_URL || process.env.NGROK_URL || "");
+  const bypass = opts.bypass ?? (process.env.TWILIO_SIGNATURE_BYPASS || "false").toLowerCase() === "true";
+
+  if (bypass) warn("⚠ TWILIO_SIGNATURE_BYPASS=true — Twilio webhook signatures are NOT checked (dev only)");
+  else if (!authToken) warn("⚠ TWILIO_AUTH not set — every Twilio webhook will be rejected (set TWILIO_SIGNATURE_BYPASS=true for local dev)");
+
+  return function twilioAuth(req, res, next) {
+    if (bypass) return next();
+    const signature = req.get("X-Twilio-Signature");
+    const url = webhookUrl(req, baseUrl);
+    // GET params live in the signed URL itself; only form bodies are appended
+    const params = req.method === "POST" && req.is("application/x-www-form-urlencoded") ? req.body || {} : {};
+    if (validateTwilioRequest(authToken, signature, url, params)) return next();
+    warn(`🚫 Rejected ${req.method} ${req.originalUrl} from ${req.ip}: ${signature ? "bad" : "missing"} X-Twilio-Signature (checked against ${url})`);
+    res.status(403).type("text/plain").send("Forbidden");
+  };
+}
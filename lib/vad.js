@@ -0,0 +1,133 @@
+// lib/vad.js
+// Local voice activity detector for PCM16 telephony audio: short-time energy plus
+// zero-crossing rate on 20ms frames, an adaptive noise floor, min-speech and hangover.
+// Used to endpoint utterances when there is no server-side VAD (REST STT).
+//
+//   const vad = createVad();
+//   for (const evt of vad.push(pcm16leBuffer, 8000)) …   // { type: "speech_start" } | { type: "speech_end", audio, sampleRate, durationMs }
+//   vad.flush()                                          // end of stream: closes an open utterance
+//
+// VAD_ENERGY_RMS, VAD_NOISE_RATIO, VAD_MIN_SPEECH_MS, VAD_HANGOVER_MS, VAD_PREROLL_MS, VAD_MAX_UTTERANCE_MS
+import { int16View } from "./audio.js";
+
+const FRAME_MS = 20;
+
+function envNum(name, d) {
+  const v = process.env[name];
+  return v === undefined || v === "" ? d : Number(v);
+}
+
+export function vadConfigFromEnv(defaults = {}) {
+  return {
+    energyRms: envNum("VAD_ENERGY_RMS", defaults.energyRms ?? 400), // absolute floor for "loud enough"
+    noiseRatio: envNum("VAD_NOISE_RATIO", defaults.noiseRatio ?? 3), // speech must also beat noise floor × this
+    minSpeechMs: envNum("VAD_MIN_SPEECH_MS", defaults.minSpeechMs ?? 120),
+    hangoverMs: envNum("VAD_HANGOVER_MS", defaults.hangoverMs ?? 700), // silence that ends an utterance
+    prerollMs: envNum("VAD_PREROLL_MS", defaults.prerollMs ?? 200), // audio kept from before speech_start
+    maxUtteranceMs: envNum("VAD_MAX_UTTERANCE_MS", defaults.maxUtteranceMs ?? 15000),
+  };
+}
+
+// energy (RMS) and zero-crossing rate (crossings per sample) of one frame
+export function frameFeatures(samples) {
+  let sum = 0;
+  let crossings = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+    if (i && (samples[i] >= 0) !== (samples[i - 1] >= 0)) crossings++;
+  }
+  const n = samples.length || 1;
+  return { rms: Math.sqrt(sum / n), zcr: crossings / n };
+}
+
+export function createVad(opts = {}) {
+  const cfg = { ...vadConfigFromEnv(), ...opts };
+  let rate = 0;
+  let frameBytes = 0;
+  let remainder = Buffer.alloc(0);
+  let noise = cfg.energyRms / cfg.noiseRatio; // adaptive noise floor (RMS)
+
+  let inSpeech = false;
+  let voicedMs = 0; // consecutive voiced ms while waiting for speech_start
+  let silentMs = 0; // consecutive silent ms inside an utterance
+  let utterance = []; // frames of the open utterance (pre-roll included)
+  let utteranceMs = 0;
+  let preroll = []; // ring of recent frames while idle
+
+  function isVoiced({ rms, zcr }) {
+    const threshold = Math.max(cfg.energyRms, noise * cfg.noiseRatio);
+    if (rms >= threshold) return true;
+    // quiet but noisy-looking frames are fricatives ("s", "sh", "f") once speech has begun
+    return inSpeech && rms >= threshold * 0.5 && zcr >= 0.3;
+  }
+
+  function closeUtterance(events) {
+    // drop the trailing hangover silence, keep a little tail so the last word isn't clipped
+    const tailFrames = Math.max(0, Math.floor((silentMs - 200) / FRAME_MS));
+    const frames = utterance.slice(0, utterance.length - tailFrames);
+    const audio = Buffer.concat(frames);
+    events.push({ type: "speech_end", audio, sampleRate: rate, durationMs: frames.length * FRAME_MS });
+    inSpeech = false;
+    utterance = [];
+    utteranceMs = 0;
+    silentMs = 0;
+    voicedMs = 0;
+  }
+
+  function onFrame(frame, events) {
+    const features = frameFeatures(int16View(frame));
+    const voiced = isVoiced(features);
+    // track the floor only on frames that don't look like speech: fast fall, slow rise
+    if (!voiced) noise = features.rms < noise ? noise * 0.8 + features.rms * 0.2 : noise * 0.995 + features.rms * 0.005;
+
+    if (!inSpeech) {
+      preroll.push(frame);
+      if (preroll.length > Math.ceil(cfg.prerollMs / FRAME_MS) + Math.ceil(cfg.minSpeechMs / FRAME_MS)) preroll.shift();
+      voicedMs = voiced ? voicedMs + FRAME_MS : 0;
+      if (voicedMs >= cfg.minSpeechMs) {
+        inSpeech = true;
+        utterance = preroll;
+        utteranceMs = utterance.length * FRAME_MS;
+        preroll = [];
+        silentMs = 0;
+        events.push({ type: "speech_start" });
+      }
+      return;
+    }
+
+    utterance.push(frame);
+    utteranceMs += FRAME_MS;
+    silentMs = voiced ? 0 : silentMs + FRAME_MS;
+    if (silentMs >= cfg.hangoverMs || utteranceMs >= cfg.maxUtteranceMs) closeUtterance(events);
+  }
+
+  function push(pcm16leBuffer, sampleRate = 8000) {
+    const events = [];
+    if (sampleRate !== rate) {
+      // rate change mid-stream: start over on the new framing
+      if (inSpeech) closeUtterance(events);
+      rate = sampleRate;
+      frameBytes = Math.round((rate * FRAME_MS) / 1000) * 2;
+      remainder = Buffer.alloc(0);
+      preroll = [];
+    }
+    const buf = remainder.length ? Buffer.concat([remainder, pcm16leBuffer]) : pcm16leBuffer;
+    let off = 0;
+    for (; off + frameBytes <= buf.length; off += frameBytes) onFrame(buf.subarray(off, off + frameBytes), events);
+    remainder = Buffer.from(buf.subarray(off));
+    return events;
+  }
+
+  function flush() {
+    const events = [];
+    if (inSpeech) {
+      if (remainder.length) utterance.push(remainder);
+      closeUtterance(events);
+    }
+    remainder = Buffer.alloc(0);
+    preroll = [];
+    return events;
+  }
+
+  return { push, flush, get speaking() { return inSpeech; } };
+}
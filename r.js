@@ -1,8 +1,8 @@
 // s.js
 // Real-time Twilio Media Stream -> Sarvam streaming STT (SDK preferred) -> fallback REST STT
-// -> DeepSeek -> Sarvam TTS -> stream TTS back into Twilio Media Stream (mu-law 8k).
+// -> LLM (DeepSeek by default) -> TTS (Sarvam by default) -> stream TTS back into Twilio Media Stream (mu-law 8k).
 // Run: node s.js
-// Required packages: express ws node-fetch form-data sarvamai franc
+// Required packages: express ws node-fetch form-data sarvamai franc fluent-ffmpeg ffmpeg-static
 import express from "express";
 import http from "http";
 import fs from "fs";
@@ -10,9 +10,28 @@ import path from "path";
 import dotenv from "dotenv";
 import fetch from "node-fetch";
 import { WebSocketServer, WebSocket } from "ws";
-import FormData from "form-data";
-import { SarvamAIClient, SarvamAI } from "sarvamai";
-import { franc } from "franc";
+import { createConversationStore } from "./lib/conversation.js";
+import { createLanguageSession } from "./lib/language.js";
+import { createSentenceSplitter } from "./lib/llm-stream.js";
+import { createLlmProvider, llmConfigFromEnv } from "./lib/llm.js";
+import { createSttSession } from "./lib/stt.js";
+import { createSarvamClient } from "./lib/sarvam.js";
+import { makeWavBuffer } from "./lib/audio.js";
+import { decodeG711, g711Encoding } from "./lib/g711.js";
+import { createTtsProvider, ttsConfigFromEnv } from "./lib/tts.js";
+import { createCallStore, createCallsRouter, createStageTimer } from "./lib/call-store.js";
+import { adminAuth } from "./lib/admin-auth.js";
+import { createCallRecorder, createRecordingsRouter, recordCalls } from "./lib/recorder.js";
+import { contactFromParams, contactParams, contactPrompt, greetingText } from "./lib/campaign.js";
+import { twilioWebhookAuth } from "./lib/twilio-auth.js";
+import { STREAM_TOKEN_PARAM, createStreamAuth } from "./lib/stream-auth.js";
+import { createDtmfHandler, dtmfPrompt, goodbyeText } from "./lib/dtmf.js";
+import { buildHandoffSummary, connectingText, createHandoffDesk, createHandoffRouter, describeTarget, detectHandoffIntent, dialTwiml, handoffConfigFromEnv, handoffInstruction, takeHandoffToken } from "./lib/handoff.js";
+import { createDefaultTools, runToolLoop } from "./lib/tools.js";
+import { createKnowledgeBase, sourcesForTurn } from "./lib/knowledge.js";
+import { createFlowRegistry } from "./lib/flows.js";
+import { createSlotSession, deliverSlotRecord, slotsConfigFromEnv } from "./lib/slots.js";
+import { PROFILE_PARAM, createProfileStore, greetingFor, ourNumber, sentenceLimit, voiceFor } from "./lib/profiles.js";
 
 dotenv.config();
 
@@ -20,7 +39,6 @@ dotenv.config();
 const PORT = process.env.PORT || 3000;
 const NGROK_URL = (process.env.NGROK_URL || "").replace(/\/+$/, "");
 const SARVAM_KEY = process.env.SARVAM_API_KEY;
-const DEEPSEEK_KEY = process.env.DEEPSEEK_API_KEY;
 const TWILIO_SID = process.env.TWILIO_SID;
 const TWILIO_AUTH = process.env.TWILIO_AUTH;
 const sttModel = process.env.SARVAM_STT_MODEL || "saarika:v2.5";
@@ -28,12 +46,49 @@ const langCode = process.env.LANGUAGE_CODE || "en-IN";
 
 if (!NGROK_URL) console.warn("⚠ NGROK_URL not set in .env (required for Twilio webhooks).");
 if (!SARVAM_KEY) console.warn("⚠ SARVAM_API_KEY not set in .env");
-if (!DEEPSEEK_KEY) console.warn("⚠ DEEPSEEK_API_KEY not set in .env");
 
-// tuning for latency
-const CHUNK_SECONDS = parseFloat(process.env.CHUNK_SECONDS || "0.9"); // ~0.9s chunks
+// LLM backend (LLM_PROVIDER / LLM_BASE_URL / LLM_MODEL …, see lib/llm.js)
+const llm = createLlmProvider(llmConfigFromEnv({ temperature: 0.25, maxTokens: 60 }));
+if (llm.name === "deepseek" && !llm.config.apiKey) console.warn("⚠ DEEPSEEK_API_KEY not set in .env");
+
+// tuning for latency (REST STT endpointing: STT_REST_ENDPOINTING / VAD_*, see lib/stt.js + lib/vad.js)
 const TWILIO_SAMPLE_RATE = 8000; // Twilio telephony is 8k (µ-law)
-const TTS_SAMPLE_RATE = 16000; // Sarvam TTS uses 16k by default
+// stream LLM tokens and speak each sentence as soon as it is complete
+const LLM_STREAM = (process.env.LLM_STREAM || "true").toLowerCase() !== "false";
+
+// barge-in: let the caller interrupt bot playback
+// BARGE_IN=off | on | after (after = only once BARGE_IN_AFTER_MS of the reply has played)
+const BARGE_IN = (process.env.BARGE_IN || "off").toLowerCase();
+const BARGE_IN_AFTER_MS = BARGE_IN === "after" ? parseInt(process.env.BARGE_IN_AFTER_MS || "800", 10) : 0;
+const BARGE_IN_ENERGY_RMS = parseInt(process.env.BARGE_IN_ENERGY_RMS || "1200", 10); // local detector threshold
+const BARGE_IN_MIN_SPEECH_MS = parseInt(process.env.BARGE_IN_MIN_SPEECH_MS || "200", 10);
+
+// playback end comes from Twilio "mark" echoes; inbound audio is accepted again ECHO_TAIL_MS after it
+const ECHO_TAIL_MS = parseInt(process.env.ECHO_TAIL_MS || "150", 10);
+// give up on a mark echo this long after the clip should have finished playing
+const MARK_TIMEOUT_SLACK_MS = parseInt(process.env.MARK_TIMEOUT_SLACK_MS || "2000", 10);
+
+// warm transfer to a human (HANDOFF_NUMBER / HANDOFF_SIP / HANDOFF_QUEUE, see lib/handoff.js)
+const handoff = handoffConfigFromEnv();
+const handoffDesk = createHandoffDesk();
+
+// function calling (TOOLS=all | order_status,current_time_ist,end_call,schedule_callback, see lib/tools.js).
+// Tool calls only come back on one-shot completions, so replies skip LLM_STREAM while tools are on.
+const tools = createDefaultTools();
+if (tools.size) console.log("🔧 LLM tools:", tools.names().join(", "));
+// business knowledge base (KB_DIR, see lib/knowledge.js): the best passages for each utterance go into the prompt
+const kb = createKnowledgeBase();
+// per-line persona / languages / voices / greeting (PROFILES_FILE, see lib/profiles.js), chosen in /answer
+const profiles = createProfileStore();
+// scripted call flows (FLOWS_DIR, see lib/flows.js): profile.flow, else FLOW
+const flows = createFlowRegistry();
+// slot filling for profiles that declare "slots" (SLOTS_DIR / SLOTS_WEBHOOK_URL, see lib/slots.js)
+const slotsConfig = slotsConfigFromEnv();
+
+// per-call conversation history for the LLM (keyed by callSid)
+const conversations = createConversationStore();
+// persisted transcripts (CALLS_DIR), served at GET /calls
+const callStore = createCallStore();
 
 // audio dir for TTS playback (kept for debugging)
 const audioDir = path.join(process.cwd(), "audio");
@@ -51,15 +106,15 @@ return NGROK_URL.replace(/^https?:/, "wss:") + "/stream";
 
 async function sleep(ms) { return new Promise(res => setTimeout(res, ms)); }
 
-// Twilio call update helper (left as fallback)
-async function updateCallPlayAndReconnect(callSid, audioUrl) {
+function xmlEscape(s) {
+return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// POST to the Twilio Call resource (Twiml=…, Status=completed …)
+async function updateTwilioCall(callSid, fields) {
 if (!TWILIO_SID || !TWILIO_AUTH) throw new Error("Missing TWILIO_SID or TWILIO_AUTH in env");
-if (!NGROK_URL) throw new Error("NGROK_URL missing");
-const streamWss = NGROK_URL.replace(/^http/, "ws") + "/stream";
-const twiml = `<Response><Play>${audioUrl}</Play><Connect><Stream url="${streamWss}" track="inbound_track"/></Connect></Response>`;
 const url = `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_SID}/Calls/${callSid}.json`;
-const params = new URLSearchParams();
-params.append("Twiml", twiml);
+const params = new URLSearchParams(fields);
 
 const res = await fetch(url, {
 method: "POST",
@@ -74,235 +129,138 @@ if (!res.ok) {
 errLog("Twilio update failed:", res.status, json);
 throw new Error("Twilio update failed");
 }
-log("Twilio call updated to play TTS and reconnect stream");
 return json;
 }
 
-// ---------- language heuristics ----------
-function normalizeLangCode(code) {
-if (!code) return "unknown";
-const lc = String(code).toLowerCase();
-if (lc.startsWith("gu")) return "gu-IN";
-if (lc.startsWith("hi")) return "hi-IN";
-if (lc.startsWith("en")) return "en-IN";
-if (lc.startsWith("bn")) return "bn-IN";
-if (lc.startsWith("kn")) return "kn-IN";
-if (lc.startsWith("ml")) return "ml-IN";
-if (lc.startsWith("mr")) return "mr-IN";
-if (lc.startsWith("od")) return "od-IN";
-if (lc.startsWith("pa")) return "pa-IN";
-if (lc.startsWith("ta")) return "ta-IN";
-if (lc.startsWith("te")) return "te-IN";
-return code;
-}
-
-function detectLanguageLocal(text) {
-if (!text || text.trim().length === 0) return "en-IN";
-if (/[\u0A80-\u0AFF]/.test(text)) return "gu-IN";
-if (/[\u0900-\u097F]/.test(text)) return "hi-IN";
-if (text.trim().length < 6) return "en-IN";
-const francLang = franc(text, { minLength: 3 });
-if (francLang === "guj") return "gu-IN";
-if (francLang === "hin") return "hi-IN";
-if (francLang === "eng") return "en-IN";
-return "en-IN";
-}
-
-const romanGujaratiRe = /\b(kem|cho|maja|majama|tame|tamne|shu|su|mane|hu|maru|bhai|barabar|krupaya|dhanyavaad)\b/i;
-const romanHindiRe = /\b(aap|aapka|kaise|naam|namaste|shukriya|haan|nahi|kya|kyu|kyun|theek|thik|bahut|kripya|dhanyavad)\b/i;
-
-function resolveFinalLang(sttLangCode, transcript) {
-const scriptGu = /[\u0A80-\u0AFF]/.test(transcript);
-const scriptHi = /[\u0900-\u097F]/.test(transcript);
-if (scriptGu) return "gu-IN";
-if (scriptHi) return "hi-IN";
-let lang = normalizeLangCode(sttLangCode);
-if (lang === "en-IN") {
-if (romanGujaratiRe.test(transcript)) return "gu-IN";
-if (romanHindiRe.test(transcript)) return "hi-IN";
-}
-if (!lang || lang === "unknown") {
-lang = detectLanguageLocal(transcript);
-}
-return lang || "en-IN";
-}
-
-// ---------- mu-law decode (we already had) ----------
-function muLawToPcm16Buffer(muLawBuf) {
-const out = Buffer.alloc(muLawBuf.length * 2);
-for (let i = 0; i < muLawBuf.length; i++) {
-const u_val = ~muLawBuf[i] & 0xff;
-const sign = (u_val & 0x80);
-const exponent = (u_val >> 4) & 0x07;
-const mantissa = u_val & 0x0f;
-let sample = ((mantissa << 3) + 0x84) << exponent;
-sample = sample - 0x84;
-if (sign !== 0) sample = -sample;
-if (sample > 32767) sample = 32767;
-if (sample < -32768) sample = -32768;
-out.writeInt16LE(sample, i * 2);
-}
-return out;
-}
-
-// ---------- make WAV header (PCM16LE) ----------
-function makeWavBuffer(pcm16Buffer, sampleRate = TWILIO_SAMPLE_RATE, numChannels = 1) {
-const byteRate = sampleRate * numChannels * 2;
-const blockAlign = numChannels * 2;
-const dataSize = pcm16Buffer.length;
-const buffer = Buffer.alloc(44 + dataSize);
-let offset = 0;
-buffer.write("RIFF", offset); offset += 4;
-buffer.writeUInt32LE(36 + dataSize, offset); offset += 4;
-buffer.write("WAVE", offset); offset += 4;
-buffer.write("fmt ", offset); offset += 4;
-buffer.writeUInt32LE(16, offset); offset += 4;
-buffer.writeUInt16LE(1, offset); offset += 2;
-buffer.writeUInt16LE(numChannels, offset); offset += 2;
-buffer.writeUInt32LE(sampleRate, offset); offset += 4;
-buffer.writeUInt32LE(byteRate, offset); offset += 4;
-buffer.writeUInt16LE(blockAlign, offset); offset += 2;
-buffer.writeUInt16LE(16, offset); offset += 2;
-buffer.write("data", offset); offset += 4;
-buffer.writeUInt32LE(dataSize, offset); offset += 4;
-pcm16Buffer.copy(buffer, 44);
-return buffer;
-}
-
-
-// ---------- call DeepSeek ----------
-async function callDeepSeek(userText, langCode) {
-if (!DEEPSEEK_KEY) {
-warn("DEEPSEEK_KEY missing — returning fallback text");
-return (langCode === "gu-IN") ? "માફ કરશો, કૃપા કરીને ફરી પૂછો." :
-(langCode === "hi-IN") ? "माफ करें, कृपया फिर पूछें।" :
-"Sorry, please ask again.";
+// Twilio call update helper (left as fallback)
+async function updateCallPlayAndReconnect(callSid, audioUrl, profileId) {
+if (!NGROK_URL) throw new Error("NGROK_URL missing");
+const streamWss = NGROK_URL.replace(/^http/, "ws") + "/stream";
+const token = xmlEscape(streamAuth.issue(callSid)); // the reconnected stream needs its own token
+const profile = profileId ? `<Parameter name="${PROFILE_PARAM}" value="${xmlEscape(profileId)}"/>` : "";
+const twiml = `<Response><Play>${audioUrl}</Play><Connect><Stream url="${streamWss}" track="inbound_track"><Parameter name="${STREAM_TOKEN_PARAM}" value="${token}"/>${profile}</Stream></Connect></Response>`;
+const json = await updateTwilioCall(callSid, { Twiml: twiml });
+log("Twilio call updated to play TTS and reconnect stream");
+return json;
 }
-try {
-const model = process.env.DEEPSEEK_CHAT_MODEL || "deepseek-chat";
-const messages = [
-{ role: "system", content: `You are an AI assistant on a phone call. The user speaks in ${langCode}. Reply ONLY in ${langCode}. Keep answers short, 1 sentence only.` },
+
+// ---------- call LLM ----------
+function buildChatMessages(userText, langCode, history = [], profile = profiles.get()) {
+const persona = profile.persona || "You are an AI assistant on a phone call.";
+return [
+{ role: "system", content: `${persona} The user speaks in ${langCode}. Reply ONLY in ${langCode}. Keep answers short, ${sentenceLimit(profile)}.` + (handoff.enabled ? " " + handoffInstruction() : "") },
+...history,
 { role: "user", content: userText }
 ];
-const res = await fetch("https://api.deepseek.com/v1/chat/completions", {
-method: "POST",
-headers: { "Authorization": `Bearer ${DEEPSEEK_KEY}`, "Content-Type": "application/json" },
-body: JSON.stringify({ model, messages, temperature: 0.25, max_tokens: 60 })
-});
-const json = await res.json().catch(()=>null);
-if (!res.ok) {
-errLog("DeepSeek error:", res.status, json);
-throw new Error("DeepSeek error");
-}
-let reply = json?.choices?.[0]?.message?.content || "";
-reply = reply.replace(/[\p{Emoji_Presentation}\p{Extended_Pictographic}]/gu, "");
-reply = reply.replace(/[\uD800-\uDFFF]/g, "");
-reply = reply.replace(/([!?.,])\1+/g, "$1");
-if (reply.length > 200) reply = reply.slice(0,200) + "...";
-log("DeepSeek reply:", reply);
-return reply.trim();
-} catch (e) {
-errLog("DeepSeek failed:", e?.message || e);
+}
+
+function cleanReplyText(reply) {
+return reply
+.replace(/[\p{Emoji_Presentation}\p{Extended_Pictographic}]/gu, "")
+.replace(/[\uD800-\uDFFF]/g, "")
+.replace(/([!?.,])\1+/g, "$1")
+.trim();
+}
+
+function sorryText(langCode) {
 return (langCode === "gu-IN") ? "માફ કરશો, કૃપા કરીને ફરી પૂછો." :
 (langCode === "hi-IN") ? "माफ करें, कृपया फिर पूछें।" :
 "Sorry, please ask again.";
 }
-}
 
-// ---------- Sarvam REST STT (fallback) ----------
-async function sarvamRestSttFromPcm(pcm16Buffer, sampleRate = TWILIO_SAMPLE_RATE) {
+// opts.toolCtx: offer the registered tools (ctx handed to their handlers); opts.onTool(record) per invocation;
+// opts.profile: the call's assistant profile (persona, reply limits); opts.signal cancels the request
+async function callLLM(userText, langCode, history = [], opts = {}) {
+const profile = opts.profile || profiles.get();
 try {
-const url = "https://api.sarvam.ai/speech-to-text";
-const fd = new FormData();
-const wav = makeWavBuffer(pcm16Buffer, sampleRate);
-fd.append("file", wav, { filename: "chunk.wav", contentType: "audio/wav" });
-fd.append("model", process.env.SARVAM_STT_MODEL || "saarika:v2.5");
-fd.append("language_code", "en-IN");
-fd.append("translate", "false");
-
-const headers = fd.getHeaders();
-headers["api-subscription-key"] = SARVAM_KEY;
-
-const res = await fetch(url, { method: "POST", headers, body: fd });
-const json = await res.json().catch(()=>null);
-if (!res.ok) {
-errLog("Sarvam REST STT error:", res.status, json);
-return { transcript: "", langCode: "en-IN" };
-}
-const transcript = json?.transcript || json?.text || (Array.isArray(json?.results) && json.results[0]?.alternatives?.[0]?.transcript) || "";
-const langCode = normalizeLangCode(json?.language_code || json?.language || "unknown");
-log("Sarvam REST STT transcript:", transcript, "lang:", langCode);
-return { transcript, langCode };
+const messages = buildChatMessages(userText, langCode, history, profile);
+const maxTokens = profile.maxTokens ?? undefined;
+const raw = opts.toolCtx && tools.size
+? (await runToolLoop(llm, { messages, registry: tools, ctx: opts.toolCtx, onInvocation: opts.onTool, maxTokens, signal: opts.signal })).reply
+: await llm.chat({ messages, maxTokens, signal: opts.signal });
+let reply = cleanReplyText(raw);
+if (!reply) throw new Error("empty reply");
+if (reply.length > profile.maxReplyChars) reply = reply.slice(0, profile.maxReplyChars) + "...";
+log(`LLM reply (${llm.name}):`, reply);
+return reply;
 } catch (e) {
-errLog("Sarvam REST STT failed:", e?.message || e);
-return { transcript: "", langCode: "unknown" };
+if (opts.signal?.aborted) log("LLM request aborted (barge-in)");
+else errLog("LLM failed:", e?.message || e);
+return sorryText(langCode);
 }
 }
 
-// ---------- Sarvam TTS -> return buffer (SDK preferred, REST fallback) ----------
-async function sarvamTtsGetBuffer(sarvamClient, text, langCode="en-IN") {
-try {
-// Try SDK
-const resp = await sarvamClient.textToSpeech.convert({
-text,
-target_language_code: langCode,
-speaker: process.env.SARVAM_TTS_VOICE || "anushka",
-pitch: 0,
-pace: 1,
-loudness: 1,
-speech_sample_rate: TTS_SAMPLE_RATE,
-enable_preprocessing: true,
-model: process.env.SARVAM_TTS_MODEL || "bulbul:v2"
-});
-const base64Audio = Array.isArray(resp?.audios) && resp.audios[0];
-if (!base64Audio) throw new Error("No audio from Sarvam TTS (SDK)");
-const buf = Buffer.from(base64Audio, "base64");
-return buf;
-} catch (sdkErr) {
-warn("Sarvam TTS SDK failed, trying REST fallback:", sdkErr?.message || sdkErr);
+// ---------- LLM streaming ----------
+// onSentence(sentence) fires as each sentence completes; resolves with the full reply.
+// Throws if nothing could be streamed so the caller can fall back to callLLM (or once signal aborts it).
+async function streamLLM(userText, langCode, history = [], onSentence = () => {}, profile = profiles.get(), signal) {
+const messages = buildChatMessages(userText, langCode, history, profile);
+const splitter = createSentenceSplitter();
+const emit = (sentence) => {
+const clean = cleanReplyText(sentence);
+if (clean) onSentence(clean);
+};
+let reply = "";
+for await (const delta of llm.stream({ messages, maxTokens: profile.maxTokens ?? undefined, signal })) {
+reply += delta;
+splitter.push(delta).forEach(emit);
+}
+splitter.flush().forEach(emit);
+reply = cleanReplyText(reply);
+log(`LLM reply (${llm.name}, streamed):`, reply);
+return reply;
+}
+
+// ---------- TTS -> 8k G.711 clip in the media stream's encoding (TTS_PROVIDER, see lib/tts.js) ----------
+// speaker: the profile's voice for this language (undefined = TTS_VOICE); signal cancels the request
+async function ttsGetCallAudio(text, langCode = "en-IN", encoding = "mulaw", speaker, signal) {
 try {
-const res = await fetch("https://api.sarvam.ai/text-to-speech", {
-method: "POST",
-headers: {
-"Authorization": `Bearer ${SARVAM_KEY}`,
-"Content-Type": "application/json"
-},
-body: JSON.stringify({
-model: process.env.SARVAM_TTS_MODEL || "bulbul:v2",
-input: text,
-voice: process.env.SARVAM_TTS_VOICE || "anushka",
-sample_rate: TTS_SAMPLE_RATE,
-language: langCode
-})
-});
-const j = await res.json().catch(()=>null);
-if (!res.ok || !j?.audio) throw new Error("Sarvam TTS REST failed");
-const buf = Buffer.from(j.audio, "base64");
-return buf;
-} catch (restErr) {
-errLog("Sarvam TTS REST fallback failed:", restErr?.message || restErr);
+const clip = await tts.synthesize(text, { lang: langCode, format: encoding, speaker, signal });
+return clip.audio;
+} catch (e) {
+if (!signal?.aborted) errLog(`TTS (${tts.name}) failed:`, e?.message || e);
 return null;
 }
 }
-}
 
 // ---------------- Express + WSS server ----------------
 const app = express();
 app.use(express.urlencoded({ extended: false }));
 app.use(express.json());
 app.use("/audio", express.static(audioDir));
-
-app.all("/answer", (req, res) => {
+// operator routes (/calls, /recordings, /handoffs/:sid): off unless ADMIN_TOKEN is set, then token-only
+const adminRoutes = adminAuth();
+app.use(createCallsRouter(callStore, { auth: adminRoutes }));
+app.use(createRecordingsRouter({ auth: adminRoutes })); // RECORD_CALLS=true stereo WAVs
+// X-Twilio-Signature check on webhooks (TWILIO_SIGNATURE_BYPASS=true for local dev)
+const twilioAuth = twilioWebhookAuth();
+// single-use token per <Stream>, checked on the start event before STT opens
+const streamAuth = createStreamAuth();
+app.use(createHandoffRouter(handoffDesk, { webhookAuth: twilioAuth, auth: adminRoutes, resumeUrl: `${NGROK_URL}/answer` }));
+
+app.all("/answer", twilioAuth, (req, res) => {
 try {
 const streamWss = makeStreamUrl();
+// campaign calls (twillo-call-test/campaign.js) put the contact in the query: name, lang, var_*
+// -> forwarded as <Parameter>s, read back from start.customParameters; the bot greets them itself
+const webhookParams = { ...req.query, ...(req.body || {}) };
+const contact = contactFromParams(webhookParams);
+const callSid = req.body?.CallSid || req.query.CallSid || "";
+// which business line was dialed (PROFILES_FILE); an explicit ?profile= wins
+const profile = profiles.select({ to: ourNumber(webhookParams), id: webhookParams.profile });
+const params = Object.entries({ ...contactParams(contact), [PROFILE_PARAM]: profile.id, [STREAM_TOKEN_PARAM]: streamAuth.issue(callSid) })
+.map(([name, value]) => `<Parameter name="${xmlEscape(name)}" value="${xmlEscape(value)}"/>`)
+.join("\n");
 const twiml = `
 <Response>
-<Say>Connecting you to Sarvam AI assistant</Say>
+${contact || profile.greeting ? "" : "<Say>Connecting you to Sarvam AI assistant</Say>"}
 <Connect>
-<Stream url="${streamWss}" track="inbound_track"/>
+<Stream url="${streamWss}" track="inbound_track">
+${params}
+</Stream>
 </Connect>
 </Response>`;
-log("📞 Twilio requested /answer — returning TwiML to connect media stream");
+log("📞 Twilio requested /answer — returning TwiML to connect media stream", `(profile: ${profile.id})`);
 res.type("text/xml").send(twiml);
 } catch (e) {
 errLog("Error in /answer:", e);
@@ -310,7 +268,7 @@ res.status(500).send("Internal Server Error");
 }
 });
 
-app.all("/recording", (req, res) => {
+app.all("/recording", twilioAuth, (req, res) => {
 log("📼 Twilio requested /recording");
 res.sendStatus(200);
 });
@@ -323,101 +281,57 @@ log("HTTP upgrade request ->", req.url, "headers:", Object.keys(req.headers).map
 
 const wss = new WebSocketServer({ server, path: "/stream" });
 
-// Create Sarvam client instance (used for TTS and SDK attempts)
-const sarvamClientForTTS = new SarvamAIClient({
-apiSubscriptionKey: SARVAM_KEY,
-// environment is optional — SDK will default to production
-});
-
-// --------------------- fast resample 8k->16k and 16k->8k ---------------------
-function resample8kTo16k(pcm16leBuffer) {
-const inSamples = pcm16leBuffer.length / 2;
-const inView = new Int16Array(pcm16leBuffer.buffer, pcm16leBuffer.byteOffset, inSamples);
-const outSamples = inSamples * 2;
-const outView = new Int16Array(outSamples);
-for (let i = 0; i < inSamples - 1; i++) {
-const s1 = inView[i];
-const s2 = inView[i + 1];
-outView[i * 2] = s1;
-outView[i * 2 + 1] = Math.floor((s1 + s2) / 2);
-}
-if (inSamples > 0) {
-outView[(outSamples - 2)] = inView[inSamples - 1];
-outView[(outSamples - 1)] = inView[inSamples - 1];
-}
-return Buffer.from(outView.buffer);
-}
-
-// Simple 16k -> 8k downsample by averaging pairs
-function resample16kTo8k(pcm16leBuffer) {
-const inSamples = pcm16leBuffer.length / 2;
-const inView = new Int16Array(pcm16leBuffer.buffer, pcm16leBuffer.byteOffset, inSamples);
-const outSamples = Math.floor(inSamples / 2);
-const outView = new Int16Array(outSamples);
-for (let i = 0; i < outSamples; i++) {
-const s1 = inView[i*2];
-const s2 = inView[i*2 + 1];
-outView[i] = Math.floor((s1 + s2) / 2);
-}
-return Buffer.from(outView.buffer);
-}
-
-// PCM16 -> mu-law 8-bit
-function pcm16ToMuLawBuffer(pcm16Buffer) {
-const out = Buffer.alloc(pcm16Buffer.length / 2);
+// Create Sarvam client instance (used for TTS and the STT SDK transport)
+// (SARVAM_BASE_URL / SARVAM_WS_BASE_URL move it off api.sarvam.ai, see lib/sarvam.js)
+const sarvamClientForTTS = createSarvamClient(SARVAM_KEY);
+const tts = createTtsProvider(ttsConfigFromEnv({ client: sarvamClientForTTS, sampleRate: 16000 }));
+
+// local energy detector: fires once RMS stays above threshold for minSpeechMs (used for barge-in)
+function createEnergyDetector({ thresholdRms = BARGE_IN_ENERGY_RMS, minSpeechMs = BARGE_IN_MIN_SPEECH_MS, sampleRate = TWILIO_SAMPLE_RATE } = {}) {
+let voicedMs = 0;
+return {
+push(pcm16Buffer) {
+const n = pcm16Buffer.length / 2;
+if (!n) return false;
+let sum = 0;
 for (let i = 0; i < pcm16Buffer.length; i += 2) {
-const sample = pcm16Buffer.readInt16LE(i);
-out[i/2] = linearToMuLawSample(sample);
+const v = pcm16Buffer.readInt16LE(i);
+sum += v * v;
 }
-return out;
-}
-
-// μ-law encoding helper (A-law alternative omitted). Standard μ-law companding.
-function linearToMuLawSample(sample) {
-const MU = 255;
-const MAX = 32767;
-// Get sign and magnitude
-let sign = (sample >> 8) & 0x80;
-if (sign) sample = -sample;
-if (sample > MAX) sample = MAX;
-// Mu-law companding
-const magnitude = Math.log1p(MU * sample / MAX) / Math.log1p(MU);
-let compressed = Math.floor(magnitude * 127);
-let muByte = (~(sign | compressed)) & 0xFF;
-return muByte;
+const rms = Math.sqrt(sum / n);
+voicedMs = rms >= thresholdRms ? voicedMs + (n * 1000) / sampleRate : 0;
+return voicedMs >= minSpeechMs;
+},
+reset() { voicedMs = 0; }
+};
 }
 
-// send mu-law chunks to Twilio WS as media frames (20ms per frame)
-async function streamPcm16ToTwilioWs(twilioWs, pcm16Buffer, sampleRate = 8000) {
+// send G.711 (µ-law / A-law) chunks to Twilio WS as media frames (20ms per frame)
+// opts.streamSid tags outbound frames; opts.shouldStop() is polled per frame (barge-in);
+// opts.onFrame(chunk) sees every frame actually sent (call recording)
+async function streamG711ToTwilioWs(twilioWs, audioBuf, opts = {}) {
 if (!twilioWs || twilioWs.readyState !== WebSocket.OPEN) {
 warn("Twilio WS not open — cannot stream TTS into call");
 return false;
 }
 
-// Ensure pcm16Buffer is 8k
-let pcm8kBuffer = pcm16Buffer;
-if (sampleRate === 16000) {
-pcm8kBuffer = resample16kTo8k(pcm16Buffer);
-} else if (sampleRate !== 8000) {
-// If Sarvam returns something else, try to handle simply by skipping/averaging
-// (most likely Sarvam returns 16000)
-warn("TTS sampleRate not 8k/16k, got", sampleRate);
-}
-
-// Convert to mu-law
-const muBuf = pcm16ToMuLawBuffer(pcm8kBuffer);
-
-// chunk for 20ms: 8000 samples/sec -> 160 samples per 20ms -> 160 bytes mu-law
+// chunk for 20ms: 8000 samples/sec -> 160 samples per 20ms -> 160 bytes G.711
 const chunkBytes = 160;
-for (let i = 0; i < muBuf.length; i += chunkBytes) {
-const chunk = muBuf.slice(i, i + chunkBytes);
+for (let i = 0; i < audioBuf.length; i += chunkBytes) {
+if (opts.shouldStop && opts.shouldStop()) {
+log("⏹ TTS playback interrupted after", Math.round((i / chunkBytes) * 20), "ms");
+return true;
+}
+const chunk = audioBuf.slice(i, i + chunkBytes);
 const payload = chunk.toString("base64");
 const frame = {
 event: "media",
 media: { payload }
 };
+if (opts.streamSid) frame.streamSid = opts.streamSid;
 try {
 twilioWs.send(JSON.stringify(frame));
+if (opts.onFrame) opts.onFrame(chunk);
 } catch (e) {
 warn("Failed send TTS chunk to Twilio WS:", e?.message || e);
 return false;
@@ -434,293 +348,439 @@ log("☎ New Twilio Media Stream WS connection from", req.socket.remoteAddress);
 
 const state = {
 callSid: null,
+streamSid: null,
 sampleRate: TWILIO_SAMPLE_RATE,
 channels: 1,
-pcmBufferParts: [],
-pcmBytes: 0,
+encoding: "mulaw", // G.711 variant of the stream ("audio/x-mulaw" unless start says A-law)
 inFlight: false,
-ignoreUntil: 0
+ignoreUntil: 0, // echo tail after the last mark came back
+turnGen: 0, // bumped on barge-in so a stale in-flight reply is dropped
+turnAbort: null, // AbortController of the reply in flight: barge-in cancels its LLM / TTS requests
+playback: null, // { startedAt, status: "playing" | "finished" | "cleared", cancelled } for the current reply
+pendingMarks: new Map(), // mark name -> settle(outcome) while Twilio still holds that audio
+markSeq: 0,
+recorder: null, // stereo call recording when RECORD_CALLS=true
+contact: null, // { name, lang, vars } on campaign calls, from the stream's custom parameters
+lastReply: null, // { text, lang } — what "#" repeats
+profile: profiles.get(), // assistant profile, from the stream's "profile" parameter
+flow: null, // this call's run through its flow (lib/flows.js), if it has one
+slots: null, // slot-filling session when the profile declares fields to collect (and there is no flow)
+handoff: null, // { reason } once the call is being transferred to a human
+endMeta: null, // what callStore.endCall records when the stream goes away
+lang: createLanguageSession() // per-call language lock
 };
+const bargeInDetector = createEnergyDetector();
+// closes the socket unless a start event with a valid stream token arrives
+const gate = streamAuth.gate(ws);
 
-// stt streaming handles (per-call)
-let sttSocket = null;
-let sttReady = false;
-let sttAttempted = false;
-let pendingSendChunks = [];
-
-// store twilio ws in closure
-const twilioWs = ws;
-
-// wrapper to send audio to current STT (handles multiple stream object shapes)
-function sendToStt(pkt) {
-  if (!sttSocket) {
-    pendingSendChunks.push(pkt);
-    return;
-  }
-  try {
-    if (typeof sttSocket.sendAudio === "function") {
-      // ✅ Correct SDK API
-      sttSocket.sendAudio(pkt.audio.data, pkt.audio.sample_rate);
-
-    } else if (typeof sttSocket.send === "function") {
-      // fallback for raw WebSocket
-      sttSocket.send(JSON.stringify(pkt));
-
-    } else if (typeof sttSocket.write === "function") {
-      sttSocket.write(JSON.stringify(pkt));
-
-    } else {
-      // buffer if nothing works
-      pendingSendChunks.push(pkt);
-    }
-
-  } catch (e) {
-    warn("sendToStt failed, buffering:", e?.message || e);
-    pendingSendChunks.push(pkt);
-  }
+function isBotSpeaking() {
+const p = state.playback;
+return !!p && !p.cancelled && (p.status === "playing" || Date.now() < (state.ignoreUntil || 0));
 }
 
-function flushPendingToStt() {
-if (!pendingSendChunks || pendingSendChunks.length === 0) return;
-log(`Flushing ${pendingSendChunks.length} pending audio frames to STT`);
-const copy = pendingSendChunks.slice();
-pendingSendChunks = [];
-for (const pkt of copy) sendToStt(pkt);
-}
-
-// try to initialize Sarvam streaming (prefer SDK, else raw WS fallback)
-async function tryInitSarvamStreaming() {
-if (sttSocket || sttReady) return; // already connected
-
+// ---- playback tracking: every clip ends with a mark; Twilio echoes it once the audio before it has played ----
+function sendMark() {
+if (!state.streamSid || twilioWs.readyState !== WebSocket.OPEN) return null;
+const name = `reply-${state.turnGen}-${++state.markSeq}`;
 try {
-log("Connecting to Sarvam STT via SDK...");
-
-sttSocket = await sarvamClientForTTS.speechToTextStreaming.connect({
-model: sttModel,
-"language-code": langCode,
-high_vad_sensitivity: true,
-vad_signals: true,
-});
+twilioWs.send(JSON.stringify({ event: "mark", streamSid: state.streamSid, mark: { name } }));
+return name;
+} catch (e) {
+warn("Failed to send mark to Twilio:", e?.message || e);
+return null;
+}
+}
 
-// --- Hook into SDK events ---
-if (typeof sttSocket.on === "function") {
-sttSocket.on("open", () => {
-log("✅ Sarvam SDK STT WebSocket is OPEN");
-sttReady = true;
-flushPendingToStt();
+// resolves "played" on the echo, "cleared" on barge-in / hangup, "timeout" if the echo never comes
+function waitForMark(name, timeoutMs) {
+return new Promise((resolve) => {
+const timer = setTimeout(() => settle("timeout"), timeoutMs);
+function settle(outcome) {
+clearTimeout(timer);
+state.pendingMarks.delete(name);
+resolve(outcome);
+}
+state.pendingMarks.set(name, settle);
 });
+}
 
-sttSocket.on("transcript", async (evt) => {
-const { text, is_final, language_code } = evt || {};
-if (!text) return;
-log(`📝 Sarvam transcript${is_final ? " (final)" : ""}:`, text);
-if (is_final) {
-await handleFinalTranscript(text, language_code || "unknown");
+function settleAllMarks(outcome) {
+for (const settle of [...state.pendingMarks.values()]) settle(outcome);
 }
-});
 
-sttSocket.on("speech_start", () => log("🎤 VAD: speech_start"));
+// the collected fields go out once, when the stream ends (stop and close both call this)
+function deliverSlots(reason) {
+const record = state.slots?.finish({ callSid: state.callSid, profile: state.profile.id, server: "r.js", endReason: reason });
+if (record) deliverSlotRecord(record, slotsConfig);
+}
 
-sttSocket.on("speech_end", async (evt) => {
-const transcript = evt?.text || "";
-if (transcript) {
-log("🔚 VAD: speech_end ->", transcript);
-await handleFinalTranscript(transcript, evt?.language_code || "unknown");
+function bargeInArmed() {
+if (BARGE_IN === "off" || !isBotSpeaking()) return false;
+return Date.now() - state.playback.startedAt >= BARGE_IN_AFTER_MS;
 }
-});
 
-sttSocket.on("error", (e) => {
-errLog("⚠️ Sarvam SDK STT error:", e?.message || e);
-sttReady = false;
-});
+// caller spoke over the bot: stop frames, flush Twilio's buffer, drop the in-flight reply
+function triggerBargeIn(source) {
+if (!bargeInArmed()) return;
+log("🗣 Barge-in detected via", source, "— interrupting playback for call:", state.callSid);
+interruptPlayback();
+}
 
-sttSocket.on("close", () => {
-log("ℹ️ Sarvam SDK STT closed");
-sttReady = false;
-sttSocket = null;
-});
+function interruptPlayback() {
+state.playback.cancelled = true;
+state.playback.status = "cleared";
+state.turnGen++;
+state.turnAbort?.abort();
+state.turnAbort = null;
+state.inFlight = false;
+state.ignoreUntil = 0;
+bargeInDetector.reset();
+if (state.streamSid && twilioWs.readyState === WebSocket.OPEN) {
+try { twilioWs.send(JSON.stringify({ event: "clear", streamSid: state.streamSid })); }
+catch (e) { warn("Failed to send clear to Twilio:", e?.message || e); }
 }
-return;
-} catch (err) {
-warn("SDK streaming attempt failed — falling back to raw WebSocket. Error:", err?.message || err);
+// Twilio echoes cleared marks too, but nothing should wait on them now
+settleAllMarks("cleared");
 }
 
-// Raw WebSocket fallback
-try {
-const url = `wss://api.sarvam.ai/speech_to_text_streaming?model=${encodeURIComponent(sttModel)}&language_code=${encodeURIComponent(langCode)}&high_vad_sensitivity=true&vad_signals=true`;
-log("Connecting raw WebSocket to Sarvam streaming URL:", url);
+// stt session (per-call): SDK → raw WS → REST fallback, see lib/stt.js
+let stt = null;
 
-const headers = { "api-subscription-key": SARVAM_KEY, "Authorization": `Bearer ${SARVAM_KEY}` };
-sttSocket = new WebSocket(url, { headers });
-
-sttSocket.on("open", () => {
-sttReady = true;
-log("✅ Connected to Sarvam streaming STT (raw WS fallback)");
-flushPendingToStt();
-});
-
-sttSocket.on("message", async (msgRaw) => {
-try {
-const msgStr = (typeof msgRaw === "string") ? msgRaw : msgRaw.toString();
-const msg = JSON.parse(msgStr);
-if (msg?.event === "speech_start") {
-log("Sarvam VAD: speech_start");
-} else if (msg?.event === "speech_end") {
-const transcript = msg?.data?.text || "";
-if (transcript && transcript.trim().length > 0) {
-await handleFinalTranscript(transcript, msg?.data?.language_code || msg?.data?.language || "unknown");
-}
-} else if (msg?.event === "transcript" || msg?.type === "transcript") {
-const isFinal = msg?.data?.is_final || msg?.is_final || msg?.data?.final || false;
-const text = msg?.data?.text || msg?.data?.transcript || "";
-log(`Sarvam transcript${isFinal ? " (final)" : " (partial)"}:`, text);
-if (isFinal && text && text.trim().length > 0) {
-await handleFinalTranscript(text, msg?.data?.language_code || msg?.data?.language || "unknown");
-}
-}
-} catch (e) { errLog("Error handling Sarvam message (raw ws):", e); }
-});
+// store twilio ws in closure
+const twilioWs = ws;
 
-sttSocket.on("close", (code, reason) => {
-log("ℹ️ Sarvam raw WS closed", code, reason && reason.toString ? reason.toString() : reason);
-sttReady = false;
-sttSocket = null;
+function startStt() {
+if (stt) return;
+// a single-language line tells the STT which language to expect
+const sttLang = state.profile.languages?.length === 1 ? state.profile.languages[0] : langCode;
+stt = createSttSession({ client: sarvamClientForTTS, model: state.profile.sttModel || sttModel, languageCode: sttLang });
+stt.on("open", ({ transport }) => log(`✅ Sarvam STT open (${transport})`));
+stt.on("partial", (evt) => log("📝 Sarvam transcript (partial):", evt.text));
+stt.on("speech_start", () => {
+log("🎤 VAD: speech_start");
+triggerBargeIn("stt-vad");
 });
-
-sttSocket.on("error", (e) => {
-errLog("⚠ Sarvam raw WS error:", e && (e.message || e));
-sttReady = false;
+stt.on("speech_end", () => log("🔚 VAD: speech_end"));
+stt.on("final", async (evt) => {
+log(`📝 Sarvam transcript (final, ${evt.transport}):`, evt.text);
+await handleFinalTranscript(evt.text, evt.language || "unknown");
 });
-} catch (e) {
-errLog("❌ Failed to create raw WebSocket to Sarvam:", e?.message || e);
-sttReady = false;
-sttSocket = null;
-}
-} // end tryInitSarvamStreaming
-
-// call to process a final transcript: reply -> tts buffer -> stream into Twilio WS
-async function handleFinalTranscript(transcript, sttLang) {
-if (Date.now() < (state.ignoreUntil || 0)) {
-log("Ignoring transcript because in ignore window");
-return;
-}
-if (state.inFlight) {
-log("Already processing a chunk — skipping this final transcript");
-return;
+stt.on("error", (e) => errLog("⚠️ Sarvam STT error:", e?.message || e));
+stt.on("close", () => log("ℹ️ Sarvam STT closed"));
 }
-state.inFlight = true;
-try {
-const lang = resolveFinalLang(sttLang, transcript);
-log("Final language (after heuristics):", lang, " transcript:", transcript);
-
-let aiReply;
-try { aiReply = await callDeepSeek(transcript, lang); }
-catch (e) { errLog("DeepSeek error:", e); aiReply = (lang==="gu-IN") ? "માફ કરશો, ફરી પૂછો." : (lang==="hi-IN") ? "माफ करें, कृपया फिर पूछें।" : "Sorry, please ask again."; }
 
-// Get TTS audio buffer (WAV PCM16LE, expected 16000)
-const ttsBuf = await sarvamTtsGetBuffer(sarvamClientForTTS, aiReply, lang);
-if (!ttsBuf) {
-errLog("No TTS buffer produced — skipping TTS playback");
-} else {
-// Optional: save for debugging
-try {
+// play one 8k G.711 TTS clip into the call; returns false if neither the WS nor the redirect fallback worked
+async function playTtsBuffer(audioBuf, playback) {
+// Optional: save for debugging (also what the redirect fallback plays)
 const ttsFilename = `tts_${state.callSid || "call"}_${Date.now()}.wav`;
+try {
 const ttsPath = path.join(audioDir, ttsFilename);
-fs.writeFileSync(ttsPath, ttsBuf);
+fs.writeFileSync(ttsPath, makeWavBuffer(decodeG711(audioBuf, state.encoding), TWILIO_SAMPLE_RATE));
 log("Saved TTS (debug) to:", ttsPath);
 } catch(e){}
 
-// Parse the WAV to get sample rate and PCM16 payload:
-// Quick WAV parse: expect header 44 bytes and PCM16LE format
-let headerSampleRate = TTS_SAMPLE_RATE;
-try {
-// parse sample rate from bytes 24..28 little-endian uint32
-headerSampleRate = ttsBuf.readUInt32LE(24);
-} catch(e) { headerSampleRate = TTS_SAMPLE_RATE; }
-
-// PCM data usually starts at byte 44; but some WAVs have extra chunks -> find "data" chunk
-let dataOffset = 44;
-try {
-let i = 12;
-while (i + 8 < ttsBuf.length) {
-const chunkId = ttsBuf.toString('ascii', i, i+4);
-const chunkSize = ttsBuf.readUInt32LE(i+4);
-if (chunkId === 'data') {
-dataOffset = i + 8;
-break;
-}
-i += 8 + chunkSize;
+if (!playback.startedAt) {
+playback.startedAt = Date.now();
+log("⏱ Time to first audio:", playback.startedAt - playback.turnStartedAt, "ms");
+bargeInDetector.reset();
+}
+playback.status = "playing";
+state.playback = playback;
+// stream to Twilio WS in 20ms frames
+const streamed = await streamG711ToTwilioWs(twilioWs, audioBuf, {
+streamSid: state.streamSid,
+shouldStop: () => playback.cancelled,
+onFrame: state.recorder ? (chunk) => state.recorder.bot(decodeG711(chunk, state.encoding)) : null
+});
+if (playback.cancelled) {
+// barge-in already reset state; the caller's new utterance is the next turn
+return true;
 }
-} catch(e){ dataOffset = 44; }
-
-const pcm16Data = ttsBuf.slice(dataOffset);
-// stream to Twilio WS (downsample inside function if needed)
-const streamed = await streamPcm16ToTwilioWs(twilioWs, pcm16Data, headerSampleRate);
 if (streamed) {
-// compute ignore window to not re-transcribe our own TTS (approx)
-const approxPayload = Math.max(0, pcm16Data.length);
-const approxSec = approxPayload / (headerSampleRate * 2);
-const ignoreMs = Math.ceil((approxSec * 1000) + 350);
-state.ignoreUntil = Date.now() + ignoreMs;
-} else {
+// frames are sent; the clip is over when Twilio echoes the mark behind them
+const clipMs = Math.ceil((audioBuf.length / TWILIO_SAMPLE_RATE) * 1000);
+const mark = sendMark();
+const outcome = mark ? await waitForMark(mark, clipMs + MARK_TIMEOUT_SLACK_MS) : "no-mark";
+if (outcome === "cleared" || playback.cancelled) return true;
+if (outcome === "timeout") warn("No mark echo from Twilio for", mark, "— assuming playback finished");
+playback.status = "finished";
+playback.finishedAt = Date.now();
+// without a streamSid there is nothing to mark: fall back to estimating from the clip length
+state.ignoreUntil = playback.finishedAt + (outcome === "no-mark" ? clipMs : 0) + ECHO_TAIL_MS;
+return true;
+}
+playback.status = "finished";
 warn("Streaming TTS to Twilio WS failed or WS closed. Falling back to Twilio call update (redirect).");
 // fallback: keep existing behavior - update call to play file and reconnect
-if (state.callSid) {
+if (!state.callSid) return false;
 try {
 const audioUrl = `${NGROK_URL}/audio/${path.basename(ttsFilename)}`;
-await updateCallPlayAndReconnect(state.callSid, audioUrl);
+await updateCallPlayAndReconnect(state.callSid, audioUrl, state.profile.id);
 log("Played TTS (fallback redirect) and reconnected stream");
+return true;
 } catch (e) {
 errLog("Failed fallback update Twilio:", e?.message || e);
+return false;
 }
 }
-}
-}
+
+// speak a fixed line (greeting, repeat, goodbye) outside the LLM turn flow; resolves with its playback
+async function speakText(text, lang) {
+state.inFlight = true;
+const playback = { turnStartedAt: Date.now(), startedAt: null, status: null, cancelled: false };
+try {
+const audio = await ttsGetCallAudio(text, lang, state.encoding, voiceFor(state.profile, lang));
+if (audio) await playTtsBuffer(audio, playback);
 } catch (e) {
-errLog("Error in handleFinalTranscript:", e?.message || e);
+errLog("Speaking fixed text failed:", e?.message || e);
 } finally {
-state.inFlight = false;
+if (!playback.cancelled) state.inFlight = false;
+}
+return playback;
+}
+
+// opening line: the flow's first prompt, else a campaign contact by name in their language, else the profile's
+// greeting; slot filling follows it with the first question
+async function greet() {
+const opening = state.flow?.begin(state.lang.lang);
+let greeting = opening ? (opening.say ? { lang: opening.lang, text: opening.say } : null)
+: state.contact ? greetingText(state.contact) : greetingFor(state.profile, state.lang.lang);
+const question = state.slots?.begin(greeting?.lang || state.lang.lang).say;
+if (question) greeting = { lang: greeting?.lang || state.lang.lang, text: greeting ? `${greeting.text} ${question}` : question };
+if (!greeting) return;
+const { lang, text } = greeting;
+log("👋 Greeting:", text);
+const playback = await speakText(text, lang);
+if (!playback.startedAt) return;
+state.lastReply = { text, lang };
+callStore.addTurn(state.callSid, { user: null, lang, reply: text, greeting: true, interrupted: playback.cancelled, ...(opening ? { flow: { state: opening.state } } : {}) });
+}
+
+// keypad (Twilio "dtmf" events): DTMF_KEYMAP actions, or a typed digit sequence as a turn
+const keypad = createDtmfHandler();
+keypad.on("action", async ({ action, key, digits }) => {
+log("☎️ Keypad:", action, digits || key);
+// a key press is deliberate: it always cuts the bot off
+if (isBotSpeaking()) interruptPlayback();
+try {
+if (action === "digits") {
+await handleFinalTranscript(dtmfPrompt(digits), null, { dtmf: digits });
+} else if (action === "repeat") {
+if (!state.lastReply) return log("Nothing to repeat yet");
+if (state.inFlight) return log("Reply in progress — not repeating");
+await speakText(state.lastReply.text, state.lastReply.lang);
+} else if (action === "handoff") {
+await transferToAgent(state.lang.lang, "keypad");
+} else if (action === "hangup") {
+await speakText(goodbyeText(state.lang.lang), state.lang.lang);
+if (state.callSid) await updateTwilioCall(state.callSid, { Status: "completed" });
+callStore.endCall(state.callSid, { reason: "caller-ended" });
+} else {
+warn("No handler for keypad action:", action);
 }
+} catch (e) {
+errLog("Keypad action failed:", action, e?.message || e);
 }
+});
 
-// forward a base64 chunk (incoming Twilio media payload) to Sarvam streaming if ready,
-// otherwise buffer pcm for REST STT
-async function forwardFrameToSarvamOrBuffer(b64payload) {
-const muLawBuf = Buffer.from(b64payload, "base64");
-const pcmBuf8k = muLawToPcm16Buffer(muLawBuf);
-
-if (sttReady && sttSocket) {
+// hand the call to a human: "connecting you" over the stream, then <Dial> with a whisper summary.
+// currentUtterance is the caller's request, not yet in the stored transcript
+async function transferToAgent(lang, reason, currentUtterance) {
+if (!handoff.enabled) { warn("Handoff requested but no HANDOFF_NUMBER / HANDOFF_SIP / HANDOFF_QUEUE is set"); return false; }
+if (!state.callSid || state.handoff) return !!state.handoff;
+state.handoff = { reason };
+log("🤝 Handoff to", describeTarget(handoff), "for call:", state.callSid, `(${reason})`);
+const stored = await callStore.getTranscript(state.callSid).catch(() => null);
+const turns = [...(stored?.turns || []), ...(currentUtterance ? [{ user: currentUtterance }] : [])];
+const summaryPromise = buildHandoffSummary(turns, { llm, contact: state.contact });
+await speakText(connectingText(lang), lang);
+const summary = await summaryPromise;
+handoffDesk.set(state.callSid, { summary, lang, reason, to: describeTarget(handoff), contact: state.contact });
+state.endMeta = { reason: "handoff", handoff: { reason, to: describeTarget(handoff), summary } };
 try {
-const pcmBuf16k = resample8kTo16k(pcmBuf8k);
-const b64Pcm16k = pcmBuf16k.toString("base64");
-const pkt = {
-audio: {
-data: b64Pcm16k,
-sample_rate: 16000,
-encoding: "pcm_s16le"
+await updateTwilioCall(state.callSid, { Twiml: dialTwiml(handoff, { callSid: state.callSid, baseUrl: NGROK_URL }) });
+log("📝 Handoff summary:", summary);
+return true;
+} catch (e) {
+errLog("Handoff failed:", e?.message || e);
+state.handoff = null;
+state.endMeta = null;
+return false;
+}
 }
+
+// call to process a final transcript: reply -> tts buffer -> stream into Twilio WS
+// opts.dtmf: the "transcript" is keypad input, so the language stays where it is
+async function handleFinalTranscript(transcript, sttLang, opts = {}) {
+if (state.handoff) {
+log("Call is being handed to an agent — ignoring:", transcript);
+return;
+}
+if (isBotSpeaking()) {
+log("Ignoring transcript because bot audio is still playing");
+return;
+}
+if (state.inFlight) {
+log("Already processing a chunk — skipping this final transcript");
+return;
+}
+state.inFlight = true;
+const gen = state.turnGen;
+const abort = new AbortController(); // barge-in (interruptPlayback) aborts this turn's LLM / TTS requests
+state.turnAbort = abort;
+const { signal } = abort;
+const superseded = () => {
+if (gen === state.turnGen) return false;
+log("Reply for", JSON.stringify(transcript), "cancelled by barge-in");
+return true;
 };
-sendToStt(pkt);
+const playback = { turnStartedAt: Date.now(), startedAt: null, status: null, cancelled: false };
+const timer = createStageTimer(playback.turnStartedAt);
+const turn = { user: opts.dtmf ? null : transcript, sttLang, lang: null, langReason: null, reply: null };
+if (opts.dtmf) turn.dtmf = opts.dtmf;
+try {
+const langDecision = opts.dtmf ? { lang: state.lang.lang, reason: "keypad" } : state.lang.resolve(sttLang, transcript);
+turn.lang = langDecision.lang;
+turn.langReason = langDecision.reason;
+const lang = langDecision.lang;
+log("Final language (after heuristics):", lang, `(${langDecision.reason})`, " transcript:", transcript);
+if (handoff.enabled && handoff.keywords && !opts.dtmf && detectHandoffIntent(transcript)) {
+turn.handoff = "keyword";
+await transferToAgent(lang, "keyword", transcript);
 return;
+}
+// the call's flow (or slot filling) answers scripted steps itself; llm steps pass their instruction to the model
+let scripted = null;
+let stepInstruction = null;
+if (state.flow) {
+const step = state.flow.handle({ text: opts.dtmf ? null : transcript, dtmf: opts.dtmf, lang });
+turn.flow = { state: step.state, slots: step.slots, ...(step.transition ? { transition: step.transition } : {}) };
+if (step.transition) log("🧭 Flow:", step.transition, JSON.stringify(step.slots));
+if (step.action === "handoff") {
+turn.handoff = "flow";
+if (await transferToAgent(lang, "flow", transcript)) return;
+warn("Flow handoff failed — continuing without the flow");
+state.flow = null;
+} else if (step.llm) {
+stepInstruction = step.llm.instruction;
+} else {
+scripted = step;
+}
+} else if (state.slots && !state.slots.done) {
+const step = await state.slots.handle({ text: opts.dtmf || transcript, lang });
+turn.slots = { updates: step.updates, values: step.slots };
+if (step.llm) stepInstruction = step.llm.instruction;
+else scripted = step;
+}
+const history = conversations.messagesFor(state.callSid);
+if (state.contact) history.unshift({ role: "system", content: contactPrompt(state.contact) });
+if (stepInstruction) history.push({ role: "system", content: stepInstruction });
+if (kb.enabled && !opts.dtmf && !scripted) {
+const passages = kb.search(transcript);
+if (passages.length) {
+history.push({ role: "system", content: kb.prompt(passages) });
+turn.sources = sourcesForTurn(passages);
+log("📚 Knowledge:", turn.sources.map((p) => `${p.id} (${p.score})`).join(", "));
+}
+}
+
+let aiReply = null;
+// end_call (tool) or a flow's end state only flag the hangup; it happens once the goodbye has played
+let hangup = null;
+if (scripted) {
+aiReply = scripted.say;
+turn.reply = aiReply;
+if (scripted.action === "end") hangup = "flow";
+} else {
+if (LLM_STREAM && !tools.size) {
+// synthesize sentences as they arrive; play them strictly in order
+let sentences = 0;
+let handoffRequested = false;
+let playChain = Promise.resolve(true);
+const onSentence = (raw) => {
+const { text: sentence, requested } = takeHandoffToken(raw);
+if (requested) handoffRequested = true;
+if (!sentence) return;
+sentences++;
+timer.mark("llmFirstSentence");
+const ttsPromise = ttsGetCallAudio(sentence, lang, state.encoding, voiceFor(state.profile, lang), signal);
+ttsPromise.then(() => timer.mark("ttsFirst"));
+playChain = playChain.then(async (ok) => {
+if (!ok || playback.cancelled || superseded()) return false;
+const ttsBuf = await ttsPromise;
+if (playback.cancelled || superseded()) return false;
+if (!ttsBuf) {
+errLog("No TTS buffer produced for sentence — skipping:", sentence);
+return true;
+}
+return playTtsBuffer(ttsBuf, playback);
+});
+};
+try {
+aiReply = await streamLLM(transcript, lang, history, onSentence, state.profile, signal);
 } catch (e) {
-warn("Error forwarding to Sarvam streaming - falling back to buffering:", e?.message || e);
+if (superseded()) return;
+warn("LLM streaming failed" + (sentences ? " mid-reply" : ", falling back to non-streaming") + ":", e?.message || e);
+}
+if (aiReply === null && sentences === 0 && !handoffRequested) {
+// nothing spoken yet: fall through to the one-shot path below
+} else {
+timer.mark("llm");
+aiReply = takeHandoffToken(aiReply).text;
+turn.reply = aiReply || null;
+await playChain;
+if (superseded()) return;
+if (aiReply) await conversations.addTurn(state.callSid, transcript, aiReply);
+if (handoffRequested) {
+turn.handoff = "llm";
+await transferToAgent(lang, "llm", transcript);
+}
+return;
 }
 }
 
-// Buffer locally (for REST fallback)
-state.pcmBufferParts.push(pcmBuf8k);
-state.pcmBytes += pcmBuf8k.length;
-
-const chunkByteTarget = Math.ceil(CHUNK_SECONDS * state.sampleRate * 2);
-if (state.pcmBytes >= chunkByteTarget && !state.inFlight) {
-const combined = Buffer.concat(state.pcmBufferParts, state.pcmBytes);
-state.pcmBufferParts = [];
-state.pcmBytes = 0;
+const toolCtx = { callSid: state.callSid, lang, contact: state.contact, endCall: (reason) => { hangup = reason; } };
+const onTool = (record) => { (turn.tools ||= []).push(record); };
+const llmReply = takeHandoffToken(await callLLM(transcript, lang, history, { toolCtx, onTool, profile: state.profile, signal }));
+timer.mark("llm");
+if (llmReply.requested) {
+turn.handoff = "llm";
+if (llmReply.text) turn.reply = llmReply.text;
+await transferToAgent(lang, "llm", transcript);
+return;
+}
+aiReply = llmReply.text;
+turn.reply = aiReply;
+}
+if (superseded()) return;
+if (aiReply) {
+await conversations.addTurn(state.callSid, transcript, aiReply);
 
-const { transcript, langCode } = await sarvamRestSttFromPcm(combined, state.sampleRate);
-if (transcript && transcript.trim().length > 0) {
-await handleFinalTranscript(transcript, langCode);
+// Get TTS audio (8k G.711, ready for the media stream)
+const ttsBuf = await ttsGetCallAudio(aiReply, lang, state.encoding, voiceFor(state.profile, lang), signal);
+timer.mark("ttsFirst");
+if (superseded()) return;
+if (!ttsBuf) {
+errLog("No TTS buffer produced — skipping TTS playback");
+} else {
+await playTtsBuffer(ttsBuf, playback);
+}
 }
+if (hangup && !superseded()) {
+log("📴 Assistant ended the call:", hangup);
+state.endMeta = { reason: "assistant-ended", detail: hangup };
+await updateTwilioCall(state.callSid, { Status: "completed" });
+}
+} catch (e) {
+errLog("Error in handleFinalTranscript:", e?.message || e);
+turn.error = e?.message || String(e);
+} finally {
+if (state.turnAbort === abort) state.turnAbort = null;
+if (gen === state.turnGen) state.inFlight = false;
+if (turn.reply && gen === state.turnGen) state.lastReply = { text: turn.reply, lang: turn.lang };
+if (playback.startedAt) timer.mark("firstAudio", playback.startedAt);
+timer.mark("total");
+callStore.addTurn(state.callSid, { ...turn, interrupted: playback.cancelled || gen !== state.turnGen, latency: timer.toJSON() });
 }
 }
 
@@ -732,7 +792,9 @@ if (!parsed || !parsed.event) return;
 
 if (parsed.event === "start") {
 const s = parsed.start || {};
+if (!gate.admit(s)) return;
 state.callSid = s.call_sid || s.callSid || parsed.start?.callSid || parsed.start?.call_sid || null;
+state.streamSid = s.streamSid || parsed.streamSid || null;
 if (s.media) {
 state.sampleRate = parseInt(s.media.sample_rate) || TWILIO_SAMPLE_RATE;
 state.channels = parseInt(s.media.channels) || 1;
@@ -740,33 +802,69 @@ state.channels = parseInt(s.media.channels) || 1;
 state.sampleRate = TWILIO_SAMPLE_RATE;
 state.channels = 1;
 }
-log("WS start — callSid:", state.callSid, "sampleRate:", state.sampleRate);
-tryInitSarvamStreaming();
+// Twilio reports { encoding: "audio/x-mulaw" } in mediaFormat; SIP/carrier streams may be A-law
+state.encoding = g711Encoding(s.mediaFormat?.encoding || s.media?.encoding);
+state.contact = contactFromParams(s.customParameters || {});
+state.profile = profiles.get(s.customParameters?.[PROFILE_PARAM]);
+// the line's languages bound the lock; a contact's preferred language is where it starts (the caller can still switch)
+const { languages, defaultLang } = state.profile;
+const initialLang = state.contact?.lang && (!languages || languages.includes(state.contact.lang)) ? state.contact.lang : null;
+state.lang = createLanguageSession({ initialLang, allowed: languages, defaultLang });
+state.flow = flows.start(state.profile.flow || flows.defaultId, { vars: { name: state.contact?.name, ...state.contact?.vars } });
+state.slots = !state.flow && state.profile.slots ? createSlotSession(state.profile.slots, { llm, config: slotsConfig }) : null;
+log("WS start — callSid:", state.callSid, "profile:", state.profile.id, "flow:", state.flow?.flowId || "none", "sampleRate:", state.sampleRate, "encoding:", state.encoding, state.contact ? `contact: ${state.contact.name || "?"} (${state.contact.lang || "no lang"})` : "");
+callStore.startCall(state.callSid, { server: "r.js", streamSid: state.streamSid, encoding: state.encoding, contact: state.contact, profile: state.profile.id });
+if (recordCalls() && !state.recorder) state.recorder = createCallRecorder({ callSid: state.callSid });
+startStt();
+greet();
 return;
 }
 
+// nothing else is processed (and no STT is opened) for an unauthenticated stream
+if (!gate.admitted) return;
+
 if (parsed.event === "media") {
-if (Date.now() < (state.ignoreUntil || 0)) return;
 if (!parsed.media || !parsed.media.payload) return;
-const b64 = parsed.media.payload;
-await forwardFrameToSarvamOrBuffer(b64);
+const pcm = decodeG711(Buffer.from(parsed.media.payload, "base64"), state.encoding);
+// record everything the caller says, including over the bot
+state.recorder?.caller(pcm, Number(parsed.media.timestamp));
+if (bargeInArmed()) {
+// keep feeding STT so its VAD can fire; the local detector covers the REST path
+if (bargeInDetector.push(pcm)) triggerBargeIn("energy");
+} else if (isBotSpeaking()) {
+// until the last mark is echoed (plus ECHO_TAIL_MS) this is our own audio coming back
+return;
+}
+if (!stt) startStt();
+stt.sendPcm16(pcm, state.sampleRate);
 return;
 }
 
-if (parsed.event === "stop") {
-log("⏹ Stream stop for call:", state.callSid);
-if (state.pcmBytes > 0 && !state.inFlight) {
-const combined = Buffer.concat(state.pcmBufferParts, state.pcmBytes);
-state.pcmBufferParts = [];
-state.pcmBytes = 0;
-const { transcript, langCode } = await sarvamRestSttFromPcm(combined, state.sampleRate);
-if (transcript && transcript.trim().length > 0) {
-await handleFinalTranscript(transcript, langCode);
+if (parsed.event === "dtmf") {
+keypad.push(parsed.dtmf?.digit);
+return;
 }
+
+if (parsed.event === "mark") {
+const name = parsed.mark?.name;
+const settle = name && state.pendingMarks.get(name);
+if (settle) {
+log("🏁 Playback finished (mark", name + ")");
+settle("played");
 }
-if (sttSocket && typeof sttSocket.close === "function") {
-try { sttSocket.close(); } catch (e) {}
+return;
 }
+
+if (parsed.event === "stop") {
+log("⏹ Stream stop for call:", state.callSid);
+settleAllMarks("cleared");
+keypad.close();
+// closing flushes any audio still buffered for REST STT
+if (stt) await stt.close();
+conversations.clear(state.callSid);
+callStore.endCall(state.callSid, state.endMeta || { reason: "stop" });
+deliverSlots(state.endMeta?.reason || "stop");
+await state.recorder?.finalize();
 return;
 }
 } catch (e) {
@@ -776,16 +874,18 @@ errLog("Error on incoming WS message:", e?.message || e);
 
 ws.on("close", () => {
 log("❌ Twilio stream closed for call:", state.callSid);
-if (sttSocket && typeof sttSocket.close === "function") {
-try { sttSocket.close(); } catch (e) {}
-}
+settleAllMarks("cleared");
+keypad.close();
+conversations.clear(state.callSid);
+callStore.endCall(state.callSid, state.endMeta || { reason: "ws-close" });
+deliverSlots(state.endMeta?.reason || "ws-close");
+state.recorder?.finalize();
+stt?.close();
 });
 
 ws.on("error", (e) => {
 errLog("WS error:", e);
-if (sttSocket && typeof sttSocket.close === "function") {
-try { sttSocket.close(); } catch (err) {}
-}
+stt?.close();
 });
 
 }); // end wss.on connection
@@ -3,7 +3,16 @@ import express from "express";
 import dotenv from "dotenv";
 import twilio from "twilio";
 import { WebSocketServer } from "ws";
-import { SarvamAIClient } from "sarvamai"; // sarvam SDK
+import { createLanguageSession } from "./lib/language.js";
+import { createSttSession } from "./lib/stt.js";
+import { createSarvamClient } from "./lib/sarvam.js";
+import { decodeG711, g711Encoding } from "./lib/g711.js";
+import { createCallStore, createCallsRouter } from "./lib/call-store.js";
+import { adminAuth } from "./lib/admin-auth.js";
+import { createCallRecorder, createRecordingsRouter, recordCalls } from "./lib/recorder.js";
+import { twilioWebhookAuth } from "./lib/twilio-auth.js";
+import { STREAM_TOKEN_PARAM, createStreamAuth } from "./lib/stream-auth.js";
+import { contactFromParams, contactParams, greetingText } from "./lib/campaign.js";
 dotenv.config();
 
 const PORT = process.env.PORT || 3000;
@@ -28,15 +37,38 @@ const app = express();
 // Twilio will request /answer (GET or POST), and then open a WebSocket to the `url` we return.
 app.use(express.urlencoded({ extended: true }));
 
+// persisted transcripts (CALLS_DIR), served at GET /calls
+const callStore = createCallStore();
+// operator routes (/calls, /recordings, /handoffs/:sid): off unless ADMIN_TOKEN is set, then token-only
+const adminRoutes = adminAuth();
+app.use(createCallsRouter(callStore, { auth: adminRoutes }));
+app.use(createRecordingsRouter({ auth: adminRoutes })); // RECORD_CALLS=true stereo WAVs
+// X-Twilio-Signature check on webhooks (TWILIO_SIGNATURE_BYPASS=true for local dev)
+const twilioAuth = twilioWebhookAuth();
+// single-use token per <Stream>, checked on the start event before STT opens
+const streamAuth = createStreamAuth();
+
 // Accept GET/POST so you can test /answer in a browser easily
-app.all("/answer", (req, res) => {
+app.all("/answer", twilioAuth, (req, res) => {
 try {
 const streamUrl = buildStreamUrl();
 console.log("TwiML /answer returning stream URL:", streamUrl);
+// campaign calls (twillo-call-test/campaign.js) put the contact in the query: name, lang, var_*
+// -> forwarded as <Parameter>s, read back from start.customParameters
+const contact = contactFromParams({ ...req.query, ...(req.body || {}) });
 const twiml = new twilio.twiml.VoiceResponse();
 const start = twiml.start();
-start.stream({ name: "media", url: streamUrl });
-twiml.say("AI assistant connected. You can speak after the beep. Press star to end.");
+// recording needs the bot side too: both_tracks delivers outbound audio as its own frames
+const stream = start.stream({ name: "media", url: streamUrl, track: recordCalls() ? "both_tracks" : "inbound_track" });
+stream.parameter({ name: STREAM_TOKEN_PARAM, value: streamAuth.issue(req.body?.CallSid || req.query.CallSid) });
+for (const [name, value] of Object.entries(contactParams(contact))) stream.parameter({ name, value });
+if (contact) {
+// greet them by name, in their language where Twilio has a voice for it
+const greeting = greetingText(contact);
+twiml.say({ language: greeting.lang }, greeting.text);
+} else {
+twiml.say("AI assistant connected. You can speak after the beep.");
+}
 twiml.pause({ length: 60 });
 res.type("text/xml").send(twiml.toString());
 } catch (err) {
@@ -67,122 +99,91 @@ socket.destroy();
 function makeSarvamClient() {
 const key = process.env.SARVAM_API_KEY;
 if (!key) throw new Error("SARVAM_API_KEY missing in .env");
-return new SarvamAIClient({ apiSubscriptionKey: key });
+return createSarvamClient(key); // SARVAM_BASE_URL / SARVAM_WS_BASE_URL, see lib/sarvam.js
 }
 
 // --- WebSocket connection per Twilio media stream ---
 wss.on("connection", async (twilioWs) => {
 console.log("🔌 Twilio media socket connected");
 
-const sarvam = makeSarvamClient();
-let stt;
-let sttOpen = false;
-const buffer = [];
-
-// create STT socket (one per call)
+let langSession = createLanguageSession(); // per-call language lock, restarted in the contact's language on start
+let contact = null; // campaign contact { name, lang, vars }, from the stream's custom parameters
+let encoding = "mulaw"; // G.711 variant, from the start event's mediaFormat
+let callSid = null;
+let recorder = null; // stereo call recording when RECORD_CALLS=true
+// closes the socket unless a start event with a valid stream token arrives
+const gate = streamAuth.gate(twilioWs);
+
+// STT session (one per call), opened only once the stream is authenticated
+let stt = null;
+function openStt() {
 try {
-stt = await sarvam.speechToTextStreaming.connect({
-model: "saarika:v2.5",
-"language-code": "en-IN",
-debug: false,
-});
+stt = createSttSession({ client: makeSarvamClient(), model: "saarika:v2.5", languageCode: contact?.lang || "en-IN" });
 } catch (e) {
-console.error("Failed to connect Sarvam STT socket:", e);
+console.error("Failed to create Sarvam STT session:", e);
 twilioWs.close();
 return;
 }
 
-// wait for stt to be open and then flush buffer
-stt.on("open", () => {
-console.log("✅ Sarvam STT socket open");
-sttOpen = true;
-// flush any buffered media frames
-while (buffer.length) {
-const evt = buffer.shift();
-try { handleMediaEvent(evt); } catch (e) { console.warn("flush error", e); }
-}
-});
-
-stt.on("message", (msg) => {
-// msg is already JSON parsed by SDK wrapper
-console.log("📩 Sarvam:", msg);
-if (msg?.type === "data") {
-console.log("📝 Transcript:", msg.data?.transcript);
-}
+stt.on("open", ({ transport }) => console.log("✅ Sarvam STT open via", transport));
+stt.on("partial", (evt) => console.log("📩 Sarvam partial:", evt.text));
+stt.on("final", (evt) => {
+console.log("📝 Transcript:", evt.text);
+const decision = langSession.resolve(evt.language, evt.text);
+console.log("🧭 Lang:", decision.lang, `(${decision.reason})`);
+callStore.addTurn(callSid, { user: evt.text, sttLang: evt.language, lang: decision.lang, langReason: decision.reason, transport: evt.transport });
 });
-stt.on("error", (e) => console.error("⚠ Sarvam error:", e));
+stt.on("error", (e) => console.error("⚠ Sarvam error:", e?.message || e));
 stt.on("close", () => console.log("🔒 Sarvam STT closed"));
+}
 
 // twilio messages
 twilioWs.on("message", async (raw) => {
 let evt;
 try { evt = JSON.parse(raw.toString()); } catch (e) { return; }
 
+// nothing but an authenticated start is processed; STT opens only after it
+if (evt.event !== "start" && !gate.admitted) return;
+
 if (evt.event === "media") {
-if (!sttOpen) {
-buffer.push(evt);
-} else {
 handleMediaEvent(evt);
-}
 } else if (evt.event === "start") {
-console.log("RWS> start", evt.start?.callSid || "");
+if (!gate.admit(evt.start)) return;
+contact = contactFromParams(evt.start?.customParameters || {});
+if (contact?.lang) langSession = createLanguageSession({ initialLang: contact.lang });
+openStt();
+encoding = g711Encoding(evt.start?.mediaFormat?.encoding);
+callSid = evt.start?.callSid || null;
+console.log("RWS> start", callSid || "", encoding, contact ? `contact: ${contact.name || "?"} (${contact.lang || "no lang"})` : "");
+callStore.startCall(callSid, { server: "server.js", encoding, contact });
+if (recordCalls() && !recorder) recorder = createCallRecorder({ callSid });
 } else if (evt.event === "stop") {
 console.log("RWS> stop");
-try { stt.sendJson({ event: "end" }); } catch {}
-try { stt.close(); } catch {}
+stt?.close();
+callStore.endCall(callSid, { reason: "stop" });
+recorder?.finalize();
 try { twilioWs.close(); } catch {}
 }
 });
 
 twilioWs.on("close", () => {
 console.log("🔌 Twilio socket closed");
-try { stt.sendJson({ event: "end" }); } catch {}
-try { stt.close(); } catch {}
+stt?.close();
+recorder?.finalize();
 });
 
 // ---- helpers ----
 function handleMediaEvent(evt) {
 const payloadB64 = evt?.media?.payload;
 if (!payloadB64) return;
-const mu = Buffer.from(payloadB64, "base64"); // µ-law bytes
-const pcm8 = muLawToPCM16(mu); // Int16Array
-const pcm16 = upsample2xInt16(pcm8); // Int16Array @ 16k (simple duplication)
-const audioBase64 = Buffer.from(pcm16.buffer).toString("base64");
-
-try {
-stt.transcribe({
-  audio: audioBase64,
-  sample_rate: 16000,
-  input_audio_codec: "pcm_s16le",
-});
-} catch (err) {
-console.error("Error calling stt.transcribe:", err && err.message ? err.message : err);
-}
-}
-
-// mu-law -> PCM16 (Int16Array)
-function muLawToPCM16(muBuf) {
-const out = new Int16Array(muBuf.length);
-for (let i = 0; i < muBuf.length; i++) out[i] = mulawDecodeSample(muBuf[i]);
-return out;
-}
-function mulawDecodeSample(muLawByte) {
-const MULAW_MAX = 0x1FFF;
-const MULAW_BIAS = 33;
-muLawByte = ~muLawByte;
-const sign = (muLawByte & 0x80) ? -1 : 1;
-const exponent = (muLawByte & 0x70) >> 4;
-const mantissa = muLawByte & 0x0F;
-const sample = ((mantissa << 3) + MULAW_BIAS) << (exponent + 2);
-return sign * (sample > MULAW_MAX ? MULAW_MAX : sample);
-}
-// simple upsampler (8k -> 16k) by duplicate — easy, low-complexity
-function upsample2xInt16(int16) {
-const out = new Int16Array(int16.length * 2);
-for (let i = 0; i < int16.length; i++) {
-out[2 * i] = int16[i];
-out[2 * i + 1] = int16[i];
+const g711 = Buffer.from(payloadB64, "base64"); // µ-law / A-law bytes
+const pcm8 = decodeG711(g711, encoding); // PCM16LE @ 8k
+const ts = Number(evt.media?.timestamp);
+if ((evt.media?.track || "inbound").toLowerCase().includes("outbound")) {
+recorder?.bot(pcm8, ts);
+return;
 }
-return out;
+recorder?.caller(pcm8, ts);
+stt?.sendPcm16(pcm8, 8000); // session resamples for the streaming endpoint
 }
 });
\ No newline at end of file
@@ -0,0 +1,51 @@
+// lib/admin-auth.js: operator routes stay unmounted without ADMIN_TOKEN and need it once set
+import test from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { adminAuth, adminAuthHeader, presentedToken } from "../lib/admin-auth.js";
+import { createCallsRouter } from "../lib/call-store.js";
+
+const store = { listCalls: async () => [], getTranscript: async () => null };
+
+async function serve(router) {
+  const app = express();
+  app.use(router);
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  return { base: `http://127.0.0.1:${server.address().port}`, close: () => server.close() };
+}
+
+test("presentedToken reads Bearer and Basic (password) credentials", () => {
+  assert.equal(presentedToken("Bearer abc"), "abc");
+  assert.equal(presentedToken("bearer   abc"), "abc");
+  assert.equal(presentedToken("Basic " + Buffer.from("ops:s3cret").toString("base64")), "s3cret");
+  assert.equal(presentedToken("Digest x"), "");
+  assert.equal(presentedToken(undefined), "");
+});
+
+test("adminAuthHeader is empty without a token", () => {
+  assert.deepEqual(adminAuthHeader(""), {});
+  assert.deepEqual(adminAuthHeader("t"), { Authorization: "Bearer t" });
+});
+
+test("without a token the routes are not mounted", async (t) => {
+  const auth = adminAuth({ token: "" });
+  assert.equal(auth.enabled, false);
+  const { base, close } = await serve(createCallsRouter(store, { auth }));
+  t.after(close);
+  assert.equal((await fetch(`${base}/calls`)).status, 404);
+});
+
+test("with a token only matching credentials get through", async (t) => {
+  const auth = adminAuth({ token: "s3cret" });
+  assert.equal(auth.enabled, true);
+  const { base, close } = await serve(createCallsRouter(store, { auth }));
+  t.after(close);
+  const status = async (headers) => (await fetch(`${base}/calls`, { headers })).status;
+  const missing = await fetch(`${base}/calls`);
+  assert.equal(missing.status, 401);
+  assert.match(missing.headers.get("www-authenticate"), /^Basic/);
+  assert.equal(await status({ Authorization: "Bearer wrong" }), 401);
+  assert.equal(await status({ Authorization: "Bearer s3cret" }), 200);
+  assert.equal(await status({ Authorization: "Basic " + Buffer.from("any:s3cret").toString("base64") }), 200);
+});
@@ -0,0 +1,83 @@
+// lib/campaign.js: CSV contacts, the contact round trip into the call, calling hours and retries
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  contactFromParams,
+  contactParams,
+  contactPrompt,
+  contactsFromCsv,
+  greetingText,
+  msUntilCallingHours,
+  normalizeNumber,
+  parseCallingHours,
+  parseCsv,
+  retryDelayMs,
+} from "../lib/campaign.js";
+
+test("parseCsv handles quotes, doubled quotes, CRLF and blank lines", () => {
+  assert.deepEqual(parseCsv('\uFEFFa,b\r\n"x, y","say ""hi"""\r\n\r\n1,2'), [
+    ["a", "b"],
+    ["x, y", 'say "hi"'],
+    ["1", "2"],
+  ]);
+});
+
+test("normalizeNumber: bare Indian mobiles, 00 and trunk prefixes", () => {
+  assert.equal(normalizeNumber("98765 43210"), "+919876543210");
+  assert.equal(normalizeNumber("098765-43210"), "+919876543210");
+  assert.equal(normalizeNumber("0044 20 7946 0000"), "+442079460000");
+  assert.equal(normalizeNumber("+1 (415) 555-0100"), "+14155550100");
+  assert.equal(normalizeNumber("n/a"), null);
+});
+
+test("contactsFromCsv maps columns, languages and extra vars; skips rows without a number", () => {
+  const csv = "Phone Number,Name,Preferred Language,Order ID\n9876543210,Asha,Hindi,A-1\n,Ravi,gu,A-2\n+14155550100,,,\n";
+  const { contacts, skipped } = contactsFromCsv(csv);
+  assert.deepEqual(contacts, [
+    { row: 2, number: "+919876543210", name: "Asha", lang: "hi-IN", vars: { order_id: "A-1" } },
+    { row: 4, number: "+14155550100", name: null, lang: null, vars: {} },
+  ]);
+  assert.deepEqual(skipped, [{ row: 3, reason: "missing number" }]);
+  assert.throws(() => contactsFromCsv("name\nAsha\n"), /CSV needs a phone number column/);
+});
+
+test("contact params round-trip into the call", () => {
+  const contact = { name: "Asha", lang: "hi-IN", vars: { order_id: "A-1" } };
+  const params = contactParams(contact);
+  assert.deepEqual(params, { name: "Asha", lang: "hi-IN", var_order_id: "A-1" });
+  assert.deepEqual(contactFromParams(Object.fromEntries(new URLSearchParams(params))), contact);
+  assert.equal(contactFromParams({ CallSid: "CA1" }), null);
+});
+
+test("greeting and prompt use the contact's name and language", () => {
+  assert.equal(greetingText({ name: "Asha", lang: "hi-IN" }).lang, "hi-IN");
+  assert.match(greetingText({ name: "Asha", lang: "hi-IN" }).text, /Asha जी/);
+  assert.equal(greetingText({ name: "Ravi", lang: "ta-IN" }).lang, "en-IN"); // no Tamil template
+  assert.equal(greetingText(null).text, "Hello, this is the AI assistant calling. How can I help you today?");
+  assert.equal(
+    contactPrompt({ name: "Asha", lang: "hi-IN", vars: { order_id: "A-1" } }),
+    "This is an outbound call. You are speaking with Asha. Their preferred language is hi-IN. Campaign details: order_id=A-1."
+  );
+  assert.equal(contactPrompt(null), "");
+});
+
+test("calling hours: inside, before and overnight windows", () => {
+  assert.deepEqual(parseCallingHours("09:00-20:30"), { start: 540, end: 1230 });
+  assert.throws(() => parseCallingHours("9am-5pm"), /Invalid calling hours/);
+
+  const window = parseCallingHours("09:00-20:00");
+  assert.equal(msUntilCallingHours(window, "UTC", new Date("2026-01-05T12:00:00Z")), 0);
+  assert.equal(msUntilCallingHours(window, "UTC", new Date("2026-01-05T08:30:00Z")), 30 * 60 * 1000);
+  assert.equal(msUntilCallingHours(window, "UTC", new Date("2026-01-05T21:00:00Z")), 12 * 60 * 60 * 1000);
+  // 09:00 in Kolkata is 03:30 UTC
+  assert.equal(msUntilCallingHours(window, "Asia/Kolkata", new Date("2026-01-05T03:00:00Z")), 30 * 60 * 1000);
+
+  const overnight = parseCallingHours("22:00-06:00");
+  assert.equal(msUntilCallingHours(overnight, "UTC", new Date("2026-01-05T23:00:00Z")), 0);
+  assert.equal(msUntilCallingHours(overnight, "UTC", new Date("2026-01-05T05:00:00Z")), 0);
+  assert.equal(msUntilCallingHours(overnight, "UTC", new Date("2026-01-05T07:00:00Z")), 15 * 60 * 60 * 1000);
+});
+
+test("retry delay doubles per attempt up to the cap", () => {
+  assert.deepEqual([1, 2, 3, 4].map((n) => retryDelayMs(n, 1000, 5000)), [1000, 2000, 4000, 5000]);
+});
@@ -0,0 +1,74 @@
+// lib/conversation.js: per-call history, summarizing and env defaults
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createConversationStore, historyConfigFromEnv, summarizeLocally } from "../lib/conversation.js";
+
+test("history config: defaults and env overrides", () => {
+  assert.deepEqual(historyConfigFromEnv({}), { maxTurns: 6, maxTokens: 600, idleMinutes: 30 });
+  assert.deepEqual(
+    historyConfigFromEnv({ HISTORY_MAX_TURNS: "2", HISTORY_MAX_TOKENS: "50", HISTORY_IDLE_MINUTES: "0.5" }),
+    { maxTurns: 2, maxTokens: 50, idleMinutes: 0.5 }
+  );
+});
+
+test("store reads the env when created, not when imported", async () => {
+  const prev = process.env.HISTORY_MAX_TURNS;
+  process.env.HISTORY_MAX_TURNS = "1";
+  try {
+    const store = createConversationStore({ maxTokens: 10_000 });
+    await store.addTurn("CA1", "one", "uno");
+    await store.addTurn("CA1", "two", "dos");
+    const msgs = store.messagesFor("CA1");
+    assert.equal(msgs[0].role, "system");
+    assert.deepEqual(msgs.slice(1).map((m) => m.content), ["two", "dos"]);
+  } finally {
+    if (prev === undefined) delete process.env.HISTORY_MAX_TURNS;
+    else process.env.HISTORY_MAX_TURNS = prev;
+  }
+});
+
+test("older turns fold into the summary, the newest stays verbatim", async () => {
+  const seen = [];
+  const store = createConversationStore({
+    maxTurns: 2,
+    maxTokens: 10_000,
+    summarize: async (prev, dropped) => {
+      seen.push(dropped.map((t) => t.user));
+      return summarizeLocally(prev, dropped);
+    },
+  });
+  for (const n of [1, 2, 3]) await store.addTurn("CA1", `q${n}`, `a${n}`);
+
+  assert.deepEqual(seen, [["q1"]]);
+  const msgs = store.messagesFor("CA1");
+  assert.match(msgs[0].content, /Caller: q1 \| Assistant: a1/);
+  assert.deepEqual(msgs.slice(1).map((m) => m.content), ["q2", "a2", "q3", "a3"]);
+});
+
+test("a failing summarizer falls back to the local one", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const store = createConversationStore({
+    maxTurns: 1,
+    maxTokens: 10_000,
+    summarize: async () => {
+      throw new Error("llm down");
+    },
+  });
+  await store.addTurn("CA1", "q1", "a1");
+  await store.addTurn("CA1", "q2", "a2");
+  assert.match(store.messagesFor("CA1")[0].content, /Caller: q1/);
+});
+
+test("calls are kept apart and cleared on hangup", async () => {
+  const store = createConversationStore({ maxTurns: 6, maxTokens: 10_000 });
+  await store.addTurn("CA1", "hi", "hello");
+  await store.addTurn("CA2", "namaste", "namaste ji");
+  assert.equal(store.size(), 2);
+  assert.deepEqual(store.messagesFor("CA2").map((m) => m.content), ["namaste", "namaste ji"]);
+
+  store.clear("CA1");
+  assert.equal(store.has("CA1"), false);
+  assert.deepEqual(store.messagesFor("CA1"), []);
+  await store.addTurn("CA3", "", "ignored");
+  assert.equal(store.has("CA3"), false);
+});
@@ -0,0 +1,113 @@
+// lib/flows.js: flow validation, a call's run through a flow, and the FLOWS_DIR registry
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createFlowRegistry, createFlowRun, validateFlow } from "../lib/flows.js";
+
+const ORDERS = {
+  id: "orders",
+  start: "ask_order",
+  defaultLang: "en-IN",
+  intents: { status: ["where is", "status", "कहाँ"] },
+  states: {
+    ask_order: {
+      prompt: { "en-IN": "Hello {name}, please say or type your order number.", "hi-IN": "नमस्ते {name}, अपना ऑर्डर नंबर बताइए।" },
+      retryPrompt: "Sorry, the order number again please.",
+      input: { type: "any", slot: "order_id", kind: "digits", pattern: "^\\d{4,10}$" },
+      transitions: [{ when: { filled: true }, to: "help" }, { when: { dtmf: "0" }, to: "agent" }],
+      maxRetries: 1,
+      onMaxRetries: "agent",
+    },
+    help: { type: "llm", instruction: "The caller's order is {order_id}.", transitions: [{ when: { intent: "goodbye" }, to: "bye" }] },
+    agent: { type: "handoff", prompt: "Connecting you to a person." },
+    bye: { type: "end", prompt: { "en-IN": "Thank you for calling. Goodbye." } },
+  },
+};
+
+function problemsOf(def) {
+  try { validateFlow(def); } catch (e) { return e.problems; }
+  return [];
+}
+
+test("a well-formed flow validates", () => {
+  const flow = validateFlow(ORDERS);
+  assert.equal(flow.id, "orders");
+  assert.deepEqual(Object.keys(flow.states), ["ask_order", "help", "agent", "bye"]);
+  assert.ok(flow.intents.status && flow.intents.yes); // custom plus built-in
+});
+
+test("validation reports every problem at once", () => {
+  const problems = problemsOf({
+    id: "bad id",
+    start: "nowhere",
+    intents: { broken: ["("] },
+    states: {
+      a: { type: "ask", transitions: [{ when: { intent: "missing" }, to: "ghost" }, { when: { filled: true } }] },
+      b: { type: "say", prompt: "hi" },
+      c: { type: "teleport" },
+      d: { input: { type: "telepathy" }, prompt: "x", transitions: [{ to: "a" }] },
+    },
+  });
+  for (const expected of [
+    /"id" must be/, /start state "nowhere"/, /intent "broken": bad pattern/,
+    /state "a": needs a prompt/, /goes to unknown state "ghost"/, /unknown intent "missing"/,
+    /transition 2 has no "to"/, /checks "filled" but the state has no input.slot/,
+    /state "b": say state needs a "next"/, /state "c": unknown type "teleport"/, /input.type must be speech, dtmf or any/,
+  ]) assert.ok(problems.some((p) => expected.test(p)), `missing problem ${expected}: ${problems.join(" | ")}`);
+  assert.deepEqual(problemsOf(null), ["not an object"]);
+});
+
+test("a run fills slots, follows transitions and hands llm states their instruction", () => {
+  const run = createFlowRun(validateFlow(ORDERS), { vars: { name: "Asha" } });
+  const opening = run.begin("hi-IN");
+  assert.equal(opening.say, "नमस्ते Asha, अपना ऑर्डर नंबर बताइए।");
+  assert.equal(opening.state, "ask_order");
+
+  const step = run.handle({ text: "it is 12345", lang: "en-IN" });
+  assert.equal(step.transition, "ask_order->help");
+  assert.deepEqual(step.slots, { order_id: "12345" });
+  assert.equal(step.llm.instruction, "The caller's order is 12345. Details collected so far: order_id=12345.");
+
+  const question = run.handle({ text: "when will it arrive", lang: "en-IN" });
+  assert.equal(question.say, null);
+  assert.ok(question.llm);
+
+  const bye = run.handle({ text: "okay bye", lang: "en-IN" });
+  assert.equal(bye.action, "end");
+  assert.equal(bye.say, "Thank you for calling. Goodbye.");
+  assert.equal(run.done, true);
+});
+
+test("a run re-prompts, then follows onMaxRetries; keypad input matches dtmf transitions", () => {
+  const run = createFlowRun(validateFlow(ORDERS));
+  run.begin();
+  assert.equal(run.handle({ text: "I don't know" }).say, "Sorry, the order number again please.");
+  const giveUp = run.handle({ text: "still no idea" });
+  assert.equal(giveUp.action, "handoff");
+  assert.equal(giveUp.transition, "ask_order->agent (max retries)");
+
+  const keypad = createFlowRun(validateFlow(ORDERS));
+  keypad.begin();
+  assert.equal(keypad.handle({ text: null, dtmf: "0" }).action, "handoff");
+});
+
+test("registry loads FLOWS_DIR, rejects duplicates and keeps the last good version on a bad edit", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "flows-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, "orders.json"), JSON.stringify(ORDERS));
+  fs.writeFileSync(path.join(dir, "other.json"), JSON.stringify(ORDERS));
+  fs.writeFileSync(path.join(dir, "broken.json"), "{");
+
+  const flows = createFlowRegistry({ dir, explicit: true, defaultId: "orders", watch: false });
+  t.after(() => flows.close());
+  assert.deepEqual(flows.ids(), ["orders"]);
+  assert.equal(flows.get("orders").source, "orders.json");
+  assert.equal(flows.start("nope"), null);
+  assert.equal(flows.start("orders").flowId, "orders");
+
+  fs.writeFileSync(path.join(dir, "orders.json"), JSON.stringify({ ...ORDERS, start: "missing" }));
+  flows.reload();
+  assert.equal(flows.get("orders").start, "ask_order");
+});
@@ -0,0 +1,52 @@
+// lib/g711.js: G.711 tables against G.191 reference values, round trips and encoding names
+import test from "node:test";
+import assert from "node:assert/strict";
+import { alawToLinear, decodeG711, encodeG711, g711Encoding, linearToAlaw, linearToUlaw, ulawToLinear } from "../lib/g711.js";
+
+test("µ-law reference points", () => {
+  assert.equal(ulawToLinear(0xff), 0);
+  assert.equal(ulawToLinear(0x80), 32124);
+  assert.equal(ulawToLinear(0x00), -32124);
+  assert.equal(linearToUlaw(0), 0xff);
+  assert.equal(linearToUlaw(-1), 0x7f); // one's complement: negative zero
+});
+
+test("A-law reference points", () => {
+  assert.equal(alawToLinear(0xd5), 8);
+  assert.equal(alawToLinear(0x55), -8);
+  assert.equal(alawToLinear(0xaa), 32256);
+  assert.equal(alawToLinear(0x2a), -32256);
+  assert.equal(linearToAlaw(0), 0xd5);
+});
+
+test("every code survives decode -> encode", () => {
+  for (let b = 0; b < 256; b++) {
+    assert.equal(linearToAlaw(alawToLinear(b)), b, `A-law 0x${b.toString(16)}`);
+    if (b !== 0x7f) assert.equal(linearToUlaw(ulawToLinear(b)), b, `µ-law 0x${b.toString(16)}`); // 0x7f is -0 -> 0xff
+  }
+});
+
+test("encode -> decode stays within the logarithmic step", () => {
+  for (const encoding of ["mulaw", "alaw"]) {
+    for (let v = -32000; v <= 32000; v += 97) {
+      const back = decodeG711(encodeG711(Buffer.from(new Int16Array([v]).buffer), encoding), encoding).readInt16LE(0);
+      assert.ok(Math.abs(back - v) <= Math.max(32, Math.abs(v) * 0.07), `${encoding} ${v} -> ${back}`);
+    }
+  }
+});
+
+test("buffer codec: one byte per sample, PCM16LE out", () => {
+  const pcm = decodeG711(Buffer.from([0xff, 0x80, 0x00]), "mulaw");
+  assert.equal(pcm.length, 6);
+  assert.deepEqual([pcm.readInt16LE(0), pcm.readInt16LE(2), pcm.readInt16LE(4)], [0, 32124, -32124]);
+  assert.deepEqual(encodeG711(pcm, "mulaw"), Buffer.from([0xff, 0x80, 0x00]));
+});
+
+test("encoding names from Twilio / SIP media formats", () => {
+  assert.equal(g711Encoding("audio/x-mulaw"), "mulaw");
+  assert.equal(g711Encoding("PCMU"), "mulaw");
+  assert.equal(g711Encoding("audio/x-alaw"), "alaw");
+  assert.equal(g711Encoding("PCMA"), "alaw");
+  assert.equal(g711Encoding(undefined), "mulaw");
+  assert.equal(g711Encoding("opus", "alaw"), "alaw");
+});
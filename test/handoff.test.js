@@ -0,0 +1,95 @@
+// lib/handoff.js: intent detection, the agent summary, <Dial> TwiML and the handoff routes
+import test from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { adminAuth } from "../lib/admin-auth.js";
+import {
+  buildHandoffSummary,
+  createHandoffDesk,
+  createHandoffRouter,
+  detectHandoffIntent,
+  dialTwiml,
+  takeHandoffToken,
+} from "../lib/handoff.js";
+
+const passWebhook = (req, res, next) => next();
+const TARGET = { number: "+919800000000", sip: "", queue: "", callerId: "", ringSeconds: 25 };
+
+async function serve(router) {
+  const app = express();
+  app.use(express.urlencoded({ extended: true }));
+  app.use(router);
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  return { base: `http://127.0.0.1:${server.address().port}`, close: () => server.close() };
+}
+
+test("handoff intent in English, Hindi and Gujarati, not for questions about the bot", () => {
+  for (const text of ["Can I talk to a real person?", "please connect me to customer care", "मुझे किसी इंसान से बात करनी है", "kisi insaan se baat karao", "મારે માણસ સાથે વાત કરવી છે"]) {
+    assert.equal(detectHandoffIntent(text), true, text);
+  }
+  for (const text of ["Are you human?", "I am a person who likes tea", ""]) {
+    assert.equal(detectHandoffIntent(text), false, text);
+  }
+});
+
+test("takeHandoffToken strips the token and keeps the rest", () => {
+  assert.deepEqual(takeHandoffToken("Sure. [HANDOFF]"), { text: "Sure.", requested: true });
+  assert.deepEqual(takeHandoffToken("Your order shipped."), { text: "Your order shipped.", requested: false });
+});
+
+test("summary: LLM answer, else the local one on failure or timeout", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const turns = [{ user: "my order A-1 is late", reply: "Let me check." }, { dtmf: "1" }];
+  const ok = { chat: async () => " Asha wants an update on order A-1. " };
+  assert.equal(await buildHandoffSummary(turns, { llm: ok }), "Asha wants an update on order A-1.");
+
+  const failing = { chat: async () => { throw new Error("down"); } };
+  assert.equal(await buildHandoffSummary(turns, { llm: failing, contact: { name: "Asha" } }),
+    'Asha asked for a person. Recently said: "my order A-1 is late"; typed 1.');
+
+  const slow = { chat: () => new Promise((r) => setTimeout(() => r("late"), 200)) };
+  assert.match(await buildHandoffSummary(turns, { llm: slow, timeoutMs: 10 }), /^The caller asked for a person/);
+  assert.equal(await buildHandoffSummary([], { llm: ok }), "The caller asked for a person before saying anything else.");
+});
+
+test("dialTwiml dials a number with whisper and action URLs, or enqueues", () => {
+  const twiml = dialTwiml(TARGET, { callSid: "CA1", baseUrl: "https://bot.example/", playUrl: "https://bot.example/a.mp3?x=1&y=2" });
+  assert.equal(
+    twiml,
+    '<Response><Play>https://bot.example/a.mp3?x=1&amp;y=2</Play><Dial timeout="25" action="https://bot.example/handoff/after?callSid=CA1" method="POST">' +
+      '<Number url="https://bot.example/handoff/whisper?callSid=CA1">+919800000000</Number></Dial></Response>'
+  );
+  assert.equal(dialTwiml({ number: "", sip: "", queue: "support" }, { callSid: "CA1" }), "<Response><Enqueue>support</Enqueue></Response>");
+});
+
+test("whisper reads the stored summary; an unanswered dial resumes the bot", async (t) => {
+  const desk = createHandoffDesk();
+  desk.set("CA1", { summary: "Asha wants a refund <today>." });
+  const { base, close } = await serve(createHandoffRouter(desk, { webhookAuth: passWebhook, auth: adminAuth({ token: "" }), resumeUrl: "https://bot.example/answer?redirect=1" }));
+  t.after(close);
+
+  const whisper = await (await fetch(`${base}/handoff/whisper?callSid=CA1`, { method: "POST" })).text();
+  assert.equal(whisper, "<Response><Say>Transfer from the AI assistant. Asha wants a refund &lt;today&gt;.</Say></Response>");
+
+  t.mock.method(console, "warn", () => {});
+  const post = (status) => fetch(`${base}/handoff/after?callSid=CA1`, { method: "POST", body: new URLSearchParams({ DialCallStatus: status }) }).then((r) => r.text());
+  assert.equal(await post("completed"), "<Response><Hangup/></Response>");
+  assert.equal(await post("no-answer"), '<Response><Redirect method="POST">https://bot.example/answer?redirect=1</Redirect></Response>');
+
+  // no ADMIN_TOKEN: the summary route is not mounted
+  assert.equal((await fetch(`${base}/handoffs/CA1`)).status, 404);
+});
+
+test("GET /handoffs/:sid needs the admin token", async (t) => {
+  const desk = createHandoffDesk();
+  desk.set("CA1", { summary: "Refund." });
+  const { base, close } = await serve(createHandoffRouter(desk, { webhookAuth: passWebhook, auth: adminAuth({ token: "s3cret" }) }));
+  t.after(close);
+
+  assert.equal((await fetch(`${base}/handoffs/CA1`)).status, 401);
+  const res = await fetch(`${base}/handoffs/CA1`, { headers: { Authorization: "Bearer s3cret" } });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).summary, "Refund.");
+  assert.equal((await fetch(`${base}/handoffs/CA9`, { headers: { Authorization: "Bearer s3cret" } })).status, 404);
+});
@@ -0,0 +1,75 @@
+// lib/knowledge.js: tokenizing, chunking, BM25 ranking and the folder-backed knowledge base
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { chunkText, createBm25Index, createKnowledgeBase, knowledgePrompt, sourcesForTurn, tokenize } from "../lib/knowledge.js";
+
+test("tokenize drops stopwords, folds plurals and keeps Indic words whole", () => {
+  assert.deepEqual(tokenize("What are your opening hours?"), ["opening", "hour"]);
+  assert.deepEqual(tokenize("Where is my ORDERS"), ["where", "order"]);
+  assert.deepEqual(tokenize("class address"), ["class", "address"]);
+  assert.deepEqual(tokenize("दुकान कब खुलती है"), ["दुकान", "कब", "खुलती"]);
+  assert.deepEqual(tokenize("દુકાન ક્યારે ખુલે છે"), ["દુકાન", "ક્યારે", "ખુલે"]);
+});
+
+test("chunkText splits by heading, keeps FAQ questions apart and merges short paragraphs", () => {
+  const chunks = chunkText("# Hours\nOpen 9 to 6.\n\nClosed Sunday.\n\n## Returns\nQ: Can I return?\nA: Within 7 days.\nQ: Refunds?\nA: To the card.", 600);
+  assert.deepEqual(chunks, [
+    { heading: "Hours", text: "Open 9 to 6.\n\nClosed Sunday." },
+    { heading: "Returns", text: "Q: Can I return?\nA: Within 7 days.\n\nQ: Refunds?\nA: To the card." },
+  ]);
+  assert.equal(chunkText("# A\none two three\n\nfour five six", 15).length, 2);
+});
+
+test("BM25 ranks the passage sharing the rarer terms first", () => {
+  const index = createBm25Index([
+    { id: "hours", source: "shop.md", heading: "Hours", text: "We are open from 9 am to 6 pm, Monday to Saturday." },
+    { id: "returns", source: "shop.md", heading: "Returns", text: "Returns are accepted within 7 days with the bill." },
+    { id: "delivery", source: "shop.md", heading: "Delivery", text: "Delivery takes 3 days. Open boxes are not accepted." },
+  ]);
+  assert.equal(index.size, 3);
+  const hits = index.search("when are you open on saturday");
+  assert.equal(hits[0].id, "hours");
+  assert.ok(hits[0].score > (hits[1]?.score ?? 0));
+  assert.deepEqual(index.search("return policy").map((p) => p.id), ["returns"]);
+  assert.deepEqual(index.search("the and of"), []);
+  assert.equal(index.search("open", { topK: 1 }).length, 1);
+  assert.deepEqual(index.search("open", { minScore: 100 }), []);
+});
+
+test("knowledge base indexes Markdown and FAQ JSON from KB_DIR", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kb-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, "shop.md"), "# Hours\nOpen 9 to 6, Monday to Saturday.\n");
+  fs.mkdirSync(path.join(dir, "faq"));
+  fs.writeFileSync(path.join(dir, "faq", "orders.json"), JSON.stringify({ faqs: [{ question: "How do I track my order?", answer: "Use the SMS link." }] }));
+  fs.writeFileSync(path.join(dir, "broken.json"), "{ not json");
+
+  const kb = createKnowledgeBase({ dir, explicit: true, topK: 3, minScore: 0, chunkChars: 600, promptChars: 1500, watch: false });
+  t.after(() => kb.close());
+  assert.equal(kb.enabled, true);
+  assert.equal(kb.size, 2);
+  const [hit] = kb.search("track order");
+  assert.equal(hit.source, "faq/orders.json");
+  assert.equal(hit.heading, "How do I track my order?");
+  assert.deepEqual(sourcesForTurn([hit]), [{ id: "faq/orders.json#0", source: "faq/orders.json", heading: hit.heading, score: Math.round(hit.score * 100) / 100 }]);
+});
+
+test("a missing folder disables the knowledge base", () => {
+  const kb = createKnowledgeBase({ dir: path.join(os.tmpdir(), "no-such-kb-dir"), explicit: false, topK: 3, minScore: 0, watch: false });
+  assert.equal(kb.enabled, false);
+  assert.deepEqual(kb.search("anything"), []);
+});
+
+test("knowledgePrompt labels passages and keeps to the character budget", () => {
+  const prompt = knowledgePrompt([
+    { source: "a.md", heading: "Hours", text: "x".repeat(50) },
+    { source: "b.md", heading: "", text: "y".repeat(50) },
+    { source: "c.md", heading: "", text: "z".repeat(50) },
+  ], 80);
+  assert.match(prompt, /\[1\] \(a\.md › Hours\)\nx{50}/);
+  assert.match(prompt, /\[2\] \(b\.md\)\ny{30}…/);
+  assert.doesNotMatch(prompt, /c\.md/);
+});
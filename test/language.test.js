@@ -0,0 +1,96 @@
+// lib/language.js: the per-call language lock (hysteresis and strictness levels)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createLanguageSession, languageLockConfigFromEnv } from "../lib/language.js";
+
+// a session already locked to English by its first turn
+function englishSession(opts) {
+  const s = createLanguageSession(opts);
+  s.resolve("en-IN", "hello, I want to check my order");
+  assert.equal(s.lang, "en-IN");
+  return s;
+}
+
+const HINDI_STT = ["hi-IN", "mera order kab aayega"]; // STT says Hindi, medium confidence
+const ROMAN_HINDI = ["en-IN", "aap kaise ho"]; // STT says English, transcript has Hindi cues
+const DEVANAGARI = ["en-IN", "मेरा ऑर्डर कहाँ है"]; // script is high confidence, STT disagrees
+
+test("lock config: defaults and env overrides", () => {
+  assert.deepEqual(languageLockConfigFromEnv({}), { strictness: 1, switchAfter: 2, defaultLang: "en-IN" });
+  assert.deepEqual(
+    languageLockConfigFromEnv({ LANG_LOCK_STRICTNESS: "2", LANG_SWITCH_TURNS: "3", LANG_DEFAULT: "hi-IN" }),
+    { strictness: 2, switchAfter: 3, defaultLang: "hi-IN" }
+  );
+});
+
+test("session reads LANG_SWITCH_TURNS when created", () => {
+  const prev = process.env.LANG_SWITCH_TURNS;
+  process.env.LANG_SWITCH_TURNS = "3";
+  try {
+    const s = englishSession({ strictness: 1 });
+    assert.equal(s.resolve(...HINDI_STT).lang, "en-IN");
+    assert.equal(s.resolve(...HINDI_STT).lang, "en-IN");
+    assert.equal(s.resolve(...HINDI_STT).lang, "hi-IN");
+  } finally {
+    if (prev === undefined) delete process.env.LANG_SWITCH_TURNS;
+    else process.env.LANG_SWITCH_TURNS = prev;
+  }
+});
+
+test("hysteresis: switches only after switchAfter consecutive turns", () => {
+  const s = englishSession({ strictness: 1, switchAfter: 2 });
+  const first = s.resolve(...HINDI_STT);
+  assert.equal(first.lang, "en-IN");
+  assert.equal(first.switched, false);
+  assert.match(first.reason, /hold: hi-IN seen 1\/2/);
+
+  const second = s.resolve(...HINDI_STT);
+  assert.equal(second.lang, "hi-IN");
+  assert.equal(second.switched, true);
+  assert.equal(s.lang, "hi-IN");
+});
+
+test("hysteresis: a turn back in the current language resets the run", () => {
+  const s = englishSession({ strictness: 1, switchAfter: 2 });
+  s.resolve(...HINDI_STT);
+  s.resolve("en-IN", "sorry, in English please");
+  const again = s.resolve(...HINDI_STT);
+  assert.equal(again.lang, "en-IN");
+  assert.match(again.reason, /seen 1\/2/);
+  assert.equal(s.resolve(...HINDI_STT).lang, "hi-IN");
+});
+
+test("strictness 0 follows every detection", () => {
+  const s = englishSession({ strictness: 0, switchAfter: 3 });
+  assert.equal(s.resolve(...ROMAN_HINDI).lang, "hi-IN");
+  assert.equal(s.resolve("en-IN", "back to English now").lang, "en-IN");
+});
+
+test("strictness 1 switches on script at once and on cues after the run", () => {
+  const s = englishSession({ strictness: 1, switchAfter: 2 });
+  assert.equal(s.resolve(...DEVANAGARI).lang, "hi-IN");
+
+  const t = englishSession({ strictness: 1, switchAfter: 2 });
+  assert.equal(t.resolve(...ROMAN_HINDI).lang, "en-IN");
+  assert.equal(t.resolve(...ROMAN_HINDI).lang, "hi-IN");
+});
+
+test("strictness 2 needs the STT to agree before switching", () => {
+  const s = englishSession({ strictness: 2, switchAfter: 2 });
+  for (let i = 0; i < 3; i++) {
+    const r = s.resolve(...ROMAN_HINDI);
+    assert.equal(r.lang, "en-IN");
+    assert.match(r.reason, /stt disagrees/);
+  }
+  assert.equal(s.resolve(...DEVANAGARI).lang, "en-IN");
+
+  const t = englishSession({ strictness: 2, switchAfter: 2 });
+  assert.equal(t.resolve("hi-IN", "मेरा ऑर्डर कहाँ है").lang, "hi-IN");
+});
+
+test("languages the line does not offer are never switched to", () => {
+  const s = createLanguageSession({ allowed: ["en-IN", "gu-IN"], defaultLang: "gu-IN", strictness: 0 });
+  const r = s.resolve(...DEVANAGARI);
+  assert.equal(r.lang, "gu-IN");
+  assert.match(r.reason, /hi-IN not offered/);
+});
@@ -0,0 +1,57 @@
+// lib/llm-stream.js: SSE parsing and the streaming sentence splitter
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createSentenceSplitter, readChatDeltas, readSseData } from "../lib/llm-stream.js";
+
+// feed text token by token (a few characters at a time, like a model stream)
+function split(text, size = 3, opts) {
+  const splitter = createSentenceSplitter(opts);
+  const out = [];
+  for (let i = 0; i < text.length; i += size) out.push(...splitter.push(text.slice(i, i + size)));
+  return [...out, ...splitter.flush()];
+}
+
+test("splits on Latin terminators, danda and newlines", () => {
+  assert.deepEqual(split("Your order is on the way. It will arrive tomorrow!"), ["Your order is on the way.", "It will arrive tomorrow!"]);
+  assert.deepEqual(split("आपका ऑर्डर रास्ते में है। कल पहुंच जाएगा।"), ["आपका ऑर्डर रास्ते में है।", "कल पहुंच जाएगा।"]);
+  assert.deepEqual(split("First line of the reply\nsecond line here"), ["First line of the reply", "second line here"]);
+});
+
+test("decimals, amounts and abbreviations stay whole", () => {
+  assert.deepEqual(split("The rate is 3.5 percent today. Thanks."), ["The rate is 3.5 percent today.", "Thanks."]);
+  assert.deepEqual(split("It costs Rs. 500 in total. Anything else?"), ["It costs Rs. 500 in total.", "Anything else?"]);
+  assert.deepEqual(split("Please meet Dr. Mehta at the clinic. Bye for now."), ["Please meet Dr. Mehta at the clinic.", "Bye for now."]);
+});
+
+test('"No." is an abbreviation only before a number', () => {
+  assert.deepEqual(split("Your seat is No. 5 in row two. See you."), ["Your seat is No. 5 in row two.", "See you."]);
+  assert.deepEqual(split("Honestly, I said no. Call me later please."), ["Honestly, I said no.", "Call me later please."]);
+});
+
+test("closing quotes and brackets stay with their sentence", () => {
+  assert.deepEqual(split('He said "Come tomorrow." Then he left the shop.'), ['He said "Come tomorrow."', "Then he left the shop."]);
+  assert.deepEqual(split("Is it ready (already?) Yes it is ready now."), ["Is it ready (already?)", "Yes it is ready now."]);
+});
+
+test("short fragments merge into the next sentence", () => {
+  assert.deepEqual(split("Hi. How can I help you today?"), ["Hi. How can I help you today?"]);
+});
+
+test("readChatDeltas yields content from an SSE body until [DONE]", async () => {
+  const chunk = (content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+  const body = [chunk("Hel"), chunk("lo"), ": keep-alive\n", "data: not json\n", "data: [DONE]\n", chunk("ignored")].map((s) => Buffer.from(s));
+  const deltas = [];
+  for await (const d of readChatDeltas(body)) deltas.push(d);
+  assert.deepEqual(deltas, ["Hel", "lo"]);
+});
+
+test("readSseData flushes a last data line with no trailing newline", async () => {
+  const body = ["data: one\r\n", "data: t", "wo"].map((s) => Buffer.from(s));
+  const lines = [];
+  for await (const d of readSseData(body)) lines.push(d);
+  assert.deepEqual(lines, ["one", "two"]);
+
+  const done = [];
+  for await (const d of readSseData([Buffer.from("data: one\ndata: [DONE]")])) done.push(d);
+  assert.deepEqual(done, ["one"]);
+});
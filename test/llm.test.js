@@ -0,0 +1,107 @@
+// lib/llm.js: provider selection from env, the scripted provider and the OpenAI-compatible client
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { createLlmProvider, createScriptedProvider, llmConfigFromEnv } from "../lib/llm.js";
+
+const LLM_VARS = ["LLM_PROVIDER", "LLM_BASE_URL", "LLM_API_KEY", "LLM_MODEL", "LLM_MAX_TOKENS"];
+
+// run fn with the LLM_* variables set to exactly `vars`
+function withEnv(vars, fn) {
+  const saved = Object.fromEntries(LLM_VARS.map((k) => [k, process.env[k]]));
+  for (const k of LLM_VARS) delete process.env[k];
+  Object.assign(process.env, vars);
+  try {
+    return fn();
+  } finally {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  }
+}
+
+test("config: deepseek by default, server defaults below env", () => {
+  const cfg = withEnv({}, () => llmConfigFromEnv({ maxTokens: 80 }));
+  assert.equal(cfg.provider, "deepseek");
+  assert.equal(cfg.baseUrl, "https://api.deepseek.com/v1");
+  assert.equal(cfg.maxTokens, 80);
+
+  const local = withEnv({ LLM_PROVIDER: "OpenAI", LLM_BASE_URL: "http://127.0.0.1:8080/v1/", LLM_MAX_TOKENS: "40" }, () => llmConfigFromEnv({ maxTokens: 80 }));
+  assert.equal(local.provider, "openai");
+  assert.equal(local.baseUrl, "http://127.0.0.1:8080/v1");
+  assert.equal(local.model, "llama3.1");
+  assert.equal(local.maxTokens, 40);
+});
+
+test("config: an unknown provider is an error naming the valid ones", () => {
+  assert.throws(
+    () => withEnv({ LLM_PROVIDER: "deepssek" }, () => llmConfigFromEnv()),
+    /Unknown LLM_PROVIDER "deepssek" \(expected one of: deepseek, openai, scripted\)/
+  );
+  assert.equal(withEnv({ LLM_PROVIDER: "scripted" }, () => llmConfigFromEnv()).provider, "scripted");
+});
+
+test("scripted provider: rules first, then replies in order", async () => {
+  const llm = createScriptedProvider({
+    script: { rules: [{ match: "order", reply: "Your order is on the way." }], replies: ["One.", "Two."] },
+  });
+  const ask = (content) => llm.chat({ messages: [{ role: "user", content }] });
+  assert.equal(await ask("where is my order"), "Your order is on the way.");
+  assert.equal(await ask("hello"), "One.");
+  assert.equal(await ask("hello"), "Two.");
+  assert.equal(await ask("hello"), "One.");
+
+  const pieces = [];
+  for await (const p of llm.stream({ messages: [{ role: "user", content: "order?" }] })) pieces.push(p);
+  assert.equal(pieces.join(""), "Your order is on the way.");
+});
+
+test("scripted provider: a tool rule calls the tool, then speaks its result", async () => {
+  const llm = createScriptedProvider({
+    script: { rules: [{ match: "status", tool: { name: "order_status", arguments: { id: "42" } }, reply: "Status: {result}" }] },
+  });
+  const tools = [{ type: "function", function: { name: "order_status" } }];
+  const messages = [{ role: "user", content: "status of 42" }];
+  const first = await llm.complete({ messages, tools });
+  assert.deepEqual(first.toolCalls, [{ id: "call_1", name: "order_status", arguments: '{"id":"42"}' }]);
+
+  const second = await llm.complete({ messages: [...messages, { role: "tool", content: '"shipped"' }], tools });
+  assert.deepEqual(second, { content: 'Status: "shipped"', toolCalls: [] });
+});
+
+test("OpenAI-compatible provider posts chat completions and reports errors", async (t) => {
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      seen.push({ url: req.url, auth: req.headers.authorization, body: JSON.parse(body) });
+      if (seen.length > 1) {
+        res.writeHead(503).end("overloaded");
+        return;
+      }
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ choices: [{ message: { content: "Namaste!" } }] }));
+    });
+  });
+  server.listen(0);
+  await new Promise((r) => server.once("listening", r));
+  t.after(() => server.close());
+
+  const llm = createLlmProvider({
+    provider: "openai",
+    baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+    apiKey: "k",
+    model: "m",
+    temperature: 0.1,
+    maxTokens: 20,
+    timeoutMs: 5000,
+  });
+  assert.equal(await llm.chat({ messages: [{ role: "user", content: "hi" }] }), "Namaste!");
+  assert.equal(seen[0].url, "/v1/chat/completions");
+  assert.equal(seen[0].auth, "Bearer k");
+  assert.deepEqual(seen[0].body, { model: "m", messages: [{ role: "user", content: "hi" }], temperature: 0.1, max_tokens: 20 });
+
+  await assert.rejects(llm.chat({ messages: [] }), (err) => err.status === 503 && /openai error 503: overloaded/.test(err.message));
+});
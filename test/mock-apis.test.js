@@ -0,0 +1,110 @@
+// lib/mock-apis.js: spec parsing, scripted LLM and TTS endpoints, injected failures
+import test from "node:test";
+import assert from "node:assert/strict";
+import { WebSocket } from "ws";
+import { createMockApis, parseErrors, parseLatency } from "../lib/mock-apis.js";
+import { readChatDeltas } from "../lib/llm-stream.js";
+
+const SCRIPT = {
+  stt: ["namaste"],
+  llm: { rules: [{ match: "order", reply: "Aapka order kal pahunchega." }], default: "Ji." },
+};
+
+async function start(t, config = {}) {
+  t.mock.method(console, "log", () => {});
+  const mock = createMockApis({ port: 0, script: SCRIPT, chunkMs: 0, ...config });
+  const port = await mock.listen();
+  t.after(() => mock.close());
+  return { mock, base: `http://127.0.0.1:${port}` };
+}
+
+const chat = (base, body) =>
+  fetch(`${base}/v1/chat/completions`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+
+test("latency and error specs", () => {
+  assert.deepEqual(parseLatency("200,llm:900"), { default: 200, llm: 900 });
+  assert.throws(() => parseLatency("tts:-1"), /bad delay/);
+  assert.throws(() => parseLatency("gpu:100"), /unknown endpoint "gpu"/);
+
+  assert.deepEqual(parseErrors("llm:500*2, tts-ws:drop,stt:timeout@0.3"), [
+    { endpoint: "llm", mode: "500", remaining: 2, probability: null },
+    { endpoint: "tts-ws", mode: "drop", remaining: null, probability: null },
+    { endpoint: "stt", mode: "timeout", remaining: null, probability: 0.3 },
+  ]);
+  assert.throws(() => parseErrors("llm:slow"), /MOCK_ERRORS: bad rule "llm:slow"/);
+});
+
+test("chat completions answer from the script, plain and streamed", async (t) => {
+  const { base } = await start(t);
+  const messages = [{ role: "user", content: "mera order kab aayega" }];
+
+  const json = await (await chat(base, { messages })).json();
+  assert.equal(json.choices[0].message.content, "Aapka order kal pahunchega.");
+
+  const res = await chat(base, { messages, stream: true });
+  assert.equal(res.headers.get("content-type"), "text/event-stream");
+  let streamed = "";
+  for await (const delta of readChatDeltas(res.body)) streamed += delta;
+  assert.equal(streamed, "Aapka order kal pahunchega.");
+
+  assert.equal((await chat(base, { messages: [] })).status, 400);
+});
+
+test("a *N failure fires N times, then requests go through", async (t) => {
+  const { mock, base } = await start(t, { errors: parseErrors("llm:503*1") });
+  const messages = [{ role: "user", content: "hello" }];
+  const failed = await chat(base, { messages });
+  assert.equal(failed.status, 503);
+  assert.equal((await failed.json()).error.code, "http_503");
+  assert.equal((await chat(base, { messages })).status, 200);
+  assert.equal(mock.status().counts.llm, 2);
+});
+
+test("POST /__mock changes settings and rejects a bad spec", async (t) => {
+  const { base } = await start(t);
+  const post = (body) => fetch(`${base}/__mock`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+
+  const ok = await (await post({ latencyMs: "llm:5", errors: "tts:500" })).json();
+  assert.equal(ok.latency.llm, 5);
+  assert.equal(ok.errors[0].endpoint, "tts");
+  assert.equal((await post({ errors: "nope" })).status, 400);
+  assert.equal((await (await fetch(`${base}/__mock`)).json()).errors[0].endpoint, "tts"); // old settings kept
+});
+
+test("REST TTS returns one WAV per input", async (t) => {
+  const { base } = await start(t);
+  const res = await fetch(`${base}/text-to-speech`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ inputs: ["namaste ji"], speech_sample_rate: 8000 }),
+  });
+  const { audios } = await res.json();
+  assert.equal(audios.length, 1);
+  const wav = Buffer.from(audios[0], "base64");
+  assert.equal(wav.toString("ascii", 0, 4), "RIFF");
+  assert.equal(wav.readUInt32LE(24), 8000);
+});
+
+test("streaming TTS socket sends audio chunks then the final event", async (t) => {
+  const { base } = await start(t);
+  const ws = new WebSocket(`${base.replace(/^http/, "ws")}/text-to-speech/ws?send_completion_event=true`);
+  t.after(() => ws.terminate());
+  const messages = [];
+  const done = new Promise((resolve) => {
+    ws.on("message", (raw) => {
+      const msg = JSON.parse(raw.toString());
+      messages.push(msg);
+      if (msg.type === "event") resolve();
+    });
+  });
+  await new Promise((resolve) => ws.once("open", resolve));
+  ws.send(JSON.stringify({ type: "config", data: { output_audio_codec: "mulaw", speech_sample_rate: 8000 } }));
+  ws.send(JSON.stringify({ type: "text", data: { text: "namaste ji" } }));
+  ws.send(JSON.stringify({ type: "flush" }));
+  await done;
+
+  const audio = messages.filter((m) => m.type === "audio");
+  assert.ok(audio.length >= 1);
+  assert.ok(audio.every((m) => m.data.content_type === "audio/mulaw"));
+  assert.deepEqual(messages.at(-1), { type: "event", data: { event_type: "final" } });
+});
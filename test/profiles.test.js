@@ -0,0 +1,93 @@
+// lib/profiles.js: profile file validation, picking a profile per call, voices and greetings
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createProfileStore, greetingFor, normalizeProfile, ourNumber, parseProfiles, sentenceLimit, voiceFor } from "../lib/profiles.js";
+
+const FILE = {
+  default: "store",
+  profiles: [
+    {
+      id: "store",
+      numbers: ["07900000001"],
+      languages: ["gu", "hi", "en"],
+      voices: { gu: "anushka", default: "vidya" },
+      greeting: { gu: "નમસ્તે, શાહ ઇલેક્ટ્રોનિક્સમાં આપનું સ્વાગત છે.", "en-IN": "Welcome to Shah Electronics." },
+      maxSentences: 2,
+    },
+    { id: "clinic", numbers: ["+91 79000 00002"], languages: ["hi-IN"], greeting: "नमस्ते, क्लिनिक में आपका स्वागत है।" },
+  ],
+};
+
+test("normalizeProfile fills defaults and normalizes codes and numbers", () => {
+  const p = normalizeProfile(FILE.profiles[0]);
+  assert.equal(p.name, "store");
+  assert.deepEqual(p.numbers, ["+917900000001"]);
+  assert.deepEqual(p.languages, ["gu-IN", "hi-IN", "en-IN"]);
+  assert.equal(p.defaultLang, "gu-IN"); // first language
+  assert.deepEqual(p.voices, { "gu-IN": "anushka", default: "vidya" });
+  assert.equal(p.maxSentences, 2);
+  assert.equal(p.maxReplyChars, 200);
+  assert.equal(p.maxTokens, null);
+  assert.equal(p.persona, null);
+});
+
+test("normalizeProfile rejects what a call would trip over", () => {
+  assert.throws(() => normalizeProfile({}, "bad id"), /must be letters, digits, _ or -/);
+  assert.throws(() => normalizeProfile({ languages: [] }, "x"), /"languages" must be a non-empty array/);
+  assert.throws(() => normalizeProfile({ languages: ["hi-IN"], defaultLang: "en-IN" }, "x"), /defaultLang en-IN is not in languages/);
+});
+
+test("parseProfiles: default id, duplicate ids and numbers", () => {
+  const { profiles, defaultId } = parseProfiles(JSON.stringify(FILE));
+  assert.equal(defaultId, "store");
+  assert.deepEqual([...profiles.keys()], ["store", "clinic"]);
+
+  const dupNumber = { profiles: [FILE.profiles[0], { id: "other", numbers: ["+917900000001"] }] };
+  assert.throws(() => parseProfiles(JSON.stringify(dupNumber)), /Number \+917900000001 is listed in both "store" and "other"/);
+  assert.throws(() => parseProfiles(JSON.stringify({ profiles: [{ id: "a" }, { id: "a" }] })), /Duplicate profile id "a"/);
+  assert.throws(() => parseProfiles(JSON.stringify({ default: "nope", profiles: [{ id: "a" }] })), /Default profile "nope" is not defined/);
+});
+
+test("store picks by explicit id, then dialed number, then the default", (t) => {
+  t.mock.method(console, "log", () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "profiles-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "profiles.json");
+  fs.writeFileSync(file, JSON.stringify(FILE));
+  const store = createProfileStore({ file, explicit: true });
+
+  assert.equal(store.select({ to: "+917900000002" }).id, "clinic");
+  assert.equal(store.select({ to: "+917900000002", id: "store" }).id, "store");
+  assert.equal(store.select({ to: "+15550000000" }).id, "store");
+  assert.equal(store.get("gone").id, "store"); // stale stream parameter
+  assert.equal(store.list().length, 2);
+
+  assert.throws(() => createProfileStore({ file: path.join(dir, "missing.json"), explicit: true }), /does not exist/);
+  assert.equal(createProfileStore({ file: path.join(dir, "missing.json"), explicit: false }).get().id, "default");
+});
+
+test("ourNumber is To on inbound calls and From on outbound ones", () => {
+  assert.equal(ourNumber({ Direction: "inbound", To: "+911", From: "+912" }), "+911");
+  assert.equal(ourNumber({ Direction: "outbound-api", To: "+912", From: "+911" }), "+911");
+});
+
+test("voices, greetings and reply limits per language", () => {
+  const { profiles } = parseProfiles(JSON.stringify(FILE));
+  const store = profiles.get("store");
+  const clinic = profiles.get("clinic");
+
+  assert.equal(voiceFor(store, "gu-IN"), "anushka");
+  assert.equal(voiceFor(store, "hi-IN"), "vidya");
+  assert.equal(voiceFor(clinic, "hi-IN"), undefined);
+
+  assert.deepEqual(greetingFor(store, "en-IN"), { lang: "en-IN", text: "Welcome to Shah Electronics." });
+  assert.equal(greetingFor(store, "hi-IN").lang, "gu-IN"); // no Hindi greeting: the default language's
+  assert.deepEqual(greetingFor(clinic), { lang: "hi-IN", text: "नमस्ते, क्लिनिक में आपका स्वागत है।" });
+  assert.equal(greetingFor(normalizeProfile({}, "bare")), null);
+
+  assert.equal(sentenceLimit(store), "at most 2 sentences");
+  assert.equal(sentenceLimit(clinic), "1 sentence only");
+});
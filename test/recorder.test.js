@@ -0,0 +1,99 @@
+// lib/recorder.js: the stereo timeline across streams and env read at call time
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createCallRecorder, recordCalls, recordingPath } from "../lib/recorder.js";
+
+const RATE = 8000;
+// one 20 ms frame of a constant sample value
+const frame = (value) => Buffer.from(new Int16Array(160).fill(value).buffer);
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rec-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// left (caller) and right (bot) channels of a written stereo WAV
+function channels(file) {
+  const wav = fs.readFileSync(file);
+  const samples = new Int16Array(wav.buffer, wav.byteOffset + 44, (wav.length - 44) / 2);
+  const left = [];
+  const right = [];
+  for (let i = 0; i < samples.length; i += 2) {
+    left.push(samples[i]);
+    right.push(samples[i + 1]);
+  }
+  return { left, right };
+}
+
+test("recordCalls reads RECORD_CALLS when asked", () => {
+  const saved = process.env.RECORD_CALLS;
+  try {
+    process.env.RECORD_CALLS = "TRUE";
+    assert.equal(recordCalls(), true);
+    process.env.RECORD_CALLS = "false";
+    assert.equal(recordCalls(), false);
+  } finally {
+    if (saved === undefined) delete process.env.RECORD_CALLS;
+    else process.env.RECORD_CALLS = saved;
+  }
+});
+
+test("recordingPath only accepts plain call sids", () => {
+  assert.equal(recordingPath("CA123", "/rec"), path.join("/rec", "CA123.wav"));
+  assert.equal(recordingPath("../etc/passwd", "/rec"), null);
+  assert.equal(recordingPath("", "/rec"), null);
+});
+
+test("caller and bot audio land on their own channels at their timestamps", async (t) => {
+  const dir = tempDir(t);
+  const rec = createCallRecorder({ callSid: "CA1", dir });
+  rec.caller(frame(100), 0);
+  rec.bot(frame(-200), 500);
+  const file = await rec.finalize();
+  assert.equal(file, path.join(dir, "CA1.wav"));
+  assert.equal(await rec.finalize(), file); // written once
+
+  const { left, right } = channels(file);
+  assert.equal(left.length, (RATE * 520) / 1000);
+  assert.equal(left[0], 100);
+  assert.equal(right[0], 0);
+  assert.equal(right[(RATE * 500) / 1000], -200);
+});
+
+test("a later stream continues the timeline instead of overwriting it", async (t) => {
+  const dir = tempDir(t);
+  const rec = createCallRecorder({ callSid: "CA2", dir });
+  rec.caller(frame(100), 0);
+  rec.caller(frame(200), 1000);
+  rec.nextStream(); // Twilio's timestamps restart at 0
+  rec.caller(frame(300), 0);
+  rec.bot(frame(-400), 20);
+
+  const { left, right } = channels(await rec.finalize());
+  assert.equal(left[0], 100); // first stream's audio is untouched
+  const third = left.indexOf(300);
+  assert.ok(third >= (RATE * 1020) / 1000, `second stream starts after the first (${third})`);
+  assert.equal(right.indexOf(-400), third + 160);
+});
+
+test("RECORD_MAX_MINUTES caps the recording, read when it is created", async (t) => {
+  const dir = tempDir(t);
+  const saved = process.env.RECORD_MAX_MINUTES;
+  process.env.RECORD_MAX_MINUTES = String(0.5 / 60); // half a second
+  let rec;
+  try {
+    rec = createCallRecorder({ callSid: "CA3", dir });
+  } finally {
+    if (saved === undefined) delete process.env.RECORD_MAX_MINUTES;
+    else process.env.RECORD_MAX_MINUTES = saved;
+  }
+  rec.caller(frame(100), 0);
+  rec.caller(frame(100), 490); // runs past 500 ms
+  rec.caller(frame(100), 2000); // starts past it: dropped
+  const { left } = channels(await rec.finalize());
+  assert.equal(left.length, RATE / 2);
+});
@@ -0,0 +1,67 @@
+// lib/resample.js: polyphase resampler lengths, passband, anti-aliasing and chunked streaming
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRateConverter, createResampler, resample } from "../lib/resample.js";
+
+function sine(freq, rate, ms, amp = 8000) {
+  const n = Math.round((rate * ms) / 1000);
+  const out = Buffer.alloc(n * 2);
+  for (let i = 0; i < n; i++) out.writeInt16LE(Math.round(amp * Math.sin((2 * Math.PI * freq * i) / rate)), i * 2);
+  return out;
+}
+
+// RMS of the middle half, away from the filter's edges
+function rms(buf) {
+  const n = buf.length / 2;
+  let sum = 0;
+  let count = 0;
+  for (let i = Math.floor(n / 4); i < Math.floor((3 * n) / 4); i++, count++) sum += buf.readInt16LE(i * 2) ** 2;
+  return Math.sqrt(sum / count);
+}
+
+test("output length follows the rate ratio", () => {
+  assert.equal(resample(sine(300, 8000, 1000), 8000, 16000).length, 16000 * 2);
+  assert.equal(resample(sine(300, 16000, 1000), 16000, 8000).length, 8000 * 2);
+  assert.equal(resample(sine(300, 22050, 1000), 22050, 8000).length, 8000 * 2);
+  assert.equal(resample(sine(300, 24000, 500), 24000, 8000).length, 4000 * 2);
+});
+
+test("same rate is a pass-through", () => {
+  const buf = sine(300, 8000, 100);
+  assert.equal(resample(buf, 8000, 8000), buf);
+  assert.equal(createResampler(16000, 16000).push(buf), buf);
+});
+
+test("passband tones keep their level", () => {
+  const amp = 8000 / Math.SQRT2;
+  assert.ok(Math.abs(rms(resample(sine(1000, 8000, 500), 8000, 16000)) - amp) < amp * 0.05);
+  assert.ok(Math.abs(rms(resample(sine(1000, 24000, 500), 24000, 8000)) - amp) < amp * 0.05);
+});
+
+test("tones above the new Nyquist are filtered out instead of aliasing", () => {
+  const aliased = rms(resample(sine(6000, 16000, 500), 16000, 8000));
+  assert.ok(aliased < 8000 * 0.02, `6 kHz leaked through at RMS ${aliased.toFixed(1)}`);
+});
+
+test("chunked streaming matches the one-shot result", () => {
+  const input = sine(440, 22050, 300);
+  const whole = resample(input, 22050, 8000);
+  const rs = createResampler(22050, 8000);
+  const parts = [];
+  for (let off = 0; off < input.length; off += 2 * 137) parts.push(rs.push(input.subarray(off, off + 2 * 137)));
+  parts.push(rs.flush());
+  assert.deepEqual(Buffer.concat(parts), whole);
+});
+
+test("rate converter swaps its resampler when the input rate changes", () => {
+  const convert = createRateConverter(16000);
+  const a = convert(sine(300, 8000, 200), 8000);
+  const b = convert(sine(300, 16000, 200), 16000);
+  assert.ok(a.length > 0);
+  assert.equal(b.length, 16000 * 0.2 * 2);
+  assert.ok(convert(sine(300, 24000, 200), 24000).length > 0);
+});
+
+test("invalid rates throw", () => {
+  assert.throws(() => createResampler(0, 8000), /Invalid resample rates/);
+});
@@ -0,0 +1,129 @@
+// lib/slots.js: extraction parsing, schema checks, a call's slot session and record delivery
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { SLOT_TYPES, createSlotSession, deliverSlotRecord, normalizeSlotSchema, parseExtraction } from "../lib/slots.js";
+
+const CONFIG = { dir: os.tmpdir(), webhookUrl: "", webhookTimeoutMs: 1000, minConfidence: 0.7, maxAsks: 2, extractTimeoutMs: 1000 };
+const now = () => new Date("2026-10-19T06:00:00Z");
+const SCHEMA = normalizeSlotSchema({
+  fields: [
+    { name: "name", type: "name" },
+    { name: "pincode", type: "pincode" },
+    { name: "visit", type: "date", required: false },
+  ],
+});
+
+test("parseExtraction tolerates fences, bare values and junk", () => {
+  assert.deepEqual(parseExtraction('```json\n{"pincode": {"value": "380015", "confidence": 0.95}}\n```'), { pincode: { value: "380015", confidence: 0.95 } });
+  assert.deepEqual(parseExtraction('{"name": "Asha", "visit": null, "pincode": {"value": ""}}'), { name: { value: "Asha", confidence: 0.8 } });
+  assert.deepEqual(parseExtraction('{"name": {"value": "Asha", "confidence": "high"}}'), { name: { value: "Asha", confidence: 0.8 } });
+  assert.deepEqual(parseExtraction("Sorry, I could not find anything."), {});
+  assert.deepEqual(parseExtraction("{not json}"), {});
+  assert.deepEqual(parseExtraction(undefined), {});
+});
+
+test("schema: defaults, labels and every problem listed", () => {
+  assert.equal(normalizeSlotSchema(null), null);
+  const [name, pincode, visit] = SCHEMA.fields;
+  assert.equal(name.confirm, false);
+  assert.equal(pincode.confirm, true);
+  assert.equal(visit.required, false);
+  assert.equal(pincode.label["hi-IN"], "पिनकोड");
+  assert.equal(normalizeSlotSchema([{ name: "order_no", label: { hi: "ऑर्डर नंबर" } }]).fields[0].label["hi-IN"], "ऑर्डर नंबर");
+
+  let err;
+  try { normalizeSlotSchema({ fields: [{ name: "a b" }, { name: "x", type: "colour" }, { name: "x", pattern: "(" }] }); } catch (e) { err = e; }
+  assert.equal(err.problems.length, 4);
+  assert.throws(() => normalizeSlotSchema({ fields: [] }), /non-empty array/);
+});
+
+test("field types normalize spoken values", () => {
+  assert.equal(SLOT_TYPES.phone.parse("+91 98765 43210"), "+919876543210");
+  assert.equal(SLOT_TYPES.phone.parse("nine eight seven six five four three two one zero"), "+919876543210");
+  assert.equal(SLOT_TYPES.phone.parse("12345"), null);
+  assert.equal(SLOT_TYPES.phone.speak("+919876543210"), "9 8 7 6 5, 4 3 2 1 0");
+  assert.equal(SLOT_TYPES.pincode.parse("do you need my pincode, it is 380015"), "380015");
+  assert.equal(SLOT_TYPES.pincode.parse("012345"), null);
+  assert.equal(SLOT_TYPES.date.parse("kal", { now }), "2026-10-20");
+  assert.equal(SLOT_TYPES.number.parse("dedh lakh"), 150000);
+  assert.equal(SLOT_TYPES.name.parse("  Asha   Patel!! "), "Asha Patel");
+});
+
+test("session without an LLM asks, reads back and confirms field by field", async () => {
+  const s = createSlotSession(SCHEMA, { config: CONFIG, now });
+  assert.equal(s.begin("en-IN").say, "Could you tell me your name?");
+
+  // a name is taken at 0.5 confidence locally, below SLOTS_MIN_CONFIDENCE: read back
+  let step = await s.handle({ text: "Asha Patel", lang: "en-IN" });
+  assert.equal(step.say, "I have your name as Asha Patel. Is that right?");
+  step = await s.handle({ text: "yes", lang: "en-IN" });
+  assert.deepEqual(step.updates, [{ slot: "name", status: "confirmed" }]);
+  assert.equal(step.say, "Could you tell me your pincode?");
+
+  step = await s.handle({ text: "what is a pincode", lang: "en-IN" });
+  assert.equal(step.updates[0].status, "invalid");
+  assert.equal(step.say, "Sorry, I didn't catch the pincode. Could you say it again?");
+
+  step = await s.handle({ text: "३८० ०१५", lang: "hi-IN" });
+  assert.equal(step.say, "पिनकोड: 3 8 0, 0 1 5। क्या यह सही है?");
+  step = await s.handle({ text: "nahi", lang: "hi-IN" });
+  assert.deepEqual(step.updates, [{ slot: "pincode", status: "rejected" }]);
+  await s.handle({ text: "380015", lang: "en-IN" });
+  step = await s.handle({ text: "haan", lang: "en-IN" });
+  assert.equal(step.confirming, null);
+  assert.equal(step.asking, "visit");
+
+  step = await s.handle({ text: "not sure", lang: "en-IN" }); // optional, asked once
+  assert.equal(step.done, true);
+  assert.equal(step.say, "Thank you, I have noted all your details.");
+
+  const record = s.finish({ callSid: "CA1" });
+  assert.equal(record.complete, true);
+  assert.deepEqual(record.slots, { name: "Asha Patel", pincode: "380015", visit: null });
+  assert.equal(s.finish(), null);
+});
+
+test("session with an LLM fills several fields from one utterance", async () => {
+  const llm = { chat: async () => '{"name": {"value": "Ravi", "confidence": 0.95}, "pincode": {"value": "380 015", "confidence": 0.9}}' };
+  const s = createSlotSession(SCHEMA, { llm, config: CONFIG, now });
+  s.begin("en-IN");
+  const step = await s.handle({ text: "I'm Ravi from 380015", lang: "en-IN" });
+  assert.deepEqual(step.slots, { name: "Ravi", pincode: "380015", visit: null });
+  assert.equal(step.confirming, "pincode"); // the name was confident enough; pincodes are always read back
+});
+
+test("a side question goes to the model, which asks again", async () => {
+  const llm = { chat: async () => "{}" };
+  const s = createSlotSession(SCHEMA, { llm, config: CONFIG, now });
+  s.begin("en-IN");
+  const step = await s.handle({ text: "who is calling?", lang: "en-IN" });
+  assert.match(step.llm.instruction, /ask again for their name/);
+});
+
+test("deliverSlotRecord writes SLOTS_DIR/<callSid>.json and POSTs the record", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "slots-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => { body += c; });
+    req.on("end", () => { received.push(JSON.parse(body)); res.end("ok"); });
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  t.after(() => server.close());
+
+  const record = { callSid: "CA1", webhook: `http://127.0.0.1:${server.address().port}/leads`, complete: true, missing: [], slots: { pincode: "380015" } };
+  const delivered = await deliverSlotRecord(record, { ...CONFIG, dir });
+  assert.equal(delivered.delivery.ok, true);
+  assert.equal(received.length, 1);
+  assert.equal(received[0].webhook, undefined);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, "CA1.json"), "utf8")).slots, { pincode: "380015" });
+
+  const local = await deliverSlotRecord({ callSid: "CA2", complete: false, missing: ["name"], slots: {} }, { ...CONFIG, dir });
+  assert.equal(local.delivery, null);
+  assert.ok(fs.existsSync(path.join(dir, "CA2.json")));
+});
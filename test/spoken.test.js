@@ -0,0 +1,53 @@
+// lib/spoken.js: digit strings, amounts and dates as Indian callers say them
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseSpokenDate, parseSpokenDigits, parseSpokenNumber } from "../lib/spoken.js";
+
+const now = new Date("2026-10-19T06:00:00Z"); // a Monday in IST
+
+test("digits: number words in English, Hindi and Gujarati, digits in any script", () => {
+  assert.equal(parseSpokenDigits("nau aath double seven ६ ५"), "987765");
+  assert.equal(parseSpokenDigits("my pincode is ३८० ०१५"), "380015");
+  assert.equal(parseSpokenDigits("nine eight triple zero"), "98000");
+  assert.equal(parseSpokenDigits("ninety eight"), "98");
+  assert.equal(parseSpokenDigits("nine oh two"), "902");
+  assert.equal(parseSpokenDigits("double oh seven"), "007");
+  assert.equal(parseSpokenDigits("ત્રણ આઠ શૂન્ય"), "380");
+});
+
+test("digits: romanized words that are ordinary words are not numbers", () => {
+  assert.equal(parseSpokenDigits("do you need my pincode, it is 380015"), "380015");
+  assert.equal(parseSpokenDigits("can you do 9 am"), "9");
+  assert.equal(parseSpokenDigits("o k, 380015"), "380015");
+  assert.equal(parseSpokenDigits("380015 oh and thanks"), "380015");
+  assert.equal(parseSpokenDigits("mera pincode 380015 hai, do baje call karo"), "380015");
+});
+
+test("digits: romanized words next to other numbers still count", () => {
+  assert.equal(parseSpokenDigits("mera number nau aath do saat hai"), "9827");
+  assert.equal(parseSpokenDigits("paanch"), "5");
+  assert.equal(parseSpokenDigits("no numbers here"), "");
+});
+
+test("amounts: scales, lakh / crore and fractional prefixes", () => {
+  assert.equal(parseSpokenNumber("two lakh fifty thousand"), 250000);
+  assert.equal(parseSpokenNumber("1,50,000"), 150000);
+  assert.equal(parseSpokenNumber("डेढ़ लाख"), 150000);
+  assert.equal(parseSpokenNumber("साढ़े तीन सौ"), 350);
+  assert.equal(parseSpokenNumber("paune do sau"), 175);
+  assert.equal(parseSpokenNumber("do sau"), 200);
+  assert.equal(parseSpokenNumber("do you want 500"), 500);
+  assert.equal(parseSpokenNumber("nothing"), null);
+});
+
+test("dates: day first, months in three languages, relative days and weekdays", () => {
+  assert.equal(parseSpokenDate("15 August", { now }), "2027-08-15");
+  assert.equal(parseSpokenDate("पंद्रह अगस्त 2026", { now }), "2026-08-15");
+  assert.equal(parseSpokenDate("25/12", { now }), "2026-12-25");
+  assert.equal(parseSpokenDate("twenty fifth december", { now }), "2026-12-25");
+  assert.equal(parseSpokenDate("kal", { now }), "2026-10-20");
+  assert.equal(parseSpokenDate("day after tomorrow", { now }), "2026-10-21");
+  assert.equal(parseSpokenDate("ત્રણ દિવસ પછી", { now }), "2026-10-22");
+  assert.equal(parseSpokenDate("next friday", { now }), "2026-10-23");
+  assert.equal(parseSpokenDate("31/6", { now }), null);
+});
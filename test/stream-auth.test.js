@@ -0,0 +1,77 @@
+// lib/stream-auth.js: single-use media-stream tokens and the per-socket gate
+import test from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import { STREAM_TOKEN_PARAM, createStreamAuth } from "../lib/stream-auth.js";
+
+function fakeSocket() {
+  const ws = new EventEmitter();
+  ws.closedWith = null;
+  ws.close = (code) => { ws.closedWith = code; ws.emit("close"); };
+  return ws;
+}
+
+const start = (token, callSid = "CA1") => ({ callSid, customParameters: { [STREAM_TOKEN_PARAM]: token } });
+
+test("a token verifies once for its call", () => {
+  const auth = createStreamAuth({ secret: "s" });
+  const token = auth.issue("CA1");
+  assert.deepEqual(auth.verify(token, "CA1"), { ok: true });
+  assert.deepEqual(auth.verify(token, "CA1"), { ok: false, reason: "replayed token" });
+});
+
+test("tokens are bound to the CallSid when /answer knew it", () => {
+  const auth = createStreamAuth({ secret: "s" });
+  assert.match(auth.verify(auth.issue("CA1"), "CA2").reason, /issued for CA1/);
+  assert.equal(auth.verify(auth.issue(""), "CA2").ok, true); // unbound (e.g. /answer opened in a browser)
+});
+
+test("forged, foreign, expired and malformed tokens fail", () => {
+  const auth = createStreamAuth({ secret: "s" });
+  const [payload, sig] = auth.issue("CA1").split(".");
+  assert.equal(auth.verify(`${payload}.${sig.slice(0, -2)}xx`, "CA1").reason, "bad signature");
+  assert.equal(createStreamAuth({ secret: "other" }).verify(auth.issue("CA1"), "CA1").reason, "bad signature");
+  const expired = createStreamAuth({ secret: "s", ttlSeconds: 0 });
+  assert.equal(expired.verify(expired.issue("CA1"), "CA1").reason, "expired token");
+  assert.equal(auth.verify("", "CA1").reason, "missing token");
+  assert.equal(auth.verify("a.b.c", "CA1").reason, "malformed token");
+});
+
+test("STREAM_TOKEN_TTL_SECONDS is read when the auth is created", () => {
+  const saved = process.env.STREAM_TOKEN_TTL_SECONDS;
+  process.env.STREAM_TOKEN_TTL_SECONDS = "0";
+  try {
+    const auth = createStreamAuth({ secret: "s" });
+    assert.equal(auth.verify(auth.issue("CA1"), "CA1").reason, "expired token");
+  } finally {
+    if (saved === undefined) delete process.env.STREAM_TOKEN_TTL_SECONDS;
+    else process.env.STREAM_TOKEN_TTL_SECONDS = saved;
+  }
+});
+
+test("gate admits a start with a valid token and stays open", () => {
+  const auth = createStreamAuth({ secret: "s", startTimeoutMs: 50 });
+  const ws = fakeSocket();
+  const gate = auth.gate(ws);
+  assert.equal(gate.admitted, false);
+  assert.equal(gate.admit(start(auth.issue("CA1"))), true);
+  assert.equal(gate.admitted, true);
+  assert.equal(ws.closedWith, null);
+});
+
+test("gate closes the socket on a bad token", () => {
+  const auth = createStreamAuth({ secret: "s", startTimeoutMs: 50 });
+  const ws = fakeSocket();
+  const gate = auth.gate(ws);
+  assert.equal(gate.admit(start("nope")), false);
+  assert.equal(ws.closedWith, 1008);
+  assert.equal(gate.admit(start(auth.issue("CA1"))), false); // closed for good
+});
+
+test("gate closes the socket when no start arrives in time", async () => {
+  const auth = createStreamAuth({ secret: "s", startTimeoutMs: 20 });
+  const ws = fakeSocket();
+  auth.gate(ws);
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  assert.equal(ws.closedWith, 1008);
+});
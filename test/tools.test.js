@@ -0,0 +1,102 @@
+// lib/tools.js: argument validation and the model <-> tools loop
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createToolRegistry, runToolLoop, validateArgs } from "../lib/tools.js";
+
+const ORDER_ARGS = {
+  type: "object",
+  properties: { order_id: { type: "string", minLength: 2 }, channel: { enum: ["sms", "call"] } },
+  required: ["order_id"],
+  additionalProperties: false,
+};
+
+function orderTools(handler = async ({ order_id }) => ({ order_id, status: "shipped" })) {
+  return createToolRegistry({ maxRounds: 2 }).register({ name: "order_status", parameters: ORDER_ARGS, handler });
+}
+
+// a model that answers complete() from a list, recording what it was offered
+function scriptedModel(replies) {
+  const requests = [];
+  return {
+    requests,
+    complete: async (opts) => {
+      requests.push({ messages: [...opts.messages], tools: opts.tools });
+      return replies[Math.min(requests.length - 1, replies.length - 1)];
+    },
+  };
+}
+
+const call = (name, args, id = "call_1") => ({ id, name, arguments: JSON.stringify(args) });
+
+test("validateArgs accepts matching arguments and lists every problem", () => {
+  assert.deepEqual(validateArgs(ORDER_ARGS, { order_id: "A123", channel: "sms" }), []);
+  assert.deepEqual(validateArgs(ORDER_ARGS, { order_id: "A", channel: "fax", extra: 1 }), [
+    "arguments.order_id is too short",
+    "arguments.channel must be one of sms, call",
+    "arguments.extra is not allowed",
+  ]);
+  assert.deepEqual(validateArgs(ORDER_ARGS, {}), ["arguments.order_id is required"]);
+  assert.deepEqual(validateArgs(ORDER_ARGS, "A123"), ["arguments must be object"]);
+  assert.deepEqual(validateArgs({ type: "array", items: { type: "integer" } }, [1, 2.5]), ["arguments[1] must be integer"]);
+});
+
+test("runToolLoop runs the requested tool and returns the model's answer", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const llm = scriptedModel([
+    { content: "", toolCalls: [call("order_status", { order_id: "A123" })] },
+    { content: "Your order A123 has shipped.", toolCalls: [] },
+  ]);
+  const { reply, invocations } = await runToolLoop(llm, { messages: [{ role: "user", content: "where is A123" }], registry: orderTools() });
+
+  assert.equal(reply, "Your order A123 has shipped.");
+  assert.equal(invocations.length, 1);
+  assert.deepEqual(invocations[0].result, { order_id: "A123", status: "shipped" });
+  const toolMessage = llm.requests[1].messages.at(-1);
+  assert.deepEqual(toolMessage, { role: "tool", tool_call_id: "call_1", content: '{"order_id":"A123","status":"shipped"}' });
+});
+
+test("a rejected argument never reaches the handler; the model is told why", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  let ran = false;
+  const llm = scriptedModel([
+    { content: "", toolCalls: [call("order_status", { order_id: "A123", pin: "0000" })] },
+    { content: "Sorry, I could not look that up.", toolCalls: [] },
+  ]);
+  const { invocations } = await runToolLoop(llm, { messages: [], registry: orderTools(async () => { ran = true; }) });
+
+  assert.equal(ran, false);
+  assert.equal(invocations[0].ok, false);
+  assert.equal(invocations[0].error, "invalid arguments: arguments.pin is not allowed");
+  assert.match(llm.requests[1].messages.at(-1).content, /arguments\.pin is not allowed/);
+});
+
+test("an unknown tool name is reported back, not thrown", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const llm = scriptedModel([
+    { content: "", toolCalls: [call("refund_order", { order_id: "A123" })] },
+    { content: "I can't do refunds on this line.", toolCalls: [] },
+  ]);
+  const { reply, invocations } = await runToolLoop(llm, { messages: [], registry: orderTools() });
+
+  assert.equal(reply, "I can't do refunds on this line.");
+  assert.deepEqual(invocations.map((r) => [r.name, r.ok, r.error]), [["refund_order", false, "unknown tool refund_order"]]);
+});
+
+test("after maxRounds the tools are withdrawn and the model must answer", async (t) => {
+  t.mock.method(console, "log", () => {});
+  // a model that keeps asking for the tool
+  const llm = scriptedModel([{ content: "Checking…", toolCalls: [call("order_status", { order_id: "A123" })] }]);
+  const { reply, invocations } = await runToolLoop(llm, { messages: [], registry: orderTools(), maxRounds: 2 });
+
+  assert.equal(invocations.length, 2);
+  assert.equal(llm.requests.length, 3);
+  assert.deepEqual(llm.requests.map((r) => !!r.tools), [true, true, false]);
+  assert.equal(reply, "Checking…");
+});
+
+test("the registry's maxRounds is the default cutoff", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const llm = scriptedModel([{ content: "", toolCalls: [call("order_status", { order_id: "A123" })] }]);
+  await runToolLoop(llm, { messages: [], registry: orderTools() }); // registry maxRounds: 2
+  assert.equal(llm.requests.length, 3);
+});
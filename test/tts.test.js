@@ -0,0 +1,62 @@
+// lib/tts.js: provider selection and format conversion, on the offline tone provider
+import test from "node:test";
+import assert from "node:assert/strict";
+import { convertAudio, createTtsProvider, ttsConfigFromEnv } from "../lib/tts.js";
+
+const tone = (sampleRate = 16000) => createTtsProvider({ provider: "tone", sampleRate });
+
+test("config: server defaults below env", () => {
+  const saved = process.env.TTS_PROVIDER;
+  process.env.TTS_PROVIDER = "Tone";
+  try {
+    const cfg = ttsConfigFromEnv({ provider: "sarvam-stream", pitch: 0.9 });
+    assert.equal(cfg.provider, "tone");
+    assert.equal(cfg.pitch, 0.9);
+  } finally {
+    if (saved === undefined) delete process.env.TTS_PROVIDER;
+    else process.env.TTS_PROVIDER = saved;
+  }
+});
+
+test("an unknown provider or format is an error", async () => {
+  assert.throws(() => createTtsProvider({ provider: "polly" }), /Unknown TTS_PROVIDER "polly"/);
+  await assert.rejects(tone().stream("hi", { format: "ogg" }).next(), /Unsupported TTS format "ogg"/);
+});
+
+test("tone synthesize: one beep per word, same text same audio", async () => {
+  const tts = tone();
+  const one = await tts.synthesize("namaste", { format: "pcm16" });
+  const two = await tts.synthesize("namaste ji", { format: "pcm16" });
+  assert.equal(one.sampleRate, 16000);
+  assert.equal(two.audio.length, one.audio.length * 2);
+  assert.deepEqual((await tts.synthesize("namaste ji", { format: "pcm16" })).audio, two.audio);
+  await assert.rejects(tts.synthesize("   "), /TTS \(tone\) returned no audio/);
+});
+
+test("wav and G.711 clips come out at the right rate", async () => {
+  const tts = tone();
+  const wav = await tts.synthesize("hello there", { format: "wav", sampleRate: 8000 });
+  assert.equal(wav.audio.toString("ascii", 0, 4), "RIFF");
+  assert.equal(wav.audio.readUInt32LE(24), 8000);
+
+  const mulaw = await tts.synthesize("hello there", { format: "mulaw" });
+  assert.equal(mulaw.sampleRate, 8000);
+  // 16 kHz PCM16 -> 8 kHz one byte per sample: a quarter of the bytes
+  const pcm = await tts.synthesize("hello there", { format: "pcm16" });
+  assert.ok(Math.abs(mulaw.audio.length - pcm.audio.length / 4) <= 8);
+});
+
+test("stream converts chunk by chunk for raw formats", async () => {
+  const chunks = [];
+  for await (const c of tone().stream("one two three", { format: "mulaw" })) chunks.push(c);
+  assert.ok(chunks.length >= 3);
+  assert.ok(chunks.every((c) => c.format === "mulaw" && c.sampleRate === 8000));
+});
+
+test("convertAudio passes a clip already in the asked format through", async () => {
+  const clip = { format: "pcm16", sampleRate: 8000, audio: Buffer.alloc(320) };
+  assert.equal(await convertAudio(clip, "pcm16"), clip);
+  const up = await convertAudio(clip, "pcm16", { sampleRate: 16000 });
+  assert.equal(up.sampleRate, 16000);
+  assert.equal(up.audio.length, 640);
+});
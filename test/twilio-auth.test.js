@@ -0,0 +1,61 @@
+// lib/twilio-auth.js: X-Twilio-Signature computation and the webhook middleware
+import test from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { twilioSignature, twilioWebhookAuth, validateTwilioRequest } from "../lib/twilio-auth.js";
+
+const TOKEN = "12345";
+const URL_ = "https://mycompany.com/myapp.php?foo=1&bar=2";
+const PARAMS = { CallSid: "CA1234567890ABCDE", Caller: "+14158675309", Digits: "1234", From: "+14158675309", To: "+18005551212" };
+
+test("signature matches Twilio's documented example", () => {
+  assert.equal(twilioSignature(TOKEN, URL_, PARAMS), "RSOYDt4T1cUTdK1PDd93/VVr8B8=");
+});
+
+test("validation rejects tampered params, URLs and tokens", () => {
+  const sig = twilioSignature(TOKEN, URL_, PARAMS);
+  assert.equal(validateTwilioRequest(TOKEN, sig, URL_, PARAMS), true);
+  assert.equal(validateTwilioRequest(TOKEN, sig, URL_, { ...PARAMS, Digits: "9999" }), false);
+  assert.equal(validateTwilioRequest(TOKEN, sig, URL_.replace("foo=1", "foo=2"), PARAMS), false);
+  assert.equal(validateTwilioRequest("other", sig, URL_, PARAMS), false);
+  assert.equal(validateTwilioRequest(TOKEN, "", URL_, PARAMS), false);
+  assert.equal(validateTwilioRequest("", sig, URL_, PARAMS), false);
+});
+
+test("a URL signed with or without the default port validates either way", () => {
+  const withPort = "https://mycompany.com:443/myapp.php";
+  const sig = twilioSignature(TOKEN, withPort, PARAMS);
+  assert.equal(validateTwilioRequest(TOKEN, sig, "https://mycompany.com/myapp.php", PARAMS), true);
+  assert.equal(validateTwilioRequest(TOKEN, twilioSignature(TOKEN, "https://mycompany.com/myapp.php", PARAMS), withPort, PARAMS), true);
+});
+
+async function serve(auth) {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.all("/answer", auth, (req, res) => res.send("ok"));
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  return { base: `http://127.0.0.1:${server.address().port}`, close: () => server.close() };
+}
+
+test("middleware checks POST form params against the public base URL", async (t) => {
+  const publicBase = "https://abc.ngrok.io";
+  const { base, close } = await serve(twilioWebhookAuth({ authToken: TOKEN, baseUrl: publicBase, bypass: false }));
+  t.after(close);
+  const body = new URLSearchParams(PARAMS);
+  const post = (signature) => fetch(`${base}/answer?x=1`, { method: "POST", body, headers: signature ? { "X-Twilio-Signature": signature } : {} });
+  assert.equal((await post(twilioSignature(TOKEN, `${publicBase}/answer?x=1`, PARAMS))).status, 200);
+  assert.equal((await post(twilioSignature(TOKEN, `${base}/answer?x=1`, PARAMS))).status, 403); // signed for the local URL
+  assert.equal((await post(null)).status, 403);
+});
+
+test("middleware signs GET requests on the URL alone; bypass lets everything through", async (t) => {
+  const { base, close } = await serve(twilioWebhookAuth({ authToken: TOKEN, baseUrl: "https://abc.ngrok.io", bypass: false }));
+  t.after(close);
+  const sig = twilioSignature(TOKEN, "https://abc.ngrok.io/answer?CallSid=CA1", {});
+  assert.equal((await fetch(`${base}/answer?CallSid=CA1`, { headers: { "X-Twilio-Signature": sig } })).status, 200);
+
+  const open = await serve(twilioWebhookAuth({ authToken: TOKEN, bypass: true }));
+  t.after(open.close);
+  assert.equal((await fetch(`${open.base}/answer`)).status, 200);
+});
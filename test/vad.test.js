@@ -0,0 +1,66 @@
+// lib/vad.js: endpointing on synthetic 8 kHz audio
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createVad, frameFeatures } from "../lib/vad.js";
+
+const RATE = 8000;
+const CONFIG = { energyRms: 400, noiseRatio: 3, minSpeechMs: 120, hangoverMs: 700, prerollMs: 200, maxUtteranceMs: 15000 };
+
+function tone(ms, amp = 6000, freq = 300) {
+  const n = (RATE * ms) / 1000;
+  const out = Buffer.alloc(n * 2);
+  for (let i = 0; i < n; i++) out.writeInt16LE(Math.round(amp * Math.sin((2 * Math.PI * freq * i) / RATE)), i * 2);
+  return out;
+}
+
+const silence = (ms) => Buffer.alloc(((RATE * ms) / 1000) * 2);
+
+// feed in 20 ms packets like a media stream
+function run(vad, audio) {
+  const events = [];
+  for (let off = 0; off < audio.length; off += 320) events.push(...vad.push(audio.subarray(off, off + 320), RATE));
+  return events;
+}
+
+test("frame features: RMS and zero-crossing rate", () => {
+  assert.deepEqual(frameFeatures(new Int16Array(160)), { rms: 0, zcr: 0 });
+  const f = frameFeatures(new Int16Array([1000, -1000, 1000, -1000]));
+  assert.equal(f.rms, 1000);
+  assert.equal(f.zcr, 0.75);
+});
+
+test("silence produces no events", () => {
+  assert.deepEqual(run(createVad(CONFIG), silence(2000)), []);
+});
+
+test("an utterance is framed by speech_start and speech_end after the hangover", () => {
+  const events = run(createVad(CONFIG), Buffer.concat([silence(500), tone(1000), silence(1000)]));
+  assert.deepEqual(events.map((e) => e.type), ["speech_start", "speech_end"]);
+  const end = events[1];
+  assert.equal(end.sampleRate, RATE);
+  // 1 s of speech plus pre-roll and a short tail, without the full 700 ms hangover
+  assert.ok(end.durationMs >= 1000 && end.durationMs <= 1500, `durationMs ${end.durationMs}`);
+  assert.equal(end.audio.length, (RATE * end.durationMs * 2) / 1000);
+});
+
+test("clicks shorter than minSpeechMs are ignored", () => {
+  assert.deepEqual(run(createVad(CONFIG), Buffer.concat([silence(300), tone(60), silence(1000)])), []);
+});
+
+test("flush closes an utterance that is still open", () => {
+  const vad = createVad(CONFIG);
+  assert.deepEqual(run(vad, tone(500)).map((e) => e.type), ["speech_start"]);
+  assert.ok(vad.speaking);
+  assert.deepEqual(vad.flush().map((e) => e.type), ["speech_end"]);
+  assert.equal(vad.speaking, false);
+});
+
+test("long speech is cut at maxUtteranceMs", () => {
+  const events = run(createVad({ ...CONFIG, maxUtteranceMs: 1000 }), tone(2500));
+  assert.equal(events.filter((e) => e.type === "speech_end").length, 2);
+});
+
+test("a quiet background hum is not speech", () => {
+  const hum = tone(3000, 300, 1000); // RMS ~212, under energyRms
+  assert.deepEqual(run(createVad(CONFIG), hum), []);
+});
@@ -0,0 +1,160 @@
+// campaign.js — outbound campaign dialer (call.js for a whole contact list)
+// Usage: node twillo-call-test/campaign.js contacts.csv
+//
+// CSV header needs a number column (number/phone/mobile); name and language (language/lang) are
+// optional and every other column is passed into the call as a custom variable. The answer URL
+// carries them as query params and every server greets the contact by name in their language:
+// r.js and server.js forward them as <Stream> <Parameter>s, final4.js keeps them by CallSid (its
+// streams restart every turn). r.js and final4.js also hand them to the LLM, flows and handoffs;
+// server.js is transcript-only and records them with the call.
+//
+// CAMPAIGN_CONCURRENCY    calls in flight at once (default 2)
+// CAMPAIGN_HOURS          calling window in CAMPAIGN_TZ, e.g. 09:00-20:00 (default)
+// CAMPAIGN_TZ             default Asia/Kolkata
+// CAMPAIGN_MAX_ATTEMPTS   per contact, first try included (default 3)
+// CAMPAIGN_RETRY_MINUTES  backoff base for busy/no-answer; doubles per attempt (default 10)
+// CAMPAIGN_RING_SECONDS   how long to ring before no-answer (default 30)
+// CAMPAIGN_RESULTS        JSONL outcome log (default <csv>.results.jsonl); re-running skips finished contacts
+import fs from "fs";
+import dotenv from "dotenv";
+import twilio from "twilio";
+import {
+  contactsFromCsv,
+  contactParams,
+  parseCallingHours,
+  msUntilCallingHours,
+  retryDelayMs,
+} from "../lib/campaign.js";
+
+dotenv.config();
+
+const accountSid  = process.env.TWILIO_SID;
+const authToken   = process.env.TWILIO_AUTH;
+const fromNumber  = process.env.TWILIO_NUMBER; // Twilio number (E.164 format)
+const ngrok       = (process.env.NGROK_URL || "").replace(/\/+$/, ""); // remove trailing slash
+const answerUrl   = `${ngrok}/answer`;  // Twilio will call this
+
+const csvPath      = process.argv[2] || process.env.CAMPAIGN_CSV;
+const concurrency  = Math.max(1, parseInt(process.env.CAMPAIGN_CONCURRENCY || "2", 10));
+const hours        = parseCallingHours(process.env.CAMPAIGN_HOURS || "09:00-20:00");
+const timeZone     = process.env.CAMPAIGN_TZ || "Asia/Kolkata";
+const maxAttempts  = Math.max(1, parseInt(process.env.CAMPAIGN_MAX_ATTEMPTS || "3", 10));
+const retryBaseMs  = parseFloat(process.env.CAMPAIGN_RETRY_MINUTES || "10") * 60 * 1000;
+const ringSeconds  = parseInt(process.env.CAMPAIGN_RING_SECONDS || "30", 10);
+const resultsPath  = process.env.CAMPAIGN_RESULTS || `${csvPath}.results.jsonl`;
+
+const POLL_MS = 5000;
+const TERMINAL = new Set(["completed", "busy", "no-answer", "failed", "canceled"]);
+const RETRYABLE = new Set(["busy", "no-answer"]);
+
+const client = twilio(accountSid, authToken);
+
+function log(...args) { console.log(new Date().toISOString(), ...args); }
+function sleep(ms) { return new Promise((res) => setTimeout(res, ms)); }
+
+function recordOutcome(entry) {
+  fs.appendFileSync(resultsPath, JSON.stringify({ at: new Date().toISOString(), ...entry }) + "\n");
+}
+
+// numbers that already reached a final outcome in an earlier run
+function finishedNumbers() {
+  if (!fs.existsSync(resultsPath)) return new Set();
+  const done = new Set();
+  for (const line of fs.readFileSync(resultsPath, "utf8").split("\n")) {
+    try {
+      const r = JSON.parse(line);
+      if (r.final) done.add(r.number);
+    } catch { /* blank or torn line */ }
+  }
+  return done;
+}
+
+// place one call and wait for Twilio to report how it ended
+async function dial(contact) {
+  const query = new URLSearchParams(contactParams(contact)).toString();
+  const call = await client.calls.create({
+    to: contact.number,
+    from: fromNumber,
+    url: query ? `${answerUrl}?${query}` : answerUrl,
+    method: "GET",
+    timeout: ringSeconds,
+  });
+  log("📞 Call initiated:", call.sid, "->", contact.number, contact.name ? `(${contact.name})` : "");
+  let status = call.status;
+  let last = call;
+  while (!TERMINAL.has(status)) {
+    await sleep(POLL_MS);
+    last = await client.calls(call.sid).fetch();
+    status = last.status;
+  }
+  return { callSid: call.sid, status, duration: Number(last.duration) || 0 };
+}
+
+async function run() {
+  if (!csvPath) throw new Error("Usage: node twillo-call-test/campaign.js contacts.csv");
+  if (!ngrok) throw new Error("NGROK_URL not set in .env");
+
+  const { contacts, skipped } = contactsFromCsv(fs.readFileSync(csvPath, "utf8"));
+  for (const s of skipped) log("⚠ Skipping CSV row", s.row, "-", s.reason);
+  const done = finishedNumbers();
+  const queue = contacts
+    .filter((c) => !done.has(c.number))
+    .map((contact) => ({ contact, attempt: 1, notBefore: 0 }));
+  log(`Campaign: ${queue.length} to dial (${contacts.length - queue.length} already finished), concurrency ${concurrency}, hours ${process.env.CAMPAIGN_HOURS || "09:00-20:00"} ${timeZone}`);
+
+  const totals = {};
+  let active = 0;
+
+  async function worker() {
+    while (queue.length) {
+      const windowWait = msUntilCallingHours(hours, timeZone);
+      if (windowWait) {
+        log(`🌙 Outside calling hours — waiting ${Math.round(windowWait / 60000)} min`);
+        await sleep(Math.min(windowWait, 15 * 60 * 1000));
+        continue;
+      }
+      const now = Date.now();
+      queue.sort((a, b) => a.notBefore - b.notBefore);
+      if (queue[0].notBefore > now) {
+        // nothing due yet; other workers may still be holding calls that can requeue
+        await sleep(Math.min(queue[0].notBefore - now, 60 * 1000));
+        continue;
+      }
+      const job = queue.shift();
+      const { contact, attempt } = job;
+      active++;
+      let outcome;
+      try {
+        outcome = await dial(contact);
+      } catch (err) {
+        outcome = { callSid: null, status: "error", error: err?.message || String(err) };
+      } finally {
+        active--;
+      }
+
+      const retry = (RETRYABLE.has(outcome.status) || outcome.status === "error") && attempt < maxAttempts;
+      recordOutcome({ number: contact.number, name: contact.name, attempt, ...outcome, final: !retry });
+      if (retry) {
+        const delay = retryDelayMs(attempt, retryBaseMs);
+        log(`↻ ${contact.number}: ${outcome.status}, retry ${attempt + 1}/${maxAttempts} in ${Math.round(delay / 60000)} min`);
+        queue.push({ contact, attempt: attempt + 1, notBefore: Date.now() + delay });
+      } else {
+        log(`✔ ${contact.number}: ${outcome.status} after ${attempt} attempt(s)`);
+        totals[outcome.status] = (totals[outcome.status] || 0) + 1;
+      }
+    }
+    // queue may refill from a call another worker still has in flight
+    if (active) {
+      await sleep(POLL_MS);
+      return worker();
+    }
+  }
+
+  await Promise.all(Array.from({ length: concurrency }, () => worker()));
+  log("📋 Campaign finished:", totals, "— results in", resultsPath);
+}
+
+run().catch((err) => {
+  console.error("❌ Campaign failed:", err?.message || err);
+  process.exitCode = 1;
+});
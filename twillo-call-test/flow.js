@@ -7,8 +7,9 @@ import fetch from "node-fetch"; // v2
 import FormData from "form-data";
 import ffmpeg from "fluent-ffmpeg";
 import ffmpegPath from "ffmpeg-static";
-import { SarvamAIClient } from "sarvamai";
 import { franc } from "franc";
+import { twilioWebhookAuth } from "../lib/twilio-auth.js";
+import { createSarvamClient, sarvamUrl } from "../lib/sarvam.js";
 
 dotenv.config();
 ffmpeg.setFfmpegPath(ffmpegPath);
@@ -21,9 +22,7 @@ const audioDir = path.join(process.cwd(), "audio");
 if (!fs.existsSync(audioDir)) fs.mkdirSync(audioDir);
 
 // Sarvam client for TTS
-const sarvam = new SarvamAIClient({
-apiSubscriptionKey: process.env.SARVAM_API_KEY
-});
+const sarvam = createSarvamClient(process.env.SARVAM_API_KEY);
 
 // small helpers
 function log(...args) { console.log(...args); }
@@ -88,7 +87,7 @@ resolve(outPath);
 
 // --- Sarvam STT (REST) ---
 async function sarvamSTT(wavFilePath) {
-const url = "https://api.sarvam.ai/speech-to-text";
+const url = sarvamUrl("/speech-to-text"); // SARVAM_BASE_URL, see lib/sarvam.js
 const model = process.env.SARVAM_STT_MODEL || "saarika:v2.5";
 const fd = new FormData();
 fd.append("file", fs.createReadStream(wavFilePath));
@@ -176,7 +175,8 @@ temperature: 0.25,
 max_tokens: 120 // keep answers short to limit TTS length and latency
 };
 
-const res = await fetch("https://api.deepseek.com/v1/chat/completions", {
+const baseUrl = (process.env.LLM_BASE_URL || "https://api.deepseek.com/v1").replace(/\/+$/, "");
+const res = await fetch(`${baseUrl}/chat/completions`, {
 method: "POST",
 headers: {
 "Authorization": `Bearer ${key}`,
@@ -243,8 +243,10 @@ return `<Record action="${NGROK_URL}/recording" method="POST" maxLength="20" tim
 // --- Twilio endpoints ---
 
 app.use(express.urlencoded({ extended: false }));
+// X-Twilio-Signature check: /recording downloads whatever RecordingUrl it is given
+const twilioAuth = twilioWebhookAuth();
 
-app.get("/answer", (req, res) => {
+app.get("/answer", twilioAuth, (req, res) => {
 log("== /answer hit ==", req.query || {});
 if (!NGROK_URL) warn("⚠ NGROK_URL missing in .env; TwiML will have bad callback URL.");
 const twiml = `
@@ -255,7 +257,7 @@ ${recordTagXml()}
 res.type("text/xml").send(twiml);
 });
 
-app.post("/recording", async (req, res) => {
+app.post("/recording", twilioAuth, async (req, res) => {
 try {
 log("== /recording webhook hit ==", req.body);
 const recordingUrl = req.body.RecordingUrl;
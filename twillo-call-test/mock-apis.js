@@ -0,0 +1,42 @@
+// mock-apis.js — local stand-in for the Sarvam and DeepSeek APIs (endpoints and script format: lib/mock-apis.js)
+// Usage: node twillo-call-test/mock-apis.js [script.json]
+//
+// Point a server at it instead of the real APIs (keys are not checked, any non-empty value works):
+//   SARVAM_BASE_URL=http://localhost:4010 LLM_BASE_URL=http://localhost:4010/v1 DEEPSEEK_API_KEY=mock node r.js
+// and place a call with simulate.js — the whole call then runs offline.
+//
+// MOCK_PORT        port to listen on (default 4010)
+// MOCK_SCRIPT_FILE transcripts and replies (the first argument wins), e.g. { "stt": […], "llm": […] }
+// MOCK_LATENCY_MS  delay before each answer: "300", or per endpoint "200,llm:900,stt-ws:150"
+// MOCK_ERRORS      injected failures, e.g. "llm:500*2,tts-ws:drop,stt:timeout@0.3"
+// MOCK_CHUNK_MS    gap between streamed chunks (LLM tokens, TTS audio), default 20
+import dotenv from "dotenv";
+import { createMockApis, mockApisConfigFromEnv } from "../lib/mock-apis.js";
+
+dotenv.config();
+
+function log(...args) { console.log(new Date().toISOString(), ...args); }
+
+async function run() {
+  const config = mockApisConfigFromEnv();
+  if (process.argv[2]) config.scriptFile = process.argv[2];
+  const mock = createMockApis(config);
+  const port = await mock.listen();
+  const base = `http://localhost:${port}`;
+  log(`🧪 Mock Sarvam + LLM APIs on ${base}`);
+  log(`   SARVAM_BASE_URL=${base} LLM_BASE_URL=${base}/v1 DEEPSEEK_API_KEY=mock`);
+  log(`   GET ${base}/__mock for counters, POST it { latencyMs, errors, script, reset } to change settings`);
+
+  const stop = async () => {
+    log("🧪 Mock APIs shutting down");
+    await mock.close();
+    process.exit(0);
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+}
+
+run().catch((e) => {
+  console.error("❌ Mock APIs failed:", e?.message || e);
+  process.exitCode = 1;
+});
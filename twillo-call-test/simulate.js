@@ -0,0 +1,284 @@
+// simulate.js — offline call: plays a local WAV into a running server as a Twilio Media Stream
+// Usage: node twillo-call-test/simulate.js caller.wav
+//
+// No ngrok, Twilio number or phone needed. The simulator POSTs /answer like Twilio would (signed with
+// TWILIO_AUTH, so the server's webhook check passes), takes the <Stream> URL path and <Parameter>s
+// (stream token, profile, contact) from the TwiML, connects to that path on SIM_SERVER — /stream for
+// r.js, /media for final4.js and server.js — and sends connected / start / media / dtmf / stop
+// messages with 20 ms µ-law frames. Outbound media is written to a WAV at its place in the call, marks
+// are echoed once their audio has "played" and clear drops what is still queued, as Twilio does.
+// When the call is over the server's transcript (GET /calls/:sid/transcript, sent with ADMIN_TOKEN) is printed.
+// With twillo-call-test/mock-apis.js standing in for Sarvam and the LLM, no API keys are needed either.
+// final4.js and server.js answer through the Twilio REST API, which a simulated call cannot take,
+// so only their transcript shows the replies.
+//
+// SIM_SERVER        base URL of the server (default http://localhost:$PORT, PORT default 3000)
+// SIM_SPEED         pace multiplier: 1 = real time (default), 4 = four times faster
+// SIM_DTMF          key presses at seconds into the call, e.g. "1@2.5,#@6"
+// SIM_OUT           WAV for the bot's audio (default <wav>.reply.wav)
+// SIM_FROM / SIM_TO caller and dialed numbers (default +919800000001 / TWILIO_NUMBER); SIM_TO picks the profile
+// SIM_QUERY         extra /answer query, e.g. "name=Ravi&lang=hi-IN" for a campaign-style contact
+// SIM_WAIT_SECONDS  after the WAV ends, keep the line open (silence) until the server has been quiet this long (default 8)
+// SIM_MAX_SECONDS   hard stop for the whole call (default 180)
+// ADMIN_TOKEN       the server's admin token, needed to read the transcript
+import fs from "fs";
+import crypto from "crypto";
+import dotenv from "dotenv";
+import WebSocket from "ws";
+import { isWav, makeWavBuffer } from "../lib/audio.js";
+import { decodeG711, encodeG711 } from "../lib/g711.js";
+import { resample } from "../lib/resample.js";
+import { twilioSignature } from "../lib/twilio-auth.js";
+import { adminAuthHeader } from "../lib/admin-auth.js";
+
+dotenv.config();
+
+const wavPath     = process.argv[2] || process.env.SIM_WAV;
+const server      = (process.env.SIM_SERVER || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, "");
+const speed       = Math.max(0.1, parseFloat(process.env.SIM_SPEED || "1"));
+const dtmfPlan    = parseDtmfPlan(process.env.SIM_DTMF || "");
+const outPath     = process.env.SIM_OUT || `${wavPath}.reply.wav`;
+const fromNumber  = process.env.SIM_FROM || "+919800000001";
+const toNumber    = process.env.SIM_TO || process.env.TWILIO_NUMBER || "+917900000000";
+const extraQuery  = process.env.SIM_QUERY || "";
+const waitMs      = parseFloat(process.env.SIM_WAIT_SECONDS || "8") * 1000;
+const maxMs       = parseFloat(process.env.SIM_MAX_SECONDS || "180") * 1000;
+
+const RATE = 8000;
+const FRAME_SAMPLES = 160; // 20 ms
+const FRAME_MS = 20;
+
+function log(...args) { console.log(new Date().toISOString(), ...args); }
+function sleep(ms) { return new Promise((res) => setTimeout(res, ms)); }
+
+// "1@2.5,#@6" -> [{ digit: "1", atMs: 2500 }, …]
+function parseDtmfPlan(spec) {
+  return spec.split(",").map((s) => s.trim()).filter(Boolean).map((s) => {
+    const [digit, at] = s.split("@");
+    if (!/^[0-9*#A-D]$/.test(digit) || !(parseFloat(at) >= 0)) throw new Error(`SIM_DTMF: bad entry "${s}" (want digit@seconds)`);
+    return { digit, atMs: parseFloat(at) * 1000 };
+  }).sort((a, b) => a.atMs - b.atMs);
+}
+
+function sid(prefix) {
+  return prefix + crypto.randomBytes(16).toString("hex");
+}
+
+// any PCM16 / µ-law / A-law WAV -> 8 kHz mono PCM16LE
+function readWav8k(file) {
+  const buf = fs.readFileSync(file);
+  if (!isWav(buf)) throw new Error(`${file} is not a WAV file`);
+  let fmt = null;
+  let data = null;
+  for (let i = 12; i + 8 <= buf.length;) {
+    const id = buf.toString("ascii", i, i + 4);
+    const size = buf.readUInt32LE(i + 4);
+    if (id === "fmt ") fmt = { format: buf.readUInt16LE(i + 8), channels: buf.readUInt16LE(i + 10), rate: buf.readUInt32LE(i + 12), bits: buf.readUInt16LE(i + 22) };
+    if (id === "data") data = buf.subarray(i + 8, Math.min(buf.length, i + 8 + size));
+    i += 8 + size + (size & 1);
+  }
+  if (!fmt || !data) throw new Error(`${file}: no fmt/data chunk`);
+  let pcm;
+  if (fmt.format === 7 || fmt.format === 6) pcm = decodeG711(data, fmt.format === 7 ? "mulaw" : "alaw");
+  else if (fmt.format === 1 && fmt.bits === 16) pcm = Buffer.from(data);
+  else throw new Error(`${file}: unsupported WAV (format ${fmt.format}, ${fmt.bits}-bit); use PCM16 or G.711`);
+  if (fmt.channels > 1) {
+    // downmix to mono
+    const frames = Math.floor(pcm.length / (2 * fmt.channels));
+    const mono = Buffer.alloc(frames * 2);
+    for (let f = 0; f < frames; f++) {
+      let sum = 0;
+      for (let c = 0; c < fmt.channels; c++) sum += pcm.readInt16LE((f * fmt.channels + c) * 2);
+      mono.writeInt16LE(Math.round(sum / fmt.channels), f * 2);
+    }
+    pcm = mono;
+  }
+  return { pcm: fmt.rate === RATE ? pcm : resample(pcm, fmt.rate, RATE), seconds: pcm.length / 2 / fmt.rate, source: fmt };
+}
+
+function xmlUnescape(s) {
+  return String(s).replace(/&quot;/g, "\"").replace(/&apos;/g, "'").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+}
+
+// what Twilio would do with /answer: the <Stream> URL and its <Parameter>s
+async function answerCall(callSid) {
+  const query = extraQuery ? `?${extraQuery}` : "";
+  const params = { AccountSid: sid("AC"), CallSid: callSid, From: fromNumber, To: toNumber, Direction: "inbound", CallStatus: "in-progress" };
+  const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+  // the server checks the signature against its public URL (TWILIO_WEBHOOK_BASE_URL / NGROK_URL)
+  const publicBase = (process.env.TWILIO_WEBHOOK_BASE_URL || process.env.NGROK_URL || server).replace(/\/+$/, "");
+  if (process.env.TWILIO_AUTH) headers["X-Twilio-Signature"] = twilioSignature(process.env.TWILIO_AUTH, `${publicBase}/answer${query}`, params);
+
+  const res = await fetch(`${server}/answer${query}`, { method: "POST", headers, body: new URLSearchParams(params).toString() });
+  const twiml = await res.text();
+  if (!res.ok) throw new Error(`/answer returned ${res.status}: ${twiml.slice(0, 200)}`);
+  const stream = /<Stream\b[^>]*\burl="([^"]+)"/.exec(twiml);
+  if (!stream) throw new Error(`no <Stream> in the /answer TwiML — is ${server} a media-stream server?\n${twiml}`);
+  const customParameters = {};
+  for (const m of twiml.matchAll(/<Parameter\b[^>]*\bname="([^"]*)"[^>]*\bvalue="([^"]*)"/g)) customParameters[xmlUnescape(m[1])] = xmlUnescape(m[2]);
+  const said = [...twiml.matchAll(/<(Say|Play)\b[^>]*>([^<]*)<\/\1>/g)].map((m) => `<${m[1]}> ${xmlUnescape(m[2]).trim()}`);
+  // the TwiML points at the public wss:// URL; the simulator talks to the same path locally
+  const wsUrl = server.replace(/^http/i, "ws") + new URL(xmlUnescape(stream[1])).pathname;
+  return { wsUrl, customParameters, said, bidirectional: /<Connect>/.test(twiml) };
+}
+
+// bot audio placed on the call timeline, the way the caller would have heard it
+function createPlayout(ws, streamSid) {
+  const chunks = []; // { at, pcm } in samples
+  const marks = []; // { at, name }
+  let cursor = 0; // where the next outbound chunk starts playing
+  let clock = 0; // inbound samples sent so far = "now"
+  const sendMark = (name) => ws.readyState === WebSocket.OPEN && ws.send(JSON.stringify({ event: "mark", streamSid, mark: { name } }));
+
+  return {
+    media(payload) {
+      const pcm = decodeG711(Buffer.from(payload, "base64"), "mulaw");
+      const at = Math.max(cursor, clock);
+      chunks.push({ at, pcm });
+      cursor = at + pcm.length / 2;
+    },
+    mark(name) {
+      marks.push({ at: Math.max(cursor, clock), name });
+    },
+    // Twilio drops the queued audio and reports every pending mark at once
+    clear() {
+      for (const c of chunks) {
+        const keep = Math.max(0, clock - c.at);
+        if (keep * 2 < c.pcm.length) c.pcm = c.pcm.subarray(0, keep * 2);
+      }
+      cursor = clock;
+      for (const m of marks.splice(0)) sendMark(m.name);
+    },
+    tick(samples) {
+      clock += samples;
+      while (marks.length && marks[0].at <= clock) sendMark(marks.shift().name);
+    },
+    get playing() { return cursor > clock; },
+    render() {
+      const end = chunks.reduce((max, c) => Math.max(max, c.at + c.pcm.length / 2), 0);
+      const out = Buffer.alloc(end * 2);
+      for (const c of chunks) c.pcm.copy(out, c.at * 2);
+      return out;
+    },
+    get seconds() { return chunks.reduce((sum, c) => sum + c.pcm.length / 2, 0) / RATE; },
+  };
+}
+
+function printTranscript(t) {
+  log(`📋 Transcript ${t.callSid} (${t.server || "?"}, ${t.turns.length} turns${t.end?.reason ? `, ended: ${t.end.reason}` : ""})`);
+  for (const turn of t.turns) {
+    const said = turn.user ? `"${turn.user}"` : turn.dtmf ? `[keypad ${turn.dtmf}]` : turn.greeting ? "[greeting]" : "";
+    const extras = [
+      turn.lang && `${turn.lang}${turn.langReason ? ` — ${turn.langReason}` : ""}`,
+      turn.latency?.total !== undefined && `${turn.latency.total} ms`,
+      turn.interrupted && "interrupted",
+      turn.handoff && `handoff: ${turn.handoff}`,
+      turn.flow?.transition && `flow: ${turn.flow.transition}`,
+      turn.tools?.length && `tools: ${turn.tools.map((x) => x.name).join(", ")}`,
+      turn.error && `error: ${turn.error}`,
+    ].filter(Boolean).join(", ");
+    if (said) console.log(`  👤 ${said}`);
+    if (turn.reply) console.log(`  🤖 ${turn.reply}`);
+    if (extras) console.log(`     (${extras})`);
+  }
+}
+
+async function run() {
+  if (!wavPath) throw new Error("Usage: node twillo-call-test/simulate.js caller.wav");
+  const audio = readWav8k(wavPath);
+  const callSid = sid("CA");
+  const streamSid = sid("MZ");
+  log(`🎧 ${wavPath}: ${audio.seconds.toFixed(1)}s (${audio.source.rate} Hz, ${audio.source.channels} ch) at ${speed}x`);
+
+  const answer = await answerCall(callSid);
+  for (const line of answer.said) log("📜 TwiML", line);
+  log("📞 Simulated call", callSid, "->", answer.wsUrl, JSON.stringify(answer.customParameters));
+
+  const ws = new WebSocket(answer.wsUrl);
+  await new Promise((resolve, reject) => { ws.once("open", resolve); ws.once("error", reject); });
+  const playout = createPlayout(ws, streamSid);
+  let lastServerMessageAt = Date.now();
+  let closedByServer = false;
+  ws.on("message", (raw) => {
+    let msg;
+    try { msg = JSON.parse(raw.toString()); } catch { return; }
+    lastServerMessageAt = Date.now();
+    if (msg.event === "media" && msg.media?.payload) playout.media(msg.media.payload);
+    else if (msg.event === "mark") playout.mark(msg.mark?.name);
+    else if (msg.event === "clear") { log("✋ clear (barge-in)"); playout.clear(); }
+    else log("⬅", msg.event);
+  });
+  ws.on("close", (code, reason) => {
+    closedByServer = true;
+    log("🔌 Server closed the stream", code, reason?.toString() || "");
+  });
+
+  let seq = 1;
+  const send = (msg) => ws.readyState === WebSocket.OPEN && ws.send(JSON.stringify({ ...msg, sequenceNumber: String(seq++) }));
+  ws.send(JSON.stringify({ event: "connected", protocol: "Call", version: "1.0.0" }));
+  send({
+    event: "start",
+    streamSid,
+    start: {
+      accountSid: sid("AC"),
+      streamSid,
+      callSid,
+      tracks: ["inbound"],
+      mediaFormat: { encoding: "audio/x-mulaw", sampleRate: RATE, channels: 1 },
+      customParameters: answer.customParameters,
+    },
+  });
+
+  // real-time (or SIM_SPEED) pacing: every frame goes out at its own deadline, so timer drift doesn't add up
+  const silence = Buffer.alloc(FRAME_SAMPLES * 2);
+  const totalFrames = Math.ceil(audio.pcm.length / 2 / FRAME_SAMPLES);
+  const dtmf = [...dtmfPlan];
+  const started = Date.now();
+  let audioDoneAt = null;
+  for (let frame = 0; !closedByServer; frame++) {
+    const callMs = frame * FRAME_MS;
+    while (dtmf.length && dtmf[0].atMs <= callMs) {
+      const { digit } = dtmf.shift();
+      log("☎️ DTMF", digit);
+      send({ event: "dtmf", streamSid, dtmf: { track: "inbound_track", digit } });
+    }
+    const pcm = frame < totalFrames ? audio.pcm.subarray(frame * FRAME_SAMPLES * 2, (frame + 1) * FRAME_SAMPLES * 2) : silence;
+    const payload = encodeG711(pcm.length === silence.length ? pcm : Buffer.concat([pcm, silence.subarray(pcm.length)]), "mulaw");
+    send({ event: "media", streamSid, media: { track: "inbound", chunk: String(frame + 1), timestamp: String(callMs), payload: payload.toString("base64") } });
+    playout.tick(FRAME_SAMPLES);
+
+    if (frame === totalFrames) {
+      audioDoneAt = Date.now();
+      log("🎧 WAV finished — waiting for the server");
+    }
+    // after the WAV: hang up once the server has gone quiet (and nothing is still playing)
+    const now = Date.now();
+    if (audioDoneAt && !dtmf.length && !playout.playing && now - Math.max(lastServerMessageAt, audioDoneAt) > waitMs) break;
+    if (now - started > maxMs) { log(`⏱ SIM_MAX_SECONDS reached`); break; }
+    const due = started + ((frame + 1) * FRAME_MS) / speed;
+    if (due > now) await sleep(due - now);
+  }
+
+  send({ event: "stop", streamSid, stop: { accountSid: sid("AC"), callSid } });
+  await sleep(300);
+  ws.close();
+
+  const bot = playout.render();
+  if (bot.length) {
+    fs.writeFileSync(outPath, makeWavBuffer(bot, RATE));
+    log(`🔊 Bot audio: ${playout.seconds.toFixed(1)}s ->`, outPath);
+  } else {
+    log(answer.bidirectional ? "🔇 No audio came back from the server" : "🔇 No audio over the stream (this server replies through the Twilio REST API)");
+  }
+
+  // the server appends its transcript asynchronously; give the last turn a moment
+  await sleep(1000);
+  const res = await fetch(`${server}/calls/${callSid}/transcript`, { headers: adminAuthHeader() }).catch(() => null);
+  if (res?.ok) printTranscript(await res.json());
+  else log("⚠ No transcript from", `${server}/calls/${callSid}/transcript`, res ? `(${res.status})` : "(unreachable)");
+}
+
+run().catch((err) => {
+  console.error("❌ Simulation failed:", err?.message || err);
+  process.exitCode = 1;
+});